@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "model" TEXT,
+ADD COLUMN     "provider" TEXT;
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "VerificationStatus" AS ENUM ('PASSED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Fragment" ADD COLUMN     "verification" JSONB,
+ADD COLUMN     "verificationStatus" "VerificationStatus";
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "plan" TEXT,
+ADD COLUMN     "reviews" JSONB;
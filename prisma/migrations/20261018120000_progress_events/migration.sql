@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ProgressEvent" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "key" TEXT,
+    "stage" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProgressEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProgressEvent_projectId_createdAt_idx" ON "ProgressEvent"("projectId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProgressEvent_runId_key_key" ON "ProgressEvent"("runId", "key");
+
+-- AddForeignKey
+ALTER TABLE "ProgressEvent" ADD CONSTRAINT "ProgressEvent_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "MessageType" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "ProgressEvent" ADD COLUMN     "data" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Fragment" ADD COLUMN     "deletedFiles" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "context" JSONB;
+
+-- CreateTable
+CREATE TABLE "ContextSummary" (
+    "id" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "throughMessageId" TEXT NOT NULL,
+    "throughCreatedAt" TIMESTAMP(3) NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContextSummary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContextSummary_projectId_createdAt_idx" ON "ContextSummary"("projectId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ContextSummary" ADD CONSTRAINT "ContextSummary_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "SandboxStatus" AS ENUM ('RUNNING', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "Sandbox" (
+    "id" TEXT NOT NULL,
+    "sandboxId" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "status" "SandboxStatus" NOT NULL DEFAULT 'RUNNING',
+    "fragmentId" TEXT,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Sandbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Sandbox_sandboxId_key" ON "Sandbox"("sandboxId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Sandbox_projectId_key" ON "Sandbox"("projectId");
+
+-- AddForeignKey
+ALTER TABLE "Sandbox" ADD CONSTRAINT "Sandbox_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
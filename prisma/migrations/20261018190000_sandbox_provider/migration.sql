@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Sandbox" ADD COLUMN     "provider" TEXT NOT NULL DEFAULT 'e2b';
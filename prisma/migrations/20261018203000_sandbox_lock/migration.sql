@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "SandboxLock" (
+    "projectId" TEXT NOT NULL,
+    "holder" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SandboxLock_pkey" PRIMARY KEY ("projectId")
+);
+
+-- AddForeignKey
+ALTER TABLE "SandboxLock" ADD CONSTRAINT "SandboxLock_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "SandboxCommandStatus" AS ENUM ('SUCCEEDED', 'FAILED', 'TIMED_OUT', 'BLOCKED');
+
+-- CreateTable
+CREATE TABLE "SandboxCommand" (
+    "id" TEXT NOT NULL,
+    "command" TEXT NOT NULL,
+    "status" "SandboxCommandStatus" NOT NULL,
+    "blockedRule" TEXT,
+    "blockedReason" TEXT,
+    "exitCode" INTEGER,
+    "durationMs" INTEGER,
+    "outputLength" INTEGER NOT NULL DEFAULT 0,
+    "agentRunId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SandboxCommand_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SandboxCommand_agentRunId_createdAt_idx" ON "SandboxCommand"("agentRunId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SandboxCommand" ADD CONSTRAINT "SandboxCommand_agentRunId_fkey" FOREIGN KEY ("agentRunId") REFERENCES "AgentRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "FragmentBuildStatus" AS ENUM ('QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "FragmentBuild" (
+    "id" TEXT NOT NULL,
+    "status" "FragmentBuildStatus" NOT NULL DEFAULT 'QUEUED',
+    "exportStatic" BOOLEAN NOT NULL DEFAULT false,
+    "log" TEXT,
+    "bundleReport" JSONB,
+    "artifact" BYTEA,
+    "artifactSize" INTEGER,
+    "error" TEXT,
+    "durationMs" INTEGER,
+    "finishedAt" TIMESTAMP(3),
+    "fragmentId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FragmentBuild_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FragmentBuild_fragmentId_createdAt_idx" ON "FragmentBuild"("fragmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "FragmentBuild" ADD CONSTRAINT "FragmentBuild_fragmentId_fkey" FOREIGN KEY ("fragmentId") REFERENCES "Fragment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateEnum
+CREATE TYPE "SandboxPurpose" AS ENUM ('PREVIEW', 'BUILD');
+
+-- DropIndex
+DROP INDEX "Sandbox_projectId_key";
+
+-- AlterTable
+ALTER TABLE "Sandbox" ADD COLUMN     "killReason" TEXT,
+ADD COLUMN     "killedAt" TIMESTAMP(3),
+ADD COLUMN     "plan" TEXT NOT NULL DEFAULT 'free',
+ADD COLUMN     "purpose" "SandboxPurpose" NOT NULL DEFAULT 'PREVIEW';
+
+-- CreateIndex
+CREATE INDEX "Sandbox_status_expiresAt_idx" ON "Sandbox"("status", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Sandbox_projectId_purpose_key" ON "Sandbox"("projectId", "purpose");
@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "FragmentFile" (
+    "fragmentId" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+
+    CONSTRAINT "FragmentFile_pkey" PRIMARY KEY ("fragmentId","path")
+);
+
+-- CreateTable
+CREATE TABLE "FileBlob" (
+    "hash" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FileBlob_pkey" PRIMARY KEY ("hash")
+);
+
+-- CreateIndex
+CREATE INDEX "FragmentFile_hash_idx" ON "FragmentFile"("hash");
+
+-- AddForeignKey
+ALTER TABLE "FragmentFile" ADD CONSTRAINT "FragmentFile_fragmentId_fkey" FOREIGN KEY ("fragmentId") REFERENCES "Fragment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FragmentFile" ADD CONSTRAINT "FragmentFile_hash_fkey" FOREIGN KEY ("hash") REFERENCES "FileBlob"("hash") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- MigrateData: split the JSON snapshots into blobs and manifests. The hash
+-- must match hashContent in lib/content-hash (SHA-256 of the UTF-8 text).
+INSERT INTO "FileBlob" ("hash", "content", "size")
+SELECT DISTINCT ON (hash) hash, content, octet_length(content)
+FROM (
+    SELECT encode(sha256(convert_to(entry.value, 'UTF8')), 'hex') AS hash,
+           entry.value AS content
+    FROM "Fragment", jsonb_each_text(
+        CASE WHEN jsonb_typeof("Fragment"."files") = 'object' THEN "Fragment"."files" ELSE '{}' END
+    ) AS entry
+    WHERE entry.value IS NOT NULL
+) AS contents;
+
+INSERT INTO "FragmentFile" ("fragmentId", "path", "hash")
+SELECT "Fragment"."id", entry.key, encode(sha256(convert_to(entry.value, 'UTF8')), 'hex')
+FROM "Fragment", jsonb_each_text(
+    CASE WHEN jsonb_typeof("Fragment"."files") = 'object' THEN "Fragment"."files" ELSE '{}' END
+) AS entry
+WHERE entry.value IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Fragment" DROP COLUMN "files";
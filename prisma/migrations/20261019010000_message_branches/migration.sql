@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "parentId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN "activeMessageId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Message_parentId_idx" ON "Message"("parentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Project_activeMessageId_key" ON "Project"("activeMessageId");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Project" ADD CONSTRAINT "Project_activeMessageId_fkey" FOREIGN KEY ("activeMessageId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- MigrateData: each existing conversation becomes a single branch, every
+-- message pointing at the one before it, with the newest message active.
+UPDATE "Message"
+SET "parentId" = ordered."previousId"
+FROM (
+    SELECT "id", LAG("id") OVER (PARTITION BY "projectId" ORDER BY "createdAt", "id") AS "previousId"
+    FROM "Message"
+) AS ordered
+WHERE "Message"."id" = ordered."id";
+
+UPDATE "Project"
+SET "activeMessageId" = (
+    SELECT "Message"."id"
+    FROM "Message"
+    WHERE "Message"."projectId" = "Project"."id"
+    ORDER BY "Message"."createdAt" DESC, "Message"."id" DESC
+    LIMIT 1
+);
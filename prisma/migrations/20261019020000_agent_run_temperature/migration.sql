@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AgentRun" ADD COLUMN "temperature" DOUBLE PRECISION;
@@ -17,4 +17,5 @@ function ping_server() {
 }
 
 ping_server &
-cd /home/user && npx next dev --turbopack
+# Dev server output is kept for the project view's Console tab
+cd /home/user && npx next dev --turbopack 2>&1 | tee -a /tmp/dev-server.log
@@ -0,0 +1 @@
+// Page behaviour goes here
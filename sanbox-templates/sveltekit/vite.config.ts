@@ -0,0 +1,11 @@
+import { sveltekit } from "@sveltejs/kit/vite";
+import tailwindcss from "@tailwindcss/vite";
+import { defineConfig } from "vite";
+
+export default defineConfig({
+  plugins: [tailwindcss(), sveltekit()],
+  server: {
+    // The preview is reached through the sandbox host name
+    allowedHosts: true,
+  },
+});
@@ -0,0 +1,56 @@
+// Forwards runtime errors and console.error calls from the preview to the
+// project view (Console tab), which embeds this app in an iframe.
+// Part of the sandbox template: do not edit or delete.
+(function () {
+    if (typeof window === "undefined" || window.parent === window) {
+        return;
+    }
+
+    var MAX_LENGTH = 4000;
+
+    function format(value) {
+        if (value instanceof Error) {
+            return value.stack || value.message;
+        }
+
+        if (typeof value === "object") {
+            try {
+                return JSON.stringify(value);
+            } catch (error) {
+                return String(value);
+            }
+        }
+
+        return String(value);
+    }
+
+    function send(kind, message, stack) {
+        try {
+            window.parent.postMessage({
+                source: "v0-preview",
+                kind: kind,
+                message: String(message).slice(0, MAX_LENGTH),
+                stack: stack ? String(stack).slice(0, MAX_LENGTH) : null,
+                url: window.location.href,
+            }, "*");
+        } catch (error) {
+            // The project view is gone; nothing to report to
+        }
+    }
+
+    window.addEventListener("error", function (event) {
+        send("error", event.message, event.error && event.error.stack);
+    });
+
+    window.addEventListener("unhandledrejection", function (event) {
+        var reason = event.reason;
+        send("unhandledrejection", (reason && reason.message) || format(reason), reason && reason.stack);
+    });
+
+    var consoleError = console.error;
+
+    console.error = function () {
+        send("console", Array.prototype.map.call(arguments, format).join(" "), null);
+        return consoleError.apply(console, arguments);
+    };
+})();
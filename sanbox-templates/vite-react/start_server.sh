@@ -0,0 +1,21 @@
+#!/bin/bash
+
+# This script runs during building the sandbox template
+# and makes sure the Vite dev server is (1) running and (2) the `/` page is served
+function ping_server() {
+	counter=0
+	response=$(curl -s -o /dev/null -w "%{http_code}" "http://localhost:3000")
+	while [[ ${response} -ne 200 ]]; do
+	  let counter++
+	  if  (( counter % 20 == 0 )); then
+        echo "Waiting for server to start..."
+        sleep 0.1
+      fi
+
+	  response=$(curl -s -o /dev/null -w "%{http_code}" "http://localhost:3000")
+	done
+}
+
+ping_server &
+# Dev server output is kept for the project view's Console tab
+cd /home/user && npx vite --host 0.0.0.0 --port 3000 --strictPort 2>&1 | tee -a /tmp/dev-server.log
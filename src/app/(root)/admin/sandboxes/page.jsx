@@ -0,0 +1,19 @@
+import { notFound } from "next/navigation";
+import { isAdmin } from "@/modules/admin/actions";
+import SandboxesTable from "@/modules/admin/components/sandboxes-table";
+
+const Page = async () => {
+    // Hidden from everyone but the admins in ADMIN_EMAILS
+    if (!(await isAdmin())) {
+        notFound();
+    }
+
+    return (
+        <div className="w-full max-w-6xl mx-auto px-4 py-8 space-y-6">
+            <h1 className="text-xl md:text-2xl font-bold">Live sandboxes</h1>
+            <SandboxesTable />
+        </div>
+    );
+};
+
+export default Page;
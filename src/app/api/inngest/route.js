@@ -1,11 +1,19 @@
 import { serve } from "inngest/next";
 import { inngest } from "@/inngest/client";
-import { codeAgentFunction } from "@/inngest/functions";
+import {
+    buildFragmentFunction,
+    codeAgentCancelFunction,
+    codeAgentFunction,
+    sandboxGcFunction,
+} from "@/inngest/functions";
 
 export const { GET, POST, PUT } = serve({
     client: inngest,
     functions: [
         codeAgentFunction,
+        codeAgentCancelFunction,
+        buildFragmentFunction,
+        sandboxGcFunction,
         // Add your Inngest functions here
     ],
 });
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Mock LLM Endpoint
+ *
+ * OpenAI-compatible chat completions endpoint used by the "mock" provider.
+ * Replies are replayed from recorded scripts in lib/llm/scripts, which lets
+ * the agent workflow run end-to-end offline and deterministically.
+ *
+ * Only served when the mock provider is enabled (MOCK_LLM_SCRIPT or
+ * LLM_PROVIDER=mock); otherwise it responds with 404.
+ *
+ * @module app/api/mock-llm
+ */
+
+import { NextResponse } from "next/server";
+import { getMockScript, replayTurn } from "@/lib/llm/mock";
+
+export async function POST(req, { params }) {
+    const { script: scriptName, role } = await params;
+
+    if (!process.env.MOCK_LLM_SCRIPT && process.env.LLM_PROVIDER !== "mock") {
+        return NextResponse.json({ error: { message: "Mock provider is disabled" } }, { status: 404 });
+    }
+
+    const script = getMockScript(scriptName);
+
+    if (!script) {
+        return NextResponse.json({ error: { message: `Unknown mock script: ${scriptName}` } }, { status: 404 });
+    }
+
+    try {
+        const body = await req.json();
+        return NextResponse.json(replayTurn(script, role, body));
+    } catch (error) {
+        return NextResponse.json({ error: { message: error.message } }, { status: 400 });
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Static Export Download
+ *
+ * Serves the static export archive (.tar.gz) of a fragment build (see
+ * inngest/build) to the project's owner.
+ *
+ * @module app/api/projects/builds
+ */
+
+import db from "@/lib/db";
+import { getCurrentUser } from "@/modules/auth/actions";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+    const { projectId, buildId } = await params;
+
+    // =========================================================================
+    // AUTHENTICATION & PROJECT AUTHORIZATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        return new Response("Unauthorized", { status: 401 });
+    }
+
+    const project = await db.project.findUnique({
+        where: {
+            id: projectId,
+            userId: user.id,
+        },
+    });
+
+    if (!project) {
+        return new Response("Project not found", { status: 404 });
+    }
+
+    // =========================================================================
+    // SEND ARCHIVE
+    // =========================================================================
+
+    const build = await db.fragmentBuild.findFirst({
+        where: {
+            id: buildId,
+            fragment: { message: { projectId } },
+        },
+        select: { artifact: true },
+    });
+
+    if (!build?.artifact) {
+        return new Response("Export not found", { status: 404 });
+    }
+
+    // Project names are slugs, but may have been renamed to anything
+    const fileName = `${project.name.replace(/[^\w.-]+/g, "-")}-${buildId}.tar.gz`;
+
+    return new Response(build.artifact, {
+        headers: {
+            "Content-Type": "application/gzip",
+            "Content-Disposition": `attachment; filename="${fileName}"`,
+            "Content-Length": String(build.artifact.length),
+            "Cache-Control": "private, no-store",
+        },
+    });
+}
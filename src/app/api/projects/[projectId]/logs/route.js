@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Sandbox Dev-Server Log Stream
+ *
+ * Server-sent events endpoint that follows the dev-server log of a
+ * project's live sandbox (see lib/sandbox/logs) for the Console tab.
+ * A new viewer first receives the end of the log, then new output as it
+ * is written.
+ *
+ * Events are sent as `data: { type, ... }`:
+ * - { type: "log", text }: New dev-server output
+ * - { type: "reset" }: The log restarted (new sandbox); clear the output
+ * - { type: "status", status }: "running" or "expired" (no live sandbox)
+ *
+ * Log events carry `id: <sandboxId>:<offset>`, so an EventSource
+ * reconnect (Last-Event-ID) resumes where the previous stream stopped.
+ * A comment line is sent on every poll to keep proxies from timing out.
+ *
+ * @module app/api/projects/logs
+ */
+
+import { SandboxPurpose, SandboxStatus } from "@prisma/client";
+import db from "@/lib/db";
+import { connectSandbox } from "@/lib/sandbox";
+import { readDevServerLog } from "@/lib/sandbox/logs";
+import { getCurrentUser } from "@/modules/auth/actions";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * How often the log is read while the sandbox is running (ms)
+ * @constant {number}
+ */
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * How often the project is checked for a new sandbox while none is live (ms)
+ * @constant {number}
+ */
+const IDLE_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Maximum lifetime of one stream (ms); EventSource reconnects afterwards
+ * @constant {number}
+ */
+const MAX_STREAM_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parses the Last-Event-ID of a reconnecting EventSource
+ *
+ * @param {string|null} lastEventId - Header value
+ * @returns {{sandboxId: string, offset: number}|null} Resume position
+ */
+function parseResumePosition(lastEventId) {
+    const separator = lastEventId?.lastIndexOf(":") ?? -1;
+
+    if (separator <= 0) {
+        return null;
+    }
+
+    const offset = Number.parseInt(lastEventId.slice(separator + 1), 10);
+
+    return Number.isFinite(offset)
+        ? { sandboxId: lastEventId.slice(0, separator), offset }
+        : null;
+}
+
+export async function GET(req, { params }) {
+    const { projectId } = await params;
+
+    // =========================================================================
+    // AUTHENTICATION & PROJECT AUTHORIZATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        return new Response("Unauthorized", { status: 401 });
+    }
+
+    const project = await db.project.findUnique({
+        where: {
+            id: projectId,
+            userId: user.id,
+        },
+    });
+
+    if (!project) {
+        return new Response("Project not found", { status: 404 });
+    }
+
+    // =========================================================================
+    // STREAM LOG
+    // =========================================================================
+
+    const resume = parseResumePosition(req.headers.get("last-event-id"));
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+        async start(controller) {
+            const startedAt = Date.now();
+            const send = (data, id) => controller.enqueue(encoder.encode(
+                `${id ? `id: ${id}\n` : ""}data: ${JSON.stringify(data)}\n\n`
+            ));
+
+            let sandbox = null;
+            let sandboxId = null;
+            let offset = null;
+            let status = null;
+
+            const setStatus = (next) => {
+                if (status !== next) {
+                    status = next;
+                    send({ type: "status", status });
+                }
+            };
+
+            try {
+                while (!req.signal.aborted && Date.now() - startedAt < MAX_STREAM_MS) {
+                    const record = await db.sandbox.findUnique({
+                        where: { projectId_purpose: { projectId, purpose: SandboxPurpose.PREVIEW } },
+                    });
+
+                    if (record?.status !== SandboxStatus.RUNNING) {
+                        sandbox = null;
+                        setStatus("expired");
+                        controller.enqueue(encoder.encode(": ping\n\n"));
+                        await sleep(IDLE_POLL_INTERVAL_MS);
+                        continue;
+                    }
+
+                    // The project got a new sandbox (expired, restored)
+                    if (record.sandboxId !== sandboxId) {
+                        sandboxId = record.sandboxId;
+                        sandbox = null;
+
+                        if (resume?.sandboxId === sandboxId && status === null) {
+                            offset = resume.offset;
+                        } else {
+                            offset = null;
+                            send({ type: "reset" });
+                        }
+                    }
+
+                    try {
+                        sandbox ??= await connectSandbox(sandboxId);
+
+                        const chunk = await readDevServerLog(sandbox, offset);
+
+                        // Log recreated: start over from its end
+                        if (offset !== null && chunk.size < offset) {
+                            offset = null;
+                            send({ type: "reset" });
+                            continue;
+                        }
+
+                        setStatus("running");
+                        offset = chunk.offset;
+
+                        if (chunk.text) {
+                            send({ type: "log", text: chunk.text }, `${sandboxId}:${offset}`);
+                        }
+
+                        controller.enqueue(encoder.encode(": ping\n\n"));
+                        await sleep(POLL_INTERVAL_MS);
+                    } catch {
+                        // Unreachable sandbox: wait for it to be replaced
+                        sandbox = null;
+                        setStatus("expired");
+                        controller.enqueue(encoder.encode(": ping\n\n"));
+                        await sleep(IDLE_POLL_INTERVAL_MS);
+                    }
+                }
+            } catch (error) {
+                // Enqueueing after the client disconnected also lands here
+                if (!req.signal.aborted) {
+                    console.error("Log stream failed:", error);
+                }
+            } finally {
+                try {
+                    controller.close();
+                } catch {
+                    // Stream was already cancelled by the client
+                }
+            }
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        },
+    });
+}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Agent Progress Stream
+ *
+ * Server-sent events endpoint that streams a project's ProgressEvent rows
+ * to the browser while the code agent runs. The message loader subscribes
+ * with the creation time of the pending user message and renders each event
+ * as it arrives; the stream ends after a "done" or "failed" event.
+ *
+ * Events are sent as `data: { id, runId, stage, message, createdAt }`.
+ * A comment line is sent on every poll to keep proxies from timing out.
+ *
+ * @module app/api/projects/progress
+ */
+
+import db from "@/lib/db";
+import { getCurrentUser } from "@/modules/auth/actions";
+import { TERMINAL_STAGES } from "@/lib/progress";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * How often the database is checked for new events (ms)
+ * @constant {number}
+ */
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Maximum lifetime of one stream (ms); EventSource reconnects afterwards
+ * @constant {number}
+ */
+const MAX_STREAM_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function GET(req, { params }) {
+    const { projectId } = await params;
+
+    // =========================================================================
+    // AUTHENTICATION & PROJECT AUTHORIZATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        return new Response("Unauthorized", { status: 401 });
+    }
+
+    const project = await db.project.findUnique({
+        where: {
+            id: projectId,
+            userId: user.id,
+        },
+    });
+
+    if (!project) {
+        return new Response("Project not found", { status: 404 });
+    }
+
+    // =========================================================================
+    // STREAM EVENTS
+    // =========================================================================
+
+    const since = new URL(req.url).searchParams.get("since");
+    const cursor = since ? new Date(since) : new Date();
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+        async start(controller) {
+            const sent = new Set();
+            const startedAt = Date.now();
+
+            try {
+                while (!req.signal.aborted && Date.now() - startedAt < MAX_STREAM_MS) {
+                    const events = await db.progressEvent.findMany({
+                        where: {
+                            projectId,
+                            createdAt: { gte: cursor },
+                        },
+                        orderBy: { createdAt: "asc" },
+                    });
+
+                    for (const event of events) {
+                        if (sent.has(event.id)) {
+                            continue;
+                        }
+
+                        sent.add(event.id);
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify({
+                            id: event.id,
+                            runId: event.runId,
+                            stage: event.stage,
+                            message: event.message,
+                            createdAt: event.createdAt,
+                        })}\n\n`));
+
+                        if (TERMINAL_STAGES.includes(event.stage)) {
+                            return;
+                        }
+                    }
+
+                    controller.enqueue(encoder.encode(": ping\n\n"));
+                    await sleep(POLL_INTERVAL_MS);
+                }
+            } catch (error) {
+                // Enqueueing after the client disconnected also lands here
+                if (!req.signal.aborted) {
+                    console.error("Progress stream failed:", error);
+                }
+            } finally {
+                try {
+                    controller.close();
+                } catch {
+                    // Stream was already cancelled by the client
+                }
+            }
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        },
+    });
+}
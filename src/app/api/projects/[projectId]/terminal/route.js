@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Sandbox Terminal
+ *
+ * Backs the project view's terminal panel with a PTY session on the
+ * project's live sandbox (see lib/sandbox/terminal). Access is authorized
+ * with getProjectById, so only the project's owner can open a shell.
+ *
+ * - GET: Server-sent events with the terminal output. Starts a shell, or
+ *   reattaches to it when an EventSource reconnects (Last-Event-ID).
+ * - POST: Sends input ({ pid, input }) or a resize ({ pid, cols, rows })
+ * - DELETE: Ends the shell (?pid=)
+ *
+ * Events are sent as `data: { type, ... }`:
+ * - { type: "session", pid }: Shell started or reattached
+ * - { type: "data", data }: Output, base64-encoded bytes
+ * - { type: "exit" }: The shell ended
+ * - { type: "status", status: "expired" }: No live sandbox (restore first)
+ *
+ * @module app/api/projects/terminal
+ */
+
+import { connectProjectSandbox } from "@/lib/sandbox";
+import { startTerminal } from "@/lib/sandbox/terminal";
+import { getProjectById } from "@/modules/projects/actions";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Maximum lifetime of one stream (ms); EventSource reconnects afterwards
+ * and reattaches to the same shell
+ * @constant {number}
+ */
+const MAX_STREAM_MS = 5 * 60 * 1000;
+
+/**
+ * Default terminal size when the client sends none
+ * @constant {{cols: number, rows: number}}
+ */
+const DEFAULT_SIZE = { cols: 80, rows: 24 };
+
+/**
+ * How long a connection made for input is reused (ms), so keystrokes do
+ * not reconnect to the sandbox one by one
+ * @constant {number}
+ */
+const CONNECTION_TTL_MS = 30 * 1000;
+
+/**
+ * Recently connected sandboxes, keyed by project ID
+ * @type {Map<string, {sandbox: Object, connectedAt: number}>}
+ */
+const connections = new Map();
+
+/**
+ * Checks that the current user owns the project
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Response|null>} Error response, or null if authorized
+ */
+async function authorize(projectId) {
+    try {
+        await getProjectById(projectId);
+        return null;
+    } catch (error) {
+        const status = error.message === "Unauthorized" ? 401 : 404;
+        return new Response(error.message, { status });
+    }
+}
+
+/**
+ * Authorizes the request and connects to the project's live sandbox
+ *
+ * @async
+ * @param {Object} params - Route params (promise)
+ * @returns {Promise<Object>} { sandbox } or { response } with the error
+ */
+async function getTerminalSandbox(params) {
+    const { projectId } = await params;
+    const response = await authorize(projectId);
+
+    if (response) {
+        return { response };
+    }
+
+    const cached = connections.get(projectId);
+
+    if (cached && Date.now() - cached.connectedAt < CONNECTION_TTL_MS) {
+        return { sandbox: cached.sandbox };
+    }
+
+    const sandbox = await connectProjectSandbox(projectId);
+
+    if (!sandbox) {
+        connections.delete(projectId);
+        return { response: new Response("No live sandbox", { status: 409 }) };
+    }
+
+    connections.set(projectId, { sandbox, connectedAt: Date.now() });
+    return { sandbox };
+}
+
+/**
+ * Parses a terminal dimension from the query string
+ *
+ * @param {string|null} value - Raw value
+ * @param {number} fallback - Default
+ * @returns {number} Dimension between 1 and 500
+ */
+function parseDimension(value, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 1), 500) : fallback;
+}
+
+export async function GET(req, { params }) {
+    // =========================================================================
+    // AUTHENTICATION & SANDBOX
+    // =========================================================================
+
+    const { projectId } = await params;
+    const response = await authorize(projectId);
+
+    if (response) {
+        return response;
+    }
+
+    const searchParams = new URL(req.url).searchParams;
+    const cols = parseDimension(searchParams.get("cols"), DEFAULT_SIZE.cols);
+    const rows = parseDimension(searchParams.get("rows"), DEFAULT_SIZE.rows);
+    const lastEventId = req.headers.get("last-event-id");
+    const encoder = new TextEncoder();
+
+    // =========================================================================
+    // STREAM OUTPUT
+    // =========================================================================
+
+    const stream = new ReadableStream({
+        async start(controller) {
+            let handle = null;
+            let closed = false;
+
+            const close = () => {
+                if (closed) {
+                    return;
+                }
+
+                closed = true;
+                handle?.disconnect?.().catch(() => {});
+
+                try {
+                    controller.close();
+                } catch {
+                    // Stream was already cancelled by the client
+                }
+            };
+
+            const send = (data, id) => {
+                try {
+                    controller.enqueue(encoder.encode(
+                        `${id ? `id: ${id}\n` : ""}data: ${JSON.stringify(data)}\n\n`
+                    ));
+                } catch {
+                    // Enqueueing after the client disconnected
+                    close();
+                }
+            };
+
+            try {
+                const sandbox = await connectProjectSandbox(projectId);
+
+                if (!sandbox) {
+                    send({ type: "status", status: "expired" });
+                    return close();
+                }
+
+                const onData = (data) => {
+                    if (!closed) {
+                        send(
+                            { type: "data", data: Buffer.from(data).toString("base64") },
+                            `${sandbox.sandboxId}:${handle?.pid ?? ""}`
+                        );
+                    }
+                };
+
+                // Reattach after a reconnect of the same sandbox's stream
+                const [resumeSandboxId, resumePid] = (lastEventId || "").split(":");
+
+                if (resumeSandboxId === sandbox.sandboxId && resumePid) {
+                    handle = await sandbox.pty
+                        .connect(Number(resumePid), { onData, timeoutMs: 0 })
+                        .catch(() => null);
+                }
+
+                handle ??= await startTerminal(sandbox, { cols, rows, onData });
+
+                // Quick reconnects keep the output gap small
+                controller.enqueue(encoder.encode("retry: 1000\n\n"));
+                send({ type: "session", pid: handle.pid }, `${sandbox.sandboxId}:${handle.pid}`);
+
+                handle.wait()
+                    .catch(() => {})
+                    .then(() => {
+                        if (!closed) {
+                            send({ type: "exit" });
+                            close();
+                        }
+                    });
+
+                req.signal.addEventListener("abort", close);
+                setTimeout(close, MAX_STREAM_MS);
+            } catch (error) {
+                console.error("Terminal stream failed:", error);
+                close();
+            }
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        },
+    });
+}
+
+export async function POST(req, { params }) {
+    const { sandbox, response } = await getTerminalSandbox(params);
+
+    if (response) {
+        return response;
+    }
+
+    const { pid, input, cols, rows } = await req.json();
+
+    if (!Number.isInteger(pid)) {
+        return new Response("Invalid PTY", { status: 400 });
+    }
+
+    try {
+        if (typeof input === "string") {
+            await sandbox.pty.sendInput(pid, new TextEncoder().encode(input));
+        } else {
+            await sandbox.pty.resize(pid, {
+                cols: parseDimension(String(cols), DEFAULT_SIZE.cols),
+                rows: parseDimension(String(rows), DEFAULT_SIZE.rows),
+            });
+        }
+    } catch (error) {
+        return new Response(error.message || "Terminal not found", { status: 410 });
+    }
+
+    return new Response(null, { status: 204 });
+}
+
+export async function DELETE(req, { params }) {
+    const { sandbox, response } = await getTerminalSandbox(params);
+
+    if (response) {
+        return response;
+    }
+
+    const pid = Number.parseInt(new URL(req.url).searchParams.get("pid"), 10);
+
+    if (Number.isInteger(pid)) {
+        await sandbox.pty.kill(pid).catch(() => false);
+    }
+
+    return new Response(null, { status: 204 });
+}
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Agent Run Accounting
+ *
+ * This module turns agent-kit results into the token and tool-call counts
+ * stored on AgentRun records. Counts come from the raw provider responses
+ * that Inngest memoizes, so replays produce the same numbers.
+ *
+ * @module inngest/accounting
+ */
+
+/**
+ * Extracts token counts from an agent result's raw model response
+ *
+ * Understands the OpenAI (prompt_tokens/completion_tokens), Anthropic
+ * (input_tokens/output_tokens) and Gemini (usageMetadata) formats.
+ *
+ * @param {Object} result - Agent-kit AgentResult
+ * @returns {{inputTokens: number, outputTokens: number, totalTokens: number}}
+ *   Token counts, zero when the response carries no usage
+ */
+export function getTokenUsage(result) {
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    try {
+        const raw = typeof result?.raw === "string" ? JSON.parse(result.raw) : result?.raw;
+        const usage = raw?.usage;
+        const gemini = raw?.usageMetadata;
+
+        if (usage?.prompt_tokens !== undefined) {
+            inputTokens = usage.prompt_tokens || 0;
+            outputTokens = usage.completion_tokens || 0;
+        } else if (usage?.input_tokens !== undefined) {
+            inputTokens = usage.input_tokens || 0;
+            outputTokens = usage.output_tokens || 0;
+        } else if (gemini) {
+            inputTokens = gemini.promptTokenCount || 0;
+            outputTokens = gemini.candidatesTokenCount || 0;
+        }
+    } catch {
+        // Unparseable raw response: count nothing rather than fail the run
+    }
+
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+/**
+ * Aggregates usage per agent
+ *
+ * @param {Array<Object>} results - Agent results (network and standalone agents)
+ * @returns {Object<string, Object>} { [agentName]: { calls, inputTokens,
+ *   outputTokens, toolCalls } }
+ *
+ * @example
+ * aggregateUsage([...network.state.results, titleResult]);
+ * // => { "code-agent": { calls: 4, inputTokens: 9120, ... }, ... }
+ */
+export function aggregateUsage(results = []) {
+    const byAgent = {};
+
+    for (const result of results) {
+        const name = result.agentName || "unknown";
+        const { inputTokens, outputTokens } = getTokenUsage(result);
+        const entry = byAgent[name] || { calls: 0, inputTokens: 0, outputTokens: 0, toolCalls: 0 };
+
+        byAgent[name] = {
+            calls: entry.calls + 1,
+            inputTokens: entry.inputTokens + inputTokens,
+            outputTokens: entry.outputTokens + outputTokens,
+            toolCalls: entry.toolCalls + (result.toolCalls?.length || 0),
+        };
+    }
+
+    return byAgent;
+}
+
+/**
+ * Sums a per-agent usage map
+ *
+ * @param {Object<string, Object>} byAgent - Result of aggregateUsage
+ * @returns {{inputTokens: number, outputTokens: number, toolCalls: number}} Totals
+ */
+export function totalUsage(byAgent) {
+    return Object.values(byAgent).reduce(
+        (total, entry) => ({
+            inputTokens: total.inputTokens + entry.inputTokens,
+            outputTokens: total.outputTokens + entry.outputTokens,
+            toolCalls: total.toolCalls + entry.toolCalls,
+        }),
+        { inputTokens: 0, outputTokens: 0, toolCalls: 0 }
+    );
+}
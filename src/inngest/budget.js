@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Agent Run Budgets
+ *
+ * This module enforces the per-plan run budget (see RUN_BUDGETS in
+ * lib/usage) on the agent network. The network router checks the budget
+ * before every agent call; when a limit is reached the network stops and
+ * the run is saved with a "budget exhausted" message describing what was
+ * completed, instead of failing with the generic error.
+ *
+ * Usage is derived from the network's results, which Inngest memoizes, so
+ * the same run always reaches the same verdict on replay.
+ *
+ * @module inngest/budget
+ */
+
+import { getTokenUsage } from "./accounting";
+
+/**
+ * Totals the usage of a network run so far
+ *
+ * @param {Array<Object>} results - network.state.results
+ * @returns {{iterations: number, toolCalls: number, tokens: number}} Usage
+ */
+export function summarizeUsage(results = []) {
+    return results.reduce(
+        (usage, result) => ({
+            iterations: usage.iterations + 1,
+            toolCalls: usage.toolCalls + (result.toolCalls?.length || 0),
+            tokens: usage.tokens + getTokenUsage(result).totalTokens,
+        }),
+        { iterations: 0, toolCalls: 0, tokens: 0 }
+    );
+}
+
+/**
+ * Checks a run against its budget
+ *
+ * @param {Object} budget - Run budget (lib/usage getRunBudget)
+ * @param {Array<Object>} results - network.state.results
+ * @param {number} elapsedMs - Time since the run started
+ * @returns {Object|null} { limit, reason, usage } for the first exceeded
+ *   limit, or null while the run is within budget
+ *
+ * @example
+ * const exhausted = checkRunBudget(budget, network.state.results, now - startedAt);
+ * if (exhausted) { ... }
+ */
+export function checkRunBudget(budget, results, elapsedMs) {
+    const usage = { ...summarizeUsage(results), durationMs: elapsedMs };
+
+    const limits = [
+        {
+            limit: "iterations",
+            exceeded: usage.iterations >= budget.maxIterations,
+            reason: `the limit of ${budget.maxIterations} agent steps`,
+        },
+        {
+            limit: "toolCalls",
+            exceeded: usage.toolCalls >= budget.maxToolCalls,
+            reason: `the limit of ${budget.maxToolCalls} tool calls`,
+        },
+        {
+            limit: "tokens",
+            exceeded: usage.tokens >= budget.maxTokens,
+            reason: `the limit of ${budget.maxTokens.toLocaleString("en-US")} tokens`,
+        },
+        {
+            limit: "duration",
+            exceeded: elapsedMs >= budget.maxDurationMs,
+            reason: `the time limit of ${Math.round(budget.maxDurationMs / 60000)} minutes`,
+        },
+    ];
+
+    const hit = limits.find((entry) => entry.exceeded);
+
+    return hit ? { limit: hit.limit, reason: hit.reason, usage } : null;
+}
+
+/**
+ * Builds the assistant message for a run that ran out of budget
+ *
+ * @param {Object} options - Run outcome
+ * @param {Object} options.exhausted - Result of checkRunBudget
+ * @param {string} [options.plan] - Planner output
+ * @param {string} [options.summary] - Coder's <task_summary>, if printed
+ * @param {Array<string>} options.changedFiles - Files written this run
+ * @param {Array<string>} options.deletedFiles - Files deleted this run
+ * @returns {string} Markdown message for the user
+ */
+export function buildBudgetExhaustedMessage({
+    exhausted,
+    plan,
+    summary,
+    changedFiles,
+    deletedFiles,
+}) {
+    const sections = [
+        `I stopped before finishing because this run reached ${exhausted.reason} for your plan.`,
+    ];
+
+    if (changedFiles.length > 0 || deletedFiles.length > 0) {
+        sections.push(
+            "**Completed so far:**\n" +
+            [
+                ...changedFiles.map((path) => `- Wrote \`${path}\``),
+                ...deletedFiles.map((path) => `- Deleted \`${path}\``),
+            ].join("\n")
+        );
+    } else {
+        sections.push("No files were changed yet.");
+    }
+
+    const summaryText = summary?.replace(/<\/?task_summary>/g, "").trim();
+
+    if (summaryText) {
+        sections.push(`**Last progress note:**\n${summaryText}`);
+    } else if (plan) {
+        sections.push(`**The plan was:**\n${plan}`);
+    }
+
+    sections.push("Send a follow-up message to continue from here.");
+
+    return sections.join("\n\n");
+}
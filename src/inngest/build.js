@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Fragment Production Builds
+ *
+ * Previews are dev servers, so they do not show whether a fragment builds
+ * for production. This module runs the template's production build in a
+ * dedicated sandbox restored from a fragment (see buildFragmentFunction in
+ * ./functions), and collects:
+ * - The build log
+ * - A bundle-size report of the built JS and CSS (raw and gzipped)
+ * - Optionally, a static export archived as .tar.gz
+ *
+ * The build settings of each template live in lib/templates (`build`).
+ *
+ * @module inngest/build
+ */
+
+import {
+    PACKAGE_JSON_PATH,
+    diffDependencies,
+    installDependencies,
+    readSandboxPackageJson,
+} from "@/lib/dependencies";
+import { shellQuote } from "./files";
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Lifetime of a build sandbox (ms); it is killed when the build ends
+ * @constant {number}
+ */
+export const BUILD_SANDBOX_TIMEOUT_MS = 20 * 60 * 1000;
+
+/**
+ * Timeout of the build command (ms)
+ * @constant {number}
+ */
+const BUILD_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Maximum characters of build log stored; the end is kept
+ * @constant {number}
+ */
+const MAX_BUILD_LOG_LENGTH = 50000;
+
+/**
+ * Largest assets listed in the bundle report
+ * @constant {number}
+ */
+const MAX_REPORTED_ASSETS = 30;
+
+/**
+ * Largest static export archive stored (bytes)
+ * @constant {number}
+ */
+export const MAX_EXPORT_ARCHIVE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Where the export archive is written in the sandbox
+ * @constant {string}
+ */
+const EXPORT_ARCHIVE_PATH = "/tmp/export.tar.gz";
+
+// =============================================================================
+// PREPARATION
+// =============================================================================
+
+/**
+ * Writes a fragment's files into a fresh sandbox and installs the packages
+ * it added to package.json
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {Object} fragment - Fragment ({ files, deletedFiles })
+ * @returns {Promise<string>} Install output for the build log ("" if
+ *   nothing was installed)
+ * @throws {Error} If the packages cannot be installed
+ */
+export async function restoreBuildFiles(sandbox, fragment) {
+    const files = fragment.files || {};
+    const packageJson = files[PACKAGE_JSON_PATH];
+    const missing = packageJson
+        ? diffDependencies(await readSandboxPackageJson(sandbox), packageJson)
+        : [];
+
+    for (const [filePath, content] of Object.entries(files)) {
+        await sandbox.files.write(filePath, content);
+    }
+
+    for (const filePath of fragment.deletedFiles || []) {
+        await sandbox.files.remove(filePath).catch(() => {});
+    }
+
+    if (missing.length === 0) {
+        return "";
+    }
+
+    const installed = await installDependencies(sandbox, packageJson);
+
+    if (!installed.success) {
+        throw new Error(`Installing ${missing.join(", ")} failed:\n${installed.error}`);
+    }
+
+    return `Installed ${missing.join(", ")}\n`;
+}
+
+/**
+ * Switches a Next.js app to static export (`output: "export"`)
+ *
+ * The app's config is kept as next.config.base.* and wrapped, so the
+ * fragment's own settings still apply.
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ */
+async function enableNextStaticExport(sandbox) {
+    const found = await sandbox.commands.run(
+        "ls next.config.ts next.config.mjs next.config.js 2>/dev/null | head -n 1 || true"
+    );
+    const configPath = found.stdout.trim();
+    const exportConfig = "{\n    ...config,\n    output: \"export\",\n    images: { ...config.images, unoptimized: true },\n}";
+
+    if (!configPath) {
+        await sandbox.files.write(
+            "next.config.mjs",
+            "const config = {};\n\nexport default " + exportConfig + ";\n"
+        );
+        return;
+    }
+
+    const extension = configPath.split(".").pop();
+    const basePath = `next.config.base.${extension}`;
+
+    await sandbox.commands.run(`mv ${shellQuote(configPath)} ${shellQuote(basePath)}`);
+
+    // next.config.js is CommonJS unless the package says otherwise
+    await sandbox.files.write(
+        configPath,
+        extension === "js"
+            ? `const config = require("./${basePath}");\n\nmodule.exports = ${exportConfig};\n`
+            : `import config from "./${extension === "ts" ? "next.config.base" : basePath}";\n\nexport default ${exportConfig};\n`
+    );
+}
+
+/**
+ * Template-specific setup for a static export, keyed by template ID
+ * Templates missing here export their build output as-is
+ * @constant {Object<string, Function>}
+ */
+const STATIC_EXPORT_SETUP = {
+    nextjs: enableNextStaticExport,
+};
+
+// =============================================================================
+// BUILD
+// =============================================================================
+
+/**
+ * Keeps the end of a build log, where failures are reported
+ *
+ * @param {string} log - Build log
+ * @returns {string} Log of at most MAX_BUILD_LOG_LENGTH characters
+ */
+export function truncateBuildLog(log) {
+    return log.length > MAX_BUILD_LOG_LENGTH
+        ? `... [${log.length - MAX_BUILD_LOG_LENGTH} characters truncated]\n${log.slice(-MAX_BUILD_LOG_LENGTH)}`
+        : log;
+}
+
+/**
+ * Runs the template's production build
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {Object} template - Template (lib/templates getTemplate)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.exportStatic=false] - Build for static export
+ * @returns {Promise<{success: boolean, log: string}>} Outcome and output
+ *   (stdout and stderr interleaved)
+ *
+ * @example
+ * const { success, log } = await runBuild(sandbox, getTemplate("nextjs"));
+ */
+export async function runBuild(sandbox, template, { exportStatic = false } = {}) {
+    const { command } = template.build;
+
+    if (exportStatic) {
+        await STATIC_EXPORT_SETUP[template.id]?.(sandbox);
+    }
+
+    if (!command) {
+        return { success: true, log: "Nothing to build: the site is served as-is\n" };
+    }
+
+    let log = `$ ${command}\n`;
+    const append = (data) => {
+        log += data;
+    };
+
+    try {
+        await sandbox.commands.run(command, {
+            timeoutMs: BUILD_TIMEOUT_MS,
+            onStdout: append,
+            onStderr: append,
+        });
+
+        return { success: true, log };
+    } catch (error) {
+        return { success: false, log: `${log}\n${error.message || error}\n` };
+    }
+}
+
+/**
+ * Measures the built JS and CSS files
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {string} directory - Directory to measure, relative to the app
+ * @returns {Promise<Object>} { totalBytes, totalGzipBytes, assetCount,
+ *   assets } where `assets` lists the largest files ({ path, bytes,
+ *   gzipBytes }), biggest first
+ */
+export async function measureBundle(sandbox, directory) {
+    const result = await sandbox.commands.run(
+        `[ -d ${shellQuote(directory)} ] && cd ${shellQuote(directory)} && ` +
+        "find . -name node_modules -prune -o -type f \\( -name '*.js' -o -name '*.mjs' -o -name '*.css' \\) -print | " +
+        "while IFS= read -r f; do " +
+        "printf '%s\\t%s\\t%s\\n' \"$(wc -c < \"$f\")\" \"$(gzip -c \"$f\" | wc -c)\" \"${f#./}\"; " +
+        "done || true",
+        { timeoutMs: 2 * 60 * 1000 }
+    );
+
+    const assets = result.stdout
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+            const [bytes, gzipBytes, ...path] = line.split("\t");
+            return { path: path.join("\t"), bytes: Number(bytes), gzipBytes: Number(gzipBytes) };
+        })
+        .sort((a, b) => b.bytes - a.bytes);
+
+    return {
+        totalBytes: assets.reduce((sum, asset) => sum + asset.bytes, 0),
+        totalGzipBytes: assets.reduce((sum, asset) => sum + asset.gzipBytes, 0),
+        assetCount: assets.length,
+        assets: assets.slice(0, MAX_REPORTED_ASSETS),
+    };
+}
+
+/**
+ * Archives the static export as .tar.gz
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {string} directory - Export directory, relative to the app
+ * @returns {Promise<Buffer>} The archive
+ * @throws {Error} If the directory is missing or the archive is too large
+ */
+export async function archiveExport(sandbox, directory) {
+    const result = await sandbox.commands.run(
+        `[ -d ${shellQuote(directory)} ] || { echo "missing"; exit 0; }; ` +
+        `tar -czf ${EXPORT_ARCHIVE_PATH} --exclude=./node_modules --exclude=./.git ` +
+        `-C ${shellQuote(directory)} . && stat -c %s ${EXPORT_ARCHIVE_PATH}`,
+        { timeoutMs: 2 * 60 * 1000 }
+    );
+
+    const output = result.stdout.trim();
+
+    if (output === "missing") {
+        throw new Error(`The build did not produce ${directory}`);
+    }
+
+    if (Number(output) > MAX_EXPORT_ARCHIVE_BYTES) {
+        throw new Error(
+            `The static export is larger than ${MAX_EXPORT_ARCHIVE_BYTES / 1024 / 1024} MB`
+        );
+    }
+
+    const encoded = await sandbox.commands.run(`base64 -w 0 ${EXPORT_ARCHIVE_PATH}`, {
+        timeoutMs: 2 * 60 * 1000,
+    });
+
+    return Buffer.from(encoded.stdout, "base64");
+}
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Conversation Context Builder
+ *
+ * This module decides which part of a project's conversation is sent to the
+ * agents on each run. Recent turns are always sent verbatim, newest first,
+ * until the model's token budget is used up. Older turns are folded into a
+ * rolling project memory (ContextSummary table) by a summarizer agent, so
+ * long projects keep their history without growing the prompt.
+ *
+ * Token counts are estimated (about 4 characters per token); the budgets
+ * leave plenty of headroom below each provider's real context window.
+ *
+ * @module inngest/context
+ */
+
+import { MessageRole } from "@prisma/client";
+
+/**
+ * History token budget per provider
+ * Can be overridden for all providers with CONTEXT_TOKEN_BUDGET
+ * @constant {Object<string, number>}
+ */
+export const DEFAULT_CONTEXT_BUDGETS = {
+    openai: 24000,
+    anthropic: 24000,
+    gemini: 32000,
+    local: 6000,
+    mock: 4000,
+};
+
+/**
+ * Budget used for providers without an entry above
+ * @constant {number}
+ */
+const FALLBACK_CONTEXT_BUDGET = 16000;
+
+/**
+ * Number of most recent messages always sent, even over budget
+ * Long messages among them are truncated instead
+ * @constant {number}
+ */
+export const MIN_RECENT_MESSAGES = 4;
+
+/**
+ * Share of the budget a single message may take before being truncated
+ * @constant {number}
+ */
+const MAX_MESSAGE_BUDGET_SHARE = 0.25;
+
+/**
+ * Estimates the number of tokens in a text
+ *
+ * @param {string} [text] - Text to measure
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Returns the history token budget for a model configuration
+ *
+ * @param {Object} modelConfig - Result of resolveModelConfig (lib/llm)
+ * @param {string} modelConfig.provider - Provider ID
+ * @returns {number} Token budget for memory plus recent messages
+ */
+export function getContextBudget({ provider }) {
+    const override = Number(process.env.CONTEXT_TOKEN_BUDGET);
+
+    if (override > 0) {
+        return override;
+    }
+
+    return DEFAULT_CONTEXT_BUDGETS[provider] ?? FALLBACK_CONTEXT_BUDGET;
+}
+
+/**
+ * Formats a stored message for the agents
+ *
+ * Assistant messages with a fragment get a note listing the files, so the
+ * agent knows what earlier turns produced.
+ *
+ * @param {Object} message - Message with its `fragments` relation (and the
+ *   fragment's `manifest` paths)
+ * @param {number} [maxTokens=Infinity] - Truncate content beyond this size
+ * @returns {Object} Agent-kit text message ({ type, role, content })
+ */
+export function formatContextMessage(message, maxTokens = Infinity) {
+    let content = message.content;
+    const maxLength = maxTokens * 4;
+
+    if (content.length > maxLength) {
+        content = `${content.slice(0, maxLength)}\n... (truncated)`;
+    }
+
+    if (message.role === MessageRole.ASSISTANT && message.fragments) {
+        const fileNames = (message.fragments.manifest || []).map(({ path }) => path);
+
+        if (fileNames.length > 0) {
+            content += `\n\n[Files created/modified: ${fileNames.join(", ")}]`;
+        }
+    }
+
+    return {
+        type: "text",
+        role: message.role === MessageRole.ASSISTANT ? "assistant" : "user",
+        content,
+    };
+}
+
+/**
+ * Splits messages into the recent turns sent verbatim and older overflow
+ *
+ * @param {Array<Object>} messages - Messages in chronological order, all
+ *   newer than the current project memory
+ * @param {Object} options - Selection options
+ * @param {number} options.budget - Token budget (see getContextBudget)
+ * @param {string} [options.memory] - Current project memory, counted first
+ * @returns {Object} Selection
+ * @property {Array<Object>} recent - { id, message } pairs sent verbatim,
+ *   chronological, where `message` is the formatted agent message
+ * @property {Array<Object>} overflow - Older stored messages to summarize
+ * @property {number} tokens - Estimated tokens of memory plus recent turns
+ *
+ * @example
+ * const { recent, overflow } = selectContext(messages, { budget: 24000 });
+ */
+export function selectContext(messages, { budget, memory }) {
+    const maxMessageTokens = Math.floor(budget * MAX_MESSAGE_BUDGET_SHARE);
+    let tokens = estimateTokens(memory);
+    const recent = [];
+    let index = messages.length - 1;
+
+    for (; index >= 0; index--) {
+        const formatted = formatContextMessage(messages[index], maxMessageTokens);
+        const size = estimateTokens(formatted.content);
+
+        if (recent.length >= MIN_RECENT_MESSAGES && tokens + size > budget) {
+            break;
+        }
+
+        recent.unshift({ id: messages[index].id, message: formatted });
+        tokens += size;
+    }
+
+    return {
+        recent,
+        overflow: messages.slice(0, index + 1),
+        tokens,
+    };
+}
+
+/**
+ * Builds the summarizer input from the previous memory and new overflow
+ *
+ * @param {string|null} previousMemory - Current project memory, if any
+ * @param {Array<Object>} messages - Formatted overflow messages, chronological
+ * @returns {string} Prompt for the context summarizer agent
+ */
+export function buildCompactionPrompt(previousMemory, messages) {
+    const transcript = messages
+        .map((message) => `${message.role.toUpperCase()}: ${message.content}`)
+        .join("\n\n");
+
+    return `
+CURRENT PROJECT MEMORY:
+${previousMemory || "(empty)"}
+
+OLDER CONVERSATION TURNS TO FOLD IN:
+${transcript}
+`;
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Sandbox File Listing and Search
+ *
+ * This module backs the code agent's listFiles and searchFiles tools. Both
+ * run standard shell tools (find, grep) inside the sandbox and skip
+ * dependency and build directories, whose contents are never useful to the
+ * agent and would flood its context.
+ *
+ * @module inngest/files
+ */
+
+/**
+ * Directories never listed or searched
+ * @constant {Array<string>}
+ */
+export const IGNORED_DIRECTORIES = ["node_modules", ".next", ".svelte-kit", ".git", ".npm", ".cache"];
+
+/**
+ * Maximum number of paths returned by a listing
+ * @constant {number}
+ */
+const MAX_LISTED_FILES = 1000;
+
+/**
+ * Maximum number of matching lines returned by a search
+ * @constant {number}
+ */
+const MAX_SEARCH_RESULTS = 200;
+
+/**
+ * Matching lines read from grep before the glob is applied; a search whose
+ * matches are cut off here is reported as truncated
+ * @constant {number}
+ */
+const MAX_SCANNED_MATCHES = 5000;
+
+/**
+ * Characters kept of each matching line (minified files have huge lines)
+ * @constant {number}
+ */
+const MAX_MATCH_LENGTH = 500;
+
+/**
+ * Quotes a value for use as a single shell argument
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Single-quoted shell argument
+ */
+export function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Converts a path glob to a regular expression
+ *
+ * Supports `**` (any number of directories), `*` (anything but "/"),
+ * `?` (one character) and `{a,b}` alternatives. A glob without "/" matches
+ * the file name in any directory, like .gitignore patterns.
+ *
+ * @param {string} glob - Glob such as "app/**\/*.tsx" or "*.css"
+ * @returns {RegExp} Anchored regular expression for relative paths
+ *
+ * @example
+ * globToRegExp("components/**\/*.tsx").test("components/ui/button.tsx"); // true
+ */
+export function globToRegExp(glob) {
+    let source = "";
+    let braceDepth = 0;
+
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+
+        if (char === "*" && glob[index + 1] === "*") {
+            // "**/" also matches zero directories
+            const slash = glob[index + 2] === "/";
+            source += slash ? "(?:.*/)?" : ".*";
+            index += slash ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            braceDepth++;
+            source += "(?:";
+        } else if (char === "}" && braceDepth > 0) {
+            braceDepth--;
+            source += ")";
+        } else if (char === "," && braceDepth > 0) {
+            source += "|";
+        } else {
+            source += char.replace(/[.+^$(){}|[\]\\]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(glob.includes("/") ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+/**
+ * Lists files under a directory in the sandbox
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {string} [path="."] - Directory relative to /home/user
+ * @returns {Promise<{files: Array<string>, truncated: boolean}>} Sorted
+ *   relative paths and whether the listing hit MAX_LISTED_FILES
+ *
+ * @example
+ * const { files } = await listSandboxFiles(sandbox, "app");
+ */
+export async function listSandboxFiles(sandbox, path = ".") {
+    const prune = IGNORED_DIRECTORIES
+        .map((name) => `-name ${shellQuote(name)}`)
+        .join(" -o ");
+
+    const result = await sandbox.commands.run(
+        `find ${shellQuote(path)} \\( ${prune} \\) -prune -o -type f -print`
+    );
+
+    const files = result.stdout
+        .split("\n")
+        .filter(Boolean)
+        .map((file) => file.replace(/^\.\//, ""))
+        .sort();
+
+    return {
+        files: files.slice(0, MAX_LISTED_FILES),
+        truncated: files.length > MAX_LISTED_FILES,
+    };
+}
+
+/**
+ * Searches file contents in the sandbox
+ *
+ * Runs a single recursive grep over the project, skipping
+ * IGNORED_DIRECTORIES, so every file is searched regardless of the
+ * listing's size. The glob is applied to the matches afterwards.
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {Object} query - Search parameters
+ * @param {string} query.pattern - Extended regular expression (grep -E)
+ * @param {string} [query.glob] - Only search paths matching this glob
+ * @returns {Promise<{matches: Array<string>, truncated: boolean}>} Matching
+ *   lines as "path:line:text" and whether results were cut off
+ * @throws {Error} If grep rejects the pattern
+ *
+ * @example
+ * await searchSandboxFiles(sandbox, { pattern: "useState", glob: "app/**\/*.tsx" });
+ */
+export async function searchSandboxFiles(sandbox, { pattern, glob }) {
+    const matcher = glob ? globToRegExp(glob) : null;
+    const excludes = IGNORED_DIRECTORIES
+        .map((name) => `--exclude-dir=${shellQuote(name)}`)
+        .join(" ");
+    const quoted = shellQuote(pattern);
+
+    // The pipeline's status is head's, so the pattern is checked first
+    // (grep exits with 1 for no match and 2 for an invalid pattern)
+    const command = `{ grep -E -e ${quoted} /dev/null; [ $? -eq 1 ]; } && ` +
+        `grep -rnHIE ${excludes} -e ${quoted} . | ` +
+        `cut -c1-${MAX_MATCH_LENGTH} | head -n ${MAX_SCANNED_MATCHES}`;
+
+    let lines;
+
+    try {
+        const result = await sandbox.commands.run(command);
+        lines = result.stdout.split("\n").filter(Boolean);
+    } catch (error) {
+        throw new Error(error.stderr || String(error.message || error));
+    }
+
+    const matches = lines
+        .map((line) => line.replace(/^\.\//, ""))
+        .filter((line) => !matcher || matcher.test(line.replace(/:\d+:.*$/, "")));
+
+    return {
+        matches: matches.slice(0, MAX_SEARCH_RESULTS),
+        truncated: matches.length > MAX_SEARCH_RESULTS || lines.length >= MAX_SCANNED_MATCHES,
+    };
+}
@@ -3,43 +3,149 @@
  *
  * This module defines the Inngest-powered AI code agent workflow.
  * The agent processes user requests to generate, modify, and manage
- * code within a sandboxed Next.js environment.
+ * code within a sandboxed web app built from the project's starter
+ * template (Next.js, Vite + React, Vue, SvelteKit or static HTML).
  *
  * Architecture:
- * - Uses E2B Code Interpreter for sandboxed code execution
+ * - Runs code in E2B or local Docker sandboxes (see lib/sandbox)
  * - Employs Inngest Agent Kit for multi-agent orchestration
- * - Integrates with Google's Gemini model for AI reasoning
+ * - Resolves the LLM provider per project/message via lib/llm
+ * - Checks terminal commands against a command policy and audits them
+ *   (see ./policy)
  *
  * Workflow:
- * 1. Create/connect to E2B sandbox
- * 2. Load previous conversation context and files
- * 3. Run AI agent with coding tools
- * 4. Generate fragment title and response
- * 5. Save results to database
+ * 1. Resolve the LLM provider and model
+ * 2. Connect to the project's sandbox (or create one if it expired)
+ * 3. Load recent turns and files; compact older turns into project memory
+ * 4. Run the planner, coder and reviewer agents
+ * 5. Type-check and lint the result, repairing failures
+ * 6. Generate fragment title and response
+ * 7. Save results to database
+ * 8. Record the run's token usage and cost (AgentRun table)
+ *
+ * A run can be cancelled from the project view (code-agent/cancel); the
+ * cleanup function then records the cancellation, optionally keeps the
+ * partial files as a draft, and refunds the credit if nothing was written.
+ *
+ * Fragments can also be built for production (fragment/build), see
+ * buildFragmentFunction and ./build.
+ *
+ * Every ten minutes, sandboxGcFunction kills idle, over-quota and
+ * untracked sandboxes (see lib/sandbox).
  *
  * @module inngest/functions
  */
 
 import { inngest } from "./client";
 import {
-    gemini,
     createAgent,
     createTool,
     createNetwork,
     createState,
 } from "@inngest/agent-kit";
-import Sandbox from "@e2b/code-interpreter";
 import z from "zod";
-import { PROMPT, FRAGMENT_TITLE_PROMPT, RESPONSE_PROMPT } from "@/prompt";
-import { lastAssistantTextMessageContent } from "./utils";
+import {
+    PROMPT,
+    FRAGMENT_TITLE_PROMPT,
+    RESPONSE_PROMPT,
+    PLANNER_PROMPT,
+    REVIEWER_PROMPT,
+    MEMORY_PROMPT,
+    TEMPLATE_PROMPTS,
+} from "@/prompt";
+import {
+    extractTagContent,
+    lastAssistantTextMessageContent,
+    parseReview,
+} from "./utils";
+import { MAX_REPAIR_ATTEMPTS, buildRepairPrompt, runVerification } from "./verification";
+import { applySearchReplace, applyUnifiedDiff } from "./patch";
+import { listSandboxFiles, searchSandboxFiles } from "./files";
+import {
+    MAX_AUDITED_COMMAND_LENGTH,
+    createOutputBuffer,
+    evaluateCommand,
+    formatBlockedCommand,
+    truncateOutput,
+} from "./policy";
+import { buildBudgetExhaustedMessage, checkRunBudget, summarizeUsage } from "./budget";
+import { aggregateUsage, totalUsage } from "./accounting";
+import {
+    buildCompactionPrompt,
+    formatContextMessage,
+    getContextBudget,
+    selectContext,
+} from "./context";
+import { publishProgress } from "./progress";
+import {
+    BUILD_SANDBOX_TIMEOUT_MS,
+    archiveExport,
+    measureBundle,
+    restoreBuildFiles,
+    runBuild,
+    truncateBuildLog,
+} from "./build";
 import db from "@/lib/db";
-import { MessageRole, MessageType } from "@prisma/client";
+import { createModel, MODEL_ROLES, resolveModelConfig } from "@/lib/llm";
+import { estimateCost } from "@/lib/llm/pricing";
+import { PROGRESS_STAGES } from "@/lib/progress";
+import { getRunBudget, refundCredits } from "@/lib/usage";
+import { getTemplate } from "@/lib/templates";
+import {
+    readFragmentFiles,
+    readFragmentPaths,
+    storeFragmentFiles,
+    withFragmentFiles,
+} from "@/lib/fragment-files";
+import { advanceBranch, getActiveTip, getBranchPath, loadMessageTree } from "@/lib/branches";
+import {
+    connectSandbox,
+    createBuildSandbox,
+    enforceSandboxQuotas,
+    getProjectSandbox,
+    reapIdleSandboxes,
+    reapOrphanSandboxes,
+    releaseSandbox,
+    touchSandbox,
+} from "@/lib/sandbox";
+import {
+    PACKAGE_JSON_PATH,
+    diffDependencies,
+    installDependencies,
+    lastOutputLine,
+    readSandboxPackageJson,
+} from "@/lib/dependencies";
+import {
+    AgentRunStatus,
+    FragmentBuildStatus,
+    MessageRole,
+    MessageType,
+    SandboxCommandStatus,
+    VerificationStatus,
+} from "@prisma/client";
+
+/**
+ * Maximum number of reviewer passes per run
+ * After this many reviews the coder's last summary is accepted as-is
+ */
+const MAX_REVIEW_ROUNDS = 2;
+
+/**
+ * Maximum characters of a single file shown to the reviewer
+ */
+const MAX_REVIEW_FILE_LENGTH = 6000;
+
+/**
+ * How long the cancellation cleanup waits for the cancelled run to stop
+ * A step that is already executing finishes before the run is cancelled
+ */
+const CANCELLATION_GRACE_PERIOD = "5s";
 
 /**
- * Initialize the Gemini model for AI reasoning
- * Model name is loaded from environment variables
+ * Hard cap on messages loaded for context selection
+ * Messages older than the project memory are never loaded
  */
-const model = gemini({ model: process.env.MODEL });
+const MAX_CONTEXT_MESSAGES = 200;
 
 /**
  * Main Code Agent Function
@@ -48,22 +154,52 @@ const model = gemini({ model: process.env.MODEL });
  * It's triggered when a user creates a project or sends a message.
  *
  * Steps:
- * 1. get-sandbox-id: Creates an E2B sandbox for isolated code execution
- * 2. get-previous-messages: Loads conversation history and existing files
- * 3. Network execution: Runs the AI agent with coding tools
- * 4. Fragment generation: Creates title and user-friendly response
- * 5. get-sandbox-url: Gets the live preview URL
- * 6. save-result: Persists the result to the database
+ * 1. resolve-model: Picks the LLM provider/model for this run, and
+ *    create-agent-run opens its AgentRun accounting record (terminal
+ *    commands are audited against it, see ./policy)
+ * 2. get-sandbox-id: Reconnects to the project's sandbox, creating a new
+ *    one if it expired (see lib/sandbox)
+ * 3. get-previous-messages: Loads the project memory, recent turns within
+ *    the token budget, and existing files of the conversation branch the
+ *    user's message is on (restore-previous-files writes them back and
+ *    replays npm installs)
+ * 4. save-context-summary: Folds turns that no longer fit into the memory
+ * 5. Network execution: Planner -> coder -> reviewer, looping on review feedback,
+ *    stopped by the plan's run budget (budget-clock)
+ * 6. verify-code-N: Type-checks and lints, re-running the agent on failure,
+ *    then capture-dependencies stores package.json if packages were installed
+ * 7. Fragment generation: Creates title and user-friendly response
+ * 8. get-sandbox-url: Gets the live preview URL
+ * 9. save-result: Persists the result and the context it used
+ * 10. update-sandbox: Extends the sandbox and records the fragment it holds
+ * 11. record-agent-run: Stores per-agent token usage, cost and outcome
+ *
+ * Each step and tool call publishes a progress event (see ./progress)
+ * that the project view streams as a live timeline.
  *
  * @event code-agent/run
  * @param {Object} event.data.value - The user's message/prompt
  * @param {string} event.data.projectId - The project ID for context
+ * @param {string} [event.data.messageId] - The user's message; the reply is
+ *   appended to its branch (the active tip if missing, see lib/branches)
+ * @param {string} [event.data.provider] - LLM provider override for this message
+ * @param {string} [event.data.model] - LLM model override for this message
+ * @param {number} [event.data.temperature] - Sampling temperature override
+ *   (e.g. when regenerating a response)
+ * @param {string} [event.data.plan] - Subscription tier selecting the run budget
  */
 export const codeAgentFunction = inngest.createFunction(
     {
         id: "code-agent",
         // Limit retries to 2 attempts to avoid wasting resources on persistent failures
         retries: 2,
+        // Stop at the next step when the user cancels this project's run
+        cancelOn: [
+            {
+                event: "code-agent/cancel",
+                if: "async.data.projectId == event.data.projectId",
+            },
+        ],
         // Handle failures by saving error message to database
         onFailure: async ({ event, error }) => {
             try {
@@ -75,15 +211,39 @@ export const codeAgentFunction = inngest.createFunction(
                     return;
                 }
 
+                // Close the live timeline for this run
+                await publishProgress(
+                    { runId: event.data.run_id, projectId },
+                    { stage: PROGRESS_STAGES.FAILED, message: "Generation failed", key: "failed" }
+                );
+
+                // Reply to the run's message (runs queued before branching
+                // existed carry no message ID and reply to the active tip)
+                const parentId = event.data.event.data.messageId ??
+                    (await getActiveTip(projectId))?.id ?? null;
+
                 // Save error message to database so UI reflects the failure
-                await db.message.create({
+                const errorMessage = await db.message.create({
                     data: {
                         projectId: projectId,
+                        parentId,
                         content: `Sorry, I encountered an error while processing your request: ${error?.message || "Unknown error"}. Please try again.`,
                         role: MessageRole.ASSISTANT,
                         type: MessageType.ERROR
                     }
                 });
+
+                await advanceBranch(projectId, parentId, errorMessage.id);
+
+                // Close the run record (usage is lost with the failed state)
+                await db.agentRun.updateMany({
+                    where: { runId: event.data.run_id },
+                    data: {
+                        status: AgentRunStatus.FAILED,
+                        messageId: errorMessage.id,
+                        finishedAt: new Date(),
+                    }
+                });
                 console.log("Error message saved for project:", projectId);
             } catch (dbError) {
                 console.error("Failed to save error message:", dbError);
@@ -92,114 +252,357 @@ export const codeAgentFunction = inngest.createFunction(
     },
     { event: "code-agent/run" },
 
-    async ({ event, step }) => {
+    async ({ event, step, runId }) => {
+        /**
+         * Publishes a timeline event for this run
+         * Pass a key when calling outside a step.run callback (replay-safe)
+         */
+        const progress = (stage, message, key, data) =>
+            publishProgress(
+                { runId, projectId: event.data.projectId },
+                { stage, message, key: key || undefined, data }
+            );
+
+        // =====================================================================
+        // RUN BUDGET
+        // =====================================================================
+
+        /**
+         * Limits for this run, chosen by the user's plan (lib/usage)
+         * The start time comes from a step so replays measure the same run
+         */
+        const runBudget = getRunBudget(event.data.plan);
+        const startedAt = await step.run("start-clock", () => Date.now());
+
+        /**
+         * Checks the network state against the run budget
+         * Marks state.data.budgetExhausted when a limit has been reached
+         *
+         * @param {Object} networkState - Agent network state
+         * @returns {Promise<Object|null>} The exceeded limit, if any
+         */
+        const enforceBudget = async (networkState) => {
+            const now = await step.run("budget-clock", () => Date.now());
+            const exhausted = checkRunBudget(runBudget, networkState.results, now - startedAt);
+
+            if (exhausted) {
+                networkState.data.budgetExhausted = exhausted;
+                await progress(PROGRESS_STAGES.FINALIZE, `Run budget reached (${exhausted.limit})`, "budget");
+            }
+
+            return exhausted;
+        };
+
+        // =====================================================================
+        // RESOLVE LLM PROVIDER
+        // =====================================================================
+
+        /**
+         * Pick the provider and model for this run
+         * Message-level overrides win over the project's stored preference;
+         * unconfigured providers fall through to the fallback order
+         */
+        const modelConfig = await step.run("resolve-model", async () => {
+            const project = await db.project.findUnique({
+                where: { id: event.data.projectId },
+                select: { provider: true, model: true },
+            });
+
+            const config = resolveModelConfig({
+                provider: event.data.provider || project?.provider,
+                model: event.data.provider ? event.data.model : project?.model,
+                temperature: event.data.temperature,
+            });
+
+            await progress(
+                PROGRESS_STAGES.MODEL,
+                `Using ${config.provider} (${config.model})` +
+                    (config.temperature !== undefined ? ` at temperature ${config.temperature}` : "")
+            );
+            return config;
+        });
+
+        /**
+         * Open the run's accounting record; it is completed in record-agent-run
+         */
+        const agentRunId = await step.run("create-agent-run", async () => {
+            const agentRun = await db.agentRun.upsert({
+                where: { runId },
+                create: {
+                    runId,
+                    projectId: event.data.projectId,
+                    provider: modelConfig.provider,
+                    model: modelConfig.model,
+                    temperature: modelConfig.temperature ?? null,
+                    startedAt: new Date(startedAt),
+                },
+                update: {},
+            });
+
+            return agentRun.id;
+        });
+
         // =====================================================================
         // STEP 1: CREATE SANDBOX
         // =====================================================================
 
         /**
-         * Create or connect to an E2B sandbox environment
-         * Uses a pre-configured Next.js template for consistent development
+         * Reconnect to the project's live sandbox, or create a new one
+         * from the project's starter template when it has expired
          */
-        const sandboxId = await step.run("get-sandbox-id", async () => {
-            const sandbox = await Sandbox.create("v0-nextjs-build-new");
-            return sandbox.sandboxId;
+        const {
+            sandboxId,
+            reused: sandboxReused,
+            fragmentId: sandboxFragmentId,
+            templateId,
+        } = await step.run("get-sandbox-id", async () => {
+            const { sandbox, reused, fragmentId, templateId } =
+                await getProjectSandbox(event.data.projectId, { plan: event.data.plan });
+            // The sandbox ID lets the cancellation cleanup find partial files
+            await progress(
+                PROGRESS_STAGES.SANDBOX,
+                reused ? "Reconnected to sandbox" : "Sandbox created",
+                "sandbox",
+                { sandboxId: sandbox.sandboxId }
+            );
+            await db.agentRun.update({
+                where: { runId },
+                data: { sandboxId: sandbox.sandboxId },
+            });
+            return { sandboxId: sandbox.sandboxId, reused, fragmentId, templateId };
         });
 
+        // Framework rules and verification checks of the project's template
+        const template = getTemplate(templateId);
+        const templatePrompt = TEMPLATE_PROMPTS[template.id];
+
         // =====================================================================
         // STEP 2: LOAD CONVERSATION CONTEXT
         // =====================================================================
 
         /**
-         * Load previous messages and files for conversation continuity
-         * This allows the agent to understand context and build upon previous work
+         * Load the project memory, the recent turns that fit the model's
+         * token budget, and the latest files
+         * Only the branch leading to the user's message is loaded; turns and
+         * fragments of other branches are not part of this conversation
+         * Older turns that no longer fit are returned as overflow and folded
+         * into the memory below
          */
-        const { formattedMessages, latestFiles } = await step.run(
-            "get-previous-messages",
-            async () => {
-                const formattedMessages = [];
-                let latestFiles = {};
-
-                // Get messages in chronological order with their fragments
-                // Exclude error messages and limit to last 30 for token efficiency
-                const messages = await db.message.findMany({
-                    where: {
-                        projectId: event.data.projectId,
-                        type: {
-                            not: "ERROR"  // Exclude error messages from context
-                        }
-                    },
-                    orderBy: {
-                        createdAt: "asc"  // Chronological order is important
-                    },
-                    include: {
-                        fragments: true  // Include fragments to get file context
+        const context = await step.run("get-previous-messages", async () => {
+            const projectId = event.data.projectId;
+            const budget = getContextBudget(modelConfig);
+
+            // Ancestors of the user's message, oldest first
+            const tree = await loadMessageTree(projectId);
+            const messageId = tree.nodes.has(event.data.messageId)
+                ? event.data.messageId
+                : tree.tipId;
+            const path = getBranchPath(tree, messageId);
+
+            // Current rolling memory of this branch: the one folded furthest
+            // along it; messages it covers are not reloaded
+            const summaries = await db.contextSummary.findMany({
+                where: { projectId, throughMessageId: { in: path } },
+                orderBy: { createdAt: "desc" },
+            });
+            const memory = summaries.sort((a, b) =>
+                path.indexOf(b.throughMessageId) - path.indexOf(a.throughMessageId)
+            )[0] ?? null;
+            const unsummarized = memory
+                ? path.slice(path.indexOf(memory.throughMessageId) + 1)
+                : path;
+
+            // Newest messages first so a huge backlog never crowds out
+            // recent turns, then back to chronological order
+            const messages = (await db.message.findMany({
+                where: {
+                    id: { in: unsummarized },
+                    type: {
+                        not: MessageType.ERROR  // Exclude error messages from context
                     },
-                    take: 30  // Limit to prevent token overflow
-                });
+                },
+                orderBy: {
+                    createdAt: "desc"
+                },
+                include: {
+                    // File names of each fragment, for the file context
+                    fragments: { include: { manifest: { select: { path: true } } } }
+                },
+                take: MAX_CONTEXT_MESSAGES
+            })).reverse();
+
+            // Each fragment is a full snapshot, so the branch's latest one
+            // wins; merging would resurrect files deleted in later turns
+            const latestFragment = await db.fragment.findFirst({
+                where: { messageId: { in: path } },
+                orderBy: { createdAt: "desc" },
+            });
 
-                // Process each message for the agent's context
-                for (const message of messages) {
-                    let messageContent = message.content;
+            const { recent, overflow, tokens } = selectContext(messages, {
+                budget,
+                memory: memory?.content,
+            });
 
-                    // If assistant message has a fragment, include file summary
-                    if (message.role === "ASSISTANT" && message.fragments) {
-                        const fragment = message.fragments;
-                        const fileNames = Object.keys(fragment.files || {});
+            await progress(
+                PROGRESS_STAGES.CONTEXT,
+                `Loaded ${recent.length} recent messages` + (memory ? " and project memory" : "")
+            );
+
+            return {
+                messageId,
+                formattedMessages: recent.map(({ message }) => message),
+                latestFragmentId: latestFragment?.id ?? null,
+                latestFiles: await readFragmentFiles(latestFragment?.id),
+                latestDeletedFiles: latestFragment?.deletedFiles || [],
+                memory: memory ? { id: memory.id, content: memory.content } : null,
+                overflow: overflow.map((message) => ({
+                    id: message.id,
+                    createdAt: message.createdAt,
+                    ...formatContextMessage(message, budget),
+                })),
+                record: {
+                    messageIds: recent.map(({ id }) => id),
+                    tokens,
+                    budget,
+                },
+            };
+        });
 
-                        // Update latest files (maintains current state)
-                        latestFiles = { ...latestFiles, ...fragment.files };
+        const { formattedMessages, latestFiles, latestDeletedFiles, overflow } = context;
 
-                        // Add file context to message for agent awareness
-                        if (fileNames.length > 0) {
-                            messageContent += `\n\n[Files created/modified: ${fileNames.join(", ")}]`;
-                        }
-                    }
+        // =====================================================================
+        // COMPACT OLDER TURNS INTO PROJECT MEMORY
+        // =====================================================================
+
+        /**
+         * Fold the turns that no longer fit into the rolling memory
+         * If the summarizer returns nothing, the memory is left as-is and the
+         * same turns are folded in on the next run
+         */
+        let memory = context.memory;
+
+        // Results of agents run outside the network, for accounting
+        const standaloneResults = [];
+
+        if (overflow.length > 0) {
+            const contextSummarizer = createAgent({
+                name: "context-summarizer",
+                description: "Folds older conversation turns into the project memory",
+                system: MEMORY_PROMPT,
+                model: createModel(modelConfig, MODEL_ROLES.MEMORY)
+            });
 
-                    // Format message for agent consumption
-                    formattedMessages.push({
-                        type: "text",
-                        role: message.role === "ASSISTANT" ? "assistant" : "user",
-                        content: messageContent
+            const summaryResult = await contextSummarizer.run(
+                buildCompactionPrompt(memory?.content, overflow)
+            );
+            standaloneResults.push(summaryResult);
+            const summary = lastAssistantTextMessageContent(summaryResult)?.trim();
+
+            if (summary) {
+                memory = await step.run("save-context-summary", async () => {
+                    const through = overflow[overflow.length - 1];
+                    const saved = await db.contextSummary.create({
+                        data: {
+                            projectId: event.data.projectId,
+                            content: summary,
+                            throughMessageId: through.id,
+                            throughCreatedAt: through.createdAt,
+                        }
                     });
-                }
 
-                return {
-                    formattedMessages,
-                    latestFiles
-                };
+                    await progress(
+                        PROGRESS_STAGES.CONTEXT,
+                        `Summarized ${overflow.length} older messages into project memory`
+                    );
+
+                    return { id: saved.id, content: saved.content };
+                });
             }
-        );
+        }
+
+        /**
+         * What this run was given, stored on the resulting message
+         */
+        const contextRecord = {
+            summaryId: memory?.id ?? null,
+            ...context.record,
+        };
 
         // =====================================================================
         // STEP 3: RESTORE PREVIOUS FILES TO SANDBOX
         // =====================================================================
 
         /**
-         * Restore previous files to the new sandbox
-         * Since sandboxes are ephemeral, we need to write existing files
-         * from the database back to the sandbox filesystem
+         * Restore previous files to the sandbox
+         * A new sandbox (or a reused one that drifted from the latest
+         * fragment) gets the existing files written back from the database,
+         * and the template files the agent deleted in earlier turns removed
+         * A reused sandbox holding another fragment (e.g. of another branch)
+         * also loses that fragment's files the latest one does not have
          */
-        await step.run("restore-previous-files", async () => {
+        const restored = await step.run("restore-previous-files", async () => {
             const fileEntries = Object.entries(latestFiles || {});
-
-            // Only run if there are files to restore
-            if (fileEntries.length === 0) {
-                return { restored: 0 };
-            }
+            const upToDate = sandboxReused &&
+                sandboxFragmentId &&
+                sandboxFragmentId === context.latestFragmentId;
+            const staleFiles = sandboxReused && !upToDate
+                ? (await readFragmentPaths(sandboxFragmentId))
+                    .filter((filePath) => !Object.hasOwn(latestFiles, filePath))
+                : [];
 
             try {
-                const sandbox = await Sandbox.connect(sandboxId);
+                const sandbox = await connectSandbox(sandboxId);
+                let install = null;
+
+                if (upToDate) {
+                    await progress(PROGRESS_STAGES.RESTORE, "Sandbox already has the latest files");
+                } else if (fileEntries.length > 0 || latestDeletedFiles.length > 0 || staleFiles.length > 0) {
+                    // Packages the fragment needs that the sandbox does not
+                    // list yet (e.g. a sandbox fresh from the template)
+                    const packageJson = latestFiles[PACKAGE_JSON_PATH];
+                    const missing = packageJson
+                        ? diffDependencies(await readSandboxPackageJson(sandbox), packageJson)
+                        : [];
+
+                    // Write each file back to the sandbox
+                    for (const [filePath, content] of fileEntries) {
+                        await sandbox.files.write(filePath, content);
+                    }
+
+                    for (const filePath of [...staleFiles, ...latestDeletedFiles]) {
+                        await sandbox.files.remove(filePath).catch(() => {});
+                    }
+
+                    await progress(PROGRESS_STAGES.RESTORE, `Restored ${fileEntries.length} files`);
+
+                    if (missing.length > 0) {
+                        await progress(
+                            PROGRESS_STAGES.INSTALL,
+                            `Installing ${missing.length} package(s): ${missing.join(", ")}`
+                        );
+
+                        install = { packages: missing, ...await installDependencies(sandbox, packageJson) };
 
-                // Write each file back to the sandbox
-                for (const [filePath, content] of fileEntries) {
-                    await sandbox.files.write(filePath, content);
+                        await progress(
+                            PROGRESS_STAGES.INSTALL,
+                            install.success
+                                ? `Installed ${missing.length} package(s)`
+                                : `Failed to install packages: ${lastOutputLine(install.error)}`
+                        );
+                    }
                 }
 
-                return { restored: fileEntries.length };
+                return {
+                    restored: upToDate ? 0 : fileEntries.length,
+                    upToDate: !!upToDate,
+                    install,
+                    // Baseline for capturing this run's dependency changes
+                    packageJson: await readSandboxPackageJson(sandbox),
+                };
             } catch (error) {
                 console.error("Error restoring files:", error);
-                return { restored: 0, error: error.message };
+                await progress(PROGRESS_STAGES.RESTORE, `Failed to restore files: ${error.message}`);
+                return { restored: 0, error: error.message, packageJson: null };
             }
         });
 
@@ -211,12 +614,22 @@ export const codeAgentFunction = inngest.createFunction(
          * Create state object for the agent network
          * - summary: Will hold the final task summary
          * - files: Current state of all files in the sandbox
+         * - deletedFiles: Paths deleted by the agent (kept across turns)
+         * - plan: File-level plan produced by the planner
+         * - reviews: Reviewer verdicts ({ round, approved, notes })
+         * - awaitingReview: Whether the latest summary still needs review
+         * - budgetExhausted: Limit that stopped the network (see ./budget)
          * - messages: Conversation history for context
          */
         const state = createState(
             {
                 summary: "",
-                files: latestFiles || {}  // Initialize with previous files
+                files: { ...latestFiles },  // Copy so latestFiles stays the baseline
+                deletedFiles: [...latestDeletedFiles],
+                plan: "",
+                reviews: [],
+                awaitingReview: false,
+                budgetExhausted: null
             },
             {
                 messages: formattedMessages || []
@@ -228,15 +641,24 @@ export const codeAgentFunction = inngest.createFunction(
         // =====================================================================
 
         /**
-         * Builds the system prompt with context about existing files
+         * Builds the system prompt with the project memory, context about
+         * existing files and the template's rules
          * This helps the agent understand what's already been created
+         *
+         * @param {string} [agentPrompt=PROMPT] - Agent-specific system prompt
          */
-        const buildContextPrompt = () => {
+        const buildContextPrompt = (agentPrompt = PROMPT) => {
+            const basePrompt = agentPrompt + templatePrompt;
             const existingFileNames = Object.keys(latestFiles || {});
 
+            // Summary of turns older than the messages in the history
+            const memoryContext = memory
+                ? `\nPROJECT MEMORY (summary of earlier conversation turns):\n${memory.content}\n\n`
+                : "";
+
             // No existing files - use base prompt
             if (existingFileNames.length === 0) {
-                return PROMPT;
+                return memoryContext + basePrompt;
             }
 
             // Add context about existing files for continuity
@@ -252,56 +674,186 @@ When the user asks for modifications or enhancements:
 4. If the user references previous work, you have access to it in the files above
 
 `;
-            return filesContext + PROMPT;
+            return memoryContext + filesContext + basePrompt;
+        };
+
+        /**
+         * Builds the coder's system prompt for the current network state
+         * Appends the planner's plan and any outstanding review feedback
+         */
+        const buildCoderPrompt = ({ network }) => {
+            const { plan, reviews } = network?.state?.data || {};
+            const lastReview = reviews?.[reviews.length - 1];
+            let prompt = buildContextPrompt();
+
+            if (plan) {
+                prompt += `\nIMPLEMENTATION PLAN (follow it unless it conflicts with the rules above):\n${plan}\n`;
+            }
+
+            if (lastReview && !lastReview.approved) {
+                prompt += `\nREVIEW FEEDBACK (address every point, then print a new <task_summary>):\n${lastReview.notes}\n`;
+            }
+
+            return prompt;
+        };
+
+        /**
+         * Builds the reviewer's system prompt with the plan and the diff
+         * Only files whose content differs from the start of the run are shown
+         */
+        const buildReviewerPrompt = ({ network }) => {
+            const { plan, files, deletedFiles } = network?.state?.data || {};
+
+            const changedFiles = Object.entries(files || {})
+                .filter(([path, content]) => latestFiles?.[path] !== content)
+                .map(([path, content]) => {
+                    const shown = content.length > MAX_REVIEW_FILE_LENGTH
+                        ? `${content.slice(0, MAX_REVIEW_FILE_LENGTH)}\n... (truncated)`
+                        : content;
+                    return `--- ${path}${path in (latestFiles || {}) ? " (modified)" : " (new)"}\n${shown}`;
+                })
+                .concat(
+                    (deletedFiles || [])
+                        .filter((path) => !latestDeletedFiles.includes(path))
+                        .map((path) => `--- ${path} (deleted)`)
+                )
+                .join("\n\n");
+
+            return `${REVIEWER_PROMPT}${templatePrompt}
+PLAN:
+${plan || "(no plan)"}
+
+CHANGED FILES:
+${changedFiles || "(no files changed)"}
+`;
         };
 
+        // =====================================================================
+        // CREATE PLANNER AGENT
+        // =====================================================================
+
+        /**
+         * Planner agent: turns the request into a file-level plan
+         * Has no tools; its <plan> is stored in state for the coder and reviewer
+         */
+        const plannerAgent = createAgent({
+            name: "planner-agent",
+            description: "Plans which files to create or modify",
+            system: buildContextPrompt(PLANNER_PROMPT),
+            model: createModel(modelConfig, MODEL_ROLES.PLANNER),
+            lifecycle: {
+                onResponse: async ({ result, network }) => {
+                    const text = lastAssistantTextMessageContent(result);
+
+                    if (network) {
+                        // Fall back to the raw reply so the router never re-plans
+                        network.state.data.plan =
+                            extractTagContent(text, "plan") || text?.trim() || "(no plan)";
+                        await progress(PROGRESS_STAGES.PLAN, "Plan ready", "plan");
+                    }
+
+                    return result;
+                },
+            },
+        });
+
         // =====================================================================
         // CREATE CODE AGENT
         // =====================================================================
 
         /**
          * The main code agent with tools for:
-         * - terminal: Run shell commands
+         * - terminal: Run shell commands allowed by the command policy
          * - createOrUpdateFiles: Create or modify files
+         * - editFile: Patch an existing file (search/replace or unified diff)
          * - readFiles: Read existing files
+         * - listFiles: List the project tree (without node_modules/.next)
+         * - searchFiles: Grep file contents, optionally filtered by path glob
+         * - deleteFiles: Remove files from the sandbox and the saved state
          */
         const codeAgent = createAgent({
             name: "code-agent",
             description: "An expert coding agent",
-            system: buildContextPrompt(),
-            model: model,
+            system: buildCoderPrompt,
+            model: createModel(modelConfig, MODEL_ROLES.CODE),
             tools: [
                 // ---------------------------------------------------------
                 // TOOL 1: Terminal
                 // ---------------------------------------------------------
                 createTool({
                     name: "terminal",
-                    description: "Use the terminal to run commands",
+                    description: "Use the terminal to run commands (checked against the sandbox command policy)",
                     parameters: z.object({
                         command: z.string(),
                     }),
                     handler: async ({ command }, { step }) => {
                         return await step?.run("terminal", async () => {
-                            const buffers = { stdout: "", stderr: "" };
+                            // Capped as the output streams in (see createOutputBuffer)
+                            const stdout = createOutputBuffer();
+                            const stderr = createOutputBuffer();
+                            const verdict = evaluateCommand(command);
+
+                            /**
+                             * Records the command in the run's audit trail
+                             */
+                            const audit = (data) => db.sandboxCommand.create({
+                                data: {
+                                    agentRunId,
+                                    command: command.slice(0, MAX_AUDITED_COMMAND_LENGTH),
+                                    ...data,
+                                },
+                            });
+
+                            if (!verdict.allowed) {
+                                await progress(PROGRESS_STAGES.TOOL, `Blocked ${command}`);
+                                await audit({
+                                    status: SandboxCommandStatus.BLOCKED,
+                                    blockedRule: verdict.rule,
+                                    blockedReason: verdict.reason,
+                                });
+                                return formatBlockedCommand(verdict);
+                            }
+
+                            await progress(PROGRESS_STAGES.TOOL, `Running ${command}`);
+                            const commandStartedAt = Date.now();
 
                             try {
-                                const sandbox = await Sandbox.connect(sandboxId);
+                                const sandbox = await connectSandbox(sandboxId);
 
                                 const result = await sandbox.commands.run(command, {
-                                    onStdout: (data) => {
-                                        buffers.stdout += data;
-                                    },
-                                    onStderr: (data) => {
-                                        buffers.stderr += data;
-                                    },
+                                    timeoutMs: verdict.timeoutMs,
+                                    onStdout: (data) => stdout.append(data),
+                                    onStderr: (data) => stderr.append(data),
+                                });
+
+                                await audit({
+                                    status: SandboxCommandStatus.SUCCEEDED,
+                                    exitCode: result.exitCode ?? 0,
+                                    durationMs: Date.now() - commandStartedAt,
+                                    outputLength: stdout.length + stderr.length,
                                 });
 
-                                return result.stdout;
+                                return stdout.toString();
                             } catch (error) {
-                                console.log(
-                                    `Command failed: ${error} \n stdout: ${buffers.stdout}\n stderr: ${buffers.stderr}`
-                                );
-                                return `Command failed: ${error} \n stdout: ${buffers.stdout}\n stderr: ${buffers.stderr}`;
+                                // CommandExitError carries the exit code; timeouts and
+                                // sandbox errors have none
+                                const timedOut = error.name === "TimeoutError"
+                                    || /timed out/i.test(error.message || "");
+
+                                await audit({
+                                    status: timedOut
+                                        ? SandboxCommandStatus.TIMED_OUT
+                                        : SandboxCommandStatus.FAILED,
+                                    exitCode: Number.isInteger(error.exitCode) ? error.exitCode : null,
+                                    durationMs: Date.now() - commandStartedAt,
+                                    outputLength: stdout.length + stderr.length,
+                                });
+
+                                // E2B's CommandExitError message repeats the whole stderr
+                                const output = `Command failed: ${truncateOutput(String(error))} \n stdout: ${stdout}\n stderr: ${stderr}`;
+
+                                console.log(output);
+                                return output;
                             }
                         });
                     },
@@ -327,7 +879,7 @@ When the user asks for modifications or enhancements:
                             async () => {
                                 try {
                                     const updatedFiles = network?.state?.data.files || {};
-                                    const sandbox = await Sandbox.connect(sandboxId);
+                                    const sandbox = await connectSandbox(sandboxId);
 
                                     // Write each file to the sandbox
                                     for (const file of files) {
@@ -335,6 +887,14 @@ When the user asks for modifications or enhancements:
                                         updatedFiles[file.path] = file.content;
                                     }
 
+                                    const paths = files.map((file) => file.path);
+                                    await progress(
+                                        PROGRESS_STAGES.TOOL,
+                                        `Wrote ${paths.join(", ")}`,
+                                        null,
+                                        { paths }
+                                    );
+
                                     return updatedFiles;
                                 } catch (error) {
                                     return "Error" + error;
@@ -344,13 +904,84 @@ When the user asks for modifications or enhancements:
 
                         // Update state with new files
                         if (typeof newFiles === "object") {
+                            const written = new Set(files.map((file) => file.path));
+
                             network.state.data.files = newFiles;
+                            // Recreating a deleted file undoes the deletion
+                            network.state.data.deletedFiles = network.state.data.deletedFiles
+                                .filter((path) => !written.has(path));
+                        }
+                    },
+                }),
+
+                // ---------------------------------------------------------
+                // TOOL 3: Edit File
+                // ---------------------------------------------------------
+                createTool({
+                    name: "editFile",
+                    description:
+                        "Apply targeted edits to an existing file instead of rewriting it. " +
+                        "Pass either `edits` (search/replace blocks; each search text must " +
+                        "match the file exactly once) or `patch` (a unified diff with @@ hunks). " +
+                        "Nothing is written if any edit fails; failures are reported back.",
+                    parameters: z.object({
+                        path: z.string(),
+                        edits: z.array(
+                            z.object({
+                                search: z.string(),
+                                replace: z.string(),
+                            })
+                        ).optional(),
+                        patch: z.string().optional(),
+                    }),
+                    handler: async ({ path, edits, patch }, { step, network }) => {
+                        const outcome = await step?.run("editFile", async () => {
+                            if (!edits?.length && !patch) {
+                                return { error: "Provide either edits or patch" };
+                            }
+
+                            try {
+                                const sandbox = await connectSandbox(sandboxId);
+                                // The sandbox copy is the source of truth
+                                const current = await sandbox.files.read(path);
+
+                                const { content, failures } = patch
+                                    ? applyUnifiedDiff(current, patch)
+                                    : applySearchReplace(current, edits);
+
+                                if (failures.length > 0) {
+                                    return { error: `Patch not applied to ${path}:\n${failures.join("\n")}` };
+                                }
+
+                                await sandbox.files.write(path, content);
+                                await progress(PROGRESS_STAGES.TOOL, `Edited ${path}`, null, {
+                                    paths: [path],
+                                });
+
+                                return { content };
+                            } catch (error) {
+                                return { error: `Error editing ${path}: ${error}` };
+                            }
+                        });
+
+                        if (outcome?.error) {
+                            return outcome.error;
+                        }
+
+                        // Update state with the patched file
+                        if (network && outcome) {
+                            network.state.data.files = {
+                                ...network.state.data.files,
+                                [path]: outcome.content,
+                            };
                         }
+
+                        return `Edited ${path}`;
                     },
                 }),
 
                 // ---------------------------------------------------------
-                // TOOL 3: Read Files
+                // TOOL 4: Read Files
                 // ---------------------------------------------------------
                 createTool({
                     name: "readFiles",
@@ -361,7 +992,7 @@ When the user asks for modifications or enhancements:
                     handler: async ({ files }, { step }) => {
                         return await step?.run("readFiles", async () => {
                             try {
-                                const sandbox = await Sandbox.connect(sandboxId);
+                                const sandbox = await connectSandbox(sandboxId);
                                 const contents = [];
 
                                 // Read each requested file
@@ -370,6 +1001,8 @@ When the user asks for modifications or enhancements:
                                     contents.push({ path: file, content });
                                 }
 
+                                await progress(PROGRESS_STAGES.TOOL, `Read ${files.join(", ")}`);
+
                                 return JSON.stringify(contents);
                             } catch (error) {
                                 return "Error" + error;
@@ -377,6 +1010,144 @@ When the user asks for modifications or enhancements:
                         });
                     },
                 }),
+
+                // ---------------------------------------------------------
+                // TOOL 5: List Files
+                // ---------------------------------------------------------
+                createTool({
+                    name: "listFiles",
+                    description:
+                        "List files under a directory (default: the project root). " +
+                        "node_modules, .next and .git are skipped.",
+                    parameters: z.object({
+                        path: z.string().optional(),
+                    }),
+                    handler: async ({ path }, { step }) => {
+                        return await step?.run("listFiles", async () => {
+                            try {
+                                const sandbox = await connectSandbox(sandboxId);
+                                const { files, truncated } = await listSandboxFiles(sandbox, path || ".");
+
+                                await progress(PROGRESS_STAGES.TOOL, `Listed ${path || "project"} files`);
+
+                                return files.join("\n") +
+                                    (truncated ? "\n... (listing truncated, narrow the path)" : "");
+                            } catch (error) {
+                                return "Error" + error;
+                            }
+                        });
+                    },
+                }),
+
+                // ---------------------------------------------------------
+                // TOOL 6: Search Files
+                // ---------------------------------------------------------
+                createTool({
+                    name: "searchFiles",
+                    description:
+                        "Search file contents with an extended regular expression. " +
+                        "Optionally restrict to paths matching a glob (e.g. \"app/**/*.tsx\"). " +
+                        "Returns path:line:text for each match.",
+                    parameters: z.object({
+                        pattern: z.string(),
+                        glob: z.string().optional(),
+                    }),
+                    handler: async ({ pattern, glob }, { step }) => {
+                        return await step?.run("searchFiles", async () => {
+                            try {
+                                const sandbox = await connectSandbox(sandboxId);
+                                const { matches, truncated } = await searchSandboxFiles(sandbox, {
+                                    pattern,
+                                    glob,
+                                });
+
+                                await progress(PROGRESS_STAGES.TOOL, `Searched for ${pattern}`);
+
+                                if (matches.length === 0) {
+                                    return "No matches";
+                                }
+
+                                return matches.join("\n") +
+                                    (truncated ? "\n... (results truncated, refine the pattern)" : "");
+                            } catch (error) {
+                                return "Error" + error;
+                            }
+                        });
+                    },
+                }),
+
+                // ---------------------------------------------------------
+                // TOOL 7: Delete Files
+                // ---------------------------------------------------------
+                createTool({
+                    name: "deleteFiles",
+                    description: "Delete files from the sandbox. Use relative paths.",
+                    parameters: z.object({
+                        paths: z.array(z.string()),
+                    }),
+                    handler: async ({ paths }, { step, network }) => {
+                        const outcome = await step?.run("deleteFiles", async () => {
+                            let sandbox;
+
+                            try {
+                                sandbox = await connectSandbox(sandboxId);
+                            } catch (error) {
+                                return { error: `Error: ${error}` };
+                            }
+
+                            // Remove each path on its own, so a failure does not
+                            // hide the removals that already happened
+                            const deleted = [];
+                            const failed = [];
+
+                            for (const path of paths) {
+                                try {
+                                    await sandbox.files.remove(path);
+                                    deleted.push(path);
+                                } catch (error) {
+                                    failed.push({ path, error: String(error) });
+                                }
+                            }
+
+                            if (deleted.length > 0) {
+                                await progress(
+                                    PROGRESS_STAGES.TOOL,
+                                    `Deleted ${deleted.join(", ")}`,
+                                    null,
+                                    { deleted }
+                                );
+                            }
+
+                            return { deleted, failed };
+                        });
+
+                        if (!outcome || outcome.error) {
+                            return outcome?.error;
+                        }
+
+                        const { deleted, failed } = outcome;
+
+                        // Drop the removed files from state and remember the
+                        // deletion so the next turn's restore does not bring
+                        // them back
+                        if (network && deleted.length > 0) {
+                            const data = network.state.data;
+                            const files = { ...data.files };
+
+                            for (const path of deleted) {
+                                delete files[path];
+                            }
+
+                            data.files = files;
+                            data.deletedFiles = [...new Set([...data.deletedFiles, ...deleted])];
+                        }
+
+                        return [
+                            ...(deleted.length > 0 ? [`Deleted ${deleted.join(", ")}`] : []),
+                            ...failed.map(({ path, error }) => `Error: Failed to delete ${path}: ${error}`),
+                        ].join("\n");
+                    },
+                }),
             ],
 
             // Agent lifecycle hooks
@@ -393,6 +1164,8 @@ When the user asks for modifications or enhancements:
                     if (lastAssistantMessageText && network) {
                         if (lastAssistantMessageText.includes("<task_summary>")) {
                             network.state.data.summary = lastAssistantMessageText;
+                            network.state.data.awaitingReview =
+                                network.state.data.reviews.length < MAX_REVIEW_ROUNDS;
                         }
                     }
 
@@ -402,37 +1175,220 @@ When the user asks for modifications or enhancements:
         });
 
         // =====================================================================
-        // CREATE AGENT NETWORK
+        // CREATE REVIEWER AGENT
         // =====================================================================
 
         /**
-         * Agent network orchestrates the code agent's execution
-         * - maxIter: Maximum number of agent iterations (prevents infinite loops)
-         * - router: Decides which agent to run next (or stop)
+         * Reviewer agent: critiques the changed files against the plan and
+         * the coder's rules. Requesting changes clears the summary, which
+         * sends control back to the coder.
          */
-        const network = createNetwork({
-            name: "coding-agent-network",
-            agents: [codeAgent],
-            maxIter: 10,
-
+        const reviewerAgent = createAgent({
+            name: "reviewer-agent",
+            description: "Reviews the coder's changes against the plan",
+            system: buildReviewerPrompt,
+            model: createModel(modelConfig, MODEL_ROLES.REVIEWER),
+            lifecycle: {
+                onResponse: async ({ result, network }) => {
+                    if (!network) {
+                        return result;
+                    }
+
+                    const text = lastAssistantTextMessageContent(result);
+                    // A reply without a <review> block is treated as approval
+                    const review = parseReview(text) || { approved: true, notes: text?.trim() || "" };
+                    const data = network.state.data;
+
+                    data.reviews = [...data.reviews, { round: data.reviews.length + 1, ...review }];
+                    data.awaitingReview = false;
+
+                    await progress(
+                        PROGRESS_STAGES.REVIEW,
+                        review.approved ? "Review approved" : "Reviewer requested changes",
+                        `review-${data.reviews.length}`
+                    );
+
+                    if (!review.approved) {
+                        data.summary = "";
+                    }
+
+                    return result;
+                },
+            },
+        });
+
+        // =====================================================================
+        // CREATE AGENT NETWORK
+        // =====================================================================
+
+        /**
+         * Picks the next agent from the network state
+         *
+         * @param {Object} data - Network state data
+         * @returns {Object|undefined} Next agent, or undefined when done
+         */
+        const nextAgent = ({ plan, summary, awaitingReview }) => {
+            // Plan first
+            if (!plan) {
+                return plannerAgent;
+            }
+
+            // Code until the coder prints a summary
+            if (!summary) {
+                return codeAgent;
+            }
+
+            // Review the finished work (bounded by MAX_REVIEW_ROUNDS)
+            if (awaitingReview) {
+                return reviewerAgent;
+            }
+
+            // Summary accepted - task complete
+            return undefined;
+        };
+
+        /**
+         * Agent network orchestrates planner, coder and reviewer
+         * - maxIter: Backstop for the plan's iteration budget; the router
+         *   normally stops first so the run can report what it completed
+         * - router: Decides which agent to run next (or stop), checking the
+         *   run budget before every agent call
+         */
+        const network = createNetwork({
+            name: "coding-agent-network",
+            agents: [plannerAgent, codeAgent, reviewerAgent],
+            maxIter: runBudget.maxIterations,
+
             router: async ({ network }) => {
-                const summary = network.state.data.summary;
+                const next = nextAgent(network.state.data);
 
-                // Stop when we have a summary (task complete)
-                if (summary) {
+                if (!next || await enforceBudget(network.state)) {
                     return;
                 }
 
-                // Continue with code agent
-                return codeAgent;
+                return next;
             },
         });
 
+        /**
+         * Runs the network and records a budget stop the router did not see
+         * (e.g. the maxIter backstop ending the run without a summary)
+         *
+         * @param {string} input - Prompt for this pass
+         * @param {Object} runState - Network state to continue from
+         * @returns {Promise<Object>} Network run result
+         */
+        const runNetwork = async (input, runState) => {
+            const runResult = await network.run(input, { state: runState });
+
+            if (!runResult.state.data.summary && !runResult.state.data.budgetExhausted) {
+                await enforceBudget(runResult.state);
+            }
+
+            return runResult;
+        };
+
         // =====================================================================
         // EXECUTE AGENT NETWORK
         // =====================================================================
 
-        const result = await network.run(event.data.value, { state });
+        let result = await runNetwork(event.data.value, state);
+
+        // =====================================================================
+        // VERIFY GENERATED CODE
+        // =====================================================================
+
+        /**
+         * Type-check and lint what the agent wrote. On failure the
+         * diagnostics are handed back to the agent for a bounded number of
+         * repair passes; the last outcome is stored on the fragment.
+         */
+        let verification = null;
+
+        for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+            // Nothing to verify if the agent never finished or wrote no files;
+            // no repairs once the run budget is spent; templates without
+            // checks (static HTML) are not verified
+            if (template.checks.length === 0 ||
+                !result.state.data.summary ||
+                result.state.data.budgetExhausted ||
+                Object.keys(result.state.data.files || {}).length === 0) {
+                break;
+            }
+
+            verification = await step.run(`verify-code-${attempt}`, async () => {
+                await progress(PROGRESS_STAGES.VERIFY, "Type-checking and linting");
+
+                const sandbox = await connectSandbox(sandboxId);
+                const outcome = await runVerification(sandbox, template.checks);
+
+                await progress(
+                    PROGRESS_STAGES.VERIFY,
+                    outcome.status === VerificationStatus.PASSED
+                        ? "Verification passed"
+                        : "Verification found errors, repairing"
+                );
+                return outcome;
+            });
+
+            if (verification.status === VerificationStatus.PASSED ||
+                attempt === MAX_REPAIR_ATTEMPTS) {
+                break;
+            }
+
+            // Clear the summary so the router hands control back to the agent,
+            // but keep it in case the repair pass ends without a new one
+            const previousSummary = result.state.data.summary;
+            result.state.data.summary = "";
+
+            result = await runNetwork(buildRepairPrompt(verification), result.state);
+
+            if (!result.state.data.summary) {
+                result.state.data.summary = previousSummary;
+            }
+        }
+
+        // =====================================================================
+        // CAPTURE DEPENDENCY CHANGES
+        // =====================================================================
+
+        /**
+         * Packages installed through the terminal only change the sandbox;
+         * keep the updated package.json with the fragment so restores can
+         * replay the installs
+         */
+        const packageJson = await step.run("capture-dependencies", async () => {
+            try {
+                const sandbox = await connectSandbox(sandboxId);
+                return await readSandboxPackageJson(sandbox);
+            } catch (error) {
+                console.error("Failed to read package.json:", error);
+                return null;
+            }
+        });
+
+        if (packageJson && restored.packageJson && packageJson !== restored.packageJson) {
+            result.state.data.files[PACKAGE_JSON_PATH] = packageJson;
+        }
+
+        // =====================================================================
+        // BUDGET OUTCOME
+        // =====================================================================
+
+        /**
+         * A budget stop only matters if the agent never produced an accepted
+         * summary; a run that finished but could not be reviewed or repaired
+         * is saved as a normal result
+         */
+        const budgetExhausted = result.state.data.summary
+            ? null
+            : result.state.data.budgetExhausted;
+
+        // Files changed by this run, for the budget-exhausted report
+        const changedFiles = Object.keys(result.state.data.files || {})
+            .filter((path) => result.state.data.files[path] !== latestFiles[path]);
+        const newlyDeletedFiles = (result.state.data.deletedFiles || [])
+            .filter((path) => !latestDeletedFiles.includes(path));
 
         // =====================================================================
         // GENERATE FRAGMENT METADATA
@@ -446,7 +1402,7 @@ When the user asks for modifications or enhancements:
             name: "fragment-title-generator",
             description: "Generate a title for the fragment",
             system: FRAGMENT_TITLE_PROMPT,
-            model: model
+            model: createModel(modelConfig, MODEL_ROLES.TITLE)
         });
 
         /**
@@ -457,16 +1413,24 @@ When the user asks for modifications or enhancements:
             name: "response-generator",
             description: "Generate a response for the fragment",
             system: RESPONSE_PROMPT,
-            model: model
+            model: createModel(modelConfig, MODEL_ROLES.RESPONSE)
         });
 
+        await progress(PROGRESS_STAGES.FINALIZE, "Writing response", "finalize");
+
         // Generate title and response in parallel
-        const { output: fragmentTitleOutput } = await fragmentTitleGenerator.run(
-            result.state.data.summary
-        );
-        const { output: responseOutput } = await responseGenerator.run(
-            result.state.data.summary
-        );
+        // (skipped after a budget stop, which is reported without the models)
+        const fragmentTitleResult = budgetExhausted
+            ? null
+            : await fragmentTitleGenerator.run(result.state.data.summary);
+        const responseResult = budgetExhausted
+            ? null
+            : await responseGenerator.run(result.state.data.summary);
+
+        standaloneResults.push(...[fragmentTitleResult, responseResult].filter(Boolean));
+
+        const fragmentTitleOutput = fragmentTitleResult?.output || [];
+        const responseOutput = responseResult?.output || [];
 
         /**
          * Extract fragment title from agent output
@@ -506,19 +1470,21 @@ When the user asks for modifications or enhancements:
 
         /**
          * Check if the agent execution resulted in an error
-         * Errors occur when there's no summary or no files were created
+         * Errors occur when there's no summary or no files were created,
+         * unless the run was stopped by its budget
          */
-        const isError =
+        const isError = !budgetExhausted && (
             !result.state.data.summary ||
-            Object.keys(result.state.data.files || {}).length === 0;
+            Object.keys(result.state.data.files || {}).length === 0
+        );
 
         // =====================================================================
         // GET SANDBOX PREVIEW URL
         // =====================================================================
 
         const sandboxUrl = await step.run("get-sandbox-url", async () => {
-            const sandbox = await Sandbox.connect(sandboxId);
-            const host = sandbox.getHost(3000);  // Next.js dev server port
+            const sandbox = await connectSandbox(sandboxId);
+            const host = sandbox.getHost(3000);  // Template dev server port
 
             return `http://${host}`;
         });
@@ -527,35 +1493,141 @@ When the user asks for modifications or enhancements:
         // SAVE RESULTS TO DATABASE
         // =====================================================================
 
-        await step.run("save-result", async () => {
+        const savedMessage = await step.run("save-result", async () => {
             // Handle error case - create error message
             if (isError) {
-                return await db.message.create({
+                const errorMessage = await db.message.create({
                     data: {
                         projectId: event.data.projectId,
+                        parentId: context.messageId,
                         content: "Something went wrong. Please try again",
                         role: MessageRole.ASSISTANT,
-                        type: MessageType.ERROR
+                        type: MessageType.ERROR,
+                        plan: result.state.data.plan || null,
+                        reviews: result.state.data.reviews,
+                        context: contextRecord
                     }
                 });
+
+                await advanceBranch(event.data.projectId, context.messageId, errorMessage.id);
+                await progress(PROGRESS_STAGES.FAILED, "Generation failed");
+                return errorMessage;
+            }
+
+            // Budget case - report what was completed, keeping partial files
+            if (budgetExhausted) {
+                const hasChanges = changedFiles.length > 0 || newlyDeletedFiles.length > 0;
+
+                const budgetMessage = await db.message.create({
+                    data: {
+                        projectId: event.data.projectId,
+                        parentId: context.messageId,
+                        content: buildBudgetExhaustedMessage({
+                            exhausted: budgetExhausted,
+                            plan: result.state.data.plan,
+                            summary: result.state.data.summary,
+                            changedFiles,
+                            deletedFiles: newlyDeletedFiles,
+                        }),
+                        role: MessageRole.ASSISTANT,
+                        type: MessageType.BUDGET_EXHAUSTED,
+                        plan: result.state.data.plan || null,
+                        reviews: result.state.data.reviews,
+                        context: contextRecord,
+                        ...(hasChanges && {
+                            fragments: {
+                                create: {
+                                    sandboxUrl: sandboxUrl,
+                                    title: "Unfinished Changes",
+                                    manifest: await storeFragmentFiles(result.state.data.files),
+                                    deletedFiles: result.state.data.deletedFiles,
+                                }
+                            }
+                        })
+                    }
+                });
+
+                await advanceBranch(event.data.projectId, context.messageId, budgetMessage.id);
+                await progress(PROGRESS_STAGES.DONE, "Stopped: run budget reached");
+                return budgetMessage;
             }
 
             // Success case - create message with fragment
-            return await db.message.create({
+            const resultMessage = await db.message.create({
                 data: {
                     projectId: event.data.projectId,
+                    parentId: context.messageId,
                     content: generateResponse(),
                     role: MessageRole.ASSISTANT,
                     type: MessageType.RESULT,
+                    plan: result.state.data.plan || null,
+                    reviews: result.state.data.reviews,
+                    context: contextRecord,
                     fragments: {
                         create: {
                             sandboxUrl: sandboxUrl,
                             title: generateFragmentTitle(),
-                            files: result.state.data.files
+                            manifest: await storeFragmentFiles(result.state.data.files),
+                            deletedFiles: result.state.data.deletedFiles,
+                            verificationStatus: verification?.status,
+                            verification: verification ?? undefined
                         }
                     }
                 }
             });
+
+            await advanceBranch(event.data.projectId, context.messageId, resultMessage.id);
+            await progress(PROGRESS_STAGES.DONE, "Done");
+            return resultMessage;
+        });
+
+        // =====================================================================
+        // KEEP SANDBOX ALIVE
+        // =====================================================================
+
+        /**
+         * Extend the sandbox for the next message and record the fragment
+         * it now holds (none for failed runs, so the next run restores)
+         */
+        await step.run("update-sandbox", async () => {
+            const fragment = await db.fragment.findUnique({
+                where: { messageId: savedMessage.id },
+                select: { id: true },
+            });
+
+            return touchSandbox(sandboxId, { fragmentId: fragment?.id ?? null });
+        });
+
+        // =====================================================================
+        // RECORD RUN ACCOUNTING
+        // =====================================================================
+        /**
+         * Complete the AgentRun with per-agent usage, cost and outcome
+         * Kept out of save-result so an accounting failure never duplicates
+         * the message on retry
+         */
+        const usage = aggregateUsage([...result.state.results, ...standaloneResults]);
+        const totals = totalUsage(usage);
+
+        await step.run("record-agent-run", async () => {
+            const status = isError
+                ? AgentRunStatus.FAILED
+                : budgetExhausted
+                    ? AgentRunStatus.BUDGET_EXHAUSTED
+                    : AgentRunStatus.SUCCEEDED;
+
+            await db.agentRun.update({
+                where: { runId },
+                data: {
+                    status,
+                    messageId: savedMessage.id,
+                    usage,
+                    ...totals,
+                    costUsd: estimateCost(modelConfig.model, totals),
+                    durationMs: Date.now() - startedAt,
+                    finishedAt: new Date(),
+                }
+            });
         });
 
         // =====================================================================
@@ -567,6 +1639,426 @@ When the user asks for modifications or enhancements:
             title: "Untitled",
             files: result.state.data.files,
             summary: result.state.data.summary,
+            model: modelConfig,
+            verification: verification?.status ?? null,
+            usage: summarizeUsage(result.state.results),
+            budgetExhausted: budgetExhausted?.limit ?? null,
         };
     }
 );
+
+/**
+ * Cancellation Cleanup Function
+ *
+ * Runs alongside the cancellation of a code-agent run (both are triggered
+ * by code-agent/cancel). Inngest stops the cancelled run without calling
+ * onFailure, so this function closes the loop for the user:
+ *
+ * Steps:
+ * 1. wait-for-cancellation: Lets the run's in-flight step finish
+ * 2. find-cancelled-run: Locates the run from its progress events
+ * 3. collect-draft: Reads the partial files back from the sandbox (keepDraft)
+ * 4. check-still-pending: Stops if the run was answered in the meantime
+ * 5. refund-credit: Returns the credit if the run wrote no files
+ * 6. discard-sandbox: Kills the sandbox when no draft is kept
+ * 7. save-cancellation: Records a CANCELLED message (with a draft
+ *    fragment), marks the AgentRun cancelled and closes the run's live
+ *    timeline
+ *
+ * Cancelling the same run twice (e.g. a double click within the grace
+ * period) is handled once: the events share an idempotency key made of the
+ * user message and the start of its run. The start is part of the key
+ * because regenerating re-runs the same message.
+ *
+ * @event code-agent/cancel
+ * @param {string} event.data.projectId - Project whose run is cancelled
+ * @param {string} event.data.messageId - User message of the cancelled run
+ * @param {string} event.data.startedAt - Start of the run (the message's updatedAt)
+ * @param {boolean} [event.data.keepDraft] - Keep partial files as a draft fragment
+ */
+export const codeAgentCancelFunction = inngest.createFunction(
+    {
+        id: "code-agent-cancel",
+        idempotency: "event.data.projectId + '-' + event.data.messageId + '-' + event.data.startedAt",
+    },
+    { event: "code-agent/cancel" },
+
+    async ({ event, step }) => {
+        const { projectId, messageId, keepDraft } = event.data;
+
+        await step.sleep("wait-for-cancellation", CANCELLATION_GRACE_PERIOD);
+
+        // =====================================================================
+        // FIND THE CANCELLED RUN
+        // =====================================================================
+
+        /**
+         * The pending user message (the active branch's tip) marks the start
+         * of the run; its progress events carry the sandbox ID and every
+         * path the agent wrote
+         */
+        const run = await step.run("find-cancelled-run", async () => {
+            const tree = await loadMessageTree(projectId);
+            const lastMessage = tree.nodes.get(tree.tipId);
+
+            // The run finished before the cancellation took effect
+            if (!lastMessage || lastMessage.role !== MessageRole.USER || lastMessage.id !== messageId) {
+                return null;
+            }
+
+            // Regenerating a response re-runs an older message (updatedAt
+            // marks the start of its latest run)
+            const events = await db.progressEvent.findMany({
+                where: { projectId, createdAt: { gte: lastMessage.updatedAt } },
+                orderBy: { createdAt: "asc" },
+            });
+
+            // Latest fragment of the branch is the baseline the draft builds on
+            const previousFragment = await db.fragment.findFirst({
+                where: { messageId: { in: getBranchPath(tree) } },
+                orderBy: { createdAt: "desc" },
+            });
+
+            const runId = events[events.length - 1]?.runId ?? null;
+            const runEvents = events.filter((e) => e.runId === runId);
+
+            // Replay writes and deletions in order; a later one wins
+            const written = new Set();
+            const deleted = new Set(previousFragment?.deletedFiles || []);
+
+            for (const { data } of runEvents) {
+                for (const path of data?.paths || []) {
+                    written.add(path);
+                    deleted.delete(path);
+                }
+                for (const path of data?.deleted || []) {
+                    written.delete(path);
+                    deleted.add(path);
+                }
+            }
+
+            return {
+                messageId: lastMessage.id,
+                startedAt: lastMessage.updatedAt,
+                runId,
+                sandboxId: runEvents.find((e) => e.data?.sandboxId)?.data.sandboxId ?? null,
+                paths: [...written],
+                deleted: [...deleted],
+                previousFiles: await readFragmentFiles(previousFragment?.id),
+            };
+        });
+
+        if (!run) {
+            return { cancelled: false };
+        }
+
+        // =====================================================================
+        // COLLECT PARTIAL FILES
+        // =====================================================================
+
+        const draft = await step.run("collect-draft", async () => {
+            if (!keepDraft || !run.sandboxId || run.paths.length === 0) {
+                return null;
+            }
+
+            try {
+                const sandbox = await connectSandbox(run.sandboxId);
+                const files = { ...run.previousFiles };
+
+                for (const path of run.deleted) {
+                    delete files[path];
+                }
+
+                for (const path of run.paths) {
+                    files[path] = await sandbox.files.read(path);
+                }
+
+                return { files, sandboxUrl: `http://${sandbox.getHost(3000)}` };
+            } catch (error) {
+                // Sandbox already gone - nothing left to keep
+                console.error("Failed to collect draft files:", error);
+                return null;
+            }
+        });
+
+        // =====================================================================
+        // CHECK THE RUN IS STILL PENDING
+        // =====================================================================
+
+        /**
+         * The run may have saved its result, or another cancellation its
+         * message, since find-cancelled-run; refunding and saving again would
+         * return the credit twice
+         */
+        const pending = await step.run("check-still-pending", async () => {
+            const tip = await getActiveTip(projectId);
+
+            if (tip?.id !== run.messageId || tip.role !== MessageRole.USER) {
+                return false;
+            }
+
+            const reply = await db.message.findFirst({
+                where: { parentId: run.messageId, createdAt: { gte: new Date(run.startedAt) } },
+                select: { id: true },
+            });
+
+            return !reply;
+        });
+
+        if (!pending) {
+            return { cancelled: false };
+        }
+
+        // =====================================================================
+        // REFUND CREDIT
+        // =====================================================================
+
+        /**
+         * The credit is only returned when the run produced nothing;
+         * partial work (kept or discarded) was still generated
+         */
+        const refunded = run.paths.length > 0
+            ? false
+            : await step.run("refund-credit", async () => {
+                const project = await db.project.findUnique({
+                    where: { id: projectId },
+                    include: { user: true },
+                });
+
+                return project ? await refundCredits(project.user.clerkId) : false;
+            });
+
+        // =====================================================================
+        // DISCARD SANDBOX
+        // =====================================================================
+
+        if (!draft && run.sandboxId) {
+            await step.run("discard-sandbox", async () => {
+                // The next message starts from a fresh sandbox
+                await releaseSandbox(run.sandboxId, "cancelled");
+            });
+        }
+
+        // =====================================================================
+        // SAVE CANCELLATION
+        // =====================================================================
+
+        await step.run("save-cancellation", async () => {
+            const message = await db.message.create({
+                data: {
+                    projectId,
+                    parentId: run.messageId,
+                    content: draft
+                        ? `Generation cancelled. The ${run.paths.length} file(s) written so far were kept as a draft.`
+                        : "Generation cancelled.",
+                    role: MessageRole.ASSISTANT,
+                    type: MessageType.CANCELLED,
+                    ...(draft && {
+                        fragments: {
+                            create: {
+                                sandboxUrl: draft.sandboxUrl,
+                                title: "Draft (cancelled)",
+                                manifest: await storeFragmentFiles(draft.files),
+                                deletedFiles: run.deleted,
+                            }
+                        }
+                    })
+                },
+                include: { fragments: true },
+            });
+
+            await advanceBranch(projectId, run.messageId, message.id);
+
+            // The kept sandbox holds exactly the draft
+            if (draft) {
+                await touchSandbox(run.sandboxId, { fragmentId: message.fragments.id });
+            }
+
+            // Token usage lived in the cancelled run's state and is not recoverable
+            if (run.runId) {
+                await db.agentRun.updateMany({
+                    where: { runId: run.runId },
+                    data: {
+                        status: AgentRunStatus.CANCELLED,
+                        messageId: message.id,
+                        finishedAt: new Date(),
+                    }
+                });
+            }
+
+            // Cancelled before it reported anything: close the stream anyway
+            await publishProgress(
+                { runId: run.runId ?? event.id, projectId },
+                { stage: PROGRESS_STAGES.CANCELLED, message: "Cancelled", key: "cancelled" }
+            );
+
+            return message;
+        });
+
+        return {
+            cancelled: true,
+            draft: !!draft,
+            refunded,
+        };
+    }
+);
+
+/**
+ * Fragment Build Function
+ *
+ * Runs the production build of a fragment (the "Build" action of the
+ * preview) in a dedicated sandbox, so the project's live preview is left
+ * alone. Stores the build log, the bundle-size report and, when requested,
+ * the static export archive on the FragmentBuild record (see ./build).
+ *
+ * Steps:
+ * 1. start-build: Marks the build as running
+ * 2. run-build: Creates a sandbox from the project's template, restores
+ *    the fragment's files, builds, measures and archives, then kills the
+ *    sandbox. Everything happens in one step, since the archive is too
+ *    large to pass between steps.
+ *
+ * @event fragment/build
+ * @param {string} event.data.buildId - FragmentBuild to run
+ * @param {string} event.data.projectId - Project of the fragment (one
+ *   build per project at a time)
+ * @param {string} [event.data.plan] - Owner's plan, for the sandbox quota
+ */
+export const buildFragmentFunction = inngest.createFunction(
+    {
+        id: "fragment-build",
+        retries: 1,
+        concurrency: { limit: 1, key: "event.data.projectId" },
+        onFailure: async ({ event, error }) => {
+            const buildId = event?.data?.event?.data?.buildId;
+
+            if (!buildId) {
+                return;
+            }
+
+            await db.fragmentBuild.updateMany({
+                where: { id: buildId },
+                data: {
+                    status: FragmentBuildStatus.FAILED,
+                    error: error?.message || "Unknown error",
+                    finishedAt: new Date(),
+                },
+            }).catch((dbError) => console.error("Failed to record build failure:", dbError));
+        },
+    },
+    { event: "fragment/build" },
+
+    async ({ event, step }) => {
+        const { buildId } = event.data;
+
+        await step.run("start-build", async () => {
+            await db.fragmentBuild.update({
+                where: { id: buildId },
+                data: { status: FragmentBuildStatus.RUNNING },
+            });
+        });
+
+        return await step.run("run-build", async () => {
+            const startedAt = Date.now();
+            const build = await db.fragmentBuild.findUnique({
+                where: { id: buildId },
+                include: {
+                    fragment: {
+                        include: { message: { include: { project: true } } },
+                    },
+                },
+            });
+            const template = getTemplate(build.fragment.message.project.template);
+            const exportStatic = build.exportStatic && template.build.exportDirectory !== null;
+
+            const sandbox = await createBuildSandbox(build.fragment.message.project.id, {
+                template: template.sandboxTemplate,
+                timeoutMs: BUILD_SANDBOX_TIMEOUT_MS,
+                plan: event.data.plan,
+            });
+
+            try {
+                // =============================================================
+                // BUILD
+                // =============================================================
+
+                let log = await restoreBuildFiles(sandbox, await withFragmentFiles(build.fragment));
+                const result = await runBuild(sandbox, template, { exportStatic });
+                log += result.log;
+
+                // =============================================================
+                // REPORT & EXPORT
+                // =============================================================
+
+                let bundleReport = null;
+                let artifact = null;
+                let error = result.success ? null : "The build failed; see the log";
+
+                if (result.success) {
+                    bundleReport = await measureBundle(sandbox, template.build.assetsDirectory);
+
+                    if (exportStatic) {
+                        try {
+                            artifact = await archiveExport(sandbox, template.build.exportDirectory);
+                        } catch (exportError) {
+                            error = `Static export failed: ${exportError.message}`;
+                        }
+                    }
+                }
+
+                await db.fragmentBuild.update({
+                    where: { id: buildId },
+                    data: {
+                        status: result.success && !error
+                            ? FragmentBuildStatus.SUCCEEDED
+                            : FragmentBuildStatus.FAILED,
+                        log: truncateBuildLog(log),
+                        bundleReport,
+                        artifact,
+                        artifactSize: artifact?.length ?? null,
+                        error,
+                        durationMs: Date.now() - startedAt,
+                        finishedAt: new Date(),
+                    },
+                });
+
+                return { success: result.success && !error, artifactSize: artifact?.length ?? null };
+            } finally {
+                await releaseSandbox(sandbox.sandboxId, "build finished");
+            }
+        });
+    }
+);
+
+/**
+ * Sandbox Garbage Collection Function
+ *
+ * Runs every ten minutes and keeps the sandboxes the app created in check
+ * (see the GARBAGE COLLECTION section of lib/sandbox). Each step kills
+ * sandboxes and records why on their Sandbox record (killReason).
+ *
+ * Steps:
+ * 1. kill-idle-sandboxes: Sandboxes unused for SANDBOX_TIMEOUT_MS, and
+ *    build sandboxes past their lifetime
+ * 2. enforce-sandbox-quotas: Least recently used previews of users over
+ *    their plan's limit (lib/usage SANDBOX_LIMITS)
+ * 3. kill-orphan-sandboxes: The provider's sandboxes that no live record
+ *    points to
+ *
+ * Previews used by a running generation are never killed.
+ */
+export const sandboxGcFunction = inngest.createFunction(
+    {
+        id: "sandbox-gc",
+        concurrency: { limit: 1 },
+    },
+    { cron: "*/10 * * * *" },
+
+    async ({ step }) => {
+        const idle = await step.run("kill-idle-sandboxes", () => reapIdleSandboxes());
+        const overQuota = await step.run("enforce-sandbox-quotas", () => enforceSandboxQuotas());
+        const orphans = await step.run("kill-orphan-sandboxes", () => reapOrphanSandboxes());
+
+        return { idle, overQuota, orphans };
+    }
+);
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview File Patching for the Code Agent
+ *
+ * This module applies targeted edits to a file's content so the agent does
+ * not have to resend whole files. Two formats are supported:
+ *
+ * - Search/replace blocks: { search, replace } pairs; each search text must
+ *   occur exactly once in the file
+ * - Unified diffs: standard `@@ -a,b +c,d @@` hunks; each hunk's context
+ *   and removed lines must match the file, at the stated line or uniquely
+ *   elsewhere (so slightly stale line numbers still apply)
+ *
+ * Patches are all-or-nothing: if any edit or hunk fails, the original
+ * content is kept and every failure is reported so the model can retry.
+ *
+ * @module inngest/patch
+ */
+
+/**
+ * Counts the non-overlapping occurrences of a substring
+ *
+ * @param {string} text - Text to search
+ * @param {string} search - Substring to count
+ * @returns {number} Number of occurrences
+ */
+function countOccurrences(text, search) {
+    let count = 0;
+    let index = text.indexOf(search);
+
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(search, index + search.length);
+    }
+
+    return count;
+}
+
+/**
+ * Applies search/replace blocks in order
+ *
+ * @param {string} content - Current file content
+ * @param {Array<{search: string, replace: string}>} edits - Edits to apply
+ * @returns {{content: string, failures: Array<string>}} Patched content
+ *   (unchanged if anything failed) and a description of each failure
+ *
+ * @example
+ * applySearchReplace(source, [{ search: "count + 1", replace: "count + 2" }]);
+ */
+export function applySearchReplace(content, edits) {
+    const failures = [];
+    let patched = content;
+
+    edits.forEach(({ search, replace }, index) => {
+        if (!search) {
+            failures.push(`Edit ${index + 1}: search text is empty`);
+            return;
+        }
+
+        const occurrences = countOccurrences(patched, search);
+
+        if (occurrences !== 1) {
+            failures.push(
+                occurrences === 0
+                    ? `Edit ${index + 1}: search text not found`
+                    : `Edit ${index + 1}: search text matches ${occurrences} times, include more surrounding lines`
+            );
+            return;
+        }
+
+        // Function replacement avoids "$&"-style patterns in the new code
+        patched = patched.replace(search, () => replace);
+    });
+
+    return {
+        content: failures.length > 0 ? content : patched,
+        failures,
+    };
+}
+
+/**
+ * Parses the hunks of a unified diff
+ *
+ * File headers (---/+++), "diff" and "index" lines before the first hunk
+ * are ignored, so a diff for a single file may be passed with or without
+ * them. A header after a hunk starts another file's changes; those would
+ * otherwise be read as removed and added lines, so the diff is rejected.
+ *
+ * @param {string} diff - Unified diff text
+ * @returns {Array<Object>} Hunks with { header, oldStart, oldLines, newLines }
+ * @throws {Error} If the diff changes more than one file
+ */
+function parseUnifiedDiff(diff) {
+    const hunks = [];
+    const lines = diff.replace(/\r\n/g, "\n").split("\n");
+    let current = null;
+
+    for (const [index, line] of lines.entries()) {
+        const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+        const fileHeader = line.startsWith("diff --git ") ||
+            (line.startsWith("--- ") && lines[index + 1]?.startsWith("+++ "));
+
+        if (current && fileHeader) {
+            throw new Error("Patch changes more than one file; send one patch per file");
+        }
+
+        if (header) {
+            current = {
+                header: line,
+                oldStart: Number(header[1]),
+                oldLines: [],
+                newLines: [],
+            };
+            hunks.push(current);
+            continue;
+        }
+
+        if (!current || line.startsWith("\\")) {
+            continue;
+        }
+
+        if (line.startsWith("-")) {
+            current.oldLines.push(line.slice(1));
+        } else if (line.startsWith("+")) {
+            current.newLines.push(line.slice(1));
+        } else if (line.startsWith(" ") || line === "") {
+            // Some models drop the leading space on blank context lines
+            current.oldLines.push(line.slice(1));
+            current.newLines.push(line.slice(1));
+        }
+    }
+
+    // A trailing newline in the diff produces an empty context line
+    for (const hunk of hunks) {
+        while (
+            hunk.oldLines.length > 0 &&
+            hunk.oldLines[hunk.oldLines.length - 1] === "" &&
+            hunk.newLines[hunk.newLines.length - 1] === ""
+        ) {
+            hunk.oldLines.pop();
+            hunk.newLines.pop();
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * Checks whether `block` appears in `lines` starting at `index`
+ *
+ * @param {Array<string>} lines - File lines
+ * @param {Array<string>} block - Lines to match
+ * @param {number} index - Start index
+ * @returns {boolean} Whether every line matches
+ */
+function matchesAt(lines, block, index) {
+    if (index < 0 || index + block.length > lines.length) {
+        return false;
+    }
+
+    return block.every((line, offset) => lines[index + offset] === line);
+}
+
+/**
+ * Finds where a hunk applies
+ *
+ * Prefers the stated position (shifted by earlier hunks), then a unique
+ * match anywhere in the file.
+ *
+ * @param {Array<string>} lines - File lines
+ * @param {Object} hunk - Parsed hunk
+ * @param {number} expected - Expected 0-based start index
+ * @returns {number|string} Start index, or a failure reason
+ */
+function locateHunk(lines, hunk, expected) {
+    if (hunk.oldLines.length === 0) {
+        // Pure insertion: trust the line number
+        return Math.min(Math.max(expected, 0), lines.length);
+    }
+
+    if (matchesAt(lines, hunk.oldLines, expected)) {
+        return expected;
+    }
+
+    const matches = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        if (matchesAt(lines, hunk.oldLines, index)) {
+            matches.push(index);
+        }
+    }
+
+    if (matches.length === 1) {
+        return matches[0];
+    }
+
+    return matches.length === 0
+        ? "context and removed lines do not match the file"
+        : `context matches ${matches.length} places, include more context lines`;
+}
+
+/**
+ * Applies a unified diff
+ *
+ * @param {string} content - Current file content
+ * @param {string} diff - Unified diff for this file
+ * @returns {{content: string, failures: Array<string>}} Patched content
+ *   (unchanged if anything failed) and a description of each failed hunk
+ *
+ * @example
+ * applyUnifiedDiff(source, "@@ -1,3 +1,3 @@\n import x\n-old\n+new\n end");
+ */
+export function applyUnifiedDiff(content, diff) {
+    let hunks;
+
+    try {
+        hunks = parseUnifiedDiff(diff);
+    } catch (error) {
+        return { content, failures: [error.message] };
+    }
+
+    if (hunks.length === 0) {
+        return { content, failures: ["Patch contains no @@ hunks"] };
+    }
+
+    const lines = content.split("\n");
+    const failures = [];
+    // Line shift caused by hunks already applied
+    let offset = 0;
+
+    hunks.forEach((hunk, index) => {
+        // Zero-length hunks ("-0,0") insert after the given line
+        const expected = (hunk.oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+        const start = locateHunk(lines, hunk, expected);
+
+        if (typeof start === "string") {
+            failures.push(`Hunk ${index + 1} (${hunk.header}): ${start}`);
+            return;
+        }
+
+        lines.splice(start, hunk.oldLines.length, ...hunk.newLines);
+        offset += hunk.newLines.length - hunk.oldLines.length;
+    });
+
+    return {
+        content: failures.length > 0 ? content : lines.join("\n"),
+        failures,
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview File Patching Tests
+ *
+ * Applies search/replace blocks and unified diffs to small files, covering
+ * the all-or-nothing behavior and the leniencies towards model output.
+ *
+ * @module inngest/patch.test
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { applySearchReplace, applyUnifiedDiff } from "./patch.js";
+
+/**
+ * Sample file used by most cases
+ * @constant {string}
+ */
+const SOURCE = [
+    "import { useState } from \"react\";",
+    "",
+    "export function Counter() {",
+    "    const [count, setCount] = useState(0);",
+    "",
+    "    return <button onClick={() => setCount(count + 1)}>{count}</button>;",
+    "}",
+    "",
+].join("\n");
+
+// =============================================================================
+// SEARCH/REPLACE
+// =============================================================================
+
+describe("applySearchReplace", () => {
+    it("applies edits in order", () => {
+        const { content, failures } = applySearchReplace(SOURCE, [
+            { search: "useState(0)", replace: "useState(10)" },
+            { search: "count + 1", replace: "count + 2" },
+        ]);
+
+        assert.deepEqual(failures, []);
+        assert.match(content, /useState\(10\)/);
+        assert.match(content, /count \+ 2/);
+    });
+
+    it("keeps the original content if any edit fails", () => {
+        const { content, failures } = applySearchReplace(SOURCE, [
+            { search: "useState(0)", replace: "useState(10)" },
+            { search: "not in the file", replace: "x" },
+            { search: "count", replace: "total" },
+            { search: "", replace: "x" },
+        ]);
+
+        assert.equal(content, SOURCE);
+        assert.deepEqual(failures, [
+            "Edit 2: search text not found",
+            "Edit 3: search text matches 3 times, include more surrounding lines",
+            "Edit 4: search text is empty",
+        ]);
+    });
+
+    it("inserts replacement text literally, including $& patterns", () => {
+        const { content, failures } = applySearchReplace("const price = 1;\n", [
+            { search: "1", replace: "\"$&$1$$\"" },
+        ]);
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, "const price = \"$&$1$$\";\n");
+    });
+});
+
+// =============================================================================
+// UNIFIED DIFF
+// =============================================================================
+
+describe("applyUnifiedDiff", () => {
+    it("applies a hunk at its stated line", () => {
+        const diff = [
+            "--- a/app/counter.jsx",
+            "+++ b/app/counter.jsx",
+            "@@ -3,2 +3,2 @@",
+            " export function Counter() {",
+            "-    const [count, setCount] = useState(0);",
+            "+    const [count, setCount] = useState(10);",
+        ].join("\n");
+        const { content, failures } = applyUnifiedDiff(SOURCE, diff);
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, SOURCE.replace("useState(0)", "useState(10)"));
+    });
+
+    it("applies a hunk with a stale line number where it matches uniquely", () => {
+        const diff = [
+            "@@ -40,2 +40,2 @@",
+            " export function Counter() {",
+            "-    const [count, setCount] = useState(0);",
+            "+    const [count, setCount] = useState(10);",
+        ].join("\n");
+        const { content, failures } = applyUnifiedDiff(SOURCE, diff);
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, SOURCE.replace("useState(0)", "useState(10)"));
+    });
+
+    it("prefers the stated line when the context matches several places", () => {
+        const { content, failures } = applyUnifiedDiff("a\nx\na\nx\n", "@@ -3,2 +3,2 @@\n a\n-x\n+y");
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, "a\nx\na\ny\n");
+    });
+
+    it("rejects ambiguous and unmatched hunks", () => {
+        const ambiguous = applyUnifiedDiff("a\nx\na\nx\n", "@@ -9,2 +9,2 @@\n a\n-x\n+y");
+        const stale = applyUnifiedDiff(SOURCE, "@@ -1,1 +1,1 @@\n-import React from \"react\";\n+import x;");
+
+        assert.deepEqual(ambiguous.failures, [
+            "Hunk 1 (@@ -9,2 +9,2 @@): context matches 2 places, include more context lines",
+        ]);
+        assert.deepEqual(stale.failures, [
+            "Hunk 1 (@@ -1,1 +1,1 @@): context and removed lines do not match the file",
+        ]);
+    });
+
+    it("keeps the original content if any hunk fails", () => {
+        const diff = [
+            "@@ -1,1 +1,1 @@",
+            "-import { useState } from \"react\";",
+            "+import { useEffect, useState } from \"react\";",
+            "@@ -6,1 +6,1 @@",
+            "-    return null;",
+            "+    return <span />;",
+        ].join("\n");
+        const { content, failures } = applyUnifiedDiff(SOURCE, diff);
+
+        assert.equal(content, SOURCE);
+        assert.equal(failures.length, 1);
+        assert.match(failures[0], /^Hunk 2 /);
+    });
+
+    it("shifts later hunks by the lines earlier hunks added", () => {
+        const diff = [
+            "@@ -1,1 +1,2 @@",
+            " import { useState } from \"react\";",
+            "+import { Button } from \"@/components/ui/button\";",
+            "@@ -6,1 +7,1 @@",
+            "-    return <button onClick={() => setCount(count + 1)}>{count}</button>;",
+            "+    return <Button onClick={() => setCount(count + 1)}>{count}</Button>;",
+        ].join("\n");
+        const { content, failures } = applyUnifiedDiff(SOURCE, diff);
+
+        assert.deepEqual(failures, []);
+        assert.equal(content.split("\n")[1], "import { Button } from \"@/components/ui/button\";");
+        assert.equal(content.split("\n")[6], "    return <Button onClick={() => setCount(count + 1)}>{count}</Button>;");
+    });
+
+    it("accepts blank context lines without their leading space", () => {
+        const diff = [
+            "@@ -1,4 +1,4 @@",
+            " import { useState } from \"react\";",
+            "",
+            "-export function Counter() {",
+            "+export default function Counter() {",
+            "     const [count, setCount] = useState(0);",
+        ].join("\n");
+        const { content, failures } = applyUnifiedDiff(SOURCE, diff);
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, SOURCE.replace("export function", "export default function"));
+    });
+
+    it("ignores the empty line a trailing newline adds and keeps the file's final newline", () => {
+        const { content, failures } = applyUnifiedDiff("a\nb\n", "@@ -2,1 +2,1 @@\n-b\n+c\n\n");
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, "a\nc\n");
+    });
+
+    it("ignores \"No newline at end of file\" markers", () => {
+        const { content, failures } = applyUnifiedDiff("a\nb", "@@ -2,1 +2,1 @@\n-b\n\\ No newline at end of file\n+c");
+
+        assert.deepEqual(failures, []);
+        assert.equal(content, "a\nc");
+    });
+
+    it("rejects diffs changing more than one file", () => {
+        const diff = [
+            "--- a/a.txt",
+            "+++ b/a.txt",
+            "@@ -1,1 +1,1 @@",
+            "-a",
+            "+b",
+            "--- a/b.txt",
+            "+++ b/b.txt",
+            "@@ -1,1 +1,1 @@",
+            "-a",
+            "+b",
+        ].join("\n");
+        const gitDiff = "diff --git a/a b/a\n@@ -1,1 +1,1 @@\n-a\n+b\ndiff --git a/b b/b\n@@ -1,1 +1,1 @@\n-a\n+b";
+
+        for (const patch of [diff, gitDiff]) {
+            const { content, failures } = applyUnifiedDiff("a\n", patch);
+
+            assert.equal(content, "a\n");
+            assert.deepEqual(failures, ["Patch changes more than one file; send one patch per file"]);
+        }
+    });
+
+    it("rejects patches without hunks", () => {
+        assert.deepEqual(applyUnifiedDiff(SOURCE, "-a\n+b").failures, ["Patch contains no @@ hunks"]);
+    });
+});
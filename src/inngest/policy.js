@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Sandbox Command Policy
+ *
+ * This module decides which commands the code agent's terminal tool may
+ * run in the sandbox, and how. The prompt asks the model not to start dev
+ * servers or reach arbitrary hosts; the policy enforces it:
+ * - Deny patterns: commands that are never run (dev/build/start scripts,
+ *   killing processes, sudo, wiping the file system, ...)
+ * - Shell escapes: command substitution, nested shells and programs that
+ *   run other commands (`find -exec`, awk's system()) are rejected, since
+ *   the commands they run would not be checked
+ * - Network egress patterns: commands reaching hosts other than the npm
+ *   registry (curl, wget, ssh, git clone, installs from URLs, inline node
+ *   scripts, npx downloads, ...); see the note on egress below
+ * - Allow patterns: every command of a pipeline or `&&`/`;` chain must
+ *   start with a known program
+ * - Per-command timeouts and an output size cap, applied while the output
+ *   streams in (see createOutputBuffer)
+ *
+ * A blocked command is reported back to the model as a tool error naming
+ * the rule, so it can pick another approach. Every command is recorded in
+ * the SandboxCommand audit table by the workflow.
+ *
+ * The network patterns only catch commands that reach the network
+ * themselves. A script the agent writes and then runs (`node script.js`,
+ * `npm run <script>`, a package's install script) can still reach any
+ * host, so this layer does not enforce network egress; it keeps the agent
+ * from reaching for the network out of habit. Restricting egress needs the
+ * sandbox's own network configuration.
+ *
+ * @module inngest/policy
+ */
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Commands that are never run, with the reason shown to the model
+ * Matched against each command of a chain (see splitCommand)
+ * @constant {Array<{pattern: RegExp, reason: string}>}
+ */
+const DENIED_COMMANDS = [
+    {
+        pattern: /^npm\s+(run\s+|run-script\s+)?(dev|build|start|preview|serve)\b/,
+        reason: "the dev server is already running; dev, build and start scripts must not be run",
+    },
+    {
+        pattern: /^(npx\s+(-\S+\s+)*)?(next|vite|nuxt|svelte-kit|astro)(\s+(dev|build|start|preview)\b|\s*$)/,
+        reason: "the dev server is already running; the framework's dev, build and start commands must not be run",
+    },
+    {
+        pattern: /^(kill|killall|pkill)\b/,
+        reason: "stopping processes can stop the dev server",
+    },
+    {
+        pattern: /^(sudo|su|doas)\b/,
+        reason: "commands cannot run as another user",
+    },
+    {
+        pattern: /^rm\s+(-\S+\s+)*(\/|~|\/home\/user\/?|\.\/?|\*)(\s|$)/,
+        reason: "removing the project or system directories is not allowed; use deleteFiles for files",
+    },
+    {
+        pattern: /^(shutdown|reboot|halt|poweroff|mkfs(\.\w+)?|mount|umount|dd)\b/,
+        reason: "system administration commands are not allowed",
+    },
+    {
+        pattern: /^:\(\)/,
+        reason: "fork bombs are not allowed",
+    },
+    {
+        pattern: /^find\b.*\s-(exec|execdir|ok|okdir)(\s|$)/,
+        reason: "find cannot run other commands; run them directly",
+    },
+    {
+        // GNU sed's e command and flag run commands, w writes anywhere
+        pattern: /^sed\b(?!.*\s--sandbox(\s|$))/,
+        reason: "sed must be run with --sandbox, which disables its e, r and w commands",
+    },
+];
+
+/**
+ * Shell constructs that run commands the policy would not see
+ * Matched against the whole command
+ * @constant {Array<{pattern: RegExp, reason: string}>}
+ */
+const SHELL_ESCAPE_PATTERNS = [
+    {
+        pattern: /\$\(|`|[<>]\(/,
+        reason: "command and process substitution are not allowed; run the commands separately",
+    },
+    {
+        pattern: /\b(sh|bash|zsh|dash|ksh)\s+(-\S+\s+)*-\w*c\b/,
+        reason: "nested shells are not allowed; run the commands directly",
+    },
+    {
+        pattern: /\b(npx|npm\s+(exec|x))\b[^;&|]*\s(-c|--call)(\s|=)/,
+        reason: "nested shells are not allowed; run the commands directly",
+    },
+    {
+        // system(), `cmd | getline` and `print | cmd` inside the program
+        // (a `||` is a logical or)
+        pattern: /\b[gmn]?awk\b[^'"]*(['"])(?:(?!\1)[\s\S])*?(\bsystem\s*\(|(?<!\|)\|(?!\|))/,
+        reason: "awk cannot run other commands; run them directly",
+    },
+];
+
+/**
+ * Commands reaching hosts other than the npm registry
+ * Matched against the whole command, so `echo ok; curl ...` is caught too
+ * @constant {Array<{pattern: RegExp, reason: string}>}
+ */
+const NETWORK_EGRESS_PATTERNS = [
+    {
+        pattern: /\b(curl|wget|nc|ncat|netcat|telnet|ssh|scp|sftp|rsync|ftp)\b/,
+        reason: "network access is limited to the npm registry",
+    },
+    {
+        pattern: /\/dev\/(tcp|udp)\//,
+        reason: "network access is limited to the npm registry",
+    },
+    {
+        pattern: /\bgit\s+(clone|fetch|pull|push|remote|submodule)\b/,
+        reason: "remote git operations are not allowed",
+    },
+    {
+        pattern: /\b(npm|npx)\s+(install|i|add|ci|exec)\b[^;&|]*(https?:|git(\+\w+)?:|github:|gitlab:|bitbucket:|--registry)/,
+        reason: "packages can only be installed from the npm registry",
+    },
+    {
+        pattern: /\bnpm\s+(publish|login|adduser|token)\b/,
+        reason: "publishing to the npm registry is not allowed",
+    },
+    {
+        pattern: /\bnode\s+([^;&|]*\s)?(-e|-p|-pe|-ep|--eval|--print)(\s|=|$)/,
+        reason: "inline node scripts are not allowed",
+    },
+    {
+        pattern: /\b(npx|npm\s+(exec|x))\b(?![^;&|]*\s--(no|no-install|offline)(\s|$))/,
+        reason: "npx can download and run packages; install them with npm first and run them with `npx --no <command>`",
+    },
+];
+
+/**
+ * Programs the agent may run; each command of a chain must match one
+ * Programs that run a command given as arguments (env, xargs, ...) are
+ * left out, since the command would not be checked
+ * @constant {Array<RegExp>}
+ */
+const ALLOWED_COMMANDS = [
+    /^(npm|npx|node|tsc|eslint|prettier)\b/,
+    /^(ls|cat|head|tail|less|grep|egrep|find|tree|wc|du|stat|file|pwd|which|realpath|basename|dirname)\b/,
+    /^(echo|printf|true|false|test|\[|cd|printenv|date|sleep)\b/,
+    /^(mkdir|touch|cp|mv|rm|rmdir|ln|chmod)\b/,
+    /^(sed|awk|sort|uniq|cut|tr|diff|cmp|tee|jq)\b/,
+    /^git\s+(status|diff|log|show|ls-files)\b/,
+];
+
+/**
+ * Timeout for commands without a specific one (ms)
+ * @constant {number}
+ */
+const DEFAULT_COMMAND_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Per-command timeouts; the first matching pattern wins
+ * @constant {Array<{pattern: RegExp, timeoutMs: number}>}
+ */
+const COMMAND_TIMEOUTS = [
+    { pattern: /\bnpm\s+(install|i|add|ci|uninstall|remove|rm)\b/, timeoutMs: 5 * 60 * 1000 },
+    { pattern: /\bnpx\b/, timeoutMs: 3 * 60 * 1000 },
+    { pattern: /\b(tsc|eslint)\b/, timeoutMs: 2 * 60 * 1000 },
+];
+
+/**
+ * Maximum characters of output returned to the model
+ * The start and the end are kept, since errors usually sit at the end
+ * @constant {number}
+ */
+export const MAX_COMMAND_OUTPUT_LENGTH = 10000;
+
+/**
+ * Maximum characters of a command stored in the audit table
+ * @constant {number}
+ */
+export const MAX_AUDITED_COMMAND_LENGTH = 4000;
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+/**
+ * Splits a shell command into the commands of its chains and pipelines
+ *
+ * Splits on `&&`, `||`, `;`, `|`, `&` and newlines, but not on
+ * redirections such as `2>&1`. Leading subshell parentheses and
+ * environment assignments (`NODE_ENV=test npm test`) are removed.
+ *
+ * @param {string} command - Shell command
+ * @returns {Array<string>} Commands, trimmed
+ */
+function splitCommand(command) {
+    return command
+        .split(/&&|\|\||(?<![<>&])[;|&\n](?!>)/)
+        .map((part) => part
+            .trim()
+            .replace(/^[({\s]+/, "")
+            .replace(/^(\w+=("[^"]*"|'[^']*'|\S*)\s+)+/, "")
+            .trim())
+        .filter(Boolean);
+}
+
+/**
+ * Checks a command against the policy
+ *
+ * @param {string} command - Command chosen by the model
+ * @returns {{allowed: true, timeoutMs: number}|{allowed: false, rule:
+ *   string, reason: string}} Verdict; `rule` is "deny", "network" or
+ *   "allowlist"
+ *
+ * @example
+ * const verdict = evaluateCommand("npm install zod --yes");
+ * // { allowed: true, timeoutMs: 300000 }
+ */
+export function evaluateCommand(command) {
+    const parts = splitCommand(command);
+    const denied = DENIED_COMMANDS.find(({ pattern }) =>
+        parts.some((part) => pattern.test(part))
+    );
+
+    if (denied) {
+        return { allowed: false, rule: "deny", reason: denied.reason };
+    }
+
+    const escape = SHELL_ESCAPE_PATTERNS.find(({ pattern }) => pattern.test(command));
+
+    if (escape) {
+        return { allowed: false, rule: "deny", reason: escape.reason };
+    }
+
+    const egress = NETWORK_EGRESS_PATTERNS.find(({ pattern }) => pattern.test(command));
+
+    if (egress) {
+        return { allowed: false, rule: "network", reason: egress.reason };
+    }
+
+    const unknown = parts.find((part) => !ALLOWED_COMMANDS.some((pattern) => pattern.test(part)));
+
+    if (unknown !== undefined) {
+        const program = unknown.split(/\s+/)[0];
+        return {
+            allowed: false,
+            rule: "allowlist",
+            reason: `"${program}" is not an allowed program`,
+        };
+    }
+
+    const timeout = COMMAND_TIMEOUTS.find(({ pattern }) => pattern.test(command));
+
+    return {
+        allowed: true,
+        timeoutMs: timeout?.timeoutMs ?? DEFAULT_COMMAND_TIMEOUT_MS,
+    };
+}
+
+/**
+ * Builds the tool error returned for a blocked command
+ *
+ * @param {Object} verdict - Result of evaluateCommand
+ * @returns {string} Error message for the model
+ */
+export function formatBlockedCommand(verdict) {
+    return `Error: Command blocked by the sandbox policy: ${verdict.reason}. ` +
+        "Do not retry it; use the file tools or a different command instead.";
+}
+
+/**
+ * Collects streamed command output within MAX_COMMAND_OUTPUT_LENGTH
+ *
+ * Keeps the start and the end as truncateOutput does, but drops the middle
+ * while the output arrives, so a command printing megabytes never holds
+ * them in memory. `toString()` returns what truncateOutput would return
+ * for the whole output.
+ *
+ * @returns {{append: Function, toString: Function, length: number}}
+ *   Buffer; `append(data)` adds a chunk and `length` is the total number
+ *   of characters received
+ *
+ * @example
+ * const stdout = createOutputBuffer();
+ * await sandbox.commands.run(command, { onStdout: (data) => stdout.append(data) });
+ * return stdout.toString();
+ */
+export function createOutputBuffer() {
+    const half = Math.floor(MAX_COMMAND_OUTPUT_LENGTH / 2);
+    let head = "";
+    let tail = "";
+    let length = 0;
+
+    return {
+        append(data) {
+            let chunk = String(data);
+            length += chunk.length;
+
+            if (head.length < half) {
+                const taken = chunk.slice(0, half - head.length);
+                head += taken;
+                chunk = chunk.slice(taken.length);
+            }
+
+            tail = (tail + chunk).slice(-(MAX_COMMAND_OUTPUT_LENGTH - half));
+        },
+
+        get length() {
+            return length;
+        },
+
+        toString() {
+            const omitted = length - head.length - tail.length;
+
+            return omitted > 0
+                ? `${head}\n... [${omitted} characters truncated] ...\n${tail}`
+                : head + tail;
+        },
+    };
+}
+
+/**
+ * Caps command output at MAX_COMMAND_OUTPUT_LENGTH characters
+ *
+ * @param {string} output - Command output
+ * @returns {string} The output, with its middle cut out if too long
+ */
+export function truncateOutput(output) {
+    if (output.length <= MAX_COMMAND_OUTPUT_LENGTH) {
+        return output;
+    }
+
+    const half = Math.floor(MAX_COMMAND_OUTPUT_LENGTH / 2);
+    const omitted = output.length - half * 2;
+
+    return `${output.slice(0, half)}\n... [${omitted} characters truncated] ...\n${output.slice(-half)}`;
+}
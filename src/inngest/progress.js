@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Agent Progress Events
+ *
+ * This module records what the code agent workflow is doing so the project
+ * view can show a real timeline instead of time-based guesses. Events are
+ * stored in the ProgressEvent table and streamed to the browser by the
+ * /api/projects/[projectId]/progress SSE route.
+ *
+ * Inngest replays the function body on every step, so events published
+ * outside a step.run callback must pass a deterministic `key`; they are
+ * upserted on (runId, key) and therefore recorded once. Events published
+ * inside a step callback can omit the key.
+ *
+ * Events may carry a small `data` payload (sandbox ID, written paths) that
+ * the cancellation cleanup uses to find what a cancelled run left behind.
+ *
+ * @module inngest/progress
+ */
+
+import db from "@/lib/db";
+
+/**
+ * Records a progress event for a run
+ *
+ * Never throws: progress reporting must not fail the workflow.
+ *
+ * @async
+ * @param {Object} run - Run identity
+ * @param {string} run.runId - Inngest run ID
+ * @param {string} run.projectId - Project the run belongs to
+ * @param {Object} event - Event details
+ * @param {string} event.stage - One of PROGRESS_STAGES (lib/progress)
+ * @param {string} event.message - Human-readable description
+ * @param {string} [event.key] - Deterministic key for replay-safe publishing
+ * @param {Object} [event.data] - Machine-readable details stored with the event
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await publishProgress({ runId, projectId }, {
+ *     stage: PROGRESS_STAGES.RESTORE,
+ *     message: "Restored 12 files",
+ * });
+ */
+export async function publishProgress({ runId, projectId }, { stage, message, key, data }) {
+    try {
+        if (key) {
+            await db.progressEvent.upsert({
+                where: { runId_key: { runId, key } },
+                create: { runId, projectId, key, stage, message, data },
+                update: {},
+            });
+            return;
+        }
+
+        await db.progressEvent.create({
+            data: { runId, projectId, stage, message, data },
+        });
+    } catch (error) {
+        console.error("Failed to publish progress:", error);
+    }
+}
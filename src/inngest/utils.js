@@ -51,3 +51,52 @@ export function lastAssistantTextMessageContent(result) {
             : message.content.map((c) => c.text).join("")
         : undefined;
 }
+
+/**
+ * Extracts the inner text of the first <tag>...</tag> block in a string
+ *
+ * Attributes on the opening tag are allowed and ignored.
+ *
+ * @param {string|undefined} text - Text to search
+ * @param {string} tag - Tag name without angle brackets
+ * @returns {string|null} Trimmed inner text, or null if the tag is absent
+ *
+ * @example
+ * extractTagContent("<plan>\n- app/page.tsx\n</plan>", "plan");
+ * // => "- app/page.tsx"
+ */
+export function extractTagContent(text, tag) {
+    if (!text) {
+        return null;
+    }
+
+    const match = text.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Parses the reviewer agent's <review> block
+ *
+ * @param {string|undefined} text - The reviewer's last message
+ * @returns {{approved: boolean, notes: string}|null} Parsed review,
+ *          or null if the message contains no review block
+ *
+ * @example
+ * parseReview('<review status="approved">Looks good</review>');
+ * // => { approved: true, notes: "Looks good" }
+ */
+export function parseReview(text) {
+    const notes = extractTagContent(text, "review");
+
+    if (notes === null) {
+        return null;
+    }
+
+    const status = text.match(/<review\s+status="([^"]+)"/)?.[1];
+
+    return {
+        approved: status !== "changes_requested",
+        notes,
+    };
+}
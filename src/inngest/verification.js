@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Generated Code Verification
+ *
+ * This module type-checks and lints the code the agent wrote inside the
+ * sandbox. It runs after the agent emits its <task_summary>, and its
+ * diagnostics are fed back to the agent for a bounded number of repairs.
+ *
+ * The checks depend on the project's template (see lib/templates), e.g.
+ * for Next.js:
+ * - typecheck: `tsc --noEmit` against the sandbox's tsconfig
+ * - lint: ESLint with the config generated by create-next-app
+ *   (Next.js 16 removed `next lint`, so ESLint is invoked directly)
+ *
+ * @module inngest/verification
+ */
+
+import { VerificationStatus } from "@prisma/client";
+
+/**
+ * Maximum number of repair passes after a failed verification
+ * @constant {number}
+ */
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Per-check timeout in milliseconds
+ * @constant {number}
+ */
+const CHECK_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * Maximum characters of diagnostics kept per check
+ * Keeps the repair prompt and the stored record reasonably small
+ * @constant {number}
+ */
+const MAX_DIAGNOSTICS_LENGTH = 4000;
+
+/**
+ * Runs all verification checks in the sandbox
+ *
+ * Every check runs even if an earlier one failed, so the agent sees all
+ * problems at once. Non-zero exit codes are reported as failures rather
+ * than thrown. Any other error (lost sandbox connection, timeout, provider
+ * error) is not something the agent can repair, so it is rethrown and the
+ * step is retried.
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {Array<{name: string, command: string}>} commands - The
+ *   template's checks, run in order
+ * @returns {Promise<Object>} Verification result
+ * @property {string} status - PASSED or FAILED
+ * @property {Array<Object>} checks - { name, passed, output } per check
+ * @throws {Error} If a check could not be run to completion
+ *
+ * @example
+ * const sandbox = await connectSandbox(sandboxId);
+ * const verification = await runVerification(sandbox, template.checks);
+ * if (verification.status === VerificationStatus.FAILED) { ... }
+ */
+export async function runVerification(sandbox, commands) {
+    const checks = [];
+
+    for (const { name, command } of commands) {
+        try {
+            await sandbox.commands.run(command, { timeoutMs: CHECK_TIMEOUT_MS });
+            checks.push({ name, passed: true, output: "" });
+        } catch (error) {
+            // Only a command that ran and exited non-zero (CommandExitError)
+            // is a verification failure
+            if (!Number.isInteger(error?.exitCode)) {
+                throw error;
+            }
+
+            const output = [error.stdout, error.stderr].filter(Boolean).join("\n")
+                || `${command} exited with code ${error.exitCode}`;
+
+            checks.push({
+                name,
+                passed: false,
+                output: output.slice(0, MAX_DIAGNOSTICS_LENGTH),
+            });
+        }
+    }
+
+    return {
+        status: checks.every((check) => check.passed)
+            ? VerificationStatus.PASSED
+            : VerificationStatus.FAILED,
+        checks,
+    };
+}
+
+/**
+ * Builds the repair instruction sent back to the code agent
+ *
+ * @param {Object} verification - Result of runVerification
+ * @returns {string} Prompt listing the failed checks and their diagnostics
+ */
+export function buildRepairPrompt(verification) {
+    const failures = verification.checks
+        .filter((check) => !check.passed)
+        .map((check) => `### ${check.name}\n${check.output}`)
+        .join("\n\n");
+
+    return `
+The code you wrote does not pass verification. Fix every problem below by updating the affected files, without changing the requested behavior.
+
+${failures}
+
+When all problems are fixed, respond with a new <task_summary> as before.
+`;
+}
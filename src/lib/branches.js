@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Conversation Branches
+ *
+ * A project's messages form a tree: each message points at the one it
+ * follows (Message.parentId). Editing an earlier user message adds a
+ * sibling with the same parent and re-runs it, which starts a new branch;
+ * the turns after the original message stay on the old branch.
+ *
+ * The project records the tip of the branch the user is on
+ * (Project.activeMessageId). The conversation shown, the agent's context
+ * and the latest fragment are all taken from the path from the root to
+ * that tip, and new messages are appended to it.
+ *
+ * - loadMessageTree: Loads the tree shape of a project's messages
+ * - getBranchPath, getSiblings, getLatestLeaf: Walk a loaded tree
+ *   (re-exported from lib/message-tree)
+ * - getActiveTip: The message new turns follow
+ * - advanceBranch: Moves the tip to a message appended to it
+ *
+ * @module lib/branches
+ */
+
+import db from "./db";
+import { buildMessageTree } from "./message-tree";
+
+export { getBranchPath, getLatestLeaf, getSiblings } from "./message-tree";
+
+// =============================================================================
+// TREE
+// =============================================================================
+
+/**
+ * Loads the tree of a project's messages
+ *
+ * Only the shape is loaded (IDs, parents, roles, times), so the whole
+ * tree fits in memory even for long conversations.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} { nodes, tipId } where `nodes` maps message ID
+ *   to { id, parentId, role, createdAt, updatedAt, children } (children
+ *   oldest first) and `tipId` is the active branch's tip (null for no
+ *   messages)
+ *
+ * @example
+ * const tree = await loadMessageTree(projectId);
+ * const path = getBranchPath(tree);
+ */
+export async function loadMessageTree(projectId) {
+    const [project, messages] = await Promise.all([
+        db.project.findUnique({
+            where: { id: projectId },
+            select: { activeMessageId: true },
+        }),
+        db.message.findMany({
+            where: { projectId },
+            orderBy: { createdAt: "asc" },
+            select: { id: true, parentId: true, role: true, createdAt: true, updatedAt: true },
+        }),
+    ]);
+
+    return buildMessageTree(messages, project?.activeMessageId);
+}
+
+// =============================================================================
+// ACTIVE BRANCH
+// =============================================================================
+
+/**
+ * Fetches the tip of a project's active branch
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} Message record, or null for no messages
+ *
+ * @example
+ * const tip = await getActiveTip(projectId);
+ * const isGenerating = tip?.role === MessageRole.USER;
+ */
+export async function getActiveTip(projectId) {
+    const project = await db.project.findUnique({
+        where: { id: projectId },
+        select: { activeMessage: true },
+    });
+
+    if (project?.activeMessage) {
+        return project.activeMessage;
+    }
+
+    return db.message.findFirst({
+        where: { projectId },
+        orderBy: { createdAt: "desc" },
+    });
+}
+
+/**
+ * Moves the active branch's tip to a message appended to it
+ *
+ * The tip only moves if it is still the message's parent (or the project
+ * has no recorded tip), so a reply that arrives after the user switched
+ * branches does not switch them back.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {string|null} parentId - Tip the message was appended to
+ * @param {string} messageId - The appended message
+ * @returns {Promise<boolean>} Whether the tip moved
+ */
+export async function advanceBranch(projectId, parentId, messageId) {
+    const { count } = await db.project.updateMany({
+        where: {
+            id: projectId,
+            OR: [{ activeMessageId: parentId }, { activeMessageId: null }],
+        },
+        data: { activeMessageId: messageId },
+    });
+
+    return count > 0;
+}
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Content Hashing
+ *
+ * Hashes file contents for the blob store in lib/fragment-files. Kept
+ * free of imports other than node:crypto so it can be tested on its own.
+ *
+ * @module lib/content-hash
+ */
+
+import { createHash } from "node:crypto";
+
+/**
+ * Hashes file content
+ *
+ * The initial data migration (20261019000000_file_blobs) hashes the same
+ * way in SQL, so the two must not diverge.
+ *
+ * @param {string} content - File content
+ * @returns {string} SHA-256 of the UTF-8 content (hex)
+ */
+export function hashContent(content) {
+    return createHash("sha256").update(content, "utf8").digest("hex");
+}
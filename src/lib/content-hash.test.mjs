@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Content Hashing Tests
+ *
+ * Checks hashContent against known SHA-256 digests and against the
+ * expression the file blob migration uses to hash existing snapshots.
+ *
+ * @module lib/content-hash.test
+ */
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, it } from "node:test";
+
+import { hashContent } from "./content-hash.js";
+
+/**
+ * Migration that backfills FileBlob and FragmentFile from the JSON snapshots
+ * @constant {URL}
+ */
+const MIGRATION = new URL("../../prisma/migrations/20261019000000_file_blobs/migration.sql", import.meta.url);
+
+describe("hashContent", () => {
+    it("returns the hex SHA-256 of the UTF-8 content", () => {
+        assert.equal(hashContent(""), "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+        assert.equal(hashContent("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+        assert.equal(
+            hashContent("héllo → 世界\n"),
+            "7d40f971120a4c0f3ce08331d48c1a17dfd314cffd9f1b9d960ce1c7206bed83",
+        );
+    });
+
+    it("hashes the way the migration's SQL backfill does", async () => {
+        const sql = await readFile(MIGRATION, "utf8");
+        const expressions = sql.match(/encode\(sha256\([^;]*?\)\), '[a-z0-9]+'\)/g);
+
+        // Both inserts must hash the UTF-8 bytes and hex-encode the digest,
+        // like createHash("sha256").update(content, "utf8").digest("hex")
+        assert.equal(expressions.length, 2);
+
+        for (const expression of expressions) {
+            assert.equal(expression, "encode(sha256(convert_to(entry.value, 'UTF8')), 'hex')");
+        }
+        assert.equal(sql.match(/sha256\(/g).length, expressions.length);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Sandbox npm Dependencies
+ *
+ * The agent installs packages through its terminal tool, which only changes
+ * the sandbox. The workflow captures the resulting package.json into the
+ * fragment's files, and restores (agent runs and restoreFragment) replay the
+ * installs when the fragment needs packages the sandbox does not list yet,
+ * e.g. in a sandbox freshly created from the template.
+ *
+ * @module lib/dependencies
+ */
+
+/**
+ * Path of the manifest, relative to the sandbox app directory
+ * @constant {string}
+ */
+export const PACKAGE_JSON_PATH = "package.json";
+
+/**
+ * package.json sections that are compared and installed
+ * @constant {Array<string>}
+ */
+const DEPENDENCY_SECTIONS = ["dependencies", "devDependencies"];
+
+/**
+ * Maximum time for a replayed npm install
+ * @constant {number}
+ */
+const INSTALL_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Characters of npm output kept when an install fails
+ * @constant {number}
+ */
+const MAX_INSTALL_ERROR_LENGTH = 2000;
+
+/**
+ * Parses package.json content, tolerating invalid JSON
+ *
+ * @param {string|null} content - File content
+ * @returns {Object} Parsed manifest, or {} if missing or invalid
+ */
+function parsePackageJson(content) {
+    try {
+        return JSON.parse(content || "{}");
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Lists dependencies in `target` that `current` lacks or pins differently
+ *
+ * @param {string|null} current - package.json content in the sandbox
+ * @param {string|null} target - package.json content to restore
+ * @returns {Array<string>} "name@range" specs, sorted
+ *
+ * @example
+ * diffDependencies(templateJson, fragmentJson); // ["framer-motion@^11.0.0"]
+ */
+export function diffDependencies(current, target) {
+    const currentManifest = parsePackageJson(current);
+    const targetManifest = parsePackageJson(target);
+    const specs = [];
+
+    for (const section of DEPENDENCY_SECTIONS) {
+        const wanted = targetManifest[section] || {};
+        const existing = currentManifest[section] || {};
+
+        for (const [name, range] of Object.entries(wanted)) {
+            if (existing[name] !== range) {
+                specs.push(`${name}@${range}`);
+            }
+        }
+    }
+
+    return specs.sort();
+}
+
+/**
+ * Reads the sandbox's package.json
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @returns {Promise<string|null>} Content, or null if it cannot be read
+ */
+export async function readSandboxPackageJson(sandbox) {
+    try {
+        return await sandbox.files.read(PACKAGE_JSON_PATH);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Writes a package.json into the sandbox and installs what it lists
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {string} packageJson - package.json content to install
+ * @returns {Promise<{success: boolean, error?: string}>} Outcome, with the
+ *   tail of npm's output on failure
+ *
+ * @example
+ * const missing = diffDependencies(await readSandboxPackageJson(sandbox), packageJson);
+ * if (missing.length > 0) await installDependencies(sandbox, packageJson);
+ */
+export async function installDependencies(sandbox, packageJson) {
+    await sandbox.files.write(PACKAGE_JSON_PATH, packageJson);
+
+    try {
+        await sandbox.commands.run("npm install --no-audit --no-fund --yes", {
+            timeoutMs: INSTALL_TIMEOUT_MS,
+        });
+        return { success: true };
+    } catch (error) {
+        const output = error.stderr || error.stdout || String(error.message || error);
+        return { success: false, error: output.slice(-MAX_INSTALL_ERROR_LENGTH) };
+    }
+}
+
+/**
+ * Returns the last line of npm output, for short failure notices
+ *
+ * @param {string} [output] - Install output (installDependencies error)
+ * @returns {string} Last non-empty line
+ */
+export function lastOutputLine(output) {
+    return (output || "").trim().split("\n").pop() || "unknown error";
+}
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Fragment Diffs
+ *
+ * Compares the file snapshots of two fragments for the Code tab's diff
+ * mode. Runs in the browser, so it has no server dependencies.
+ *
+ * - diffFileSets: Which files were added, removed or modified
+ * - diffLines: Line diff of one file (Myers' algorithm)
+ * - collapseUnchanged, toSideBySide: Shape a line diff for the unified
+ *   and side-by-side views
+ *
+ * @module lib/diff
+ */
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Maximum number of changed lines diffed line by line
+ * Beyond it the file is shown as entirely replaced, which keeps the
+ * algorithm's memory (quadratic in the number of changes) bounded
+ * @constant {number}
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Unchanged lines shown around each change
+ * @constant {number}
+ */
+export const DIFF_CONTEXT_LINES = 3;
+
+// =============================================================================
+// LINE DIFF
+// =============================================================================
+
+/**
+ * Splits file content into lines, ignoring the final newline
+ *
+ * @param {string} text - File content
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+    return text ? text.replace(/\n$/, "").split("\n") : [];
+}
+
+/**
+ * Finds the shortest edit script between two line arrays (Myers)
+ *
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<string>|null} Operations from the end backwards ("equal",
+ *   "remove", "add"), or null if more than MAX_EDIT_DISTANCE edits are needed
+ */
+function shortestEditScript(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+
+    // v before each round d, for diagonals -d-1..d+1
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, n, m);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Walks the Myers trace back from the end to recover the edit script
+ *
+ * @param {Array<Int32Array>} trace - v before each round (see
+ *   shortestEditScript)
+ * @param {number} n - Number of old lines
+ * @param {number} m - Number of new lines
+ * @returns {Array<string>} Operations from the end backwards
+ */
+function backtrack(trace, n, m) {
+    const operations = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = (k) => v[k + d + 1];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const previousX = at(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            operations.push("equal");
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            operations.push(x === previousX ? "add" : "remove");
+        }
+
+        x = previousX;
+        y = previousY;
+    }
+
+    return operations;
+}
+
+/**
+ * Computes the line diff between two versions of a file
+ *
+ * @param {string} oldText - Old content ("" for an added file)
+ * @param {string} newText - New content ("" for a removed file)
+ * @returns {Array<Object>} Lines in order, each { type, text, oldNumber,
+ *   newNumber } where `type` is "equal", "remove" or "add" and the line
+ *   numbers are 1-based (null on the side the line is missing from)
+ *
+ * @example
+ * diffLines("a\nb\n", "a\nc\n");
+ * // [{ type: "equal", text: "a", oldNumber: 1, newNumber: 1 },
+ * //  { type: "remove", text: "b", oldNumber: 2, newNumber: null },
+ * //  { type: "add", text: "c", oldNumber: null, newNumber: 2 }]
+ */
+export function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // The common start and end are left out of the edit script
+    let start = 0;
+
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let end = 0;
+
+    while (
+        end < a.length - start &&
+        end < b.length - start &&
+        a[a.length - 1 - end] === b[b.length - 1 - end]
+    ) {
+        end++;
+    }
+
+    const oldMiddle = a.slice(start, a.length - end);
+    const newMiddle = b.slice(start, b.length - end);
+    const middle = shortestEditScript(oldMiddle, newMiddle)?.reverse() ?? [
+        ...oldMiddle.map(() => "remove"),
+        ...newMiddle.map(() => "add"),
+    ];
+
+    const operations = [
+        ...Array(start).fill("equal"),
+        ...middle,
+        ...Array(end).fill("equal"),
+    ];
+
+    const lines = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    for (const type of operations) {
+        if (type === "equal") {
+            lines.push({ type, text: b[newIndex], oldNumber: oldIndex + 1, newNumber: newIndex + 1 });
+            oldIndex++;
+            newIndex++;
+        } else if (type === "remove") {
+            lines.push({ type, text: a[oldIndex], oldNumber: oldIndex + 1, newNumber: null });
+            oldIndex++;
+        } else {
+            lines.push({ type, text: b[newIndex], oldNumber: null, newNumber: newIndex + 1 });
+            newIndex++;
+        }
+    }
+
+    return lines;
+}
+
+// =============================================================================
+// FILE SETS
+// =============================================================================
+
+/**
+ * Compares two fragment snapshots file by file
+ *
+ * @param {Object<string, string>} before - Files of the older fragment
+ *   ({} to treat every file as added)
+ * @param {Object<string, string>} after - Files of the newer fragment
+ * @returns {Object<string, Object>} Changed files by path, each { status,
+ *   additions, deletions } where `status` is "added", "removed" or
+ *   "modified"; unchanged files are left out
+ *
+ * @example
+ * diffFileSets(previous.files, fragment.files);
+ * // { "app/page.tsx": { status: "modified", additions: 4, deletions: 1 } }
+ */
+export function diffFileSets(before, after) {
+    const changes = {};
+    const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const path of paths) {
+        const inBefore = Object.hasOwn(before, path);
+        const inAfter = Object.hasOwn(after, path);
+
+        if (inBefore && inAfter && before[path] === after[path]) {
+            continue;
+        }
+
+        const lines = diffLines(inBefore ? before[path] : "", inAfter ? after[path] : "");
+
+        changes[path] = {
+            status: !inBefore ? "added" : !inAfter ? "removed" : "modified",
+            additions: lines.filter((line) => line.type === "add").length,
+            deletions: lines.filter((line) => line.type === "remove").length,
+        };
+    }
+
+    return changes;
+}
+
+// =============================================================================
+// PRESENTATION
+// =============================================================================
+
+/**
+ * Replaces long runs of unchanged lines with a marker
+ *
+ * @param {Array<Object>} lines - Result of diffLines
+ * @param {number} [context=DIFF_CONTEXT_LINES] - Unchanged lines kept
+ *   around each change
+ * @returns {Array<Object>} The lines, with { type: "skip", count } in place
+ *   of each hidden run
+ */
+export function collapseUnchanged(lines, context = DIFF_CONTEXT_LINES) {
+    const keep = lines.map((line) => line.type !== "equal");
+
+    lines.forEach((line, index) => {
+        if (line.type !== "equal") {
+            for (let i = Math.max(0, index - context); i <= Math.min(lines.length - 1, index + context); i++) {
+                keep[i] = true;
+            }
+        }
+    });
+
+    const collapsed = [];
+    let skipped = 0;
+
+    lines.forEach((line, index) => {
+        if (keep[index]) {
+            if (skipped > 0) {
+                collapsed.push({ type: "skip", count: skipped });
+                skipped = 0;
+            }
+            collapsed.push(line);
+        } else {
+            skipped++;
+        }
+    });
+
+    if (skipped > 0) {
+        collapsed.push({ type: "skip", count: skipped });
+    }
+
+    return collapsed;
+}
+
+/**
+ * Pairs removed and added lines into side-by-side rows
+ *
+ * @param {Array<Object>} lines - Result of diffLines or collapseUnchanged
+ * @returns {Array<Object>} Rows { left, right } with the old and new line
+ *   (either may be null), or { skip: count } for hidden unchanged lines
+ */
+export function toSideBySide(lines) {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            rows.push({ left: removed[i] || null, right: added[i] || null });
+        }
+        removed = [];
+        added = [];
+    };
+
+    for (const line of lines) {
+        if (line.type === "remove") {
+            removed.push(line);
+        } else if (line.type === "add") {
+            added.push(line);
+        } else {
+            flush();
+            rows.push(line.type === "skip" ? { skip: line.count } : { left: line, right: line });
+        }
+    }
+
+    flush();
+    return rows;
+}
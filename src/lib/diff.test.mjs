@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Fragment Diff Tests
+ *
+ * Diffs small file contents and snapshots, including a file with too many
+ * changes to diff line by line.
+ *
+ * @module lib/diff.test
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { collapseUnchanged, diffFileSets, diffLines } from "./diff.js";
+
+/**
+ * Shortens diffLines output to "<type> <text>" strings
+ *
+ * @param {Array<Object>} lines - Result of diffLines
+ * @returns {Array<string>} One string per line
+ */
+const summarize = (lines) => lines.map((line) => `${line.type} ${line.text}`);
+
+/**
+ * Builds numbered lines with a prefix
+ *
+ * @param {string} prefix - Text before each number
+ * @param {number} count - Number of lines
+ * @returns {Array<string>} Lines
+ */
+const numbered = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix}${index}`);
+
+// =============================================================================
+// LINE DIFF
+// =============================================================================
+
+describe("diffLines", () => {
+    it("numbers equal, removed and added lines on their own side", () => {
+        assert.deepEqual(diffLines("a\nb\n", "a\nc\n"), [
+            { type: "equal", text: "a", oldNumber: 1, newNumber: 1 },
+            { type: "remove", text: "b", oldNumber: 2, newNumber: null },
+            { type: "add", text: "c", oldNumber: null, newNumber: 2 },
+        ]);
+    });
+
+    it("treats empty content as a file without lines", () => {
+        assert.deepEqual(diffLines("", ""), []);
+        assert.deepEqual(summarize(diffLines("", "a\nb")), ["add a", "add b"]);
+        assert.deepEqual(summarize(diffLines("a\nb\n", "")), ["remove a", "remove b"]);
+    });
+
+    it("ignores only the final newline", () => {
+        assert.deepEqual(summarize(diffLines("a\nb\n", "a\nb")), ["equal a", "equal b"]);
+        assert.deepEqual(summarize(diffLines("a\n\n", "a\n")), ["equal a", "remove "]);
+    });
+
+    it("keeps unchanged lines between changes", () => {
+        const lines = diffLines("a\nb\nc\nd\ne\n", "a\nB\nc\nd\nE\nf\n");
+
+        assert.deepEqual(summarize(lines), [
+            "equal a",
+            "remove b",
+            "add B",
+            "equal c",
+            "equal d",
+            "remove e",
+            "add E",
+            "add f",
+        ]);
+        assert.deepEqual(
+            lines.filter((line) => line.type === "equal").map((line) => [line.oldNumber, line.newNumber]),
+            [[1, 1], [3, 3], [4, 4]],
+        );
+    });
+
+    it("shows the changed part as replaced once it needs more than 2000 edits", () => {
+        const oldLines = ["head", ...numbered("old ", 1100), "shared", ...numbered("old ", 1100), "tail"];
+        const newLines = ["head", ...numbered("new ", 1100), "shared", ...numbered("new ", 1100), "tail"];
+        const lines = diffLines(oldLines.join("\n"), newLines.join("\n"));
+
+        assert.deepEqual(summarize(lines), [
+            "equal head",
+            ...oldLines.slice(1, -1).map((line) => `remove ${line}`),
+            ...newLines.slice(1, -1).map((line) => `add ${line}`),
+            "equal tail",
+        ]);
+        assert.deepEqual(lines.at(-1), {
+            type: "equal",
+            text: "tail",
+            oldNumber: oldLines.length,
+            newNumber: newLines.length,
+        });
+    });
+
+    it("still matches unchanged lines inside the changed part below the limit", () => {
+        const oldLines = [...numbered("old ", 400), "shared", ...numbered("old ", 400)];
+        const newLines = [...numbered("new ", 400), "shared", ...numbered("new ", 400)];
+        const lines = diffLines(oldLines.join("\n"), newLines.join("\n"));
+
+        assert.deepEqual(lines.filter((line) => line.type === "equal"), [
+            { type: "equal", text: "shared", oldNumber: 401, newNumber: 401 },
+        ]);
+        assert.equal(lines.length, 1601);
+    });
+});
+
+// =============================================================================
+// FILE SETS
+// =============================================================================
+
+describe("diffFileSets", () => {
+    it("reports added, removed and modified files with line counts", () => {
+        const before = { "a.js": "1\n2\n", "b.js": "x\n", "same.js": "s\n" };
+        const after = { "a.js": "1\n3\n4\n", "c.js": "y\nz\n", "same.js": "s\n" };
+
+        assert.deepEqual(diffFileSets(before, after), {
+            "a.js": { status: "modified", additions: 2, deletions: 1 },
+            "b.js": { status: "removed", additions: 0, deletions: 1 },
+            "c.js": { status: "added", additions: 2, deletions: 0 },
+        });
+    });
+
+    it("treats every file as added against an empty snapshot", () => {
+        assert.deepEqual(diffFileSets({}, { "a.js": "1\n" }), {
+            "a.js": { status: "added", additions: 1, deletions: 0 },
+        });
+        assert.deepEqual(diffFileSets({ "a.js": "1\n" }, { "a.js": "1\n" }), {});
+    });
+
+    it("counts an emptied file as modified", () => {
+        assert.deepEqual(diffFileSets({ "a.js": "1\n2\n" }, { "a.js": "" }), {
+            "a.js": { status: "modified", additions: 0, deletions: 2 },
+        });
+    });
+
+    it("does not treat inherited property names as paths", () => {
+        assert.deepEqual(diffFileSets({}, { constructor: "x\n" }), {
+            constructor: { status: "added", additions: 1, deletions: 0 },
+        });
+    });
+});
+
+// =============================================================================
+// PRESENTATION
+// =============================================================================
+
+describe("collapseUnchanged", () => {
+    const oldText = numbered("line ", 20).join("\n");
+    const newText = oldText.replace("line 10", "changed");
+
+    it("keeps the context lines around each change and counts the rest", () => {
+        const collapsed = collapseUnchanged(diffLines(oldText, newText));
+
+        assert.deepEqual(collapsed[0], { type: "skip", count: 7 });
+        assert.deepEqual(summarize(collapsed.slice(1, -1)), [
+            "equal line 7",
+            "equal line 8",
+            "equal line 9",
+            "remove line 10",
+            "add changed",
+            "equal line 11",
+            "equal line 12",
+            "equal line 13",
+        ]);
+        assert.deepEqual(collapsed.at(-1), { type: "skip", count: 6 });
+    });
+
+    it("honors a custom context and merges overlapping context", () => {
+        const lines = diffLines("a\nb\nc\nd\ne\nf\n", "A\nb\nc\nD\ne\nf\n");
+
+        assert.deepEqual(
+            collapseUnchanged(lines, 0).map((line) => line.count ?? `${line.type} ${line.text}`),
+            ["remove a", "add A", 2, "remove d", "add D", 2],
+        );
+        assert.deepEqual(collapseUnchanged(lines, 2), lines);
+    });
+
+    it("collapses a diff without changes into a single marker", () => {
+        assert.deepEqual(collapseUnchanged(diffLines("a\nb\n", "a\nb\n")), [{ type: "skip", count: 2 }]);
+        assert.deepEqual(collapseUnchanged([]), []);
+    });
+});
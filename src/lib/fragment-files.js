@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Fragment File Storage
+ *
+ * Fragments are full snapshots of the project's files, but most files do
+ * not change between turns. Contents are therefore stored once per
+ * distinct content in FileBlob, keyed by their SHA-256 hash, and each
+ * fragment keeps a manifest of path -> hash (FragmentFile). Storage grows
+ * with the changes made, not with the number of turns.
+ *
+ * In memory, fragments keep the shape the app has always used: `files` is
+ * an object of path -> content. This module converts between the two:
+ * - storeFragmentFiles: Writes new blobs and returns the manifest to
+ *   create with the fragment
+ * - readFragmentFiles / withFragmentFiles: Load the files back
+ * - readFragmentPaths: Lists a fragment's paths without their contents
+ *
+ * Blobs are never updated; blobs no longer referenced by any fragment (e.g.
+ * after a project is deleted) are left in place.
+ *
+ * @module lib/fragment-files
+ */
+
+import { hashContent } from "./content-hash";
+import db from "./db";
+
+/**
+ * Stores a fragment's files and returns its manifest
+ *
+ * Only contents not stored yet are written. The result is a nested write
+ * for the fragment's `manifest` relation.
+ *
+ * @async
+ * @param {Object<string, string>} files - File contents by path
+ * @returns {Promise<Object>} Nested create for Fragment.manifest
+ *
+ * @example
+ * await db.fragment.create({
+ *     data: { ..., manifest: await storeFragmentFiles(files) },
+ * });
+ */
+export async function storeFragmentFiles(files) {
+    const entries = Object.entries(files || {}).map(([path, content]) => ({
+        path,
+        content: String(content),
+        hash: hashContent(String(content)),
+    }));
+    const hashes = [...new Set(entries.map(({ hash }) => hash))];
+
+    const stored = await db.fileBlob.findMany({
+        where: { hash: { in: hashes } },
+        select: { hash: true },
+    });
+    const storedHashes = new Set(stored.map(({ hash }) => hash));
+    const blobs = new Map();
+
+    for (const { hash, content } of entries) {
+        if (!storedHashes.has(hash) && !blobs.has(hash)) {
+            blobs.set(hash, { hash, content, size: Buffer.byteLength(content, "utf8") });
+        }
+    }
+
+    if (blobs.size > 0) {
+        // A concurrent write may store the same content first
+        await db.fileBlob.createMany({ data: [...blobs.values()], skipDuplicates: true });
+    }
+
+    return {
+        createMany: {
+            data: entries.map(({ path, hash }) => ({ path, hash })),
+        },
+    };
+}
+
+/**
+ * Loads the files of several fragments
+ *
+ * @async
+ * @param {Array<string>} fragmentIds - Fragment IDs
+ * @returns {Promise<Map<string, Object<string, string>>>} Files by fragment
+ *   ID (fragments without files are missing)
+ */
+async function readFilesByFragment(fragmentIds) {
+    const byFragment = new Map();
+
+    if (fragmentIds.length === 0) {
+        return byFragment;
+    }
+
+    const entries = await db.fragmentFile.findMany({
+        where: { fragmentId: { in: fragmentIds } },
+        orderBy: { path: "asc" },
+        select: { fragmentId: true, path: true, blob: { select: { content: true } } },
+    });
+
+    for (const { fragmentId, path, blob } of entries) {
+        if (!byFragment.has(fragmentId)) {
+            byFragment.set(fragmentId, {});
+        }
+        byFragment.get(fragmentId)[path] = blob.content;
+    }
+
+    return byFragment;
+}
+
+/**
+ * Loads a fragment's files
+ *
+ * @async
+ * @param {string|null} fragmentId - Fragment ID
+ * @returns {Promise<Object<string, string>>} File contents by path ({} for
+ *   no fragment)
+ *
+ * @example
+ * const files = await readFragmentFiles(latestFragment?.id);
+ */
+export async function readFragmentFiles(fragmentId) {
+    if (!fragmentId) {
+        return {};
+    }
+
+    const byFragment = await readFilesByFragment([fragmentId]);
+    return byFragment.get(fragmentId) || {};
+}
+
+/**
+ * Lists the paths of a fragment's files
+ *
+ * Used to clear files of the fragment a sandbox holds before another one
+ * is restored over it.
+ *
+ * @async
+ * @param {string|null} fragmentId - Fragment ID
+ * @returns {Promise<Array<string>>} Paths ([] for no fragment)
+ */
+export async function readFragmentPaths(fragmentId) {
+    if (!fragmentId) {
+        return [];
+    }
+
+    const entries = await db.fragmentFile.findMany({
+        where: { fragmentId },
+        select: { path: true },
+    });
+
+    return entries.map(({ path }) => path);
+}
+
+/**
+ * Adds `files` (path -> content) to fragment records
+ *
+ * Accepts a single fragment, null, or an array; files of all fragments are
+ * loaded in one query.
+ *
+ * @async
+ * @param {Object|Array<Object>|null} fragments - Fragment record(s)
+ * @returns {Promise<Object|Array<Object>|null>} The same shape, each
+ *   fragment with its `files`
+ *
+ * @example
+ * const fragment = await withFragmentFiles(await db.fragment.findUnique(...));
+ */
+export async function withFragmentFiles(fragments) {
+    const list = (Array.isArray(fragments) ? fragments : [fragments]).filter(Boolean);
+    const byFragment = await readFilesByFragment(list.map(({ id }) => id));
+    const hydrate = (fragment) => fragment && {
+        ...fragment,
+        files: byFragment.get(fragment.id) || {},
+    };
+
+    return Array.isArray(fragments) ? fragments.map(hydrate) : hydrate(fragments);
+}
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview LLM Provider Registry
+ *
+ * This module is the single place where the agent workflow obtains its
+ * language models. Each provider knows how to tell whether it is configured
+ * (API key / base URL present) and how to build an Inngest AI adapter for a
+ * given model name.
+ *
+ * Providers:
+ * - openai: OpenAI Chat Completions API
+ * - anthropic: Anthropic Messages API
+ * - gemini: Google Gemini API (the original default)
+ * - local: Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, ...)
+ * - mock: Deterministic replay of recorded tool-call scripts (offline runs)
+ *
+ * Selection order:
+ * 1. Provider/model requested for the message (event data)
+ * 2. Provider/model stored on the project
+ * 3. LLM_PROVIDER environment variable
+ * 4. First configured provider in LLM_FALLBACK_ORDER
+ *
+ * A requested provider that is not configured is skipped in favour of the
+ * next configured one, so a missing key never fails a run outright.
+ *
+ * A sampling temperature can be requested per run (e.g. when regenerating
+ * a response); otherwise each provider's default applies.
+ *
+ * @module lib/llm
+ */
+
+import { anthropic, gemini, openai } from "@inngest/agent-kit";
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Provider order used when the requested provider is unavailable
+ * Can be overridden with a comma-separated LLM_FALLBACK_ORDER
+ * @constant {Array<string>}
+ */
+export const DEFAULT_FALLBACK_ORDER = ["gemini", "openai", "anthropic", "local"];
+
+/**
+ * Anthropic requires max_tokens on every request
+ * @constant {number}
+ */
+const ANTHROPIC_MAX_TOKENS = 8192;
+
+/**
+ * Range of sampling temperatures accepted for a run
+ * Anthropic only accepts 0-1, so the same range is used for all providers
+ * @constant {{min: number, max: number}}
+ */
+export const TEMPERATURE_RANGE = { min: 0, max: 1 };
+
+/**
+ * Roles the workflow requests models for
+ * The mock provider uses the role to pick the matching script section
+ * @constant {Object<string, string>}
+ */
+export const MODEL_ROLES = {
+    PLANNER: "planner",
+    CODE: "code",
+    REVIEWER: "reviewer",
+    TITLE: "title",
+    RESPONSE: "response",
+    MEMORY: "memory",
+};
+
+// =============================================================================
+// PROVIDER DEFINITIONS
+// =============================================================================
+
+/**
+ * Registry of supported providers
+ *
+ * Each entry exposes:
+ * - label: Human-readable name for the UI
+ * - isConfigured: Whether the required environment is present
+ * - defaultModel: Model used when none is requested
+ * - create: Builds the Inngest AI adapter for a model, role and optional
+ *   temperature
+ *
+ * @constant {Object<string, Object>}
+ */
+const PROVIDERS = {
+    openai: {
+        label: "OpenAI",
+        isConfigured: () => !!process.env.OPENAI_API_KEY,
+        defaultModel: () => process.env.OPENAI_MODEL || "gpt-4.1",
+        create: ({ model, temperature }) => openai({
+            model,
+            apiKey: process.env.OPENAI_API_KEY,
+            defaultParameters: temperatureParameters(temperature),
+        }),
+    },
+
+    anthropic: {
+        label: "Anthropic",
+        isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+        defaultModel: () => process.env.ANTHROPIC_MODEL || "claude-sonnet-4-5",
+        create: ({ model, temperature }) => anthropic({
+            model,
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            defaultParameters: {
+                max_tokens: ANTHROPIC_MAX_TOKENS,
+                ...temperatureParameters(temperature),
+            },
+        }),
+    },
+
+    gemini: {
+        label: "Gemini",
+        isConfigured: () => !!process.env.GEMINI_API_KEY,
+        // MODEL is kept for backwards compatibility with existing .env files
+        defaultModel: () => process.env.GEMINI_MODEL || process.env.MODEL || "gemini-2.5-flash",
+        create: ({ model, temperature }) => gemini({
+            model,
+            apiKey: process.env.GEMINI_API_KEY,
+            // Gemini takes sampling settings in generationConfig
+            defaultParameters: temperature === undefined
+                ? undefined
+                : { generationConfig: { temperature } },
+        }),
+    },
+
+    local: {
+        label: "Local (OpenAI-compatible)",
+        isConfigured: () => !!process.env.LOCAL_LLM_BASE_URL,
+        defaultModel: () => process.env.LOCAL_LLM_MODEL || "llama3.1",
+        create: ({ model, temperature }) => openai({
+            model,
+            baseUrl: process.env.LOCAL_LLM_BASE_URL,
+            // Most local servers ignore the key, but the adapter requires one
+            apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+            defaultParameters: temperatureParameters(temperature),
+        }),
+    },
+
+    mock: {
+        label: "Mock (recorded scripts)",
+        isConfigured: () => !!process.env.MOCK_LLM_SCRIPT || process.env.LLM_PROVIDER === "mock",
+        defaultModel: () => process.env.MOCK_LLM_SCRIPT || "default",
+        /**
+         * The mock provider speaks the OpenAI format against our own
+         * /api/mock-llm route, so it exercises the exact same agent-kit
+         * code path as a real provider. The model name is the script name.
+         */
+        create: ({ model, role }) => openai({
+            model,
+            baseUrl: `${getAppUrl()}/api/mock-llm/${encodeURIComponent(model)}/${role}/`,
+            apiKey: "mock",
+        }),
+    },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Base URL of this app, used by the mock provider to reach its own route
+ *
+ * @returns {string} Absolute URL without trailing slash
+ */
+function getAppUrl() {
+    return (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+}
+
+/**
+ * Request parameters setting the temperature (OpenAI and Anthropic format)
+ *
+ * @param {number} [temperature] - Sampling temperature
+ * @returns {Object|undefined} Parameters, or undefined for the default
+ */
+function temperatureParameters(temperature) {
+    return temperature === undefined ? undefined : { temperature };
+}
+
+/**
+ * Returns the provider fallback order from the environment
+ *
+ * @returns {Array<string>} Provider IDs in priority order
+ */
+export function getFallbackOrder() {
+    const configured = process.env.LLM_FALLBACK_ORDER;
+
+    if (!configured) {
+        return DEFAULT_FALLBACK_ORDER;
+    }
+
+    return configured
+        .split(",")
+        .map((id) => id.trim())
+        .filter((id) => PROVIDERS[id]);
+}
+
+/**
+ * Lists all providers with their availability
+ *
+ * Used by the UI to offer only providers that can actually run.
+ *
+ * @returns {Array<Object>} Provider descriptors
+ * @property {string} id - Provider ID
+ * @property {string} label - Display name
+ * @property {string} defaultModel - Model used when none is chosen
+ * @property {boolean} configured - Whether the provider can be used
+ *
+ * @example
+ * listProviders().filter((p) => p.configured);
+ */
+export function listProviders() {
+    return Object.entries(PROVIDERS).map(([id, provider]) => ({
+        id,
+        label: provider.label,
+        defaultModel: provider.defaultModel(),
+        configured: provider.isConfigured(),
+    }));
+}
+
+/**
+ * Resolves which provider and model a run should use
+ *
+ * Walks the candidates (requested provider, LLM_PROVIDER, fallback order)
+ * and returns the first configured one. The requested model name is only
+ * kept when its provider is the one selected.
+ *
+ * The result is plain JSON so it can be returned from a step and recorded.
+ *
+ * @param {Object} [requested] - Requested configuration
+ * @param {string} [requested.provider] - Preferred provider ID
+ * @param {string} [requested.model] - Preferred model name
+ * @param {number} [requested.temperature] - Sampling temperature, clamped
+ *   to TEMPERATURE_RANGE (provider default if missing)
+ * @returns {{provider: string, model: string, temperature?: number}}
+ *   Resolved configuration
+ * @throws {Error} If no provider is configured at all
+ *
+ * @example
+ * resolveModelConfig({ provider: "anthropic", temperature: 0.2 });
+ * // => { provider: "anthropic", model: "claude-sonnet-4-5", temperature: 0.2 }
+ */
+export function resolveModelConfig(requested = {}) {
+    const candidates = [
+        requested.provider,
+        process.env.LLM_PROVIDER,
+        ...getFallbackOrder(),
+    ].filter(Boolean);
+
+    for (const id of candidates) {
+        const provider = PROVIDERS[id];
+
+        if (!provider || !provider.isConfigured()) {
+            continue;
+        }
+
+        const model = id === requested.provider && requested.model
+            ? requested.model
+            : provider.defaultModel();
+
+        const temperature = Number.isFinite(requested.temperature)
+            ? Math.min(Math.max(requested.temperature, TEMPERATURE_RANGE.min), TEMPERATURE_RANGE.max)
+            : undefined;
+
+        return { provider: id, model, ...(temperature !== undefined && { temperature }) };
+    }
+
+    throw new Error("No LLM provider is configured. Set an API key for at least one provider.");
+}
+
+/**
+ * Creates the AI adapter for a resolved configuration
+ *
+ * @param {Object} config - Result of resolveModelConfig
+ * @param {string} config.provider - Provider ID
+ * @param {string} config.model - Model name
+ * @param {number} [config.temperature] - Sampling temperature
+ * @param {string} [role=MODEL_ROLES.CODE] - Which agent the model is for
+ * @returns {Object} Inngest AI adapter usable as an agent `model`
+ * @throws {Error} If the provider is unknown
+ *
+ * @example
+ * const model = createModel(config, MODEL_ROLES.TITLE);
+ * createAgent({ name: "fragment-title-generator", model, ... });
+ */
+export function createModel(config, role = MODEL_ROLES.CODE) {
+    const provider = PROVIDERS[config.provider];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+
+    return provider.create({ model: config.model, role, temperature: config.temperature });
+}
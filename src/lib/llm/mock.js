@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Mock LLM Script Replay
+ *
+ * Replays recorded tool-call scripts in the OpenAI chat completion format so
+ * the whole code-agent/run workflow can run without a real model.
+ *
+ * A script is a JSON file in ./scripts with one array of turns per role
+ * (code, title, response, ...). Each turn is either:
+ * - { "content": "..." } for a plain assistant text reply
+ * - { "tool_calls": [{ "name": "...", "arguments": { ... } }] } for tool use
+ *
+ * The turn is chosen from the number of this role's own replies sent after
+ * the latest user message, so identical requests always get identical
+ * replies. When a role runs out of turns the last turn is repeated.
+ *
+ * @module lib/llm/mock
+ */
+
+import defaultScript from "./scripts/default.json";
+
+/**
+ * Available scripts keyed by name (the "model" of the mock provider)
+ * @constant {Object<string, Object>}
+ */
+const SCRIPTS = {
+    default: defaultScript,
+};
+
+/**
+ * Looks up a recorded script by name
+ *
+ * @param {string} name - Script name
+ * @returns {Object|null} The script, or null if unknown
+ */
+export function getMockScript(name) {
+    return SCRIPTS[name] || null;
+}
+
+/**
+ * Counts the turns a role has already taken since the latest user message
+ *
+ * Other agents in the same network also add assistant messages to the
+ * history, so only replies recognisable as this role's are counted: tool
+ * calls carrying our mock_<role>_ ids, or text matching one of its turns.
+ * Tool results come back as role "tool", so they do not reset the count.
+ *
+ * @param {Array<Object>} turns - The role's scripted turns
+ * @param {string} role - Script section being replayed
+ * @param {Array<Object>} messages - OpenAI-format request messages
+ * @returns {number} Index of the turn to replay
+ */
+function getTurnIndex(turns, role, messages = []) {
+    const lastUserIndex = messages.findLastIndex((m) => m.role === "user");
+    const scriptedContent = new Set(turns.map((turn) => turn.content).filter(Boolean));
+
+    return messages
+        .slice(lastUserIndex + 1)
+        .filter((m) => m.role === "assistant")
+        .filter((m) =>
+            m.tool_calls?.some((call) => call.id?.startsWith(`mock_${role}_`)) ||
+            scriptedContent.has(m.content)
+        )
+        .length;
+}
+
+/**
+ * Builds an OpenAI chat completion response for the next scripted turn
+ *
+ * @param {Object} script - Recorded script
+ * @param {string} role - Script section to replay (code, title, response)
+ * @param {Object} body - OpenAI chat completion request body
+ * @returns {Object} OpenAI chat completion response
+ * @throws {Error} If the script has no turns for the role
+ *
+ * @example
+ * const response = replayTurn(getMockScript("default"), "code", body);
+ */
+export function replayTurn(script, role, body) {
+    const turns = script[role];
+
+    if (!Array.isArray(turns) || turns.length === 0) {
+        throw new Error(`Mock script has no turns for role "${role}"`);
+    }
+
+    const index = Math.min(getTurnIndex(turns, role, body?.messages), turns.length - 1);
+    const turn = turns[index];
+
+    const toolCalls = (turn.tool_calls || []).map((call, callIndex) => ({
+        id: `mock_${role}_${index}_${callIndex}`,
+        type: "function",
+        function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {}),
+        },
+    }));
+
+    return {
+        id: `mock-${role}-${index}`,
+        object: "chat.completion",
+        created: 0,
+        model: body?.model || "mock",
+        choices: [
+            {
+                index: 0,
+                finish_reason: toolCalls.length > 0 ? "tool_calls" : "stop",
+                message: {
+                    role: "assistant",
+                    content: turn.content || null,
+                    ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+                },
+            },
+        ],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview LLM Pricing Table
+ *
+ * Approximate list prices used to estimate the cost of agent runs. Prices
+ * are in USD per million tokens and matched by model name prefix, longest
+ * prefix first, so "gpt-4.1-mini" is not billed as "gpt-4.1".
+ *
+ * Models without an entry (local, mock, unknown) have no cost estimate.
+ *
+ * @module lib/llm/pricing
+ */
+
+/**
+ * USD per million tokens, keyed by model name prefix
+ * @constant {Object<string, {input: number, output: number}>}
+ */
+export const MODEL_PRICING = {
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "claude-sonnet-4": { input: 3, output: 15 },
+    "claude-opus-4": { input: 15, output: 75 },
+    "claude-haiku-4": { input: 1, output: 5 },
+    "gemini-2.5-pro": { input: 1.25, output: 10 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+    "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+};
+
+/**
+ * Estimates the cost of a number of tokens on a model
+ *
+ * @param {string} model - Model name
+ * @param {Object} tokens - Token counts
+ * @param {number} tokens.inputTokens - Prompt tokens
+ * @param {number} tokens.outputTokens - Completion tokens
+ * @returns {number|null} Cost in USD, or null if the model is not priced
+ *
+ * @example
+ * estimateCost("gpt-4.1", { inputTokens: 12000, outputTokens: 3000 }); // 0.048
+ */
+export function estimateCost(model, { inputTokens, outputTokens }) {
+    const prefix = Object.keys(MODEL_PRICING)
+        .filter((key) => model?.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+
+    if (!prefix) {
+        return null;
+    }
+
+    const price = MODEL_PRICING[prefix];
+
+    return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Message Tree
+ *
+ * Builds and walks the tree of a project's messages (see lib/branches for
+ * how branches work). Has no dependencies, so the walkers can be tested
+ * without a database.
+ *
+ * - buildMessageTree: Links loaded messages into a tree
+ * - getBranchPath: The messages from the root to a message
+ * - getSiblings: The alternatives of a message
+ * - getLatestLeaf: The newest message under a message
+ *
+ * The walkers stop at messages they have already visited, so a corrupt
+ * parent chain cannot make them loop.
+ *
+ * @module lib/message-tree
+ */
+
+// =============================================================================
+// TREE
+// =============================================================================
+
+/**
+ * Links a project's messages into a tree
+ *
+ * @param {Array<Object>} messages - Messages { id, parentId, ... }, oldest
+ *   first
+ * @param {string|null} [activeMessageId] - The project's recorded tip
+ * @returns {Object} { nodes, tipId } where `nodes` maps message ID to the
+ *   message with its `children` IDs (oldest first) and `tipId` is the
+ *   active branch's tip (null for no messages)
+ */
+export function buildMessageTree(messages, activeMessageId) {
+    const nodes = new Map(messages.map((message) => [message.id, { ...message, children: [] }]));
+
+    for (const node of nodes.values()) {
+        nodes.get(node.parentId)?.children.push(node.id);
+    }
+
+    // Projects without a recorded tip continue from their newest message
+    const tipId = nodes.has(activeMessageId)
+        ? activeMessageId
+        : messages[messages.length - 1]?.id ?? null;
+
+    return { nodes, tipId };
+}
+
+// =============================================================================
+// WALKERS
+// =============================================================================
+
+/**
+ * Lists the messages from the root of the conversation to a message
+ *
+ * @param {Object} tree - Result of buildMessageTree
+ * @param {string|null} [tipId=tree.tipId] - Last message of the path
+ * @returns {Array<string>} Message IDs, oldest first ([] for no tip)
+ */
+export function getBranchPath(tree, tipId = tree.tipId) {
+    const path = [];
+    const seen = new Set();
+    let node = tree.nodes.get(tipId);
+
+    while (node && !seen.has(node.id)) {
+        seen.add(node.id);
+        path.push(node.id);
+        node = tree.nodes.get(node.parentId);
+    }
+
+    return path.reverse();
+}
+
+/**
+ * Lists the alternatives of a message: the messages sharing its parent
+ *
+ * @param {Object} tree - Result of buildMessageTree
+ * @param {string} messageId - Message ID
+ * @returns {Array<string>} Sibling IDs including the message, oldest first
+ */
+export function getSiblings(tree, messageId) {
+    const node = tree.nodes.get(messageId);
+
+    if (!node) {
+        return [];
+    }
+
+    if (node.parentId) {
+        return tree.nodes.get(node.parentId)?.children ?? [messageId];
+    }
+
+    // First messages of the conversation have no parent
+    return [...tree.nodes.values()]
+        .filter((candidate) => !candidate.parentId)
+        .map(({ id }) => id);
+}
+
+/**
+ * Finds the newest message in the branches under a message
+ *
+ * Switching to a branch resumes where the user last worked on it. The
+ * newest message of a subtree is always one of its leaves.
+ *
+ * @param {Object} tree - Result of buildMessageTree
+ * @param {string} messageId - Root of the subtree
+ * @returns {string|null} Message ID (the message itself if it has no
+ *   replies), or null if the message is not in the tree
+ */
+export function getLatestLeaf(tree, messageId) {
+    let latest = tree.nodes.get(messageId);
+    const pending = latest ? [...latest.children] : [];
+    const seen = new Set([messageId]);
+
+    while (pending.length > 0) {
+        const id = pending.pop();
+
+        if (seen.has(id)) {
+            continue;
+        }
+        seen.add(id);
+
+        const node = tree.nodes.get(id);
+
+        if (node.createdAt > latest.createdAt) {
+            latest = node;
+        }
+        pending.push(...node.children);
+    }
+
+    return latest?.id ?? null;
+}
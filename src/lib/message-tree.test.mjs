@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Message Tree Tests
+ *
+ * Walks small message trees with edited (branched) turns, including trees
+ * with several first messages and a corrupt parent cycle.
+ *
+ * @module lib/message-tree.test
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildMessageTree, getBranchPath, getLatestLeaf, getSiblings } from "./message-tree.js";
+
+/**
+ * Builds messages from [id, parentId] pairs, one minute apart in order
+ *
+ * @param {Array<Array<string|null>>} pairs - Message and parent IDs, oldest
+ *   first
+ * @returns {Array<Object>} Messages as loadMessageTree selects them
+ */
+const messages = (pairs) => pairs.map(([id, parentId], index) => ({
+    id,
+    parentId,
+    role: index % 2 === 0 ? "USER" : "ASSISTANT",
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, index)),
+}));
+
+/**
+ * A conversation whose second user message was edited twice:
+ *
+ *   u1 ─ a1 ─ u2 ─ a2 ─ u3 ─ a3
+ *            ├ u2b ─ a2b
+ *            └ u2c
+ *
+ * u3/a3 are the newest messages, so the original branch was last worked on.
+ * @constant {Array<Object>}
+ */
+const CONVERSATION = messages([
+    ["u1", null],
+    ["a1", "u1"],
+    ["u2", "a1"],
+    ["a2", "u2"],
+    ["u2b", "a1"],
+    ["a2b", "u2b"],
+    ["u2c", "a1"],
+    ["u3", "a2"],
+    ["a3", "u3"],
+]);
+
+// =============================================================================
+// TREE
+// =============================================================================
+
+describe("buildMessageTree", () => {
+    it("links children oldest first and keeps the recorded tip", () => {
+        const tree = buildMessageTree(CONVERSATION, "a2b");
+
+        assert.deepEqual(tree.nodes.get("a1").children, ["u2", "u2b", "u2c"]);
+        assert.deepEqual(tree.nodes.get("a3").children, []);
+        assert.equal(tree.tipId, "a2b");
+    });
+
+    it("falls back to the newest message without a valid tip", () => {
+        assert.equal(buildMessageTree(CONVERSATION, null).tipId, "a3");
+        assert.equal(buildMessageTree(CONVERSATION, "deleted").tipId, "a3");
+        assert.equal(buildMessageTree([], null).tipId, null);
+    });
+});
+
+// =============================================================================
+// WALKERS
+// =============================================================================
+
+describe("getBranchPath", () => {
+    it("lists the messages from the root to the tip", () => {
+        const tree = buildMessageTree(CONVERSATION, "a2b");
+
+        assert.deepEqual(getBranchPath(tree), ["u1", "a1", "u2b", "a2b"]);
+        assert.deepEqual(getBranchPath(tree, "a3"), ["u1", "a1", "u2", "a2", "u3", "a3"]);
+        assert.deepEqual(getBranchPath(tree, "missing"), []);
+        assert.deepEqual(getBranchPath(buildMessageTree([], null)), []);
+    });
+
+    it("stops at a message whose parent is missing", () => {
+        const tree = buildMessageTree(messages([["a1", "deleted"], ["u2", "a1"]]), "u2");
+
+        assert.deepEqual(getBranchPath(tree), ["a1", "u2"]);
+    });
+
+    it("visits each message once when the parents form a cycle", () => {
+        const tree = buildMessageTree(messages([["x", "y"], ["y", "x"], ["z", "y"]]), "z");
+
+        assert.deepEqual(getBranchPath(tree), ["x", "y", "z"]);
+        assert.deepEqual(getBranchPath(tree, "x"), ["y", "x"]);
+    });
+});
+
+describe("getSiblings", () => {
+    it("lists the messages sharing a parent, oldest first", () => {
+        const tree = buildMessageTree(CONVERSATION, "a3");
+
+        assert.deepEqual(getSiblings(tree, "u2b"), ["u2", "u2b", "u2c"]);
+        assert.deepEqual(getSiblings(tree, "a3"), ["a3"]);
+        assert.deepEqual(getSiblings(tree, "missing"), []);
+    });
+
+    it("treats all first messages as siblings", () => {
+        const tree = buildMessageTree(messages([["u1", null], ["a1", "u1"], ["u1b", null]]), "u1b");
+
+        assert.deepEqual(getSiblings(tree, "u1"), ["u1", "u1b"]);
+        assert.deepEqual(getSiblings(tree, "u1b"), ["u1", "u1b"]);
+    });
+
+    it("returns only the message when its parent is missing", () => {
+        const tree = buildMessageTree(messages([["a1", "deleted"], ["u2", "a1"]]), "u2");
+
+        assert.deepEqual(getSiblings(tree, "a1"), ["a1"]);
+    });
+});
+
+describe("getLatestLeaf", () => {
+    it("finds the newest message under a message, on any branch", () => {
+        const tree = buildMessageTree(CONVERSATION, "a2b");
+
+        assert.equal(getLatestLeaf(tree, "u1"), "a3");
+        assert.equal(getLatestLeaf(tree, "u2"), "a3");
+        assert.equal(getLatestLeaf(tree, "u2b"), "a2b");
+    });
+
+    it("returns the message itself without replies, and null if it is missing", () => {
+        const tree = buildMessageTree(CONVERSATION, "a3");
+
+        assert.equal(getLatestLeaf(tree, "u2c"), "u2c");
+        assert.equal(getLatestLeaf(tree, "missing"), null);
+    });
+
+    it("terminates when the parents form a cycle", () => {
+        const tree = buildMessageTree(messages([["x", "y"], ["y", "x"], ["z", "y"]]), "z");
+
+        assert.equal(getLatestLeaf(tree, "x"), "z");
+        assert.equal(getLatestLeaf(tree, "y"), "z");
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Agent Progress Stages
+ *
+ * Stage identifiers shared by the workflow (which publishes progress events),
+ * the SSE route (which streams them) and the message loader (which renders
+ * them). Kept free of server imports so client components can use it.
+ *
+ * @module lib/progress
+ */
+
+/**
+ * Stage identifiers used by the UI to pick an icon
+ * @constant {Object<string, string>}
+ */
+export const PROGRESS_STAGES = {
+    MODEL: "model",
+    SANDBOX: "sandbox",
+    CONTEXT: "context",
+    RESTORE: "restore",
+    INSTALL: "install",
+    PLAN: "plan",
+    TOOL: "tool",
+    REVIEW: "review",
+    VERIFY: "verify",
+    FINALIZE: "finalize",
+    DONE: "done",
+    FAILED: "failed",
+    CANCELLED: "cancelled",
+};
+
+/**
+ * Stages after which a run publishes no further events
+ * @constant {Array<string>}
+ */
+export const TERMINAL_STAGES = [
+    PROGRESS_STAGES.DONE,
+    PROGRESS_STAGES.FAILED,
+    PROGRESS_STAGES.CANCELLED,
+];
@@ -0,0 +1,533 @@
+/**
+ * @fileoverview Local Docker Sandbox Provider
+ *
+ * Runs sandboxes as containers on the local Docker daemon, so self-hosted
+ * installs and offline development need no E2B account. Images are built
+ * on first use from the same Dockerfiles as the E2B templates
+ * (sanbox-templates/, see lib/templates), and containers run the
+ * template's start command.
+ *
+ * The docker CLI is used rather than an API client, so the only
+ * requirement is a working `docker` on the PATH of the app server.
+ *
+ * Differences from E2B:
+ * - Containers have no built-in timeout; they run until killed (replaced
+ *   project sandboxes are killed by lib/sandbox, idle ones by the
+ *   sandbox-gc function)
+ * - Containers carry CONTAINER_LABEL, so list() only returns the app's own
+ * - getHost returns DOCKER_SANDBOX_HOST (default localhost) with the
+ *   container's published port
+ * - PTY sessions run `script` through `docker exec` and live in the app
+ *   server process, so terminal requests must reach the same server
+ *
+ * @module lib/sandbox/docker
+ */
+
+import { spawn } from "node:child_process";
+import path from "node:path";
+import { getTemplateBySandboxTemplate } from "../templates";
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Dockerfile name inside each template directory
+ * @constant {string}
+ */
+const DOCKERFILE = "e2b.Dockerfile";
+
+/**
+ * Directory files and commands are relative to, as in E2B
+ * @constant {string}
+ */
+const WORKDIR = "/home/user";
+
+/**
+ * Container ports published to the host
+ * @constant {Array<number>}
+ */
+const EXPOSED_PORTS = [3000];
+
+/**
+ * Label marking containers created by this provider
+ * @constant {string}
+ */
+const CONTAINER_LABEL = "v0-clone.sandbox";
+
+/**
+ * Default command timeout, matching the E2B SDK
+ * @constant {number}
+ */
+const DEFAULT_COMMAND_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Maximum time for building a template image
+ * @constant {number}
+ */
+const BUILD_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Exit code of coreutils `timeout` when the command was stopped
+ * @constant {number}
+ */
+const TIMEOUT_EXIT_CODE = 124;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Error thrown when a command exits with a non-zero code
+ * Mirrors the E2B SDK's CommandExitError so callers handle both alike
+ */
+export class CommandExitError extends Error {
+    /**
+     * @param {Object} result - Command result
+     * @param {number} result.exitCode - Exit code
+     * @param {string} result.stdout - Standard output
+     * @param {string} result.stderr - Standard error
+     */
+    constructor({ exitCode, stdout, stderr }) {
+        super(`Command exited with code ${exitCode}`);
+        this.name = "CommandExitError";
+        this.exitCode = exitCode;
+        this.stdout = stdout;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Runs the docker CLI
+ *
+ * @param {Array<string>} args - CLI arguments
+ * @param {Object} [options] - Options
+ * @param {string} [options.input] - Data written to stdin
+ * @param {Function} [options.onStdout] - Called with each stdout chunk
+ * @param {Function} [options.onStderr] - Called with each stderr chunk
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+ *   Result; non-zero exit codes are returned, not thrown
+ * @throws {Error} If the docker CLI cannot be started
+ */
+function docker(args, { input, onStdout, onStderr } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn("docker", args);
+        const result = { exitCode: 0, stdout: "", stderr: "" };
+
+        child.stdout.setEncoding("utf8");
+        child.stderr.setEncoding("utf8");
+
+        child.stdout.on("data", (data) => {
+            result.stdout += data;
+            onStdout?.(data);
+        });
+
+        child.stderr.on("data", (data) => {
+            result.stderr += data;
+            onStderr?.(data);
+        });
+
+        child.on("error", (error) => {
+            reject(new Error(`Failed to run docker: ${error.message}`));
+        });
+
+        child.on("close", (code) => {
+            resolve({ ...result, exitCode: code ?? 1 });
+        });
+
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Runs the docker CLI, throwing on a non-zero exit code
+ *
+ * @param {Array<string>} args - CLI arguments
+ * @returns {Promise<string>} Trimmed stdout
+ * @throws {Error} With docker's stderr if the command failed
+ */
+async function dockerOrThrow(args) {
+    const result = await docker(args);
+
+    if (result.exitCode !== 0) {
+        throw new Error(result.stderr.trim() || `docker ${args[0]} failed`);
+    }
+
+    return result.stdout.trim();
+}
+
+/**
+ * Returns the image tag for a template
+ *
+ * @param {string} template - Template name
+ * @returns {string} Image tag
+ */
+function imageName(template) {
+    return `v0-clone-sandbox-${template}`;
+}
+
+/**
+ * In-flight image builds, so concurrent creates build once
+ * @type {Map<string, Promise<void>>}
+ */
+const builds = new Map();
+
+/**
+ * Builds the template image unless it already exists
+ *
+ * @async
+ * @param {string} template - Template name
+ * @returns {Promise<void>}
+ * @throws {Error} If the template is unknown or the build fails
+ */
+async function ensureImage(template) {
+    const directory = getTemplateBySandboxTemplate(template)?.directory;
+
+    if (!directory) {
+        throw new Error(`No Dockerfile for sandbox template "${template}"`);
+    }
+
+    const image = imageName(template);
+    const existing = await docker(["image", "inspect", image]);
+
+    if (existing.exitCode === 0) {
+        return;
+    }
+
+    if (!builds.has(image)) {
+        const context = path.join(process.cwd(), directory);
+
+        const build = docker([
+            "build",
+            "--tag", image,
+            "--file", path.join(context, DOCKERFILE),
+            context,
+        ]).then((result) => {
+            if (result.exitCode !== 0) {
+                throw new Error(`Failed to build sandbox image ${image}: ${result.stderr.trim()}`);
+            }
+        }).finally(() => builds.delete(image));
+
+        builds.set(image, build);
+    }
+
+    let timer;
+
+    await Promise.race([
+        builds.get(image),
+        new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new Error(`Building sandbox image ${image} timed out`)),
+                BUILD_TIMEOUT_MS
+            );
+        }),
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs a process inside a container
+ *
+ * @param {string} containerId - Container ID
+ * @param {Array<string>} command - Command and arguments
+ * @param {Object} [options] - Options passed to docker()
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+ */
+function exec(containerId, command, options = {}) {
+    return docker([
+        "exec",
+        ...(options.input !== undefined ? ["--interactive"] : []),
+        "--workdir", WORKDIR,
+        containerId,
+        ...command,
+    ], options);
+}
+
+/**
+ * PTY sessions started by this server, keyed "<containerId>:<pid>"
+ * @type {Map<string, Object>}
+ */
+const ptySessions = new Map();
+
+/**
+ * Last PTY ID handed out (IDs are per server, not container PIDs)
+ * @type {number}
+ */
+let lastPtyId = 0;
+
+/**
+ * Builds the PTY API of a container, mirroring E2B's sandbox.pty
+ *
+ * A PTY is allocated inside the container by `script`; the tty it gets is
+ * written to a file so resizes can target it with `stty`.
+ *
+ * @param {string} containerId - Container ID
+ * @returns {Object} { create, connect, sendInput, resize, kill }
+ */
+function createPty(containerId) {
+    const getSession = (pid) => {
+        const session = ptySessions.get(`${containerId}:${pid}`);
+
+        if (!session) {
+            throw new Error(`PTY ${pid} not found`);
+        }
+
+        return session;
+    };
+
+    const handleFor = (pid, session) => ({
+        pid,
+        wait: () => session.exited,
+        disconnect: async () => {
+            session.onData = null;
+        },
+    });
+
+    return {
+        create: async ({ cols, rows, onData, cwd = WORKDIR, envs = {} }) => {
+            const pid = ++lastPtyId;
+            const key = `${containerId}:${pid}`;
+            const ttyFile = `/tmp/pty-${pid}`;
+
+            const child = spawn("docker", [
+                "exec",
+                "--interactive",
+                "--workdir", cwd,
+                ...Object.entries({ TERM: "xterm-256color", ...envs })
+                    .flatMap(([name, value]) => ["--env", `${name}=${value}`]),
+                containerId,
+                "script", "--quiet", "--flush",
+                "--command", `tty > ${ttyFile}; stty cols ${cols} rows ${rows}; exec bash -l`,
+                "/dev/null",
+            ]);
+
+            const session = { child, onData, ttyFile };
+            const forward = (data) => session.onData?.(new Uint8Array(data));
+
+            child.stdout.on("data", forward);
+            child.stderr.on("data", forward);
+
+            session.exited = new Promise((resolve) => {
+                child.on("close", (code) => {
+                    ptySessions.delete(key);
+                    resolve({ exitCode: code ?? 1 });
+                });
+                child.on("error", () => {
+                    ptySessions.delete(key);
+                    resolve({ exitCode: 1 });
+                });
+            });
+
+            ptySessions.set(key, session);
+            return handleFor(pid, session);
+        },
+
+        connect: async (pid, { onData } = {}) => {
+            const session = getSession(pid);
+            session.onData = onData;
+            return handleFor(pid, session);
+        },
+
+        sendInput: async (pid, data) => {
+            getSession(pid).child.stdin.write(Buffer.from(data));
+        },
+
+        resize: async (pid, { cols, rows }) => {
+            const { ttyFile } = getSession(pid);
+
+            await exec(containerId, [
+                "sh", "-c", 'stty -F "$(cat "$1")" cols "$2" rows "$3"',
+                "sh", ttyFile, String(cols), String(rows),
+            ]);
+        },
+
+        kill: async (pid) => {
+            const session = ptySessions.get(`${containerId}:${pid}`);
+
+            if (!session) {
+                return false;
+            }
+
+            session.child.stdin.end();
+            session.child.kill();
+            return true;
+        },
+    };
+}
+
+/**
+ * Builds the sandbox handle for a running container
+ *
+ * @param {string} containerId - Container ID
+ * @param {Object<number, string>} ports - Host port per container port
+ * @returns {Object} Sandbox with the same surface as an E2B instance
+ */
+function createHandle(containerId, ports) {
+    return {
+        sandboxId: containerId,
+
+        files: {
+            read: async (filePath) => {
+                const result = await exec(containerId, ["cat", "--", filePath]);
+
+                if (result.exitCode !== 0) {
+                    throw new Error(result.stderr.trim() || `Cannot read ${filePath}`);
+                }
+
+                return result.stdout;
+            },
+
+            write: async (filePath, content) => {
+                const result = await exec(
+                    containerId,
+                    ["sh", "-c", 'mkdir -p "$(dirname "$1")" && cat > "$1"', "sh", filePath],
+                    { input: content }
+                );
+
+                if (result.exitCode !== 0) {
+                    throw new Error(result.stderr.trim() || `Cannot write ${filePath}`);
+                }
+            },
+
+            remove: async (filePath) => {
+                await exec(containerId, ["rm", "-rf", "--", filePath]);
+            },
+        },
+
+        commands: {
+            /**
+             * Runs a shell command like E2B's commands.run
+             * @throws {CommandExitError} On a non-zero exit code
+             */
+            run: async (command, { timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS, onStdout, onStderr } = {}) => {
+                const seconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+                const result = await exec(
+                    containerId,
+                    ["timeout", "--kill-after=5", String(seconds), "bash", "-l", "-c", command],
+                    { onStdout, onStderr }
+                );
+
+                if (result.exitCode === TIMEOUT_EXIT_CODE) {
+                    throw new Error(`Command timed out after ${seconds}s`);
+                }
+
+                if (result.exitCode !== 0) {
+                    throw new CommandExitError(result);
+                }
+
+                return result;
+            },
+        },
+
+        pty: createPty(containerId),
+
+        getHost: (port) => {
+            if (!ports[port]) {
+                throw new Error(`Port ${port} is not published by sandbox ${containerId}`);
+            }
+
+            return `${process.env.DOCKER_SANDBOX_HOST || "localhost"}:${ports[port]}`;
+        },
+
+        // Containers have no timeout (see module docs)
+        setTimeout: async () => {},
+    };
+}
+
+/**
+ * Reads a container's state and published ports
+ *
+ * @async
+ * @param {string} containerId - Container ID
+ * @returns {Promise<Object|null>} { running, ports }, or null if missing
+ */
+async function inspect(containerId) {
+    const result = await docker(["inspect", "--format", "{{json .}}", containerId]);
+
+    if (result.exitCode !== 0) {
+        return null;
+    }
+
+    const info = JSON.parse(result.stdout);
+    const ports = {};
+
+    for (const port of EXPOSED_PORTS) {
+        const binding = info.NetworkSettings?.Ports?.[`${port}/tcp`]?.[0];
+
+        if (binding) {
+            ports[port] = binding.HostPort;
+        }
+    }
+
+    return { running: !!info.State?.Running, ports };
+}
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+/**
+ * Docker implementation of the sandbox provider interface (see lib/sandbox)
+ * @constant {Object}
+ */
+export const dockerProvider = {
+    label: "Local Docker",
+
+    create: async (template) => {
+        await ensureImage(template);
+
+        const containerId = await dockerOrThrow([
+            "run",
+            "--detach",
+            "--label", `${CONTAINER_LABEL}=${template}`,
+            ...EXPOSED_PORTS.flatMap((port) => ["--publish", `127.0.0.1::${port}`]),
+            imageName(template),
+            getTemplateBySandboxTemplate(template).startCommand,
+        ]);
+
+        return dockerProvider.connect(containerId);
+    },
+
+    connect: async (sandboxId) => {
+        let info = await inspect(sandboxId);
+
+        if (!info) {
+            throw new Error(`Sandbox ${sandboxId} not found`);
+        }
+
+        // Stopped containers (e.g. after a Docker restart) are resumed;
+        // published ports can change, so inspect again
+        if (!info.running) {
+            await dockerOrThrow(["start", sandboxId]);
+            info = await inspect(sandboxId);
+        }
+
+        return createHandle(sandboxId, info.ports);
+    },
+
+    setTimeout: async () => {},
+
+    kill: async (sandboxId) => {
+        const result = await docker(["rm", "--force", sandboxId]);
+        return result.exitCode === 0;
+    },
+
+    list: async () => {
+        const ids = await dockerOrThrow([
+            "ps", "--all", "--quiet", "--no-trunc",
+            "--filter", `label=${CONTAINER_LABEL}`,
+        ]);
+
+        if (!ids) {
+            return [];
+        }
+
+        const created = await dockerOrThrow([
+            "inspect", "--format", "{{.Id}} {{.Created}}", ...ids.split("\n"),
+        ]);
+
+        return created.split("\n").filter(Boolean).map((line) => {
+            const [sandboxId, startedAt] = line.split(" ");
+            return { sandboxId, startedAt: new Date(startedAt) };
+        });
+    },
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview E2B Sandbox Provider
+ *
+ * Hosted sandboxes from E2B (requires E2B_API_KEY). E2B sandbox instances
+ * already expose the interface the workflow uses (files, commands, getHost,
+ * setTimeout), so they are returned as-is. Sandboxes are tagged with
+ * metadata so list() only returns the app's own.
+ *
+ * @module lib/sandbox/e2b
+ */
+
+import Sandbox from "@e2b/code-interpreter";
+
+/**
+ * Metadata marking sandboxes created by this app, so listing skips other
+ * sandboxes of the same E2B team
+ * @constant {Object<string, string>}
+ */
+const SANDBOX_METADATA = { app: "v0-clone" };
+
+/**
+ * E2B implementation of the sandbox provider interface (see lib/sandbox)
+ * @constant {Object}
+ */
+export const e2bProvider = {
+    label: "E2B",
+
+    create: (template, { timeoutMs }) => Sandbox.create(template, {
+        timeoutMs,
+        metadata: { ...SANDBOX_METADATA, template },
+    }),
+
+    connect: (sandboxId) => Sandbox.connect(sandboxId),
+
+    setTimeout: (sandboxId, timeoutMs) => Sandbox.setTimeout(sandboxId, timeoutMs),
+
+    kill: (sandboxId) => Sandbox.kill(sandboxId),
+
+    list: async () => {
+        const paginator = Sandbox.list({
+            query: { metadata: SANDBOX_METADATA },
+        });
+        const sandboxes = [];
+
+        while (paginator.hasNext) {
+            for (const info of await paginator.nextItems()) {
+                sandboxes.push({ sandboxId: info.sandboxId, startedAt: new Date(info.startedAt) });
+            }
+        }
+
+        return sandboxes;
+    },
+};
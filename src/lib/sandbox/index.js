@@ -0,0 +1,868 @@
+/**
+ * @fileoverview Sandbox Providers and Project Sandboxes
+ *
+ * This module is the single place where the app obtains sandboxes. A
+ * provider creates, connects to and kills sandboxes; every sandbox exposes
+ * the same surface as an E2B instance:
+ *
+ * - sandboxId
+ * - files.read(path), files.write(path, content), files.remove(path)
+ * - commands.run(command, { timeoutMs, onStdout, onStderr }), throwing an
+ *   error with exitCode/stdout/stderr on a non-zero exit
+ * - getHost(port), setTimeout(timeoutMs)
+ * - pty.create({ cols, rows, onData, cwd, envs, timeoutMs }),
+ *   pty.connect(pid, { onData }), pty.sendInput(pid, bytes),
+ *   pty.resize(pid, { cols, rows }), pty.kill(pid); handles expose pid,
+ *   wait() and disconnect()
+ *
+ * Providers:
+ * - e2b: Hosted E2B sandboxes (requires E2B_API_KEY)
+ * - docker: Containers on the local Docker daemon (self-hosted/offline)
+ *
+ * The provider is SANDBOX_PROVIDER, or e2b when E2B_API_KEY is set and
+ * docker otherwise.
+ *
+ * On top of the providers, one live sandbox per project (Sandbox table) is
+ * reused across messages. Reconnecting skips the cold start and keeps
+ * packages installed in earlier runs; a new sandbox is only created when
+ * the previous one has expired or was killed.
+ *
+ * The record also tracks which fragment's files the sandbox holds, so a
+ * reused sandbox is only rewritten from the database when it has drifted
+ * (failed run, restored fragment, ...).
+ *
+ * Previews are health-checked by probing their URL, and work on a
+ * project's sandbox (getting it, restoring into it) is serialized with a
+ * lease in the database so concurrent requests reuse one sandbox instead
+ * of each creating their own.
+ *
+ * Every sandbox the app creates is recorded: previews and production
+ * builds (purpose). Creating one enforces the owner's sandbox quota
+ * (lib/usage), and the sandbox-gc function kills idle, over-quota and
+ * untracked sandboxes (see GARBAGE COLLECTION below).
+ *
+ * @module lib/sandbox
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+import { AgentRunStatus, SandboxPurpose, SandboxStatus } from "@prisma/client";
+import db from "../db";
+import { getTemplate } from "../templates";
+import { getSandboxLimit } from "../usage";
+import { dockerProvider } from "./docker";
+import { e2bProvider } from "./e2b";
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * How long a sandbox stays alive after its last use
+ * @constant {number}
+ */
+export const SANDBOX_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Maximum time to wait for a preview URL to answer a health probe
+ * @constant {number}
+ */
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Lifetime of a project sandbox lease; the holder renews it while it works,
+ * so this only bounds how long a crashed holder blocks the project
+ * @constant {number}
+ */
+const LOCK_LEASE_MS = 60 * 1000; // 1 minute
+
+/**
+ * How often the holder renews its lease
+ * @constant {number}
+ */
+const LOCK_RENEW_INTERVAL_MS = 20 * 1000;
+
+/**
+ * Maximum time to wait for a project sandbox lock (restore incl. npm install)
+ * @constant {number}
+ */
+const LOCK_WAIT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Delay between attempts to take a held lock
+ * @constant {number}
+ */
+const LOCK_POLL_INTERVAL_MS = 500;
+
+/**
+ * Untracked sandboxes younger than this are left alone by the garbage
+ * collector, since they may be between creation and being recorded
+ * @constant {number}
+ */
+const ORPHAN_GRACE_PERIOD_MS = 10 * 60 * 1000; // 10 minutes
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+/**
+ * Registry of sandbox providers
+ *
+ * Each entry exposes:
+ * - label: Human-readable name
+ * - create(template, { timeoutMs }): Starts a sandbox from a template
+ * - connect(sandboxId): Connects to a running sandbox (throws if gone)
+ * - setTimeout(sandboxId, timeoutMs): Extends a sandbox's lifetime
+ * - kill(sandboxId): Stops a sandbox; resolves false if it was gone
+ * - list(): The app's sandboxes known to the provider
+ *   ([{ sandboxId, startedAt }])
+ *
+ * @constant {Object<string, Object>}
+ */
+const PROVIDERS = {
+    e2b: e2bProvider,
+    docker: dockerProvider,
+};
+
+/**
+ * Returns the ID of the sandbox provider in use
+ *
+ * @returns {string} Provider ID (key of PROVIDERS)
+ */
+export function getSandboxProviderId() {
+    const requested = process.env.SANDBOX_PROVIDER;
+
+    if (requested && PROVIDERS[requested]) {
+        return requested;
+    }
+
+    return process.env.E2B_API_KEY ? "e2b" : "docker";
+}
+
+/**
+ * Returns the sandbox provider in use
+ *
+ * @returns {Object} Provider (see PROVIDERS)
+ */
+function getProvider() {
+    return PROVIDERS[getSandboxProviderId()];
+}
+
+/**
+ * Creates a sandbox from a template
+ *
+ * @async
+ * @param {string} template - Sandbox template name (lib/templates)
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeoutMs=SANDBOX_TIMEOUT_MS] - Lifetime
+ * @returns {Promise<Object>} Sandbox
+ */
+export function createSandbox(template, { timeoutMs = SANDBOX_TIMEOUT_MS } = {}) {
+    return getProvider().create(template, { timeoutMs });
+}
+
+/**
+ * Connects to a running sandbox
+ *
+ * @async
+ * @param {string} sandboxId - Sandbox ID
+ * @returns {Promise<Object>} Sandbox
+ * @throws {Error} If the sandbox no longer exists
+ *
+ * @example
+ * const sandbox = await connectSandbox(sandboxId);
+ * await sandbox.files.write("app/page.tsx", content);
+ */
+export function connectSandbox(sandboxId) {
+    return getProvider().connect(sandboxId);
+}
+
+/**
+ * Extends a sandbox's lifetime
+ *
+ * @async
+ * @param {string} sandboxId - Sandbox ID
+ * @param {number} timeoutMs - New lifetime from now
+ * @returns {Promise<void>}
+ */
+export function setSandboxTimeout(sandboxId, timeoutMs) {
+    return getProvider().setTimeout(sandboxId, timeoutMs);
+}
+
+/**
+ * Stops a sandbox
+ *
+ * @async
+ * @param {string} sandboxId - Sandbox ID
+ * @returns {Promise<boolean>} False if the sandbox was already gone
+ */
+export function killSandbox(sandboxId) {
+    return getProvider().kill(sandboxId);
+}
+
+// =============================================================================
+// PROJECT SANDBOXES
+// =============================================================================
+
+/**
+ * Returns the expiry time for a sandbox used now
+ *
+ * @returns {Date} Expiry date
+ */
+function nextExpiry() {
+    return new Date(Date.now() + SANDBOX_TIMEOUT_MS);
+}
+
+/**
+ * Unique key of a project's sandbox record for a purpose
+ *
+ * @param {string} projectId - Project ID
+ * @param {string} [purpose=PREVIEW] - SandboxPurpose
+ * @returns {Object} Prisma where clause
+ */
+function projectSandboxKey(projectId, purpose = SandboxPurpose.PREVIEW) {
+    return { projectId_purpose: { projectId, purpose } };
+}
+
+/**
+ * Connects to the project's live sandbox, or creates a new one from the
+ * project's template
+ *
+ * A live sandbox gets its timeout extended. When it cannot be reached
+ * (expired, killed) it is marked EXPIRED and replaced. Callers are expected
+ * to change the sandbox's files, so its recorded fragment is cleared (see
+ * touchSandbox to set it again). Creating a sandbox enforces the owner's
+ * quota (see makeRoomForSandbox). Runs under the project's sandbox lock,
+ * so concurrent callers share one sandbox.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.plan="free"] - Owner's plan (lib/usage)
+ * @returns {Promise<Object>} { sandbox, reused, fragmentId, templateId }
+ *   where `fragmentId` is the fragment a reused sandbox holds (null if
+ *   unknown) and `templateId` the project's template (lib/templates)
+ *
+ * @example
+ * const { sandbox, reused } = await getProjectSandbox(projectId);
+ */
+export async function getProjectSandbox(projectId, { plan = "free" } = {}) {
+    return withProjectSandboxLock(projectId, () => openProjectSandbox(projectId, plan));
+}
+
+/**
+ * Connects to or creates the project's sandbox (see getProjectSandbox),
+ * with the project's sandbox lock already held
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {string} plan - Owner's plan (lib/usage)
+ * @returns {Promise<Object>} Result of getProjectSandbox
+ */
+async function openProjectSandbox(projectId, plan) {
+    const provider = getSandboxProviderId();
+    const project = await db.project.findUnique({
+        where: { id: projectId },
+        select: { template: true, userId: true },
+    });
+    const { id: templateId, sandboxTemplate: template } = getTemplate(project?.template);
+    const record = await db.sandbox.findUnique({ where: projectSandboxKey(projectId) });
+    const live = record &&
+        record.status === SandboxStatus.RUNNING &&
+        record.provider === provider;
+
+    if (live && record.template === template && record.expiresAt > new Date()) {
+        try {
+            const sandbox = await connectSandbox(record.sandboxId);
+            await sandbox.setTimeout(SANDBOX_TIMEOUT_MS);
+
+            await db.sandbox.update({
+                where: { id: record.id },
+                data: { fragmentId: null, plan, lastSeenAt: new Date(), expiresAt: nextExpiry() },
+            });
+
+            return { sandbox, reused: true, fragmentId: record.fragmentId, templateId };
+        } catch (error) {
+            console.error("Project sandbox unavailable, creating a new one:", error);
+        }
+    }
+
+    if (live) {
+        // Replaced sandboxes may still be running (Docker containers have
+        // no timeout, templates can change)
+        await releaseSandbox(record.sandboxId, "replaced");
+    }
+
+    await makeRoomForSandbox(project.userId, plan);
+    const sandbox = await createSandbox(template);
+
+    const data = {
+        sandboxId: sandbox.sandboxId,
+        provider,
+        template,
+        plan,
+        status: SandboxStatus.RUNNING,
+        fragmentId: null,
+        lastSeenAt: new Date(),
+        expiresAt: nextExpiry(),
+        killedAt: null,
+        killReason: null,
+    };
+
+    await db.sandbox.upsert({
+        where: projectSandboxKey(projectId),
+        create: { projectId, ...data },
+        update: data,
+    });
+
+    return { sandbox, reused: false, fragmentId: null, templateId };
+}
+
+/**
+ * Records use of a sandbox and extends its timeout
+ *
+ * @async
+ * @param {string} sandboxId - E2B sandbox ID
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.fragmentId] - Fragment the sandbox now
+ *   holds (null = modified since the last fragment); omit to keep it
+ * @returns {Promise<boolean>} False if the sandbox was gone
+ */
+export async function touchSandbox(sandboxId, { fragmentId } = {}) {
+    try {
+        await setSandboxTimeout(sandboxId, SANDBOX_TIMEOUT_MS);
+    } catch (error) {
+        console.error("Failed to extend sandbox timeout:", error);
+        await expireSandbox(sandboxId);
+        return false;
+    }
+
+    await db.sandbox.updateMany({
+        where: { sandboxId },
+        data: {
+            lastSeenAt: new Date(),
+            expiresAt: nextExpiry(),
+            ...(fragmentId !== undefined && { fragmentId }),
+        },
+    });
+
+    return true;
+}
+
+/**
+ * Marks a sandbox as no longer usable (killed or timed out)
+ *
+ * @async
+ * @param {string} sandboxId - E2B sandbox ID
+ * @returns {Promise<void>}
+ */
+export async function expireSandbox(sandboxId) {
+    await db.sandbox.updateMany({
+        where: { sandboxId },
+        data: { status: SandboxStatus.EXPIRED, fragmentId: null },
+    });
+}
+
+/**
+ * Kills a sandbox and records why
+ *
+ * @async
+ * @param {string} sandboxId - Sandbox ID
+ * @param {string} reason - Kill reason ("idle", "quota", "replaced", ...)
+ * @returns {Promise<void>}
+ */
+export async function releaseSandbox(sandboxId, reason) {
+    await killSandbox(sandboxId).catch((error) => {
+        console.error(`Failed to kill sandbox ${sandboxId}:`, error);
+    });
+
+    await db.sandbox.updateMany({
+        where: { sandboxId },
+        data: {
+            status: SandboxStatus.EXPIRED,
+            fragmentId: null,
+            killedAt: new Date(),
+            killReason: reason,
+        },
+    });
+}
+
+/**
+ * Kills a project's preview sandbox, if one is live
+ *
+ * The next restore or agent run starts from a fresh sandbox.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {string} reason - Kill reason (see releaseSandbox)
+ * @returns {Promise<boolean>} Whether a sandbox was killed
+ */
+export async function releaseProjectSandbox(projectId, reason) {
+    const record = await db.sandbox.findUnique({ where: projectSandboxKey(projectId) });
+
+    if (record?.status !== SandboxStatus.RUNNING) {
+        return false;
+    }
+
+    await releaseSandbox(record.sandboxId, reason);
+    return true;
+}
+
+/**
+ * Where clause for live previews that may be killed to free quota or
+ * because they are idle: not used by an agent run in progress
+ *
+ * @param {string} [userId] - Only this owner's previews
+ * @returns {Object} Prisma where clause
+ */
+function evictableWhere(userId) {
+    return {
+        status: SandboxStatus.RUNNING,
+        purpose: SandboxPurpose.PREVIEW,
+        provider: getSandboxProviderId(),
+        project: {
+            ...(userId && { userId }),
+            agentRuns: {
+                none: {
+                    status: AgentRunStatus.RUNNING,
+                    // Runs that crashed without closing their record do not count
+                    startedAt: { gt: new Date(Date.now() - SANDBOX_TIMEOUT_MS) },
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Frees room for a new sandbox within the owner's quota
+ *
+ * Kills the owner's least recently used idle previews until one more
+ * sandbox fits. Previews used by a running generation and builds are
+ * never killed.
+ *
+ * @async
+ * @param {string} userId - Owner's user ID
+ * @param {string} plan - Owner's plan (lib/usage)
+ * @returns {Promise<void>}
+ * @throws {Error} If the quota is used up by sandboxes that cannot be killed
+ */
+async function makeRoomForSandbox(userId, plan) {
+    const limit = getSandboxLimit(plan);
+    const live = await db.sandbox.count({
+        where: { status: SandboxStatus.RUNNING, project: { userId } },
+    });
+
+    if (live < limit) {
+        return;
+    }
+
+    const evictable = await db.sandbox.findMany({
+        where: evictableWhere(userId),
+        orderBy: { lastSeenAt: "asc" },
+        take: live - limit + 1,
+    });
+
+    if (evictable.length < live - limit + 1) {
+        throw new Error(
+            `Sandbox limit reached (${limit} on the ${plan} plan). ` +
+            "Wait for running generations or builds to finish."
+        );
+    }
+
+    for (const record of evictable) {
+        await releaseSandbox(record.sandboxId, "quota");
+    }
+}
+
+/**
+ * Creates a sandbox for a production build of a project
+ *
+ * The sandbox is recorded (one build sandbox per project) and counts
+ * toward the owner's quota. Callers kill it with releaseSandbox when the
+ * build ends; the garbage collector kills it once `timeoutMs` has passed.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Options
+ * @param {string} options.template - Sandbox template name (lib/templates)
+ * @param {number} options.timeoutMs - Lifetime
+ * @param {string} [options.plan="free"] - Owner's plan (lib/usage)
+ * @returns {Promise<Object>} Sandbox
+ */
+export async function createBuildSandbox(projectId, { template, timeoutMs, plan = "free" }) {
+    const project = await db.project.findUnique({
+        where: { id: projectId },
+        select: { userId: true },
+    });
+
+    // A build sandbox left over from an interrupted build
+    const previous = await db.sandbox.findUnique({
+        where: projectSandboxKey(projectId, SandboxPurpose.BUILD),
+    });
+
+    if (previous?.status === SandboxStatus.RUNNING) {
+        await releaseSandbox(previous.sandboxId, "replaced");
+    }
+
+    await makeRoomForSandbox(project.userId, plan);
+    const sandbox = await createSandbox(template, { timeoutMs });
+
+    const data = {
+        sandboxId: sandbox.sandboxId,
+        provider: getSandboxProviderId(),
+        template,
+        plan,
+        status: SandboxStatus.RUNNING,
+        fragmentId: null,
+        lastSeenAt: new Date(),
+        expiresAt: new Date(Date.now() + timeoutMs),
+        killedAt: null,
+        killReason: null,
+    };
+
+    await db.sandbox.upsert({
+        where: projectSandboxKey(projectId, SandboxPurpose.BUILD),
+        create: { projectId, purpose: SandboxPurpose.BUILD, ...data },
+        update: data,
+    });
+
+    return sandbox;
+}
+
+/**
+ * Reports which fragment's files the project's sandbox holds
+ *
+ * Every fragment of a project points at the project's one sandbox, so
+ * only the fragment recorded here is what its preview shows. Nothing is
+ * contacted; the sandbox may still have expired (see probeSandboxUrl).
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @returns {Promise<{live: boolean, fragmentId: string|null}>} Whether a
+ *   sandbox is recorded as running, and the fragment it holds (null if
+ *   modified since, e.g. by a run or the terminal)
+ */
+export async function getProjectSandboxContents(projectId) {
+    const record = await db.sandbox.findUnique({ where: projectSandboxKey(projectId) });
+    const live = !!record &&
+        record.status === SandboxStatus.RUNNING &&
+        record.provider === getSandboxProviderId();
+
+    return { live, fragmentId: live ? record.fragmentId : null };
+}
+
+/**
+ * Connects to the project's live sandbox without creating one
+ *
+ * Unlike getProjectSandbox it keeps the recorded fragment, so it suits
+ * callers that only look at the sandbox (terminal, logs) or that skip a
+ * restore an earlier (or concurrent) request has already done.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.fragmentId] - Only return the sandbox if it
+ *   still holds this fragment's files
+ * @returns {Promise<Object|null>} Sandbox, or null if there is no live
+ *   sandbox (or it holds other files)
+ *
+ * @example
+ * const sandbox = await connectProjectSandbox(projectId);
+ * if (!sandbox) throw new Error("No live sandbox");
+ */
+export async function connectProjectSandbox(projectId, { fragmentId } = {}) {
+    const record = await db.sandbox.findUnique({ where: projectSandboxKey(projectId) });
+
+    if (!record ||
+        record.status !== SandboxStatus.RUNNING ||
+        record.provider !== getSandboxProviderId() ||
+        record.expiresAt <= new Date() ||
+        (fragmentId !== undefined && record.fragmentId !== fragmentId)) {
+        return null;
+    }
+
+    try {
+        const sandbox = await connectSandbox(record.sandboxId);
+        await touchSandbox(sandbox.sandboxId);
+        return sandbox;
+    } catch (error) {
+        console.error("Project sandbox unavailable:", error);
+        return null;
+    }
+}
+
+/**
+ * Projects whose sandbox lock the current async context holds
+ * @type {AsyncLocalStorage<Set<string>>}
+ */
+const heldSandboxLocks = new AsyncLocalStorage();
+
+/**
+ * Takes the project's sandbox lease if it is free or expired
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {string} holder - Holder ID
+ * @returns {Promise<boolean>} Whether the lease was taken
+ */
+async function acquireSandboxLease(projectId, holder) {
+    const now = new Date();
+    const taken = await db.$executeRaw`
+        INSERT INTO "SandboxLock" ("projectId", "holder", "expiresAt")
+        VALUES (${projectId}, ${holder}, ${new Date(now.getTime() + LOCK_LEASE_MS)})
+        ON CONFLICT ("projectId") DO UPDATE
+        SET "holder" = EXCLUDED."holder", "expiresAt" = EXCLUDED."expiresAt"
+        WHERE "SandboxLock"."expiresAt" <= ${now}
+    `;
+
+    return taken > 0;
+}
+
+/**
+ * Extends a held sandbox lease
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {string} holder - Holder ID
+ * @returns {Promise<void>}
+ */
+async function renewSandboxLease(projectId, holder) {
+    await db.sandboxLock.updateMany({
+        where: { projectId, holder },
+        data: { expiresAt: new Date(Date.now() + LOCK_LEASE_MS) },
+    });
+}
+
+/**
+ * Runs a function while holding the project's sandbox lock
+ *
+ * The lock is a lease row (SandboxLock), so it is shared by every app
+ * instance without keeping a transaction or a pooled connection open while
+ * the function runs. The holder renews the lease until the function
+ * settles; if it crashes, the lease expires after LOCK_LEASE_MS. Callers
+ * poll until the current holder is done.
+ *
+ * The lock is re-entrant within an async context, so a function holding it
+ * can call getProjectSandbox, which takes it too.
+ *
+ * @async
+ * @param {string} projectId - Project ID
+ * @param {Function} fn - Async function run under the lock
+ * @returns {Promise<*>} Result of `fn`
+ *
+ * @example
+ * await withProjectSandboxLock(projectId, async () => {
+ *     const { sandbox } = await getProjectSandbox(projectId);
+ *     // ...
+ * });
+ */
+export async function withProjectSandboxLock(projectId, fn) {
+    const held = heldSandboxLocks.getStore();
+
+    if (held?.has(projectId)) {
+        return fn();
+    }
+
+    const holder = randomUUID();
+    const deadline = Date.now() + LOCK_WAIT_TIMEOUT_MS;
+
+    while (!(await acquireSandboxLease(projectId, holder))) {
+        if (Date.now() > deadline) {
+            throw new Error("Timed out waiting for the project's sandbox");
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL_MS));
+    }
+
+    const renewal = setInterval(() => {
+        renewSandboxLease(projectId, holder).catch((error) => {
+            console.error("Failed to renew sandbox lock:", error);
+        });
+    }, LOCK_RENEW_INTERVAL_MS);
+
+    try {
+        return await heldSandboxLocks.run(new Set(held).add(projectId), fn);
+    } finally {
+        clearInterval(renewal);
+        await db.sandboxLock.deleteMany({ where: { projectId, holder } }).catch((error) => {
+            console.error("Failed to release sandbox lock:", error);
+        });
+    }
+}
+
+// =============================================================================
+// HEALTH CHECK
+// =============================================================================
+
+/**
+ * Gateway statuses answered for a sandbox that is gone
+ * @constant {Array<number>}
+ */
+const SANDBOX_GONE_STATUSES = [502, 503, 504];
+
+/**
+ * Checks whether a sandbox preview URL is served
+ *
+ * E2B answers 502 once the sandbox has expired; Docker refuses the
+ * connection once the container is gone. Any other answer counts as alive,
+ * including errors from the app itself (a 500 from a compile error or an
+ * exception is shown in the preview and the Console, not restored over).
+ *
+ * @async
+ * @param {string} url - Preview URL (fragment.sandboxUrl)
+ * @returns {Promise<boolean>} True if the preview answered
+ */
+export async function probeSandboxUrl(url) {
+    try {
+        const response = await fetch(url, {
+            method: "GET",
+            redirect: "manual",
+            cache: "no-store",
+            signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS),
+        });
+
+        await response.body?.cancel();
+        return !SANDBOX_GONE_STATUSES.includes(response.status);
+    } catch {
+        return false;
+    }
+}
+
+// =============================================================================
+// GARBAGE COLLECTION
+// =============================================================================
+
+/**
+ * Kills sandboxes idle beyond their timeout
+ *
+ * A sandbox's expiry is pushed SANDBOX_TIMEOUT_MS past each use (build
+ * sandboxes get their build timeout), so an expired record has been idle
+ * that long. E2B stops such sandboxes itself; Docker containers keep
+ * running until killed here.
+ *
+ * @async
+ * @returns {Promise<Array<string>>} IDs of the killed sandboxes
+ */
+export async function reapIdleSandboxes() {
+    const idle = await db.sandbox.findMany({
+        where: {
+            status: SandboxStatus.RUNNING,
+            provider: getSandboxProviderId(),
+            expiresAt: { lt: new Date() },
+            OR: [
+                { purpose: SandboxPurpose.BUILD },
+                evictableWhere(),
+            ],
+        },
+        select: { sandboxId: true },
+    });
+
+    for (const { sandboxId } of idle) {
+        await releaseSandbox(sandboxId, "idle");
+    }
+
+    return idle.map(({ sandboxId }) => sandboxId);
+}
+
+/**
+ * Kills sandboxes of users over their quota
+ *
+ * Quotas are also enforced when sandboxes are created; this catches users
+ * whose plan was downgraded and concurrent creations. The highest plan
+ * recorded on a user's sandboxes applies, and their least recently used
+ * idle previews are killed first.
+ *
+ * @async
+ * @returns {Promise<Array<string>>} IDs of the killed sandboxes
+ */
+export async function enforceSandboxQuotas() {
+    const live = await db.sandbox.findMany({
+        where: { status: SandboxStatus.RUNNING },
+        select: { plan: true, project: { select: { userId: true } } },
+    });
+
+    // userId -> { count, limit }
+    const owners = new Map();
+
+    for (const { plan, project } of live) {
+        const owner = owners.get(project.userId) || { count: 0, limit: 0 };
+
+        owners.set(project.userId, {
+            count: owner.count + 1,
+            limit: Math.max(owner.limit, getSandboxLimit(plan)),
+        });
+    }
+
+    const killed = [];
+
+    for (const [userId, { count, limit }] of owners) {
+        if (count <= limit) {
+            continue;
+        }
+
+        const evictable = await db.sandbox.findMany({
+            where: evictableWhere(userId),
+            orderBy: { lastSeenAt: "asc" },
+            take: count - limit,
+            select: { sandboxId: true },
+        });
+
+        for (const { sandboxId } of evictable) {
+            await releaseSandbox(sandboxId, "quota");
+            killed.push(sandboxId);
+        }
+    }
+
+    return killed;
+}
+
+/**
+ * Kills the app's sandboxes that no live record points to
+ *
+ * These are leaks: sandboxes whose record was replaced or expired while
+ * they kept running, or that were created but never recorded (crash).
+ * Sandboxes younger than ORPHAN_GRACE_PERIOD_MS are skipped.
+ *
+ * @async
+ * @returns {Promise<Array<string>>} IDs of the killed sandboxes
+ */
+export async function reapOrphanSandboxes() {
+    const listed = await getProvider().list();
+    const tracked = await db.sandbox.findMany({
+        where: { status: SandboxStatus.RUNNING, provider: getSandboxProviderId() },
+        select: { sandboxId: true },
+    });
+
+    const trackedIds = new Set(tracked.map(({ sandboxId }) => sandboxId));
+    const cutoff = Date.now() - ORPHAN_GRACE_PERIOD_MS;
+    const orphans = listed
+        .filter(({ sandboxId, startedAt }) => !trackedIds.has(sandboxId) && startedAt.getTime() < cutoff)
+        .map(({ sandboxId }) => sandboxId);
+
+    for (const sandboxId of orphans) {
+        await releaseSandbox(sandboxId, "orphan");
+    }
+
+    return orphans;
+}
+
+/**
+ * Lists live sandboxes with their project and owner (admin view)
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} Sandbox records, most recently used first
+ */
+export async function listLiveSandboxes() {
+    return db.sandbox.findMany({
+        where: { status: SandboxStatus.RUNNING },
+        orderBy: { lastSeenAt: "desc" },
+        include: {
+            project: {
+                select: {
+                    id: true,
+                    name: true,
+                    user: { select: { id: true, email: true, name: true } },
+                },
+            },
+        },
+    });
+}
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Sandbox Dev-Server Logs
+ *
+ * Every template's start script pipes the dev server's output (next dev,
+ * vite, live-server) through `tee` into DEV_SERVER_LOG_PATH. The project
+ * view's Console tab follows that file through the logs stream
+ * (app/api/projects/[projectId]/logs), reading it by byte offset.
+ *
+ * @module lib/sandbox/logs
+ */
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Dev-server log written by the template start scripts
+ * @constant {string}
+ */
+export const DEV_SERVER_LOG_PATH = "/tmp/dev-server.log";
+
+/**
+ * Maximum bytes returned by one read
+ * @constant {number}
+ */
+const MAX_READ_BYTES = 64 * 1024;
+
+/**
+ * Maximum time for reading the log
+ * @constant {number}
+ */
+const READ_TIMEOUT_MS = 10 * 1000;
+
+// =============================================================================
+// READING
+// =============================================================================
+
+/**
+ * Reads the dev-server log from a byte offset
+ *
+ * The chunk is transferred base64-encoded so the returned offset counts
+ * exact bytes, even when a read ends inside a multi-byte character.
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {number|null} offset - Bytes already read; null reads the end of
+ *   the log (for a new viewer)
+ * @returns {Promise<{size: number, text: string, offset: number}>} Current
+ *   file size, the text read and the offset to continue from; `size` below
+ *   `offset` means the log was recreated (new sandbox or restart)
+ *
+ * @example
+ * let offset = 0;
+ * const { text, offset: next } = await readDevServerLog(sandbox, offset);
+ */
+export async function readDevServerLog(sandbox, offset) {
+    const read = offset === null
+        ? `tail -c ${MAX_READ_BYTES} "$f"`
+        : `tail -c +${offset + 1} "$f" | head -c ${MAX_READ_BYTES}`;
+
+    const result = await sandbox.commands.run(
+        `f=${DEV_SERVER_LOG_PATH}; [ -f "$f" ] || { echo 0; exit 0; }; ` +
+        `stat -c %s "$f"; ${read} | base64 -w 0`,
+        { timeoutMs: READ_TIMEOUT_MS }
+    );
+
+    const [sizeLine, encoded = ""] = result.stdout.split("\n");
+    const size = Number.parseInt(sizeLine, 10) || 0;
+
+    if (offset !== null && size < offset) {
+        return { size, text: "", offset };
+    }
+
+    const chunk = Buffer.from(encoded.trim(), "base64");
+
+    return {
+        size,
+        text: chunk.toString("utf8"),
+        offset: offset === null ? size : offset + chunk.length,
+    };
+}
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Sandbox Terminal Sessions
+ *
+ * Interactive shells on a project's sandbox for the project view's terminal
+ * panel (app/api/projects/[projectId]/terminal), and the capture of what
+ * users changed through them.
+ *
+ * Starting a terminal leaves a marker file in the sandbox. Capturing lists
+ * the files modified since the marker (skipping dependency and build
+ * directories), compares them with the latest fragment and moves the marker
+ * forward, so each capture only picks up newer changes.
+ *
+ * @module lib/sandbox/terminal
+ */
+
+import { IGNORED_DIRECTORIES, shellQuote } from "@/inngest/files";
+
+// =============================================================================
+// CONFIGURATION CONSTANTS
+// =============================================================================
+
+/**
+ * Directory shells start in (the app)
+ * @constant {string}
+ */
+const TERMINAL_CWD = "/home/user";
+
+/**
+ * Marker whose modification time is the start of uncaptured changes
+ * @constant {string}
+ */
+const CAPTURE_MARKER_PATH = "/tmp/terminal-capture.marker";
+
+/**
+ * Files never captured (written by the shell itself)
+ * @constant {Array<string>}
+ */
+const IGNORED_FILES = [".bash_history", ".viminfo", ".lesshst"];
+
+/**
+ * Maximum number of changed files captured at once
+ * @constant {number}
+ */
+const MAX_CAPTURED_FILES = 200;
+
+/**
+ * Files from this size on are not captured (kilobytes)
+ * @constant {number}
+ */
+const MAX_CAPTURED_FILE_KB = 256;
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+/**
+ * Starts a login shell in a PTY on the sandbox
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {Object} options - Options
+ * @param {number} options.cols - Terminal columns
+ * @param {number} options.rows - Terminal rows
+ * @param {Function} options.onData - Called with each output chunk (Uint8Array)
+ * @returns {Promise<Object>} PTY handle ({ pid, wait, disconnect })
+ */
+export async function startTerminal(sandbox, { cols, rows, onData }) {
+    // Changes are captured from the first terminal session on
+    await sandbox.commands.run(
+        `[ -f ${CAPTURE_MARKER_PATH} ] || touch ${CAPTURE_MARKER_PATH}`
+    );
+
+    return sandbox.pty.create({
+        cols,
+        rows,
+        onData,
+        cwd: TERMINAL_CWD,
+        envs: { TERM: "xterm-256color" },
+        timeoutMs: 0, // runs until killed or the sandbox stops
+    });
+}
+
+// =============================================================================
+// CAPTURE
+// =============================================================================
+
+/**
+ * Collects the files changed in the sandbox since the last capture
+ *
+ * Files whose content equals the fragment's are left out, as are binary,
+ * empty and large files. Files of the fragment that no longer exist are
+ * reported as deleted.
+ *
+ * @async
+ * @param {Object} sandbox - Connected sandbox (lib/sandbox)
+ * @param {Object|null} fragment - Latest fragment ({ files, deletedFiles })
+ * @returns {Promise<Object>} { files, deletedFiles, changed, removed,
+ *   truncated } where `files`/`deletedFiles` describe the new fragment and
+ *   `changed`/`removed` list what differs from `fragment`
+ *
+ * @example
+ * const { changed, removed, files } = await captureTerminalChanges(sandbox, latest);
+ */
+export async function captureTerminalChanges(sandbox, fragment) {
+    const previousFiles = fragment?.files || {};
+    const prune = IGNORED_DIRECTORIES
+        .map((name) => `-name ${shellQuote(name)}`)
+        .join(" -o ");
+    const skip = IGNORED_FILES
+        .map((name) => `! -name ${shellQuote(name)}`)
+        .join(" ");
+
+    // Text files newer than the marker; grep -I skips binary files
+    const listed = await sandbox.commands.run(
+        `cd ${TERMINAL_CWD} && [ -f ${CAPTURE_MARKER_PATH} ] && ` +
+        `find . \\( ${prune} \\) -prune -o -type f -newer ${CAPTURE_MARKER_PATH} ` +
+        `-size -${MAX_CAPTURED_FILE_KB}k ${skip} -exec grep -Il . {} + || true`
+    );
+
+    const modified = listed.stdout
+        .split("\n")
+        .filter(Boolean)
+        .map((file) => file.replace(/^\.\//, ""))
+        .sort();
+
+    // Move the marker before reading, so edits made meanwhile are kept for
+    // the next capture
+    await sandbox.commands.run(`touch ${CAPTURE_MARKER_PATH}`);
+
+    const files = { ...previousFiles };
+    const changed = [];
+
+    for (const filePath of modified.slice(0, MAX_CAPTURED_FILES)) {
+        const content = await sandbox.files.read(filePath);
+
+        if (previousFiles[filePath] !== content) {
+            files[filePath] = content;
+            changed.push(filePath);
+        }
+    }
+
+    // Fragment files removed through the terminal
+    const known = Object.keys(previousFiles);
+    const removed = [];
+
+    if (known.length > 0) {
+        const missing = await sandbox.commands.run(
+            `cd ${TERMINAL_CWD} && for f in ${known.map(shellQuote).join(" ")}; ` +
+            `do [ -e "$f" ] || printf '%s\\n' "$f"; done`
+        );
+
+        for (const filePath of missing.stdout.split("\n").filter(Boolean)) {
+            delete files[filePath];
+            removed.push(filePath);
+        }
+    }
+
+    return {
+        files,
+        deletedFiles: [...new Set([...(fragment?.deletedFiles || []), ...removed])]
+            .filter((filePath) => !(filePath in files)),
+        changed,
+        removed,
+        truncated: modified.length > MAX_CAPTURED_FILES,
+    };
+}
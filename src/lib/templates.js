@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Starter Template Catalog
+ *
+ * The project templates a user can start from. Each template has its own
+ * sandbox image (Dockerfile and start script under sanbox-templates/), its
+ * own system prompt fragment (TEMPLATE_PROMPTS in prompt.js) and its own
+ * verification checks. Every template serves its dev server on port 3000.
+ *
+ * Kept free of server imports so the project form can list the templates.
+ *
+ * @module lib/templates
+ */
+
+/**
+ * Template used for projects without a (known) template
+ * @constant {string}
+ */
+export const DEFAULT_TEMPLATE = "nextjs";
+
+/**
+ * Templates keyed by ID (stored on Project.template)
+ *
+ * Each entry exposes:
+ * - label, description: Shown in the project form
+ * - sandboxTemplate: E2B template name (also the Docker image's template)
+ * - directory: Dockerfile and start script, relative to the repository root
+ * - startCommand: Starts the dev server (start_cmd in the template's e2b.toml)
+ * - checks: Verification commands run after the agent finishes
+ *   (see inngest/verification); empty skips verification
+ * - build: Production build (see inngest/build)
+ *   - command: Build command (null = served as-is, nothing to build)
+ *   - assetsDirectory: Built JS and CSS measured for the bundle report
+ *   - exportDirectory: Static site archived on request (null = the
+ *     template cannot be exported statically)
+ *
+ * @constant {Object<string, Object>}
+ */
+export const TEMPLATES = {
+    nextjs: {
+        label: "Next.js",
+        description: "React with the App Router, Tailwind CSS and shadcn/ui",
+        sandboxTemplate: "v0-nextjs-build-new",
+        directory: "sanbox-templates/nextjs",
+        startCommand: "/compile_page.sh",
+        checks: [
+            { name: "typecheck", command: "npx tsc --noEmit --pretty false" },
+            { name: "lint", command: "npx eslint . --quiet" },
+        ],
+        build: {
+            command: "npm run build",
+            assetsDirectory: ".next/static",
+            // Written when the build runs with `output: "export"`
+            exportDirectory: "out",
+        },
+    },
+
+    "vite-react": {
+        label: "Vite + React",
+        description: "Single-page React app with TypeScript and Tailwind CSS",
+        sandboxTemplate: "v0-vite-react",
+        directory: "sanbox-templates/vite-react",
+        startCommand: "/start_server.sh",
+        checks: [
+            { name: "typecheck", command: "npx tsc -p tsconfig.app.json --noEmit --pretty false" },
+            { name: "lint", command: "npx eslint . --quiet" },
+        ],
+        build: {
+            command: "npm run build",
+            assetsDirectory: "dist",
+            exportDirectory: "dist",
+        },
+    },
+
+    vue: {
+        label: "Vue",
+        description: "Vue 3 single-file components with TypeScript and Tailwind CSS",
+        sandboxTemplate: "v0-vue",
+        directory: "sanbox-templates/vue",
+        startCommand: "/start_server.sh",
+        checks: [
+            { name: "typecheck", command: "npx vue-tsc -p tsconfig.app.json --noEmit" },
+        ],
+        build: {
+            command: "npm run build",
+            assetsDirectory: "dist",
+            exportDirectory: "dist",
+        },
+    },
+
+    sveltekit: {
+        label: "SvelteKit",
+        description: "Svelte 5 with file-based routing and Tailwind CSS",
+        sandboxTemplate: "v0-sveltekit",
+        directory: "sanbox-templates/sveltekit",
+        startCommand: "/start_server.sh",
+        checks: [
+            { name: "typecheck", command: "npx svelte-check --threshold error --output human" },
+        ],
+        build: {
+            command: "npm run build",
+            assetsDirectory: ".svelte-kit/output/client",
+            // adapter-auto targets a host platform, not static files
+            exportDirectory: null,
+        },
+    },
+
+    static: {
+        label: "Static HTML",
+        description: "Plain HTML and JavaScript styled with Tailwind CSS",
+        sandboxTemplate: "v0-static-tailwind",
+        directory: "sanbox-templates/static",
+        startCommand: "/start_server.sh",
+        checks: [],
+        build: {
+            command: null,
+            assetsDirectory: ".",
+            exportDirectory: ".",
+        },
+    },
+};
+
+/**
+ * Returns a template, falling back to the default for unknown IDs
+ *
+ * @param {string} [templateId] - Template ID
+ * @returns {Object} Template entry with its `id`
+ *
+ * @example
+ * const { sandboxTemplate, checks } = getTemplate(project.template);
+ */
+export function getTemplate(templateId) {
+    const id = TEMPLATES[templateId] ? templateId : DEFAULT_TEMPLATE;
+    return { id, ...TEMPLATES[id] };
+}
+
+/**
+ * Finds the template using an E2B template name
+ *
+ * @param {string} sandboxTemplate - E2B template name
+ * @returns {Object|null} Template entry with its `id`, or null if unknown
+ */
+export function getTemplateBySandboxTemplate(sandboxTemplate) {
+    const id = Object.keys(TEMPLATES)
+        .find((key) => TEMPLATES[key].sandboxTemplate === sandboxTemplate);
+
+    return id ? { id, ...TEMPLATES[id] } : null;
+}
+
+/**
+ * Lists the templates for the project form
+ *
+ * @returns {Array<{id: string, label: string, description: string}>}
+ *   Templates in catalog order
+ */
+export function listTemplates() {
+    return Object.entries(TEMPLATES).map(([id, { label, description }]) => ({
+        id,
+        label,
+        description,
+    }));
+}
@@ -10,6 +10,9 @@
  * - Credit-based system (points consumed per generation)
  * - 30-day rolling window for credit reset
  * - Prisma integration for persistent storage
+ * - Credit refunds for cancelled generations
+ * - Per-tier agent run budgets (iterations, tool calls, tokens, duration)
+ * - Per-tier limits on live sandboxes
  *
  * Configuration:
  * - FREE_POINTS: 5 credits per 30 days for free users
@@ -51,6 +54,45 @@ export const DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
  */
 export const GENERATION_COST = 1;
 
+/**
+ * Limits for a single agent run, per subscription tier
+ *
+ * - maxIterations: Agent calls in the planner/coder/reviewer network
+ * - maxToolCalls: Tool invocations (terminal, file tools, ...)
+ * - maxTokens: Model tokens across all agent calls
+ * - maxDurationMs: Wall-clock time from the start of the run
+ *
+ * @constant {Object<string, Object>}
+ */
+export const RUN_BUDGETS = {
+    free: {
+        maxIterations: 15,
+        maxToolCalls: 40,
+        maxTokens: 250000,
+        maxDurationMs: 8 * 60 * 1000,  // 8 minutes
+    },
+    pro: {
+        maxIterations: 30,
+        maxToolCalls: 120,
+        maxTokens: 1000000,
+        maxDurationMs: 20 * 60 * 1000,  // 20 minutes
+    },
+};
+
+/**
+ * Maximum number of live sandboxes per user, per subscription tier
+ *
+ * Counts the previews of all the user's projects and their running builds.
+ * When a new sandbox would exceed it, the least recently used idle preview
+ * is killed first (see lib/sandbox).
+ *
+ * @constant {Object<string, number>}
+ */
+export const SANDBOX_LIMITS = {
+    free: 2,
+    pro: 5,
+};
+
 // =============================================================================
 // RATE LIMITER FUNCTIONS
 // =============================================================================
@@ -124,6 +166,80 @@ export async function consumeCredits() {
     return result;
 }
 
+/**
+ * Returns a generation credit to a user
+ *
+ * Used when a generation is cancelled before it produced any files. Runs
+ * outside a request (from Inngest), so the user is passed explicitly
+ * instead of being read from the Clerk session.
+ *
+ * Nothing is refunded if the user has no usage record in the current
+ * window (e.g. it already expired), so the balance never exceeds the limit.
+ *
+ * @async
+ * @param {string} clerkUserId - Clerk user ID (the usage key)
+ * @returns {Promise<boolean>} Whether a credit was refunded
+ *
+ * @example
+ * await refundCredits(project.user.clerkId);
+ */
+export async function refundCredits(clerkUserId) {
+    // The point limit only matters when consuming; rewards ignore it
+    const usageTracker = new RateLimiterPrisma({
+        storeClient: db,
+        tableName: "Usage",
+        points: FREE_POINTS,
+        duration: DURATION,
+    });
+
+    const current = await usageTracker.get(clerkUserId);
+
+    if (!current || current.consumedPoints < GENERATION_COST) {
+        return false;
+    }
+
+    await usageTracker.reward(clerkUserId, GENERATION_COST);
+    return true;
+}
+
+/**
+ * Returns the subscription tier of the authenticated user
+ *
+ * Sent along with code-agent/run so the workflow, which has no Clerk
+ * session, can apply the right run budget.
+ *
+ * @async
+ * @returns {Promise<"free"|"pro">} The user's tier
+ */
+export async function getUserPlan() {
+    const { has } = await auth();
+
+    return has({ plan: "pro" }) ? "pro" : "free";
+}
+
+/**
+ * Returns the run budget for a tier
+ *
+ * @param {string} [plan] - "free" or "pro"; unknown values get the free budget
+ * @returns {Object} Run budget (see RUN_BUDGETS)
+ *
+ * @example
+ * const budget = getRunBudget(event.data.plan);
+ */
+export function getRunBudget(plan) {
+    return RUN_BUDGETS[plan] || RUN_BUDGETS.free;
+}
+
+/**
+ * Returns the maximum number of live sandboxes for a tier
+ *
+ * @param {string} [plan] - "free" or "pro"; unknown values get the free limit
+ * @returns {number} Sandbox limit (see SANDBOX_LIMITS)
+ */
+export function getSandboxLimit(plan) {
+    return SANDBOX_LIMITS[plan] || SANDBOX_LIMITS.free;
+}
+
 /**
  * Retrieves the current usage status for the authenticated user
  *
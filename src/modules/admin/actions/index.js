@@ -0,0 +1,88 @@
+"use server";
+
+/**
+ * @fileoverview Admin Server Actions
+ *
+ * Server actions behind the admin pages. Admins are the users whose email
+ * is listed in ADMIN_EMAILS (comma-separated); everyone else gets
+ * "Unauthorized".
+ *
+ * Actions:
+ * - isAdmin: Whether the current user is an admin
+ * - getLiveSandboxes: Live sandboxes with their project and owner
+ * - killLiveSandbox: Kills a sandbox (recorded as killed by an admin)
+ *
+ * @module modules/admin/actions
+ */
+
+import { getCurrentUser } from "@/modules/auth/actions";
+
+/**
+ * Returns the admin emails configured in ADMIN_EMAILS
+ *
+ * @returns {Array<string>} Lower-cased emails
+ */
+function getAdminEmails() {
+    return (process.env.ADMIN_EMAILS || "")
+        .split(",")
+        .map((email) => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Checks whether the current user is an admin
+ *
+ * @async
+ * @returns {Promise<boolean>} True if the user's email is in ADMIN_EMAILS
+ */
+export const isAdmin = async () => {
+    const user = await getCurrentUser();
+
+    return !!user && getAdminEmails().includes(user.email.toLowerCase());
+};
+
+/**
+ * Lists the live sandboxes of all users
+ *
+ * @async
+ * @returns {Promise<Object>} { provider, sandboxes } where `provider` is
+ *   the sandbox provider in use and `sandboxes` the live Sandbox records
+ *   with their project and owner, most recently used first
+ * @throws {Error} If the user is not an admin
+ *
+ * @example
+ * const { sandboxes } = await getLiveSandboxes();
+ */
+export const getLiveSandboxes = async () => {
+    if (!(await isAdmin())) {
+        throw new Error("Unauthorized");
+    }
+
+    // Import here to avoid loading the sandbox providers on every action
+    const { getSandboxProviderId, listLiveSandboxes } = await import("@/lib/sandbox");
+
+    return {
+        provider: getSandboxProviderId(),
+        sandboxes: await listLiveSandboxes(),
+    };
+};
+
+/**
+ * Kills a live sandbox
+ *
+ * The owner's preview shows as expired and is restored on the next visit.
+ *
+ * @async
+ * @param {string} sandboxId - Sandbox ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the user is not an admin
+ */
+export const killLiveSandbox = async (sandboxId) => {
+    if (!(await isAdmin())) {
+        throw new Error("Unauthorized");
+    }
+
+    const { releaseSandbox } = await import("@/lib/sandbox");
+
+    await releaseSandbox(sandboxId, "admin");
+};
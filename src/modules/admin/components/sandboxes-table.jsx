@@ -0,0 +1,161 @@
+"use client";
+
+/**
+ * @fileoverview Live Sandboxes Table Component
+ *
+ * Admin view of the sandboxes currently running for all users, as
+ * tracked in the Sandbox table (see lib/sandbox). Idle and over-quota
+ * sandboxes are killed by the sandbox-gc function; this view shows what
+ * is left and lets an admin kill a sandbox by hand.
+ *
+ * @module modules/admin/components/sandboxes-table
+ */
+
+import Link from "next/link";
+import { format, formatDistanceToNow } from "date-fns";
+import { Loader2, XCircle } from "lucide-react";
+import { toast } from "sonner";
+
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableHeader,
+    TableRow,
+} from "@/components/ui/table";
+import { useKillLiveSandbox, useLiveSandboxes } from "../hooks/sandboxes";
+
+/**
+ * SandboxesTable Component
+ *
+ * @component
+ * @returns {JSX.Element} Table of live sandboxes
+ *
+ * @example
+ * <SandboxesTable />
+ */
+const SandboxesTable = () => {
+    // =========================================================================
+    // STATE & HOOKS
+    // =========================================================================
+
+    const { data, isPending, isError, error } = useLiveSandboxes();
+    const { mutateAsync: killSandbox, isPending: isKilling, variables: killingId } =
+        useKillLiveSandbox();
+
+    // =========================================================================
+    // EVENT HANDLERS
+    // =========================================================================
+
+    /**
+     * Kills a sandbox after confirmation
+     *
+     * @async
+     * @param {Object} sandbox - Sandbox record
+     */
+    const onKill = async (sandbox) => {
+        if (!window.confirm(`Kill sandbox ${sandbox.sandboxId} of ${sandbox.project.user.email}?`)) {
+            return;
+        }
+
+        try {
+            await killSandbox(sandbox.sandboxId);
+            toast.success("Sandbox killed");
+        } catch (killError) {
+            toast.error(killError.message || "Failed to kill the sandbox");
+        }
+    };
+
+    // =========================================================================
+    // RENDER
+    // =========================================================================
+
+    if (isPending) {
+        return <Loader2 className="size-5 animate-spin text-muted-foreground mx-auto" />;
+    }
+
+    if (isError) {
+        return <p className="text-sm text-red-600 dark:text-red-400">{error.message}</p>;
+    }
+
+    const { provider, sandboxes } = data;
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-muted-foreground">
+                {sandboxes.length} live sandbox(es) · provider: {provider}
+            </p>
+
+            <Table>
+                <TableHeader>
+                    <TableRow>
+                        <TableHead>Sandbox</TableHead>
+                        <TableHead>Owner</TableHead>
+                        <TableHead>Project</TableHead>
+                        <TableHead>Purpose</TableHead>
+                        <TableHead>Last used</TableHead>
+                        <TableHead>Expires</TableHead>
+                        <TableHead />
+                    </TableRow>
+                </TableHeader>
+                <TableBody>
+                    {sandboxes.length === 0 && (
+                        <TableRow>
+                            <TableCell colSpan={7} className="text-center text-muted-foreground">
+                                No live sandboxes
+                            </TableCell>
+                        </TableRow>
+                    )}
+                    {sandboxes.map((sandbox) => (
+                        <TableRow key={sandbox.id}>
+                            <TableCell>
+                                <div className="font-mono text-xs">{sandbox.sandboxId.slice(0, 12)}</div>
+                                <div className="text-xs text-muted-foreground">
+                                    {sandbox.provider} · {sandbox.template}
+                                </div>
+                            </TableCell>
+                            <TableCell>
+                                <div>{sandbox.project.user.email}</div>
+                                <div className="text-xs text-muted-foreground">
+                                    {sandbox.project.user.name || "—"} · {sandbox.plan}
+                                </div>
+                            </TableCell>
+                            <TableCell>
+                                <Link href={`/projects/${sandbox.project.id}`} className="hover:underline">
+                                    {sandbox.project.name}
+                                </Link>
+                            </TableCell>
+                            <TableCell>
+                                <Badge variant={sandbox.purpose === "BUILD" ? "secondary" : "outline"}>
+                                    {sandbox.purpose === "BUILD" ? "Build" : "Preview"}
+                                </Badge>
+                            </TableCell>
+                            <TableCell title={format(new Date(sandbox.lastSeenAt), "PPpp")}>
+                                {formatDistanceToNow(new Date(sandbox.lastSeenAt), { addSuffix: true })}
+                            </TableCell>
+                            <TableCell title={format(new Date(sandbox.expiresAt), "PPpp")}>
+                                {formatDistanceToNow(new Date(sandbox.expiresAt), { addSuffix: true })}
+                            </TableCell>
+                            <TableCell className="text-right">
+                                <Button
+                                    size={"sm"}
+                                    variant={"ghost"}
+                                    onClick={() => onKill(sandbox)}
+                                    disabled={isKilling && killingId === sandbox.sandboxId}
+                                >
+                                    <XCircle className="size-4" />
+                                    Kill
+                                </Button>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </div>
+    );
+};
+
+export default SandboxesTable;
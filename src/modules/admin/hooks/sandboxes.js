@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Admin Sandbox React Query Hooks
+ *
+ * Hooks for the admin view of live sandboxes: the list, refreshed every
+ * 15 seconds, and killing a sandbox.
+ *
+ * @module modules/admin/hooks/sandboxes
+ */
+
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { getLiveSandboxes, killLiveSandbox } from "../actions";
+
+/**
+ * Hook to fetch the live sandboxes of all users
+ *
+ * @returns {UseQueryResult} React Query result; data is { provider,
+ *   sandboxes }
+ *
+ * @example
+ * const { data } = useLiveSandboxes();
+ */
+export const useLiveSandboxes = () => {
+    return useQuery({
+        queryKey: ["admin-sandboxes"],
+        queryFn: () => getLiveSandboxes(),
+        refetchInterval: 15000,
+    })
+}
+
+/**
+ * Hook to kill a live sandbox
+ *
+ * On success, invalidates the sandbox list.
+ *
+ * @returns {UseMutationResult} React Query mutation result
+ *
+ * @example
+ * const { mutate: kill } = useKillLiveSandbox();
+ * kill(sandbox.sandboxId);
+ */
+export const useKillLiveSandbox = () => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (sandboxId) => killLiveSandbox(sandboxId),
+
+        onSuccess: () => {
+            queryClient.invalidateQueries({
+                queryKey: ["admin-sandboxes"]
+            })
+        }
+    })
+}
@@ -9,6 +9,7 @@
  *
  * Features:
  * - Pre-built project templates for quick starts
+ * - Starter template selector (Next.js, Vite + React, Vue, SvelteKit, static)
  * - Auto-resizing textarea for comfortable input
  * - Form validation with Zod schema
  * - Keyboard shortcuts (Enter to submit, Shift+Enter for newline)
@@ -29,7 +30,15 @@ import z from "zod";
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
 import { Form, FormField } from "@/components/ui/form";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
 import { Spinner } from "@/components/ui/spinner";
+import { DEFAULT_TEMPLATE, listTemplates } from "@/lib/templates";
 import { useCreateProject } from "@/modules/projects/hooks/project";
 
 /**
@@ -106,6 +115,13 @@ const PROJECT_TEMPLATES = [
     },
 ];
 
+/**
+ * Starter templates the project can be built on (see lib/templates)
+ *
+ * @constant {Array<{id: string, label: string, description: string}>}
+ */
+const STARTER_TEMPLATES = listTemplates();
+
 /**
  * ProjectsForm Component
  *
@@ -130,6 +146,12 @@ const ProjectsForm = () => {
      */
     const [isFocused, setIsFocused] = useState(false);
 
+    /**
+     * Starter template the new project is created from
+     * Stored on the project; decides the sandbox and the agent's prompt
+     */
+    const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
+
     /**
      * Next.js router for navigation after project creation
      */
@@ -172,8 +194,8 @@ const ProjectsForm = () => {
     /**
      * Handles form submission
      *
-     * Creates a new project with the entered description,
-     * then navigates to the project view page.
+     * Creates a new project with the entered description and the
+     * selected starter template, then navigates to the project view page.
      *
      * @async
      * @param {Object} values - Form values
@@ -182,7 +204,7 @@ const ProjectsForm = () => {
     const onSubmit = async (values) => {
         try {
             // Create the project via mutation
-            const res = await mutateAsync(values.content);
+            const res = await mutateAsync({ value: values.content, template });
 
             // Navigate to the new project's page
             router.push(`/projects/${res.id}`);
@@ -225,6 +247,12 @@ const ProjectsForm = () => {
      */
     const isButtonDisabled = isPending || !form.watch("content").trim();
 
+    /**
+     * Label of the selected starter template
+     * Shown in the selector instead of the item (which includes the description)
+     */
+    const templateLabel = STARTER_TEMPLATES.find((starter) => starter.id === template)?.label;
+
     // =========================================================================
     // RENDER
     // =========================================================================
@@ -315,21 +343,46 @@ const ProjectsForm = () => {
                             &nbsp; for new line
                         </div>
 
-                        {/* Submit button with loading state */}
-                        <Button
-                            className={cn(
-                                "size-8 rounded-full",
-                                isButtonDisabled && "bg-muted-foreground border"
-                            )}
-                            disabled={isButtonDisabled}
-                            type="submit"
-                        >
-                            {isPending ? (
-                                <Spinner />
-                            ) : (
-                                <ArrowUpIcon className="size-4" />
-                            )}
-                        </Button>
+                        <div className="flex items-center gap-x-2">
+                            {/* Starter template selector */}
+                            <Select
+                                value={template}
+                                onValueChange={setTemplate}
+                                disabled={isPending}
+                            >
+                                <SelectTrigger size="sm" aria-label="Starter template">
+                                    <SelectValue>{templateLabel}</SelectValue>
+                                </SelectTrigger>
+                                <SelectContent align="end">
+                                    {STARTER_TEMPLATES.map((starter) => (
+                                        <SelectItem key={starter.id} value={starter.id}>
+                                            <div className="flex flex-col">
+                                                <span>{starter.label}</span>
+                                                <span className="text-xs text-muted-foreground">
+                                                    {starter.description}
+                                                </span>
+                                            </div>
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+
+                            {/* Submit button with loading state */}
+                            <Button
+                                className={cn(
+                                    "size-8 rounded-full",
+                                    isButtonDisabled && "bg-muted-foreground border"
+                                )}
+                                disabled={isButtonDisabled}
+                                type="submit"
+                            >
+                                {isPending ? (
+                                    <Spinner />
+                                ) : (
+                                    <ArrowUpIcon className="size-4" />
+                                )}
+                            </Button>
+                        </div>
                     </div>
                 </form>
             </Form>
@@ -9,16 +9,63 @@
  *
  * Actions:
  * - createMessages: Sends a new message and triggers AI processing
- * - getMessages: Retrieves all messages for a project
+ * - cancelGeneration: Cancels the AI run in progress for a project
+ * - getMessages: Retrieves the messages of the project's active branch
+ * - editMessage: Re-runs an edited user message as a new branch
+ * - regenerateMessage: Re-runs a response as an alternative, optionally
+ *   with another model or temperature
+ * - switchBranch: Makes another branch of the conversation active
+ * - checkSandboxHealth: Checks whether a fragment's preview is still served
+ * - restoreFragment: Restores a fragment into the project's sandbox
+ * - saveTerminalChanges: Saves files changed in the terminal as a fragment
+ * - revertToFragment: Makes an earlier fragment the project's latest version
+ * - buildFragment: Starts a production build of a fragment
+ * - getFragmentBuilds: Lists a fragment's builds
  *
  * @module modules/messages/actions
  */
 
-import { MessageRole, MessageType } from "@prisma/client";
+import { FragmentBuildStatus, MessageRole, MessageType } from "@prisma/client";
 import db from "@/lib/db";
 import { inngest } from "@/inngest/client";
 import { getCurrentUser } from "@/modules/auth/actions";
-import { consumeCredits } from "@/lib/usage";
+import { consumeCredits, getUserPlan } from "@/lib/usage";
+import { getTemplate } from "@/lib/templates";
+import {
+    readFragmentFiles,
+    readFragmentPaths,
+    storeFragmentFiles,
+    withFragmentFiles,
+} from "@/lib/fragment-files";
+import {
+    advanceBranch,
+    getActiveTip,
+    getBranchPath,
+    getLatestLeaf,
+    getSiblings,
+    loadMessageTree,
+} from "@/lib/branches";
+
+/**
+ * Consumes the usage credit of an agent run
+ *
+ * @async
+ * @throws {Error} If user has no remaining credits
+ */
+async function consumeRunCredit() {
+    try {
+        // Attempt to consume credits for this generation
+        // Throws if user has exceeded their rate limit
+        await consumeCredits();
+    } catch (error) {
+        // Distinguish between application errors and rate limit errors
+        if (error instanceof Error && error.message === "Unauthorized") {
+            throw new Error("Something went wrong. Please try again.");
+        }
+        // Rate limit exceeded - user has no remaining credits
+        throw new Error("Rate limit exceeded. Please wait before sending more messages.");
+    }
+}
 
 /**
  * Creates a new message in a project
@@ -33,6 +80,9 @@ import { consumeCredits } from "@/lib/usage";
  * @async
  * @param {string} value - The message content from the user
  * @param {string} projectId - The project ID to add the message to
+ * @param {Object} [options] - Per-message agent settings
+ * @param {string} [options.provider] - LLM provider override (see lib/llm)
+ * @param {string} [options.model] - LLM model override
  * @returns {Promise<Object>} The created message object
  * @throws {Error} If user is not authenticated
  * @throws {Error} If project is not found or doesn't belong to user
@@ -41,7 +91,7 @@ import { consumeCredits } from "@/lib/usage";
  * @example
  * const message = await createMessages("Add a dark mode toggle", projectId);
  */
-export const createMessages = async (value, projectId) => {
+export const createMessages = async (value, projectId, options = {}) => {
     // =========================================================================
     // AUTHENTICATION
     // =========================================================================
@@ -72,33 +122,26 @@ export const createMessages = async (value, projectId) => {
     // RATE LIMITING / CREDIT CONSUMPTION
     // =========================================================================
 
-    try {
-        // Attempt to consume credits for this generation
-        // Throws if user has exceeded their rate limit
-        await consumeCredits();
-    } catch (error) {
-        // Distinguish between application errors and rate limit errors
-        if (error instanceof Error && error.message === "Unauthorized") {
-            throw new Error("Something went wrong. Please try again.");
-        }
-        // Rate limit exceeded - user has no remaining credits
-        throw new Error("Rate limit exceeded. Please wait before sending more messages.");
-    }
+    await consumeRunCredit();
 
     // =========================================================================
     // MESSAGE CREATION
     // =========================================================================
 
-    // Create the user's message in the database
+    // Create the user's message at the tip of the active branch
+    const tip = await getActiveTip(projectId);
     const newMessage = await db.message.create({
         data: {
             projectId: projectId,
+            parentId: tip?.id ?? null,
             content: value,
             role: MessageRole.USER,
             type: MessageType.RESULT,
         },
     });
 
+    await advanceBranch(projectId, tip?.id ?? null, newMessage.id);
+
     // =========================================================================
     // TRIGGER AI AGENT
     // =========================================================================
@@ -110,6 +153,10 @@ export const createMessages = async (value, projectId) => {
         data: {
             value: value,          // The user's message/request
             projectId: projectId,  // Project context for the agent
+            messageId: newMessage.id,  // Branch the reply is appended to
+            provider: options.provider,  // Optional LLM override
+            model: options.model,
+            plan: await getUserPlan(),  // Selects the run budget
         },
     });
 
@@ -117,21 +164,101 @@ export const createMessages = async (value, projectId) => {
 };
 
 /**
- * Retrieves all messages for a project
+ * Cancels the AI generation in progress for a project
+ *
+ * Sends code-agent/cancel, which stops the running workflow (Inngest
+ * cancelOn) and triggers the cleanup function that records the
+ * cancellation. The credit is refunded there if no files were written.
+ *
+ * @async
+ * @param {string} projectId - The project whose generation to cancel
+ * @param {Object} [options] - Cancellation options
+ * @param {boolean} [options.keepDraft=false] - Keep files written so far as
+ *   a draft fragment instead of discarding them
+ * @returns {Promise<Object>} { cancelled: true }
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If project is not found or doesn't belong to user
+ * @throws {Error} If no generation is in progress
+ *
+ * @example
+ * await cancelGeneration(projectId, { keepDraft: true });
+ */
+export const cancelGeneration = async (projectId, { keepDraft = false } = {}) => {
+    // =========================================================================
+    // AUTHENTICATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        throw new Error("Unauthorized");
+    }
+
+    // =========================================================================
+    // PROJECT AUTHORIZATION
+    // =========================================================================
+
+    const project = await db.project.findUnique({
+        where: {
+            id: projectId,
+            userId: user.id,  // Ensure user owns this project
+        },
+    });
+
+    if (!project) {
+        throw new Error("Project not found");
+    }
+
+    // =========================================================================
+    // CHECK FOR A RUNNING GENERATION
+    // =========================================================================
+
+    // A run is in progress while the active branch ends with the user's message
+    const lastMessage = await getActiveTip(projectId);
+
+    if (!lastMessage || lastMessage.role !== MessageRole.USER) {
+        throw new Error("No generation in progress");
+    }
+
+    // =========================================================================
+    // TRIGGER CANCELLATION
+    // =========================================================================
+
+    await inngest.send({
+        name: "code-agent/cancel",
+        data: {
+            projectId,
+            messageId: lastMessage.id,
+            // Regenerating re-runs the same message; the start tells the runs apart
+            startedAt: lastMessage.updatedAt.toISOString(),
+            keepDraft: !!keepDraft,
+        },
+    });
+
+    return { cancelled: true };
+};
+
+/**
+ * Retrieves the messages of a project's active branch
  *
- * Returns messages in chronological order (oldest first) with their
- * associated fragments (code generation results). Verifies project
- * ownership before returning data.
+ * Returns the messages from the start of the conversation to the active
+ * branch's tip (oldest first) with their associated fragments (code
+ * generation results). Each message lists its alternatives in `branch`, so
+ * the conversation can offer switching between them (see lib/branches).
+ * Verifies project ownership before returning data.
  *
  * @async
  * @param {string} projectId - The project ID to fetch messages for
- * @returns {Promise<Array<Object>>} Array of message objects with fragments
+ * @returns {Promise<Array<Object>>} Array of message objects with fragments,
+ *   the producing run's model (`agentRun`) and `branch` ({ index, count,
+ *   siblingIds }); regenerated responses also list every alternative in
+ *   `alternatives` (same order as siblingIds)
  * @throws {Error} If user is not authenticated
  * @throws {Error} If project is not found or doesn't belong to user
  *
  * @example
  * const messages = await getMessages(projectId);
- * // messages = [{ id, content, role, fragments: { ... } }, ...]
+ * // messages = [{ id, content, role, fragments: { ... }, branch: { index: 0, count: 2, ... } }, ...]
  */
 export const getMessages = async (projectId) => {
     // =========================================================================
@@ -164,43 +291,330 @@ export const getMessages = async (projectId) => {
     // FETCH MESSAGES
     // =========================================================================
 
-    // Get all messages for the project with their associated fragments
-    const messages = await db.message.findMany({
+    // Only the active branch is shown; other branches are reached by switching
+    const tree = await loadMessageTree(projectId);
+    const path = getBranchPath(tree);
+    const onPath = new Set(path);
+
+    // Regenerated responses are sent along so they can be compared before
+    // one is accepted; edited user messages switch branches directly
+    const alternativeIds = path
+        .filter((id) => tree.nodes.get(id).role === MessageRole.ASSISTANT)
+        .flatMap((id) => getSiblings(tree, id))
+        .filter((id) => !onPath.has(id));
+
+    // Get the messages with their associated fragments
+    const records = await db.message.findMany({
         where: {
-            projectId
-        },
-        orderBy: {
-            updatedAt: "asc"  // Chronological order for conversation flow
+            id: { in: [...path, ...alternativeIds] }
         },
         include: {
-            fragments: true  // Include code generation results
+            fragments: true,  // Include code generation results
+            // Model that produced the response, to tell alternatives apart
+            agentRun: { select: { provider: true, model: true, temperature: true } }
         }
     });
 
-    return messages;
+    // Fragment files live in content-addressed storage (lib/fragment-files)
+    const fragments = await withFragmentFiles(records.map((message) => message.fragments));
+    const byId = new Map(records.map((message, index) => [
+        message.id,
+        { ...message, fragments: fragments[index] },
+    ]));
+
+    // Chronological order for conversation flow
+    return path.map((id) => {
+        const message = byId.get(id);
+        const siblingIds = getSiblings(tree, id);
+
+        return {
+            ...message,
+            branch: {
+                index: siblingIds.indexOf(id),
+                count: siblingIds.length,
+                siblingIds,
+            },
+            ...(message.role === MessageRole.ASSISTANT && siblingIds.length > 1 && {
+                alternatives: siblingIds.map((siblingId) => byId.get(siblingId)),
+            }),
+        };
+    });
 };
 
 /**
- * Restores a fragment to a new sandbox
+ * Fetches a message the current user owns
  *
- * Creates a new E2B sandbox with the files from the specified fragment.
- * Updates the fragment's sandboxUrl in the database to the new sandbox URL.
- * This allows viewing previous code versions after the original sandbox expired.
+ * @async
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} Message with its project
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If message is not found
+ */
+async function getOwnedMessage(messageId) {
+    // =========================================================================
+    // AUTHENTICATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        throw new Error("Unauthorized");
+    }
+
+    // =========================================================================
+    // FETCH MESSAGE
+    // =========================================================================
+
+    const message = await db.message.findUnique({
+        where: { id: messageId },
+        include: { project: true },
+    });
+
+    if (!message) {
+        throw new Error("Message not found");
+    }
+
+    // Verify user owns the project
+    if (message.project?.userId !== user.id) {
+        throw new Error("Unauthorized");
+    }
+
+    return message;
+}
+
+/**
+ * Re-runs an edited user message as a new branch
+ *
+ * The edited message is added next to the original (same parent) and
+ * becomes the active branch's tip; the original message and the turns
+ * after it stay on their branch and can be switched back to. The agent
+ * then runs with the context of the messages before it only.
  *
  * @async
- * @param {string} fragmentId - The fragment ID to restore
- * @returns {Promise<Object>} Object with success status and new sandbox URL
+ * @param {string} messageId - The user message to edit
+ * @param {string} value - The new message content
+ * @param {Object} [options] - Per-message agent settings (see createMessages)
+ * @returns {Promise<Object>} The created message object
  * @throws {Error} If user is not authenticated
- * @throws {Error} If fragment is not found
+ * @throws {Error} If message is not found or doesn't belong to user
+ * @throws {Error} If the message is not a user message, a generation is in
+ *   progress, or user has no remaining credits
  *
  * @example
- * const result = await restoreFragment("fragmentId123");
- * // result = { success: true, sandboxUrl: "http://..." }
+ * const message = await editMessage(messageId, "Use a blue header instead");
  */
-export const restoreFragment = async (fragmentId) => {
-    // Import here to avoid loading E2B on every action
-    const Sandbox = (await import("@e2b/code-interpreter")).default;
+export const editMessage = async (messageId, value, options = {}) => {
+    const original = await getOwnedMessage(messageId);
+    const { projectId } = original;
+
+    if (original.role !== MessageRole.USER) {
+        throw new Error("Only your messages can be edited");
+    }
+
+    // =========================================================================
+    // CHECK FOR A RUNNING GENERATION
+    // =========================================================================
+
+    // The run's reply must stay the answer to the user's message
+    const lastMessage = await getActiveTip(projectId);
+
+    if (lastMessage?.role === MessageRole.USER) {
+        throw new Error("Wait for the current generation to finish");
+    }
+
+    // =========================================================================
+    // RATE LIMITING / CREDIT CONSUMPTION
+    // =========================================================================
+
+    await consumeRunCredit();
+
+    // =========================================================================
+    // BRANCH CREATION
+    // =========================================================================
+
+    const newMessage = await db.message.create({
+        data: {
+            projectId,
+            parentId: original.parentId,  // Alternative to the original message
+            content: value,
+            role: MessageRole.USER,
+            type: MessageType.RESULT,
+        },
+    });
+
+    await db.project.update({
+        where: { id: projectId },
+        data: { activeMessageId: newMessage.id },
+    });
+
+    // =========================================================================
+    // TRIGGER AI AGENT
+    // =========================================================================
+
+    await inngest.send({
+        name: "code-agent/run",
+        data: {
+            value,
+            projectId,
+            messageId: newMessage.id,
+            provider: options.provider,
+            model: options.model,
+            plan: await getUserPlan(),
+        },
+    });
+
+    return newMessage;
+};
+
+/**
+ * Regenerates an assistant response as an alternative
+ *
+ * Re-runs the user message the response answers, with the same context
+ * and the files as they were before it (the ancestors of the user
+ * message, see lib/branches), optionally with another model or
+ * temperature. The new response is added next to the original (same
+ * parent), so the user can flip between them and accept one with
+ * switchBranch.
+ *
+ * @async
+ * @param {string} messageId - The assistant message to regenerate
+ * @param {Object} [options] - Agent settings for the re-run
+ * @param {string} [options.provider] - LLM provider override (see lib/llm)
+ * @param {string} [options.model] - LLM model override
+ * @param {number} [options.temperature] - Sampling temperature (see
+ *   TEMPERATURE_RANGE in lib/llm)
+ * @returns {Promise<Object>} { messageId } of the re-run user message
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If message is not found or doesn't belong to user
+ * @throws {Error} If the message is not a response to a user message, a
+ *   generation is in progress, or user has no remaining credits
+ *
+ * @example
+ * await regenerateMessage(message.id, { provider: "anthropic", temperature: 0.2 });
+ */
+export const regenerateMessage = async (messageId, options = {}) => {
+    const response = await getOwnedMessage(messageId);
+    const { projectId } = response;
 
+    const prompt = response.role === MessageRole.ASSISTANT && response.parentId
+        ? await db.message.findUnique({ where: { id: response.parentId } })
+        : null;
+
+    if (prompt?.role !== MessageRole.USER) {
+        throw new Error("Only responses to your messages can be regenerated");
+    }
+
+    // =========================================================================
+    // CHECK FOR A RUNNING GENERATION
+    // =========================================================================
+
+    // The run's reply must stay the answer to the user's message
+    const lastMessage = await getActiveTip(projectId);
+
+    if (lastMessage?.role === MessageRole.USER) {
+        throw new Error("Wait for the current generation to finish");
+    }
+
+    // =========================================================================
+    // RATE LIMITING / CREDIT CONSUMPTION
+    // =========================================================================
+
+    await consumeRunCredit();
+
+    // =========================================================================
+    // RE-RUN THE USER MESSAGE
+    // =========================================================================
+
+    // The user message becomes the tip again, so the conversation shows the
+    // run in progress; updatedAt marks when this run started
+    await db.message.update({
+        where: { id: prompt.id },
+        data: { updatedAt: new Date() },
+    });
+
+    await db.project.update({
+        where: { id: projectId },
+        data: { activeMessageId: prompt.id },
+    });
+
+    // =========================================================================
+    // TRIGGER AI AGENT
+    // =========================================================================
+
+    await inngest.send({
+        name: "code-agent/run",
+        data: {
+            value: prompt.content,
+            projectId,
+            messageId: prompt.id,
+            provider: options.provider,
+            model: options.model,
+            temperature: options.temperature,
+            plan: await getUserPlan(),
+        },
+    });
+
+    return { messageId: prompt.id };
+};
+
+/**
+ * Makes another branch of the conversation active
+ *
+ * Switches to the branch of the given message, resuming at its newest
+ * turn. The next message continues that branch, and the agent's context is
+ * taken from it.
+ *
+ * @async
+ * @param {string} messageId - A message of the branch to switch to
+ *   (usually a sibling of a message on the active branch)
+ * @returns {Promise<Object>} { messageId } of the new active tip
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If message is not found or doesn't belong to user
+ * @throws {Error} If a generation is in progress
+ *
+ * @example
+ * await switchBranch(message.branch.siblingIds[message.branch.index - 1]);
+ */
+export const switchBranch = async (messageId) => {
+    const message = await getOwnedMessage(messageId);
+    const { projectId } = message;
+
+    // =========================================================================
+    // CHECK FOR A RUNNING GENERATION
+    // =========================================================================
+
+    // The run's reply is appended to the active branch
+    const lastMessage = await getActiveTip(projectId);
+
+    if (lastMessage?.role === MessageRole.USER) {
+        throw new Error("Wait for the current generation to finish");
+    }
+
+    // =========================================================================
+    // SWITCH BRANCH
+    // =========================================================================
+
+    const tree = await loadMessageTree(projectId);
+    const tipId = getLatestLeaf(tree, message.id);
+
+    await db.project.update({
+        where: { id: projectId },
+        data: { activeMessageId: tipId },
+    });
+
+    return { messageId: tipId };
+};
+
+/**
+ * Fetches a fragment the current user owns
+ *
+ * @async
+ * @param {string} fragmentId - Fragment ID
+ * @returns {Promise<Object>} Fragment with its message and project
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If fragment is not found
+ */
+async function getOwnedFragment(fragmentId) {
     // =========================================================================
     // AUTHENTICATION
     // =========================================================================
@@ -235,39 +649,564 @@ export const restoreFragment = async (fragmentId) => {
         throw new Error("Unauthorized");
     }
 
-    // =========================================================================
-    // CREATE NEW SANDBOX
-    // =========================================================================
+    return fragment;
+}
+
+/**
+ * Checks whether a fragment's preview is still served
+ *
+ * Probes the fragment's sandbox URL from the server, so the preview can
+ * show an "expired" state instead of a broken iframe. All fragments of a
+ * project share the project's sandbox, so a live sandbox only shows this
+ * fragment if it is the one loaded into it.
+ *
+ * @async
+ * @param {string} fragmentId - The fragment ID
+ * @returns {Promise<Object>} { status, sandboxUrl } where status is
+ *   "running" (the sandbox holds this fragment), "modified" (it holds
+ *   changes made since the last fragment), "stale" (it holds another
+ *   fragment) or "expired"
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If fragment is not found
+ *
+ * @example
+ * const { status } = await checkSandboxHealth(fragmentId);
+ * if (status === "expired") await restoreFragment(fragmentId);
+ */
+export const checkSandboxHealth = async (fragmentId) => {
+    const { getProjectSandboxContents, probeSandboxUrl } = await import("@/lib/sandbox");
+    const fragment = await getOwnedFragment(fragmentId);
+
+    const [alive, contents] = await Promise.all([
+        !!fragment.sandboxUrl && probeSandboxUrl(fragment.sandboxUrl),
+        getProjectSandboxContents(fragment.message.projectId),
+    ]);
+
+    let status = "expired";
+
+    if (alive && contents.live) {
+        status = contents.fragmentId === fragment.id
+            ? "running"
+            : contents.fragmentId === null ? "modified" : "stale";
+    }
+
+    return {
+        status,
+        sandboxUrl: fragment.sandboxUrl,
+    };
+};
+
+/**
+ * Restores in progress on this server, keyed by fragment ID
+ * Requests for the same fragment (e.g. several tabs) share one restore
+ * @type {Map<string, Promise<Object>>}
+ */
+const pendingRestores = new Map();
+
+/**
+ * Restores a fragment into the project's sandbox
+ *
+ * Writes the fragment's files into the project's live sandbox (creating
+ * a new one if it expired) and updates the fragment's sandboxUrl.
+ * This allows viewing previous code versions after the original sandbox expired.
+ *
+ * Concurrent restores never create duplicate sandboxes: identical requests
+ * on one server share a single restore, and restores of the same project
+ * are serialized across servers (withProjectSandboxLock). A restore that
+ * finds the sandbox already holding the fragment returns it as-is.
+ *
+ * The agent works in the same sandbox, so nothing is restored while a
+ * generation is in progress.
+ *
+ * @async
+ * @param {string} fragmentId - The fragment ID to restore
+ * @returns {Promise<Object>} Object with success status, new sandbox URL and
+ *   the replayed npm install ({ packages, success, error }, null if none)
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If fragment is not found
+ * @throws {Error} If a generation is in progress
+ *
+ * @example
+ * const result = await restoreFragment("fragmentId123");
+ * // result = { success: true, sandboxUrl: "http://..." }
+ */
+export const restoreFragment = async (fragmentId) => {
+    const fragment = await getOwnedFragment(fragmentId);
+
+    // Restoring would overwrite the files of the run in progress
+    const lastMessage = await getActiveTip(fragment.message.projectId);
+
+    if (lastMessage?.role === MessageRole.USER) {
+        throw new Error("Wait for the current generation to finish");
+    }
+
+    if (!pendingRestores.has(fragmentId)) {
+        pendingRestores.set(
+            fragmentId,
+            restoreIntoSandbox(fragment).finally(() => pendingRestores.delete(fragmentId))
+        );
+    }
+
+    return pendingRestores.get(fragmentId);
+};
+
+/**
+ * Writes a fragment into its project's sandbox under the project lock
+ *
+ * @async
+ * @param {Object} fragment - Fragment with its message (see getOwnedFragment)
+ * @returns {Promise<Object>} Result of restoreFragment
+ * @throws {Error} If the sandbox cannot be restored
+ */
+async function restoreIntoSandbox(fragment) {
+    // Import here to avoid loading the sandbox providers on every action
+    const {
+        connectProjectSandbox,
+        getProjectSandbox,
+        touchSandbox,
+        withProjectSandboxLock,
+    } = await import("@/lib/sandbox");
+    const {
+        PACKAGE_JSON_PATH,
+        diffDependencies,
+        installDependencies,
+        readSandboxPackageJson,
+    } = await import("@/lib/dependencies");
+
+    const { projectId } = fragment.message;
 
     try {
-        // Create a new sandbox with the Next.js template
-        const sandbox = await Sandbox.create("v0-nextjs-build-new");
+        return await withProjectSandboxLock(projectId, async () => {
+            // =================================================================
+            // CONNECT TO PROJECT SANDBOX
+            // =================================================================
 
-        // Restore files from the fragment
-        const files = fragment.files || {};
+            // Restored by a concurrent request while this one waited
+            let sandbox = await connectProjectSandbox(projectId, { fragmentId: fragment.id });
+            let dependencies = null;
 
-        for (const [filePath, content] of Object.entries(files)) {
-            await sandbox.files.write(filePath, content);
-        }
+            if (!sandbox) {
+                // Reuse the project's live sandbox, or create one from the template
+                let heldFragmentId;
+                ({ sandbox, fragmentId: heldFragmentId } =
+                    await getProjectSandbox(projectId, { plan: await getUserPlan() }));
 
-        // Get the new sandbox URL
-        const host = sandbox.getHost(3000);
-        const newSandboxUrl = `http://${host}`;
+                // Restore files from the fragment
+                const files = await readFragmentFiles(fragment.id);
 
-        // Update the fragment with the new sandbox URL
-        await db.fragment.update({
-            where: { id: fragmentId },
-            data: { sandboxUrl: newSandboxUrl }
-        });
+                // Files of the fragment the sandbox holds that this one does
+                // not have (e.g. from another branch of the conversation)
+                const stale = (await readFragmentPaths(heldFragmentId))
+                    .filter((filePath) => !Object.hasOwn(files, filePath));
 
-        return {
-            success: true,
-            sandboxUrl: newSandboxUrl,
-            sandboxId: sandbox.sandboxId
-        };
+                // Packages the fragment needs that the sandbox does not list yet
+                const packageJson = files[PACKAGE_JSON_PATH];
+                const missing = packageJson
+                    ? diffDependencies(await readSandboxPackageJson(sandbox), packageJson)
+                    : [];
+
+                for (const [filePath, content] of Object.entries(files)) {
+                    await sandbox.files.write(filePath, content);
+                }
+
+                // Remove those, and template files the agent deleted
+                for (const filePath of [...stale, ...(fragment.deletedFiles || [])]) {
+                    await sandbox.files.remove(filePath).catch(() => {});
+                }
+
+                // Replay the installs before the preview is served; a failure is
+                // reported but still leaves the files restored
+                dependencies = missing.length > 0
+                    ? { packages: missing, ...await installDependencies(sandbox, packageJson) }
+                    : null;
+
+                // The next agent run can skip restoring if this is still the head
+                await touchSandbox(sandbox.sandboxId, { fragmentId: fragment.id });
+            }
+
+            // Get the new sandbox URL
+            const host = sandbox.getHost(3000);
+            const newSandboxUrl = `http://${host}`;
+
+            // Update the fragment with the new sandbox URL
+            await db.fragment.update({
+                where: { id: fragment.id },
+                data: { sandboxUrl: newSandboxUrl }
+            });
+
+            return {
+                success: true,
+                sandboxUrl: newSandboxUrl,
+                sandboxId: sandbox.sandboxId,
+                dependencies
+            };
+        });
     } catch (error) {
         console.error("Failed to restore fragment:", error);
         throw new Error(`Failed to restore fragment: ${error.message}`);
     }
+}
+
+
+/**
+ * Saves files changed through the terminal as a new fragment
+ *
+ * Collects what changed in the project's sandbox since the last save
+ * (see lib/sandbox/terminal) and records it as an assistant message whose
+ * fragment is a full snapshot based on the latest fragment, so the agent
+ * works from these files on its next turn.
+ *
+ * @async
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} { saved, changed, removed, truncated,
+ *   fragmentId } where `saved` is false if nothing changed
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If project is not found or doesn't belong to user
+ * @throws {Error} If a generation is in progress or no sandbox is live
+ *
+ * @example
+ * const { saved, changed } = await saveTerminalChanges(projectId);
+ */
+export const saveTerminalChanges = async (projectId) => {
+    // Import here to avoid loading the sandbox providers on every action
+    const { connectProjectSandbox, touchSandbox } = await import("@/lib/sandbox");
+    const { captureTerminalChanges } = await import("@/lib/sandbox/terminal");
+
+    // =========================================================================
+    // AUTHENTICATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        throw new Error("Unauthorized");
+    }
+
+    // =========================================================================
+    // PROJECT AUTHORIZATION
+    // =========================================================================
+
+    const project = await db.project.findUnique({
+        where: {
+            id: projectId,
+            userId: user.id,  // Ensure user owns this project
+        },
+    });
+
+    if (!project) {
+        throw new Error("Project not found");
+    }
+
+    // =========================================================================
+    // CHECK FOR A RUNNING GENERATION
+    // =========================================================================
+
+    // The run's reply must stay the answer to the user's message
+    const lastMessage = await getActiveTip(projectId);
+
+    if (lastMessage?.role === MessageRole.USER) {
+        throw new Error("Wait for the current generation to finish");
+    }
+
+    // =========================================================================
+    // CAPTURE CHANGES
+    // =========================================================================
+
+    const sandbox = await connectProjectSandbox(projectId);
+
+    if (!sandbox) {
+        throw new Error("No live sandbox");
+    }
+
+    // Each fragment is a full snapshot, so changes apply to the latest one
+    // of the active branch
+    const branchPath = getBranchPath(await loadMessageTree(projectId));
+    const latestFragment = await withFragmentFiles(await db.fragment.findFirst({
+        where: { messageId: { in: branchPath } },
+        orderBy: { createdAt: "desc" },
+    }));
+
+    const capture = await captureTerminalChanges(sandbox, latestFragment);
+    const { changed, removed, truncated } = capture;
+
+    if (changed.length === 0 && removed.length === 0) {
+        return { saved: false, changed, removed, truncated, fragmentId: null };
+    }
+
+    // =========================================================================
+    // SAVE FRAGMENT
+    // =========================================================================
+
+    const content = [
+        "Saved changes made in the terminal:",
+        ...changed.map((filePath) => `- Modified ${filePath}`),
+        ...removed.map((filePath) => `- Deleted ${filePath}`),
+    ].join("\n");
+
+    const message = await db.message.create({
+        data: {
+            projectId,
+            parentId: lastMessage?.id ?? null,
+            content,
+            role: MessageRole.ASSISTANT,
+            type: MessageType.RESULT,
+            fragments: {
+                create: {
+                    sandboxUrl: `http://${sandbox.getHost(3000)}`,
+                    title: "Terminal changes",
+                    manifest: await storeFragmentFiles(capture.files),
+                    deletedFiles: capture.deletedFiles,
+                },
+            },
+        },
+        include: { fragments: true },
+    });
+
+    await advanceBranch(projectId, lastMessage?.id ?? null, message.id);
+
+    // The sandbox holds this fragment's files, so the next run skips restoring
+    await touchSandbox(sandbox.sandboxId, { fragmentId: message.fragments.id });
+
+    return {
+        saved: true,
+        changed,
+        removed,
+        truncated,
+        fragmentId: message.fragments.id,
+    };
 };
 
+/**
+ * Reverts the project to an earlier fragment
+ *
+ * Records an assistant message on the active branch whose fragment is a
+ * copy of the chosen fragment's snapshot, so the agent's next run continues from exactly
+ * those files. Files added after the chosen fragment are listed as deleted,
+ * so restoring removes them from the sandbox. The new fragment shares the
+ * chosen fragment's stored contents (lib/fragment-files).
+ *
+ * The project's sandbox is then restored to the reverted files. When the
+ * chosen fragment still has template files that later turns deleted, the
+ * sandbox is replaced by a fresh one, since those files cannot be written
+ * back from the fragment.
+ *
+ * @async
+ * @param {string} fragmentId - The fragment to revert to
+ * @returns {Promise<Object>} { fragmentId, messageId, restored } where
+ *   `fragmentId` is the new fragment and `restored` is false if the
+ *   sandbox could not be restored (the next restore or run retries)
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If fragment is not found or doesn't belong to user
+ * @throws {Error} If a generation is in progress or the fragment is already
+ *   the latest version
+ *
+ * @example
+ * const { fragmentId } = await revertToFragment(olderFragment.id);
+ */
+export const revertToFragment = async (fragmentId) => {
+    const fragment = await getOwnedFragment(fragmentId);
+    const { projectId } = fragment.message;
+
+    // =========================================================================
+    // CHECK FOR A RUNNING GENERATION
+    // =========================================================================
+
+    // The run's reply must stay the answer to the user's message
+    const lastMessage = await getActiveTip(projectId);
+
+    if (lastMessage?.role === MessageRole.USER) {
+        throw new Error("Wait for the current generation to finish");
+    }
+
+    // =========================================================================
+    // COMPARE WITH THE LATEST FRAGMENT
+    // =========================================================================
+
+    const branchPath = getBranchPath(await loadMessageTree(projectId));
+    const latestFragment = await db.fragment.findFirst({
+        where: { messageId: { in: branchPath } },
+        orderBy: { createdAt: "desc" },
+        include: { manifest: { select: { path: true } } },
+    });
+
+    if (latestFragment?.id === fragment.id) {
+        throw new Error("This version is already the latest");
+    }
+
+    const manifest = await db.fragmentFile.findMany({
+        where: { fragmentId: fragment.id },
+        select: { path: true, hash: true },
+    });
+    const paths = new Set(manifest.map(({ path }) => path));
+
+    // Files added after the chosen fragment
+    const addedLater = (latestFragment?.manifest || [])
+        .map(({ path }) => path)
+        .filter((path) => !paths.has(path));
+
+    // Template files deleted after the chosen fragment
+    const deletedLater = (latestFragment?.deletedFiles || [])
+        .filter((path) => !paths.has(path) && !fragment.deletedFiles.includes(path));
+
+    // =========================================================================
+    // SAVE FRAGMENT
+    // =========================================================================
+
+    const message = await db.message.create({
+        data: {
+            projectId,
+            parentId: lastMessage?.id ?? null,
+            content: `Reverted to "${fragment.title}".` + (addedLater.length > 0
+                ? `\n\nRemoved files added since:\n${addedLater.map((path) => `- ${path}`).join("\n")}`
+                : ""),
+            role: MessageRole.ASSISTANT,
+            type: MessageType.RESULT,
+            fragments: {
+                create: {
+                    sandboxUrl: fragment.sandboxUrl,
+                    title: `Reverted: ${fragment.title}`,
+                    manifest: { createMany: { data: manifest } },
+                    deletedFiles: [...new Set([...fragment.deletedFiles, ...addedLater])],
+                    verificationStatus: fragment.verificationStatus,
+                    verification: fragment.verification ?? undefined,
+                },
+            },
+        },
+        include: { fragments: true },
+    });
+
+    await advanceBranch(projectId, lastMessage?.id ?? null, message.id);
+
+    // =========================================================================
+    // RESTORE SANDBOX
+    // =========================================================================
+
+    let restored = true;
+
+    try {
+        if (deletedLater.length > 0) {
+            const { releaseProjectSandbox } = await import("@/lib/sandbox");
+            await releaseProjectSandbox(projectId, "reverted");
+        }
+
+        await restoreIntoSandbox({ ...message.fragments, message: { projectId } });
+    } catch (error) {
+        // The preview restores the fragment when its sandbox is gone
+        console.error("Failed to restore the reverted fragment:", error);
+        restored = false;
+    }
+
+    return {
+        fragmentId: message.fragments.id,
+        messageId: message.id,
+        restored,
+    };
+};
+
+/**
+ * Fields of a FragmentBuild returned to the client (the archive itself is
+ * downloaded from app/api/projects/[projectId]/builds/[buildId])
+ * @constant {Object}
+ */
+const BUILD_SELECT = {
+    id: true,
+    status: true,
+    exportStatic: true,
+    log: true,
+    bundleReport: true,
+    artifactSize: true,
+    error: true,
+    durationMs: true,
+    createdAt: true,
+    finishedAt: true,
+};
+
+/**
+ * Number of builds listed per fragment
+ * @constant {number}
+ */
+const MAX_LISTED_BUILDS = 10;
+
+/**
+ * Starts a production build of a fragment
+ *
+ * The build runs in its own sandbox (see inngest/build); a build already
+ * queued or running for the fragment is returned instead of starting
+ * another one.
+ *
+ * @async
+ * @param {string} fragmentId - The fragment ID
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.exportStatic=false] - Also archive a static export
+ * @returns {Promise<Object>} The build (BUILD_SELECT fields)
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If fragment is not found
+ * @throws {Error} If the template cannot be exported statically
+ *
+ * @example
+ * const build = await buildFragment(fragmentId, { exportStatic: true });
+ */
+export const buildFragment = async (fragmentId, { exportStatic = false } = {}) => {
+    const fragment = await getOwnedFragment(fragmentId);
+    const template = getTemplate(fragment.message.project.template);
+
+    if (exportStatic && template.build.exportDirectory === null) {
+        throw new Error(`${template.label} projects cannot be exported statically`);
+    }
+
+    const pending = await db.fragmentBuild.findFirst({
+        where: {
+            fragmentId,
+            status: { in: [FragmentBuildStatus.QUEUED, FragmentBuildStatus.RUNNING] },
+        },
+        select: BUILD_SELECT,
+    });
+
+    if (pending) {
+        return pending;
+    }
+
+    const build = await db.fragmentBuild.create({
+        data: { fragmentId, exportStatic },
+        select: BUILD_SELECT,
+    });
+
+    await inngest.send({
+        name: "fragment/build",
+        data: {
+            buildId: build.id,
+            projectId: fragment.message.projectId,
+            plan: await getUserPlan(),  // Selects the sandbox quota
+        },
+    });
+
+    return build;
+};
+
+/**
+ * Lists the recent builds of a fragment
+ *
+ * @async
+ * @param {string} fragmentId - The fragment ID
+ * @returns {Promise<Object>} { builds, canExport, projectId } with the
+ *   newest builds first, and whether the project's template supports a
+ *   static export
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If fragment is not found
+ */
+export const getFragmentBuilds = async (fragmentId) => {
+    const fragment = await getOwnedFragment(fragmentId);
+
+    const builds = await db.fragmentBuild.findMany({
+        where: { fragmentId },
+        orderBy: { createdAt: "desc" },
+        take: MAX_LISTED_BUILDS,
+        select: BUILD_SELECT,
+    });
+
+    return {
+        builds,
+        canExport: getTemplate(fragment.message.project.template).build.exportDirectory !== null,
+        projectId: fragment.message.projectId,
+    };
+};
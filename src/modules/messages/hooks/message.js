@@ -6,15 +6,36 @@
  * within a project context.
  *
  * Features:
- * - Automatic polling for new messages (5-second interval)
+ * - Automatic polling for new messages while idle (5-second interval);
+ *   active runs are followed through the progress stream instead
  * - Cache prefetching for better UX
  * - Optimistic cache invalidation on message creation
+ * - Cancellation of the generation in progress
+ * - Health checks of fragment previews (expired sandboxes)
+ * - Saving terminal changes as a fragment
+ * - Reverting the project to an earlier fragment
+ * - Editing earlier messages into new branches and switching between them
+ * - Regenerating responses as alternatives, optionally with another model
+ * - Production builds of fragments, polled while they run
  *
  * @module modules/messages/hooks/message
  */
 
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { createMessages, getMessages } from "../actions";
+import { MessageRole } from "@prisma/client";
+import {
+    buildFragment,
+    cancelGeneration,
+    checkSandboxHealth,
+    createMessages,
+    editMessage,
+    getFragmentBuilds,
+    getMessages,
+    regenerateMessage,
+    revertToFragment,
+    saveTerminalChanges,
+    switchBranch,
+} from "../actions";
 
 /**
  * Prefetch messages for a project
@@ -43,13 +64,14 @@ export const prefetchMessages = async (queryClient, projectId) => {
 /**
  * Hook to fetch messages for a project
  *
- * Retrieves all messages in a project's conversation, including
- * user messages and AI responses with their associated fragments.
+ * Retrieves the messages of the project's active conversation branch,
+ * including user messages and AI responses with their associated
+ * fragments and the alternatives of each message (`branch`).
  *
  * Features:
  * - 10-second stale time to reduce unnecessary refetches
- * - Auto-polling every 5 seconds when messages exist
- *   (to catch new AI responses)
+ * - Auto-polling every 5 seconds when messages exist, paused while a run
+ *   is active (useRunProgress refetches when the run finishes)
  *
  * @param {string} projectId - The project ID to fetch messages for
  * @returns {UseQueryResult} React Query result object containing:
@@ -70,15 +92,30 @@ export const useGetMessages = (projectId) => {
         /**
          * Auto-refetch interval configuration
          * Only polls when there are existing messages (conversation active)
-         * This catches new AI-generated responses
+         * and no run is in flight (recent last message from the user)
          *
          * @param {Object} query - The query object
          * @returns {number|false} Polling interval in ms, or false to disable
          */
         refetchInterval: (query) => {
-            // Poll every 5 seconds if we have messages (active conversation)
-            // This helps catch AI responses as they complete
-            return query.state.data?.length ? 5000 : false;
+            const messages = query.state.data;
+
+            if (!messages?.length) {
+                return false;
+            }
+
+            // A run is active: the progress stream refetches on completion.
+            // Same 5-minute window as the loading indicator, so a run that
+            // never reports back does not stop polling for good.
+            // updatedAt: a regenerated response re-runs an older message
+            const lastMessage = messages[messages.length - 1];
+            const messageAge = Date.now() - new Date(lastMessage.updatedAt).getTime();
+
+            if (lastMessage.role === MessageRole.USER && messageAge < 5 * 60 * 1000) {
+                return false;
+            }
+
+            return 5000;
         }
     })
 }
@@ -133,3 +170,270 @@ export const useCreateMessages = (projectId) => {
         }
     })
 }
+
+/**
+ * Hook to edit an earlier user message and re-run it as a new branch
+ *
+ * On success, invalidates the messages cache (the new branch becomes the
+ * active one) and the usage status, since the re-run consumes a credit.
+ *
+ * @param {string} projectId - The project ID
+ * @returns {UseMutationResult} React Query mutation result; data is the
+ *   new message
+ *
+ * @example
+ * const { mutateAsync: edit } = useEditMessage(projectId);
+ * await edit({ messageId: message.id, value: "Use a blue header instead" });
+ */
+export const useEditMessage = (projectId) => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        /**
+         * @param {Object} variables
+         * @param {string} variables.messageId - The user message to edit
+         * @param {string} variables.value - The new message content
+         */
+        mutationFn: ({ messageId, value }) => editMessage(messageId, value),
+
+        onSuccess: () => {
+            queryClient.invalidateQueries({
+                queryKey: ["messages", projectId]
+            })
+
+            queryClient.invalidateQueries({
+                queryKey: ["status"]
+            })
+        }
+    })
+}
+
+/**
+ * Hook to regenerate an assistant response as an alternative
+ *
+ * On success, invalidates the messages cache (the conversation shows the
+ * re-run in progress) and the usage status, since the re-run consumes a
+ * credit.
+ *
+ * @param {string} projectId - The project ID
+ * @returns {UseMutationResult} React Query mutation result; data is
+ *   { messageId } of the re-run user message
+ *
+ * @example
+ * const { mutate: regenerate } = useRegenerateMessage(projectId);
+ * regenerate({ messageId: message.id, options: { temperature: 0.2 } });
+ */
+export const useRegenerateMessage = (projectId) => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        /**
+         * @param {Object} variables
+         * @param {string} variables.messageId - The assistant message
+         * @param {Object} [variables.options] - { provider, model, temperature }
+         */
+        mutationFn: ({ messageId, options }) => regenerateMessage(messageId, options),
+
+        onSuccess: () => {
+            queryClient.invalidateQueries({
+                queryKey: ["messages", projectId]
+            })
+
+            queryClient.invalidateQueries({
+                queryKey: ["status"]
+            })
+        }
+    })
+}
+
+/**
+ * Hook to switch the project's conversation to another branch
+ *
+ * On success, invalidates the messages cache so the chosen branch is shown.
+ *
+ * @param {string} projectId - The project ID
+ * @returns {UseMutationResult} React Query mutation result; data is
+ *   { messageId } of the new active tip
+ *
+ * @example
+ * const { mutate: switchTo } = useSwitchBranch(projectId);
+ * switchTo(message.branch.siblingIds[message.branch.index + 1]);
+ */
+export const useSwitchBranch = (projectId) => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (messageId) => switchBranch(messageId),
+
+        onSuccess: () => {
+            queryClient.invalidateQueries({
+                queryKey: ["messages", projectId]
+            })
+        }
+    })
+}
+
+/**
+ * Hook to cancel the generation in progress for a project
+ *
+ * The cancellation is processed asynchronously: the progress stream
+ * reports it and refetches messages (and credits, which may have been
+ * refunded) once the CANCELLED message exists.
+ *
+ * @param {string} projectId - The project ID
+ * @returns {UseMutationResult} React Query mutation result
+ *
+ * @example
+ * const { mutate: cancel } = useCancelGeneration(projectId);
+ * cancel({ keepDraft: true });
+ */
+export const useCancelGeneration = (projectId) => {
+    return useMutation({
+        /**
+         * @param {Object} [options]
+         * @param {boolean} [options.keepDraft] - Keep partial files as a draft
+         */
+        mutationFn: (options) => cancelGeneration(projectId, options),
+    })
+}
+
+/**
+ * Hook to check whether a fragment's preview sandbox is still alive
+ *
+ * Re-checks every minute and when the window regains focus, since
+ * sandboxes expire while the preview is open. The sandbox URL is part of
+ * the key so a restore (new URL) is checked right away.
+ *
+ * @param {string} fragmentId - The fragment ID
+ * @param {string} sandboxUrl - The preview URL currently shown
+ * @returns {UseQueryResult} React Query result; data is
+ *   { status: "running" | "modified" | "stale" | "expired", sandboxUrl }
+ *   (see checkSandboxHealth)
+ *
+ * @example
+ * const { data: health } = useSandboxHealth(fragment.id, currentUrl);
+ * const expired = health?.status === "expired";
+ */
+export const useSandboxHealth = (fragmentId, sandboxUrl) => {
+    return useQuery({
+        queryKey: ["sandbox-health", fragmentId, sandboxUrl],
+        queryFn: () => checkSandboxHealth(fragmentId),
+        enabled: !!fragmentId,
+        staleTime: 30 * 1000,
+        refetchInterval: 60 * 1000,
+        refetchOnWindowFocus: true,
+        retry: false,
+    })
+}
+
+/**
+ * Hook to save the files changed through the terminal as a fragment
+ *
+ * On success, invalidates the messages cache so the new fragment shows up.
+ *
+ * @param {string} projectId - The project ID
+ * @returns {UseMutationResult} React Query mutation result; data is
+ *   { saved, changed, removed, truncated, fragmentId }
+ *
+ * @example
+ * const { mutateAsync: save } = useSaveTerminalChanges(projectId);
+ * const { saved, changed } = await save();
+ */
+export const useSaveTerminalChanges = (projectId) => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: () => saveTerminalChanges(projectId),
+
+        onSuccess: ({ saved }) => {
+            if (saved) {
+                queryClient.invalidateQueries({
+                    queryKey: ["messages", projectId]
+                })
+            }
+        }
+    })
+}
+
+/**
+ * Hook to revert the project to an earlier fragment
+ *
+ * On success, invalidates the messages cache so the revert message and its
+ * fragment show up (and become the active fragment).
+ *
+ * @param {string} projectId - The project ID
+ * @returns {UseMutationResult} React Query mutation result; data is
+ *   { fragmentId, messageId, restored }
+ *
+ * @example
+ * const { mutateAsync: revert } = useRevertToFragment(projectId);
+ * await revert(fragment.id);
+ */
+export const useRevertToFragment = (projectId) => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (fragmentId) => revertToFragment(fragmentId),
+
+        onSuccess: () => {
+            queryClient.invalidateQueries({
+                queryKey: ["messages", projectId]
+            })
+        }
+    })
+}
+
+/**
+ * Hook to list a fragment's production builds
+ *
+ * Polls every 3 seconds while a build is queued or running.
+ *
+ * @param {string} fragmentId - The fragment ID
+ * @param {boolean} [enabled=true] - Set to false to skip fetching
+ * @returns {UseQueryResult} React Query result; data is
+ *   { builds, canExport, projectId }
+ *
+ * @example
+ * const { data } = useFragmentBuilds(fragment.id, open);
+ * const latest = data?.builds[0];
+ */
+export const useFragmentBuilds = (fragmentId, enabled = true) => {
+    return useQuery({
+        queryKey: ["fragment-builds", fragmentId],
+        queryFn: () => getFragmentBuilds(fragmentId),
+        enabled: !!fragmentId && enabled,
+        refetchInterval: (query) => {
+            const builds = query.state.data?.builds || [];
+            return builds.some((build) => build.status === "QUEUED" || build.status === "RUNNING")
+                ? 3000
+                : false;
+        },
+    })
+}
+
+/**
+ * Hook to start a production build of a fragment
+ *
+ * On success, invalidates the fragment's build list so the new build is
+ * followed.
+ *
+ * @param {string} fragmentId - The fragment ID
+ * @returns {UseMutationResult} React Query mutation result; data is the build
+ *
+ * @example
+ * const { mutate: build } = useBuildFragment(fragment.id);
+ * build({ exportStatic: true });
+ */
+export const useBuildFragment = (fragmentId) => {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ exportStatic } = {}) => buildFragment(fragmentId, { exportStatic }),
+
+        onSuccess: () => {
+            queryClient.invalidateQueries({
+                queryKey: ["fragment-builds", fragmentId]
+            })
+        }
+    })
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Agent Progress Hook
+ *
+ * This module subscribes to the live progress stream of a running code
+ * agent (see app/api/projects/[projectId]/progress). It replaces message
+ * polling while a run is active: when the run reports "done", "failed" or
+ * "cancelled" the messages cache is invalidated to pick up the reply.
+ *
+ * @module modules/messages/hooks/progress
+ */
+
+import { useEffect, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { PROGRESS_STAGES, TERMINAL_STAGES } from "@/lib/progress";
+
+/**
+ * Hook to stream progress events for the pending run of a project
+ *
+ * The stream replays every event since `since` on (re)connect, so the
+ * event list is reset whenever the connection opens.
+ *
+ * @param {string} projectId - The project ID
+ * @param {Date|string|null} since - Start of the pending user message's
+ *   latest run (its updatedAt); pass null to stay disconnected
+ * @returns {{events: Array<Object>, isStreaming: boolean}} Events received
+ *   so far ({ id, stage, message, createdAt }) and the connection state
+ *
+ * @example
+ * const { events } = useRunProgress(projectId, lastMessage.updatedAt);
+ */
+export const useRunProgress = (projectId, since) => {
+    const queryClient = useQueryClient();
+    const [events, setEvents] = useState([]);
+    const [isStreaming, setIsStreaming] = useState(false);
+
+    useEffect(() => {
+        if (!projectId || !since) {
+            return;
+        }
+
+        const params = new URLSearchParams({ since: new Date(since).toISOString() });
+        const source = new EventSource(`/api/projects/${projectId}/progress?${params}`);
+
+        source.onopen = () => {
+            setEvents([]);
+            setIsStreaming(true);
+        };
+
+        source.onmessage = (message) => {
+            const event = JSON.parse(message.data);
+            setEvents((prev) => [...prev, event]);
+
+            // Run finished: stop listening and fetch the assistant's reply
+            if (TERMINAL_STAGES.includes(event.stage)) {
+                source.close();
+                setIsStreaming(false);
+                queryClient.invalidateQueries({ queryKey: ["messages", projectId] });
+
+                // A cancelled run may have had its credit refunded
+                if (event.stage === PROGRESS_STAGES.CANCELLED) {
+                    queryClient.invalidateQueries({ queryKey: ["status"] });
+                }
+            }
+        };
+
+        // EventSource reconnects on its own; just reflect the state
+        source.onerror = () => {
+            setIsStreaming(false);
+        };
+
+        return () => {
+            source.close();
+        };
+    }, [projectId, since, queryClient]);
+
+    return { events, isStreaming };
+};
@@ -11,13 +11,17 @@
  * - createProject: Creates a new project and triggers AI processing
  * - getProjects: Retrieves all projects for the current user
  * - getProjectById: Retrieves a single project by ID
+ * - updateProjectModel: Sets the project's preferred LLM provider/model
+ * - getModelProviders: Lists LLM providers available to choose from
  *
  * @module modules/projects/actions
  */
 
 import { inngest } from "@/inngest/client";
 import db from "@/lib/db";
-import { consumeCredits } from "@/lib/usage";
+import { listProviders } from "@/lib/llm";
+import { DEFAULT_TEMPLATE, TEMPLATES } from "@/lib/templates";
+import { consumeCredits, getUserPlan } from "@/lib/usage";
 import { getCurrentUser } from "@/modules/auth/actions";
 import { MessageRole, MessageType } from "@prisma/client";
 import { generateSlug } from "random-word-slugs";
@@ -31,17 +35,25 @@ import { generateSlug } from "random-word-slugs";
  * 3. Creates the project in the database with initial user message
  * 4. Triggers the Inngest AI agent workflow
  *
+ * The starter template (see lib/templates) is stored on the project and
+ * decides the sandbox image, system prompt fragment and verification checks.
+ *
  * @async
  * @param {string} value - The project description/prompt from the user
+ * @param {Object} [options] - Options
+ * @param {string} [options.template] - Starter template ID (default Next.js)
  * @returns {Promise<Object>} The created project object
  * @throws {Error} If user is not authenticated
+ * @throws {Error} If the template is unknown
  * @throws {Error} If user has no remaining credits
  *
  * @example
- * const project = await createProject("Build a todo app with dark mode");
+ * const project = await createProject("Build a todo app with dark mode", {
+ *     template: "vite-react",
+ * });
  * router.push(`/projects/${project.id}`);
  */
-export const createProject = async (value) => {
+export const createProject = async (value, { template = DEFAULT_TEMPLATE } = {}) => {
     // =========================================================================
     // AUTHENTICATION
     // =========================================================================
@@ -52,6 +64,14 @@ export const createProject = async (value) => {
         throw new Error("Unauthorized");
     }
 
+    // =========================================================================
+    // VALIDATE TEMPLATE
+    // =========================================================================
+
+    if (!TEMPLATES[template]) {
+        throw new Error("Unknown template");
+    }
+
     // =========================================================================
     // RATE LIMITING / CREDIT CONSUMPTION
     // =========================================================================
@@ -82,6 +102,7 @@ export const createProject = async (value) => {
         data: {
             name: projectName,
             userId: user.id,
+            template,
             messages: {
                 // Create the initial user message containing their prompt
                 create: {
@@ -91,6 +112,15 @@ export const createProject = async (value) => {
                 },
             },
         },
+        include: { messages: true },
+    });
+
+    // The initial message starts the conversation's first branch
+    const [firstMessage] = newProject.messages;
+
+    await db.project.update({
+        where: { id: newProject.id },
+        data: { activeMessageId: firstMessage.id },
     });
 
     // =========================================================================
@@ -104,6 +134,8 @@ export const createProject = async (value) => {
         data: {
             value: value,          // The user's prompt/description
             projectId: newProject.id,  // Project context for the agent
+            messageId: firstMessage.id,  // Branch the reply is appended to
+            plan: await getUserPlan(),  // Selects the run budget
         },
     });
 
@@ -253,3 +285,96 @@ export const deleteProject = async (projectId) => {
     return { success: true };
 };
 
+/**
+ * Sets the preferred LLM provider and model for a project
+ *
+ * The preference is read by the code agent workflow on every run.
+ * Passing a null provider resets the project to the app default.
+ *
+ * @async
+ * @param {string} projectId - The unique identifier of the project
+ * @param {Object} config - Provider configuration
+ * @param {string|null} config.provider - Provider ID (see lib/llm)
+ * @param {string|null} [config.model] - Model name, defaults to the provider's default
+ * @returns {Promise<Object>} The updated project object
+ * @throws {Error} If user is not authenticated
+ * @throws {Error} If project is not found or doesn't belong to user
+ * @throws {Error} If the provider is unknown or not configured
+ *
+ * @example
+ * await updateProjectModel(projectId, { provider: "anthropic" });
+ */
+export const updateProjectModel = async (projectId, { provider, model = null }) => {
+    // =========================================================================
+    // AUTHENTICATION
+    // =========================================================================
+
+    const user = await getCurrentUser();
+
+    if (!user) {
+        throw new Error("Unauthorized");
+    }
+
+    // =========================================================================
+    // VALIDATE PROVIDER
+    // =========================================================================
+
+    if (provider) {
+        const available = listProviders().find((p) => p.id === provider);
+
+        if (!available || !available.configured) {
+            throw new Error("Model provider is not available");
+        }
+    }
+
+    // =========================================================================
+    // VERIFY OWNERSHIP & UPDATE
+    // =========================================================================
+
+    const project = await db.project.findUnique({
+        where: {
+            id: projectId,
+            userId: user.id,
+        },
+    });
+
+    if (!project) {
+        throw new Error("Project not found");
+    }
+
+    return await db.project.update({
+        where: {
+            id: projectId,
+        },
+        data: {
+            provider: provider || null,
+            model: provider ? model : null,
+        },
+    });
+};
+
+/**
+ * Lists the LLM providers the user can choose from
+ *
+ * Only configured providers are returned, so the UI never offers a
+ * provider that would silently fall back to another one.
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} Provider descriptors ({ id, label, defaultModel })
+ * @throws {Error} If user is not authenticated
+ *
+ * @example
+ * const providers = await getModelProviders();
+ * // providers = [{ id: "gemini", label: "Gemini", defaultModel: "gemini-2.5-flash" }]
+ */
+export const getModelProviders = async () => {
+    const user = await getCurrentUser();
+
+    if (!user) {
+        throw new Error("Unauthorized");
+    }
+
+    return listProviders()
+        .filter((provider) => provider.configured)
+        .map(({ id, label, defaultModel }) => ({ id, label, defaultModel }));
+};
@@ -0,0 +1,271 @@
+"use client";
+
+/**
+ * @fileoverview Build Dialog Component
+ *
+ * Production builds of a fragment, opened from the preview toolbar. A
+ * build runs the template's build command (e.g. `next build`) in its own
+ * sandbox restored from the fragment (see inngest/build).
+ *
+ * Features:
+ * - Start a build, optionally with a static export archive
+ * - Recent builds with their status, followed while they run
+ * - Bundle-size report and build log of the selected build
+ * - Download of the static export (.tar.gz)
+ *
+ * @module modules/projects/components/build-dialog
+ */
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { CheckCircle2, Download, Hammer, Loader2, XCircle } from "lucide-react";
+import { toast } from "sonner";
+
+import { cn } from "@/lib/utils";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { useBuildFragment, useFragmentBuilds } from "@/modules/messages/hooks/message";
+
+/**
+ * Label per build status
+ * @constant {Object<string, string>}
+ */
+const STATUS_LABELS = {
+    QUEUED: "Queued",
+    RUNNING: "Building",
+    SUCCEEDED: "Succeeded",
+    FAILED: "Failed",
+};
+
+/**
+ * Formats a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "12.3 kB", "1.4 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} kB`;
+    }
+
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Status icon of a build
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - FragmentBuildStatus
+ * @returns {JSX.Element} Icon
+ */
+const BuildStatusIcon = ({ status }) => {
+    if (status === "SUCCEEDED") {
+        return <CheckCircle2 className="size-4 text-green-600" />;
+    }
+
+    if (status === "FAILED") {
+        return <XCircle className="size-4 text-red-600" />;
+    }
+
+    return <Loader2 className="size-4 animate-spin text-muted-foreground" />;
+};
+
+/**
+ * BuildDialog Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.fragmentId - Fragment to build
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Called with the new open state
+ * @returns {JSX.Element} The build dialog
+ *
+ * @example
+ * <BuildDialog fragmentId={fragment.id} open={open} onOpenChange={setOpen} />
+ */
+const BuildDialog = ({ fragmentId, open, onOpenChange }) => {
+    // =========================================================================
+    // STATE & HOOKS
+    // =========================================================================
+
+    const [exportStatic, setExportStatic] = useState(false);
+
+    /**
+     * Build whose details are shown (null = the newest)
+     */
+    const [selectedId, setSelectedId] = useState(null);
+
+    const { data, isLoading } = useFragmentBuilds(fragmentId, open);
+    const { mutateAsync: startBuild, isPending: isStarting } = useBuildFragment(fragmentId);
+
+    const builds = data?.builds || [];
+    const selected = builds.find((build) => build.id === selectedId) || builds[0];
+    const isBuilding = builds.some(
+        (build) => build.status === "QUEUED" || build.status === "RUNNING"
+    );
+
+    // =========================================================================
+    // EVENT HANDLERS
+    // =========================================================================
+
+    /**
+     * Starts a build and shows it
+     *
+     * @async
+     */
+    const onBuild = async () => {
+        try {
+            const build = await startBuild({ exportStatic: exportStatic && data?.canExport });
+            setSelectedId(build.id);
+        } catch (error) {
+            toast.error(error.message || "Failed to start the build");
+        }
+    };
+
+    // =========================================================================
+    // RENDER
+    // =========================================================================
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-3xl max-h-[90vh] flex flex-col">
+                <DialogHeader>
+                    <DialogTitle>Production build</DialogTitle>
+                    <DialogDescription>
+                        Builds this version in a separate sandbox to check that it
+                        compiles for production.
+                    </DialogDescription>
+                </DialogHeader>
+
+                {/* Start a build */}
+                <div className="flex items-center gap-x-3">
+                    <div className="flex items-center gap-2">
+                        <Checkbox
+                            id="export-static"
+                            checked={exportStatic}
+                            onCheckedChange={(checked) => setExportStatic(checked === true)}
+                            disabled={!data?.canExport}
+                        />
+                        <Label htmlFor="export-static" className="text-sm">
+                            {data?.canExport === false
+                                ? "Static export is not available for this template"
+                                : "Create a static export (.tar.gz)"}
+                        </Label>
+                    </div>
+                    <Button
+                        size={"sm"}
+                        className="ml-auto"
+                        onClick={onBuild}
+                        disabled={isStarting || isBuilding || isLoading}
+                    >
+                        {isStarting || isBuilding ? (
+                            <Loader2 className="size-4 animate-spin" />
+                        ) : (
+                            <Hammer className="size-4" />
+                        )}
+                        {isBuilding ? "Building..." : "Build"}
+                    </Button>
+                </div>
+
+                {/* Recent builds */}
+                {builds.length > 0 && (
+                    <div className="border rounded-md divide-y text-sm">
+                        {builds.map((build) => (
+                            <div
+                                key={build.id}
+                                onClick={() => setSelectedId(build.id)}
+                                className={cn(
+                                    "flex items-center gap-x-2 px-3 py-1.5 cursor-pointer hover:bg-accent/50",
+                                    selected?.id === build.id && "bg-accent"
+                                )}
+                            >
+                                <BuildStatusIcon status={build.status} />
+                                <span>{STATUS_LABELS[build.status]}</span>
+                                {build.exportStatic && (
+                                    <span className="text-xs text-muted-foreground">with export</span>
+                                )}
+                                <span className="ml-auto text-xs text-muted-foreground">
+                                    {format(new Date(build.createdAt), "HH:mm 'on' MMM dd")}
+                                    {build.durationMs !== null &&
+                                        ` · ${Math.round(build.durationMs / 1000)}s`}
+                                </span>
+                                {build.artifactSize !== null && (
+                                    <Button asChild size={"sm"} variant={"ghost"} className="h-6 px-2">
+                                        <a
+                                            href={`/api/projects/${data.projectId}/builds/${build.id}`}
+                                            onClick={(event) => event.stopPropagation()}
+                                        >
+                                            <Download className="size-3.5" />
+                                            {formatBytes(build.artifactSize)}
+                                        </a>
+                                    </Button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {/* Selected build */}
+                {selected && (
+                    <div className="flex-1 min-h-0 overflow-auto space-y-3">
+                        {selected.error && (
+                            <p className="text-sm text-red-600 dark:text-red-400">{selected.error}</p>
+                        )}
+
+                        {selected.bundleReport && (
+                            <div className="text-xs">
+                                <p className="font-medium mb-1">
+                                    Bundle size: {formatBytes(selected.bundleReport.totalBytes)}
+                                    {" "}({formatBytes(selected.bundleReport.totalGzipBytes)} gzipped)
+                                    {" "}in {selected.bundleReport.assetCount} JS/CSS file(s)
+                                </p>
+                                <table className="w-full font-mono">
+                                    <thead className="text-muted-foreground">
+                                        <tr>
+                                            <th className="text-left font-normal">File</th>
+                                            <th className="text-right font-normal">Size</th>
+                                            <th className="text-right font-normal">Gzipped</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {selected.bundleReport.assets.map((asset) => (
+                                            <tr key={asset.path}>
+                                                <td className="truncate max-w-0 w-full pr-2">{asset.path}</td>
+                                                <td className="text-right whitespace-nowrap pl-2">
+                                                    {formatBytes(asset.bytes)}
+                                                </td>
+                                                <td className="text-right whitespace-nowrap pl-2">
+                                                    {formatBytes(asset.gzipBytes)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        <pre className="rounded-md bg-muted p-3 text-xs whitespace-pre-wrap break-all">
+                            {selected.log || (selected.status === "FAILED"
+                                ? "No build output"
+                                : "The log appears when the build finishes")}
+                        </pre>
+                    </div>
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default BuildDialog;
@@ -0,0 +1,282 @@
+"use client";
+
+/**
+ * @fileoverview Console View Component
+ *
+ * The Console tab of the project view. Shows the errors the preview
+ * reported in the browser and the dev-server output of the project's
+ * sandbox, so compile and runtime failures are visible instead of a
+ * broken iframe.
+ *
+ * Features:
+ * - Browser errors (uncaught errors, rejections, console.error)
+ * - Live dev-server log, with error lines highlighted
+ * - Select errors or log lines and send them to the agent as a
+ *   "fix this error" message
+ *
+ * @module modules/projects/components/console-view
+ */
+
+import { useState } from "react";
+import { Bug, Loader2, ServerOff, Terminal, Trash2, Wrench } from "lucide-react";
+import { toast } from "sonner";
+
+import { cn } from "@/lib/utils";
+import { Button } from "@/components/ui/button";
+import { useCreateMessages } from "@/modules/messages/hooks/message";
+import { useSandboxLogs } from "../hooks/console";
+
+/**
+ * Log lines highlighted as errors
+ * @constant {RegExp}
+ */
+const ERROR_LINE_PATTERN = /\b(error|failed|exception|cannot find|unexpected token)\b|⨯|✘/i;
+
+/**
+ * Maximum characters of console output sent to the agent
+ * @constant {number}
+ */
+const MAX_FIX_MESSAGE_LENGTH = 6000;
+
+/**
+ * Builds the message asking the agent to fix the selected output
+ *
+ * @param {Array<string>} entries - Selected errors and log lines
+ * @returns {string} Message content
+ */
+function buildFixMessage(entries) {
+    const output = entries.join("\n").slice(0, MAX_FIX_MESSAGE_LENGTH);
+
+    return `Fix this error in the preview:\n\n\`\`\`\n${output}\n\`\`\``;
+}
+
+/**
+ * Formats a browser error for display and for the agent
+ *
+ * @param {Object} error - Preview error (usePreviewErrors)
+ * @returns {string} Message with its stack, if any
+ */
+function formatPreviewError(error) {
+    return error.stack && !error.stack.includes(error.message)
+        ? `${error.message}\n${error.stack}`
+        : error.stack || error.message;
+}
+
+/**
+ * ConsoleView Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.projectId - The current project's ID
+ * @param {Array<Object>} props.previewErrors - Errors reported by the preview
+ * @param {Function} props.onClearPreviewErrors - Clears the preview errors
+ * @returns {JSX.Element} The console
+ *
+ * @example
+ * <ConsoleView projectId={projectId} previewErrors={errors} onClearPreviewErrors={clear} />
+ */
+const ConsoleView = ({ projectId, previewErrors, onClearPreviewErrors }) => {
+    // =========================================================================
+    // STATE & HOOKS
+    // =========================================================================
+
+    const { lines, status, clear: clearLines } = useSandboxLogs(projectId);
+    const { mutateAsync, isPending } = useCreateMessages(projectId);
+
+    /**
+     * Selected entries, keyed "error-<id>" or "log-<id>"
+     */
+    const [selected, setSelected] = useState(() => new Set());
+
+    // =========================================================================
+    // EVENT HANDLERS
+    // =========================================================================
+
+    /**
+     * Toggles an entry in the selection
+     *
+     * @param {string} key - Entry key
+     */
+    const toggle = (key) => {
+        setSelected((prev) => {
+            const next = new Set(prev);
+
+            if (next.has(key)) {
+                next.delete(key);
+            } else {
+                next.add(key);
+            }
+
+            return next;
+        });
+    };
+
+    /**
+     * Sends output to the agent as a "fix this error" message
+     *
+     * @async
+     * @param {Array<string>} entries - Errors and log lines to include
+     */
+    const sendFix = async (entries) => {
+        try {
+            await mutateAsync(buildFixMessage(entries));
+            setSelected(new Set());
+            toast.success("Sent to the agent");
+        } catch (error) {
+            toast.error(error.message || "Failed to send message");
+        }
+    };
+
+    /**
+     * Sends the selected entries, in display order
+     */
+    const onFixSelected = () => {
+        const entries = [
+            ...previewErrors
+                .filter((error) => selected.has(`error-${error.id}`))
+                .map(formatPreviewError),
+            ...lines
+                .filter((line) => selected.has(`log-${line.id}`))
+                .map((line) => line.text),
+        ];
+
+        if (entries.length > 0) {
+            sendFix(entries);
+        }
+    };
+
+    /**
+     * Clears both lists and the selection
+     */
+    const onClear = () => {
+        onClearPreviewErrors();
+        clearLines();
+        setSelected(new Set());
+    };
+
+    // =========================================================================
+    // RENDER
+    // =========================================================================
+
+    return (
+        <div className="flex flex-col h-full">
+            {/* Toolbar */}
+            <div className="p-2 border-b bg-sidebar flex items-center gap-x-2">
+                <span className="text-xs text-muted-foreground">
+                    {status === "expired"
+                        ? "Sandbox expired — restore the preview to see its output"
+                        : "Click errors or log lines to select them"}
+                </span>
+                <div className="ml-auto flex items-center gap-x-2">
+                    <Button
+                        size={"sm"}
+                        variant={"outline"}
+                        onClick={onClear}
+                        disabled={previewErrors.length === 0 && lines.length === 0}
+                    >
+                        <Trash2 className="size-4" />
+                        Clear
+                    </Button>
+                    <Button
+                        size={"sm"}
+                        onClick={onFixSelected}
+                        disabled={selected.size === 0 || isPending}
+                    >
+                        {isPending ? (
+                            <Loader2 className="size-4 animate-spin" />
+                        ) : (
+                            <Wrench className="size-4" />
+                        )}
+                        Fix selected{selected.size > 0 ? ` (${selected.size})` : ""}
+                    </Button>
+                </div>
+            </div>
+
+            <div className="flex-1 overflow-auto font-mono text-xs">
+                {/* Browser errors reported by the preview */}
+                <div className="px-3 py-2 border-b flex items-center gap-x-2 text-muted-foreground">
+                    <Bug className="size-3.5" />
+                    <span>Browser errors ({previewErrors.length})</span>
+                </div>
+                {previewErrors.length === 0 ? (
+                    <p className="px-3 py-2 text-muted-foreground">
+                        No errors reported by the preview
+                    </p>
+                ) : (
+                    previewErrors.map((error) => {
+                        const key = `error-${error.id}`;
+
+                        return (
+                            <div
+                                key={key}
+                                onClick={() => toggle(key)}
+                                className={cn(
+                                    "group flex items-start gap-x-2 px-3 py-1.5 border-b cursor-pointer text-red-600 dark:text-red-400 hover:bg-accent/50",
+                                    selected.has(key) && "bg-accent"
+                                )}
+                            >
+                                <pre className="flex-1 whitespace-pre-wrap break-all">
+                                    {formatPreviewError(error)}
+                                </pre>
+                                {error.count > 1 && (
+                                    <span className="rounded bg-muted px-1.5 text-muted-foreground">
+                                        ×{error.count}
+                                    </span>
+                                )}
+                                <Button
+                                    size={"sm"}
+                                    variant={"ghost"}
+                                    className="h-6 px-2 opacity-0 group-hover:opacity-100"
+                                    disabled={isPending}
+                                    onClick={(event) => {
+                                        event.stopPropagation();
+                                        sendFix([formatPreviewError(error)]);
+                                    }}
+                                >
+                                    <Wrench className="size-3.5" />
+                                    Fix
+                                </Button>
+                            </div>
+                        );
+                    })
+                )}
+
+                {/* Dev-server output */}
+                <div className="px-3 py-2 border-b flex items-center gap-x-2 text-muted-foreground">
+                    <Terminal className="size-3.5" />
+                    <span>Dev server</span>
+                </div>
+                {status === "expired" && lines.length === 0 ? (
+                    <div className="px-3 py-2 flex items-center gap-x-2 text-muted-foreground">
+                        <ServerOff className="size-3.5" />
+                        No live sandbox
+                    </div>
+                ) : lines.length === 0 ? (
+                    <p className="px-3 py-2 text-muted-foreground">
+                        {status === null ? "Connecting..." : "No output yet"}
+                    </p>
+                ) : (
+                    lines.map((line) => {
+                        const key = `log-${line.id}`;
+
+                        return (
+                            <pre
+                                key={key}
+                                onClick={() => toggle(key)}
+                                className={cn(
+                                    "px-3 py-0.5 whitespace-pre-wrap break-all cursor-pointer hover:bg-accent/50",
+                                    ERROR_LINE_PATTERN.test(line.text) && "text-red-600 dark:text-red-400",
+                                    selected.has(key) && "bg-accent"
+                                )}
+                            >
+                                {line.text}
+                            </pre>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ConsoleView;
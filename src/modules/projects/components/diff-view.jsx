@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Diff View Component
+ *
+ * Line diff of one file between two fragments, shown by the Code tab's
+ * diff mode in place of CodeView (see lib/diff).
+ *
+ * Features:
+ * - Unified view: removed and added lines interleaved
+ * - Side-by-side view: old version on the left, new on the right
+ * - Unchanged runs collapsed to DIFF_CONTEXT_LINES around each change
+ *
+ * @module modules/projects/components/diff-view
+ */
+
+import { useMemo } from "react";
+
+import { cn } from "@/lib/utils";
+import { collapseUnchanged, diffLines, toSideBySide } from "@/lib/diff";
+
+/**
+ * Background per line type
+ * @constant {Object<string, string>}
+ */
+const LINE_CLASSES = {
+    add: "bg-green-500/15",
+    remove: "bg-red-500/15",
+    equal: "",
+};
+
+/**
+ * Gutter marker per line type
+ * @constant {Object<string, string>}
+ */
+const LINE_MARKERS = {
+    add: "+",
+    remove: "-",
+    equal: " ",
+};
+
+/**
+ * Row standing for hidden unchanged lines
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.count - Number of hidden lines
+ * @param {number} props.colSpan - Columns to span
+ * @returns {JSX.Element} Table row
+ */
+const SkipRow = ({ count, colSpan }) => (
+    <tr className="bg-muted/60 text-muted-foreground">
+        <td colSpan={colSpan} className="px-2 py-0.5">
+            ⋯ {count} unchanged line(s)
+        </td>
+    </tr>
+);
+
+/**
+ * Line number cell
+ *
+ * @param {Object} props - Component props
+ * @param {number|null} props.number - Line number
+ * @returns {JSX.Element} Table cell
+ */
+const NumberCell = ({ number }) => (
+    <td className="select-none text-right text-muted-foreground px-2 w-0 whitespace-nowrap">
+        {number ?? ""}
+    </td>
+);
+
+/**
+ * Code cell of a line (empty placeholder when the line is missing)
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.line - Line from lib/diff
+ * @returns {JSX.Element} Table cells (marker and code)
+ */
+const CodeCells = ({ line }) => (
+    <>
+        <td className={cn("select-none w-0 px-1", line ? LINE_CLASSES[line.type] : "bg-muted/40")}>
+            {line ? LINE_MARKERS[line.type] : ""}
+        </td>
+        <td className={cn("whitespace-pre-wrap break-all pr-2", line ? LINE_CLASSES[line.type] : "bg-muted/40")}>
+            {line?.text}
+        </td>
+    </>
+);
+
+/**
+ * DiffView Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.oldCode - Content in the compared fragment ("" if
+ *   the file was added)
+ * @param {string} props.newCode - Content in the active fragment ("" if
+ *   the file was removed)
+ * @param {"unified"|"split"} [props.mode="unified"] - Layout
+ * @returns {JSX.Element} The diff table
+ *
+ * @example
+ * <DiffView oldCode={previous.files[path]} newCode={fragment.files[path]} mode="split" />
+ */
+export const DiffView = ({ oldCode, newCode, mode = "unified" }) => {
+    const lines = useMemo(
+        () => collapseUnchanged(diffLines(oldCode, newCode)),
+        [oldCode, newCode]
+    );
+    const rows = useMemo(
+        () => (mode === "split" ? toSideBySide(lines) : null),
+        [lines, mode]
+    );
+
+    if (lines.length === 0) {
+        return (
+            <p className="p-4 text-sm text-muted-foreground">Both versions are empty</p>
+        );
+    }
+
+    return (
+        <table className="w-full border-collapse font-mono text-xs leading-5">
+            <tbody>
+                {mode === "split"
+                    ? rows.map((row, index) => row.skip !== undefined ? (
+                        <SkipRow key={index} count={row.skip} colSpan={6} />
+                    ) : (
+                        <tr key={index}>
+                            <NumberCell number={row.left?.oldNumber} />
+                            <CodeCells line={row.left} />
+                            <NumberCell number={row.right?.newNumber} />
+                            <CodeCells line={row.right} />
+                        </tr>
+                    ))
+                    : lines.map((line, index) => line.type === "skip" ? (
+                        <SkipRow key={index} count={line.count} colSpan={4} />
+                    ) : (
+                        <tr key={index}>
+                            <NumberCell number={line.oldNumber} />
+                            <NumberCell number={line.newNumber} />
+                            <CodeCells line={line} />
+                        </tr>
+                    ))}
+            </tbody>
+        </table>
+    );
+};
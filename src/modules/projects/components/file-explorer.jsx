@@ -1,7 +1,9 @@
-import { CopyCheckIcon, CopyIcon } from "lucide-react";
+import { CopyCheckIcon, CopyIcon, GitCompareArrows } from "lucide-react";
 import { useState, useMemo, useCallback, Fragment } from "react";
+import { format } from "date-fns";
 import { Button } from "@/components/ui/button";
 import { CodeView } from "./code-view";
+import { DiffView } from "./diff-view";
 import {
     ResizablePanel,
     ResizableHandle,
@@ -16,7 +18,16 @@ import {
     BreadcrumbSeparator,
     BreadcrumbEllipsis,
 } from "@/components/ui/breadcrumb";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
 import { convertFilesToTreeItems } from "@/lib/utils";
+import { diffFileSets } from "@/lib/diff";
 import { TreeView } from "./tree-view";
 import { Hint } from "@/components/ui/hint";
 
@@ -89,25 +100,92 @@ function getLanguageFromExtension(filename) {
     return languageMap[extension] || "text";
 }
 
-export const FileExplorer = ({ files }) => {
+/**
+ * Summary of the changed files, e.g. "3 changed (+12 −4)"
+ *
+ * @param {Object<string, Object>} changes - Result of diffFileSets
+ * @returns {string} Summary
+ */
+function summarizeChanges(changes) {
+    const entries = Object.values(changes);
+    const additions = entries.reduce((sum, change) => sum + change.additions, 0);
+    const deletions = entries.reduce((sum, change) => sum + change.deletions, 0);
+
+    return entries.length === 0
+        ? "No changes"
+        : `${entries.length} changed (+${additions} −${deletions})`;
+}
+
+/**
+ * Files of one fragment, with a diff mode comparing them to another
+ * fragment of the project (by default the one before it)
+ *
+ * @param {Object} props - Component props
+ * @param {Object<string, string>} props.files - Files of the active fragment
+ * @param {string} [props.fragmentId] - Active fragment's ID
+ * @param {Array<Object>} [props.fragments] - The project's fragments,
+ *   oldest first; diff mode needs at least two
+ */
+export const FileExplorer = ({ files, fragmentId, fragments = [] }) => {
     const [copied, setCopied] = useState(false);
     const [selectedFile, setSelectedFile] = useState(() => {
         const fileKeys = Object.keys(files);
         return fileKeys.length > 0 ? fileKeys[0] : null;
     });
 
+    // Diff mode: compared fragment (null = the previous one) and layout
+    const [diffMode, setDiffMode] = useState(false);
+    const [compareId, setCompareId] = useState(null);
+    const [diffLayout, setDiffLayout] = useState("unified");
+
+    const { activeIndex, previousFragment, compareFragment } = useMemo(() => {
+        const index = fragments.findIndex((fragment) => fragment.id === fragmentId);
+        const previous = index > 0 ? fragments[index - 1] : null;
+        const chosen = fragments.find(
+            (fragment) => fragment.id === compareId && fragment.id !== fragmentId
+        );
+
+        return { activeIndex: index, previousFragment: previous, compareFragment: chosen || previous };
+    }, [fragments, fragmentId, compareId]);
+    const compareFiles = useMemo(() => compareFragment?.files || {}, [compareFragment]);
+    const canDiff = fragments.length > 1 && activeIndex !== -1;
+    const showDiff = diffMode && canDiff;
+
+    const changes = useMemo(() => {
+        return showDiff ? diffFileSets(compareFiles, files) : null;
+    }, [showDiff, compareFiles, files]);
+
+    // Removed files stay in the tree while diffing
+    const shownFiles = useMemo(() => {
+        return showDiff ? { ...compareFiles, ...files } : files;
+    }, [showDiff, compareFiles, files]);
+
     const treeData = useMemo(() => {
-        return convertFilesToTreeItems(files);
-    }, [files]);
+        return convertFilesToTreeItems(shownFiles);
+    }, [shownFiles]);
 
     const handleFileSelect = useCallback(
         (filePath) => {
-            if (files[filePath]) {
+            if (shownFiles[filePath] !== undefined) {
                 setSelectedFile(filePath);
             }
         },
-        [files]
+        [shownFiles]
     );
+
+    const handleDiffToggle = useCallback(() => {
+        setDiffMode((prev) => !prev);
+
+        // Start on a changed file
+        if (!diffMode) {
+            const changed = Object.keys(diffFileSets(compareFiles, files)).sort();
+
+            if (changed.length > 0 && !changed.includes(selectedFile)) {
+                setSelectedFile(changed[0]);
+            }
+        }
+    }, [diffMode, compareFiles, files, selectedFile]);
+
     const handleCopy = useCallback(() => {
         if (selectedFile && files[selectedFile]) {
             navigator.clipboard
@@ -123,56 +201,122 @@ export const FileExplorer = ({ files }) => {
     }, [selectedFile, files]);
 
     return (
-        <ResizablePanelGroup direction="horizontal" className="h-full">
-            <ResizablePanel
-                defaultSize={25}
-                minSize={20}
-                maxSize={40}
-                className="bg-sidebar"
-            >
-                <div className="h-full overflow-auto">
-                    <TreeView
-                        data={treeData}
-                        value={selectedFile}
-                        onSelect={handleFileSelect}
-                    />
+        <div className="h-full flex flex-col">
+            {canDiff && (
+                <div className="border-b px-2 py-1.5 flex items-center gap-x-2 text-xs">
+                    <Button
+                        size={"sm"}
+                        variant={showDiff ? "secondary" : "ghost"}
+                        className="h-7"
+                        onClick={handleDiffToggle}
+                    >
+                        <GitCompareArrows className="size-4" />
+                        Changes
+                    </Button>
+                    {showDiff && (
+                        <>
+                            <span className="text-muted-foreground">compared with</span>
+                            <Select
+                                value={compareFragment?.id ?? ""}
+                                onValueChange={setCompareId}
+                            >
+                                <SelectTrigger size="sm" className="h-7 max-w-64 text-xs" aria-label="Compared version">
+                                    <SelectValue placeholder="Empty project" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {[...fragments].reverse()
+                                        .filter((fragment) => fragment.id !== fragmentId)
+                                        .map((fragment) => (
+                                            <SelectItem key={fragment.id} value={fragment.id}>
+                                                {fragment.title}
+                                                <span className="text-muted-foreground">
+                                                    {format(new Date(fragment.createdAt), "HH:mm 'on' MMM dd")}
+                                                    {fragment.id === previousFragment?.id && " · previous"}
+                                                </span>
+                                            </SelectItem>
+                                        ))}
+                                </SelectContent>
+                            </Select>
+                            <span className="text-muted-foreground">{summarizeChanges(changes)}</span>
+                            <ToggleGroup
+                                type="single"
+                                size="sm"
+                                variant="outline"
+                                className="ml-auto"
+                                value={diffLayout}
+                                onValueChange={(value) => value && setDiffLayout(value)}
+                            >
+                                <ToggleGroupItem value="unified" className="h-7 px-2 text-xs">
+                                    Unified
+                                </ToggleGroupItem>
+                                <ToggleGroupItem value="split" className="h-7 px-2 text-xs">
+                                    Side by side
+                                </ToggleGroupItem>
+                            </ToggleGroup>
+                        </>
+                    )}
                 </div>
-            </ResizablePanel>
-            <ResizableHandle className="w-1.5 hover:bg-primary/20 transition-colors" />
-
-            <ResizablePanel defaultSize={75} minSize={40}>
-                {selectedFile && files[selectedFile] ? (
-                    <div className="h-full w-full flex flex-col">
-                        <div className="border-b bg-sidebar/50 px-4 py-2 flex justify-between items-center gap-x-2">
-                            <FileBreadcrumb filePath={selectedFile} />
-                            <Hint label="Copy to clipboard" side="bottom" sideOffset={4}>
-                                <Button
-                                    variant="ghost"
-                                    size="icon"
-                                    className="h-8 w-8 hover:bg-background/80"
-                                    onClick={handleCopy}
-                                >
-                                    {copied ? (
-                                        <CopyCheckIcon className="h-4 w-4 text-green-500" />
-                                    ) : (
-                                        <CopyIcon className="h-4 w-4" />
-                                    )}
-                                </Button>
-                            </Hint>
+            )}
+            <ResizablePanelGroup direction="horizontal" className="flex-1 min-h-0">
+                <ResizablePanel
+                    defaultSize={25}
+                    minSize={20}
+                    maxSize={40}
+                    className="bg-sidebar"
+                >
+                    <div className="h-full overflow-auto">
+                        <TreeView
+                            data={treeData}
+                            value={selectedFile}
+                            onSelect={handleFileSelect}
+                            changes={changes}
+                        />
+                    </div>
+                </ResizablePanel>
+                <ResizableHandle className="w-1.5 hover:bg-primary/20 transition-colors" />
+
+                <ResizablePanel defaultSize={75} minSize={40}>
+                    {selectedFile && shownFiles[selectedFile] !== undefined ? (
+                        <div className="h-full w-full flex flex-col">
+                            <div className="border-b bg-sidebar/50 px-4 py-2 flex justify-between items-center gap-x-2">
+                                <FileBreadcrumb filePath={selectedFile} />
+                                <Hint label="Copy to clipboard" side="bottom" sideOffset={4}>
+                                    <Button
+                                        variant="ghost"
+                                        size="icon"
+                                        className="h-8 w-8 hover:bg-background/80"
+                                        onClick={handleCopy}
+                                    >
+                                        {copied ? (
+                                            <CopyCheckIcon className="h-4 w-4 text-green-500" />
+                                        ) : (
+                                            <CopyIcon className="h-4 w-4" />
+                                        )}
+                                    </Button>
+                                </Hint>
+                            </div>
+                            <div className="flex-1 overflow-auto relative">
+                                {changes?.[selectedFile] ? (
+                                    <DiffView
+                                        oldCode={compareFiles[selectedFile] ?? ""}
+                                        newCode={files[selectedFile] ?? ""}
+                                        mode={diffLayout}
+                                    />
+                                ) : (
+                                    <CodeView
+                                        code={files[selectedFile]}
+                                        lang={getLanguageFromExtension(selectedFile)}
+                                    />
+                                )}
+                            </div>
                         </div>
-                        <div className="flex-1 overflow-auto relative">
-                            <CodeView
-                                code={files[selectedFile]}
-                                lang={getLanguageFromExtension(selectedFile)}
-                            />
+                    ) : (
+                        <div className="flex h-full items-center justify-center text-muted-foreground">
+                            <p className="text-sm">Select a file to view its content</p>
                         </div>
-                    </div>
-                ) : (
-                    <div className="flex h-full items-center justify-center text-muted-foreground">
-                        <p className="text-sm">Select a file to view its content</p>
-                    </div>
-                )}
-            </ResizablePanel>
-        </ResizablePanelGroup>
+                    )}
+                </ResizablePanel>
+            </ResizablePanelGroup>
+        </div>
     );
 };
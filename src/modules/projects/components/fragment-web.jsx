@@ -12,17 +12,46 @@
  * - Refresh button
  * - Copy URL button
  * - Open in new tab button
- * - Restore button for expired sandboxes
+ * - Restore button for expired sandboxes (reports replayed npm installs)
+ * - Build button: production build and static export (see BuildDialog)
+ * - Revert button on earlier versions: makes this version the project's
+ *   latest, so the agent continues from it
+ * - Server-side health check: an expired sandbox shows an "expired" state
+ *   instead of a broken iframe, and is restored automatically unless the
+ *   user turned that off. A sandbox holding another version (the project
+ *   shares one sandbox) offers a restore instead of showing that version
  *
  * @module modules/projects/components/fragment-web
  */
 
-import React, { useState, useTransition } from "react";
-import { ExternalLink, RefreshCcw, RotateCcw, Loader2 } from "lucide-react";
+import React, { useEffect, useRef, useState, useTransition } from "react";
+import { ExternalLink, Hammer, History, RefreshCcw, RotateCcw, Loader2, ServerOff } from "lucide-react";
+import { useQueryClient } from "@tanstack/react-query";
 import { Button } from "@/components/ui/button";
 import { Hint } from "@/components/ui/hint";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import {
+    AlertDialog,
+    AlertDialogAction,
+    AlertDialogCancel,
+    AlertDialogContent,
+    AlertDialogDescription,
+    AlertDialogFooter,
+    AlertDialogHeader,
+    AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
 import { restoreFragment } from "@/modules/messages/actions";
+import { useRevertToFragment, useSandboxHealth } from "@/modules/messages/hooks/message";
+import { lastOutputLine } from "@/lib/dependencies";
 import { toast } from "sonner";
+import BuildDialog from "./build-dialog";
+
+/**
+ * localStorage key of the automatic restore preference
+ * @constant {string}
+ */
+const AUTO_RESTORE_KEY = "sandbox-auto-restore";
 
 /**
  * FragmentWeb Component
@@ -36,13 +65,46 @@ import { toast } from "sonner";
  * @param {string} props.data.id - Fragment ID
  * @param {string} props.data.sandboxUrl - Current sandbox URL
  * @param {Object} props.data.files - Files in the fragment
+ * @param {string} props.projectId - The fragment's project ID
+ * @param {boolean} [props.isLatest=true] - Whether this is the project's
+ *   latest fragment (earlier ones can be reverted to)
+ * @param {boolean} [props.isGenerating=false] - Whether the agent is working
+ *   in the project's sandbox; restoring waits until it is done
  * @returns {JSX.Element} The fragment preview
  */
-const FragmentWeb = ({ data }) => {
+const FragmentWeb = ({ data, projectId, isLatest = true, isGenerating = false }) => {
     const [fragmentKey, setFragmentKey] = useState(0);
     const [copied, setCopied] = useState(false);
     const [currentUrl, setCurrentUrl] = useState(data.sandboxUrl);
     const [isPending, startTransition] = useTransition();
+    const [buildOpen, setBuildOpen] = useState(false);
+    const [revertOpen, setRevertOpen] = useState(false);
+    const queryClient = useQueryClient();
+    const { mutateAsync: revert, isPending: isReverting } = useRevertToFragment(projectId);
+
+    /**
+     * Whether expired sandboxes are restored without a click (default on)
+     */
+    const [autoRestore, setAutoRestore] = useState(
+        () => typeof window === "undefined" ||
+            window.localStorage.getItem(AUTO_RESTORE_KEY) !== "false"
+    );
+
+    /**
+     * URLs an automatic restore was already attempted for, so a failing
+     * restore is not retried in a loop
+     */
+    const autoRestoredUrls = useRef(new Set());
+
+    const { data: health } = useSandboxHealth(data.id, currentUrl);
+    const isExpired = health?.status === "expired";
+
+    /**
+     * The sandbox is live but holds another version; changes made since the
+     * latest version (a run, the terminal) still belong to the latest
+     */
+    const isStale = health?.status === "stale" ||
+        (health?.status === "modified" && !isLatest);
 
     /**
      * Refresh the iframe to reload the preview
@@ -63,8 +125,18 @@ const FragmentWeb = ({ data }) => {
     };
 
     /**
-     * Restore the fragment to a new sandbox
-     * Creates a new sandbox with the fragment's files
+     * Persist the automatic restore preference
+     *
+     * @param {boolean} checked - New preference
+     */
+    const onAutoRestoreChange = (checked) => {
+        setAutoRestore(checked);
+        window.localStorage.setItem(AUTO_RESTORE_KEY, String(checked));
+    };
+
+    /**
+     * Restore the fragment into the project sandbox
+     * Writes the fragment's files and reinstalls the packages it needs
      */
     const onRestore = () => {
         if (!data.id) {
@@ -80,7 +152,24 @@ const FragmentWeb = ({ data }) => {
                 if (result.success && result.sandboxUrl) {
                     setCurrentUrl(result.sandboxUrl);
                     setFragmentKey((prev) => prev + 1);
-                    toast.success("Sandbox restored successfully!");
+
+                    // The URL can be unchanged when the sandbox was replaced
+                    queryClient.invalidateQueries({ queryKey: ["sandbox-health", data.id] });
+
+                    const { dependencies } = result;
+
+                    if (dependencies && !dependencies.success) {
+                        toast.warning(
+                            `Sandbox restored, but installing ${dependencies.packages.join(", ")} failed`,
+                            { description: lastOutputLine(dependencies.error) }
+                        );
+                    } else if (dependencies) {
+                        toast.success(
+                            `Sandbox restored with ${dependencies.packages.length} package(s) reinstalled`
+                        );
+                    } else {
+                        toast.success("Sandbox restored successfully!");
+                    }
                 } else {
                     toast.error("Failed to restore sandbox");
                 }
@@ -90,6 +179,52 @@ const FragmentWeb = ({ data }) => {
         });
     };
 
+    /**
+     * Make this version the project's latest
+     * The new fragment becomes the active one once the messages refetch
+     *
+     * @async
+     */
+    const onRevert = async () => {
+        try {
+            const { restored } = await revert(data.id);
+
+            if (restored) {
+                toast.success(`Reverted to "${data.title}"`);
+            } else {
+                toast.warning(`Reverted to "${data.title}", but the sandbox could not be restored`);
+            }
+        } catch (error) {
+            toast.error(error.message || "Failed to revert");
+        } finally {
+            setRevertOpen(false);
+        }
+    };
+
+    /**
+     * Latest onRestore, so the automatic restore below does not depend on
+     * a handler recreated every render
+     */
+    const onRestoreRef = useRef(onRestore);
+
+    useEffect(() => {
+        onRestoreRef.current = onRestore;
+    });
+
+    /**
+     * Restore automatically once per URL when the health check reports
+     * the sandbox as expired (not while the agent works in it)
+     */
+    useEffect(() => {
+        if (!isExpired || !autoRestore || isPending || isGenerating ||
+            autoRestoredUrls.current.has(currentUrl)) {
+            return;
+        }
+
+        autoRestoredUrls.current.add(currentUrl);
+        onRestoreRef.current();
+    }, [isExpired, autoRestore, isPending, isGenerating, currentUrl]);
+
     return (
         <div className="flex flex-col w-full h-full">
             <div className="p-2 border-b bg-sidebar flex items-center gap-x-2">
@@ -102,7 +237,9 @@ const FragmentWeb = ({ data }) => {
 
                 {/* Restore sandbox button */}
                 <Hint
-                    text={"Restore this version (creates new sandbox)"}
+                    text={isGenerating
+                        ? "Restore is available once the generation finishes"
+                        : "Restore this version into the project sandbox"}
                     side="bottom"
                     align="start"
                 >
@@ -110,7 +247,7 @@ const FragmentWeb = ({ data }) => {
                         size={"sm"}
                         variant={"outline"}
                         onClick={onRestore}
-                        disabled={isPending || !data.id}
+                        disabled={isPending || isGenerating || !data.id}
                         className="gap-1"
                     >
                         {isPending ? (
@@ -139,6 +276,38 @@ const FragmentWeb = ({ data }) => {
                     </Button>
                 </Hint>
 
+                {/* Revert button (earlier versions only) */}
+                {!isLatest && (
+                    <Hint text={"Revert the project to this version"} side="bottom" align="start">
+                        <Button
+                            size={"sm"}
+                            variant={"outline"}
+                            onClick={() => setRevertOpen(true)}
+                            disabled={isReverting || !data.id}
+                            className="gap-1"
+                        >
+                            {isReverting ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                            ) : (
+                                <History className="h-4 w-4" />
+                            )}
+                            Revert
+                        </Button>
+                    </Hint>
+                )}
+
+                {/* Production build button */}
+                <Hint text={"Production build"} side="bottom" align="start">
+                    <Button
+                        size={"sm"}
+                        variant={"outline"}
+                        onClick={() => setBuildOpen(true)}
+                        disabled={!data.id}
+                    >
+                        <Hammer />
+                    </Button>
+                </Hint>
+
                 {/* Open in new tab button */}
                 <Hint text={"Open in New Tab"} side="bottom" align="start">
                     <Button
@@ -154,14 +323,89 @@ const FragmentWeb = ({ data }) => {
                 </Hint>
             </div>
 
-            {/* Preview iframe */}
-            <iframe
-                key={fragmentKey}
-                className="h-full w-full"
-                sandbox="allow-scripts allow-same-origin "
-                loading="lazy"
-                src={currentUrl}
-            />
+            {isExpired || isStale || isPending ? (
+                /* Expired or stale sandbox: restore instead of a broken or wrong preview */
+                <div className="flex flex-1 flex-col items-center justify-center gap-4 p-6 text-center">
+                    {isPending ? (
+                        <Loader2 className="size-8 animate-spin text-muted-foreground" />
+                    ) : (
+                        <ServerOff className="size-8 text-muted-foreground" />
+                    )}
+                    <div className="space-y-1">
+                        <p className="text-sm font-medium">
+                            {isPending
+                                ? "Restoring sandbox..."
+                                : isStale
+                                    ? "The sandbox is showing another version"
+                                    : "This preview's sandbox has expired"}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                            {isPending
+                                ? "Writing the files and reinstalling packages"
+                                : "Restore it to bring this version back up"}
+                        </p>
+                    </div>
+                    {!isPending && (
+                        <Button
+                            size={"sm"}
+                            onClick={onRestore}
+                            disabled={isGenerating || !data.id}
+                            className="gap-1"
+                        >
+                            <RotateCcw className="h-4 w-4" />
+                            Restore sandbox
+                        </Button>
+                    )}
+                    <div className="flex items-center gap-2">
+                        <Switch
+                            id="auto-restore"
+                            checked={autoRestore}
+                            onCheckedChange={onAutoRestoreChange}
+                        />
+                        <Label htmlFor="auto-restore" className="text-xs text-muted-foreground">
+                            Restore expired sandboxes automatically
+                        </Label>
+                    </div>
+                </div>
+            ) : (
+                /* Preview iframe */
+                <iframe
+                    key={fragmentKey}
+                    className="h-full w-full"
+                    sandbox="allow-scripts allow-same-origin "
+                    loading="lazy"
+                    src={currentUrl}
+                />
+            )}
+
+            <BuildDialog fragmentId={data.id} open={buildOpen} onOpenChange={setBuildOpen} />
+
+            <AlertDialog open={revertOpen} onOpenChange={setRevertOpen}>
+                <AlertDialogContent>
+                    <AlertDialogHeader>
+                        <AlertDialogTitle>Revert to this version?</AlertDialogTitle>
+                        <AlertDialogDescription>
+                            &ldquo;{data.title}&rdquo; becomes the latest version: files changed since are put
+                            back and files added since are removed. Later versions stay in the
+                            history, and the next message continues from this one.
+                        </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                        <AlertDialogCancel disabled={isReverting}>Cancel</AlertDialogCancel>
+                        <AlertDialogAction
+                            onClick={(event) => {
+                                // Keep the dialog open until the revert finishes
+                                event.preventDefault();
+                                onRevert();
+                            }}
+                            disabled={isReverting}
+                        >
+                            {isReverting && <Loader2 className="h-4 w-4 animate-spin" />}
+                            Revert
+                        </AlertDialogAction>
+                    </AlertDialogFooter>
+                </AlertDialogContent>
+            </AlertDialog>
         </div>
     );
 };
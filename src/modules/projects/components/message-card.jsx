@@ -8,21 +8,81 @@
  * Features:
  * - Different layouts for user vs assistant messages
  * - Fragment card for viewing generated code
+ * - Verification badge (type-check/lint outcome) on fragments
+ * - Collapsible agent notes (planner's plan and reviewer's verdicts)
  * - Error styling for failed messages
  * - Timestamp display on hover
  * - Markdown rendering for AI responses
+ * - Editing user messages, which re-runs them as a new branch
+ * - Switching between the branches of a message (see lib/branches)
+ * - Regenerating responses, with paging through the alternatives
  *
  * @module modules/projects/components/message-card
  */
 
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
 import { Card } from '@/components/ui/card';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
+import { Hint } from '@/components/ui/hint';
 import { cn } from '@/lib/utils';
-import { MessageRole, MessageType } from '@prisma/client';
+import { MessageRole, MessageType, VerificationStatus } from '@prisma/client';
 import { format } from 'date-fns';
-import { ChevronRightIcon, Code2Icon } from 'lucide-react';
+import {
+    AlertTriangleIcon,
+    CheckCircle2Icon,
+    ChevronLeftIcon,
+    ChevronRightIcon,
+    Code2Icon,
+    NotebookPenIcon,
+    PencilIcon,
+} from 'lucide-react';
 import Image from 'next/image';
-import React from 'react';
+import React, { useState } from 'react';
+import TextAreaAutosize from 'react-textarea-autosize';
 import { Response } from "@/components/ai-elements/response";
+import RegenerateMenu from './regenerate-menu';
+
+/**
+ * VerificationBadge Component
+ *
+ * Shows whether the fragment's code passed the type-check and lint stage.
+ * Failed checks are listed in the tooltip. Renders nothing for fragments
+ * that were never verified.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.fragment - The fragment data
+ * @returns {JSX.Element|null} The rendered badge
+ */
+const VerificationBadge = ({ fragment }) => {
+    if (!fragment.verificationStatus) {
+        return null;
+    }
+
+    if (fragment.verificationStatus === VerificationStatus.PASSED) {
+        return (
+            <Badge variant="outline" className="text-emerald-600 border-emerald-600/40">
+                <CheckCircle2Icon />
+                Verified
+            </Badge>
+        );
+    }
+
+    const failedChecks = fragment.verification?.checks
+        ?.filter((check) => !check.passed)
+        .map((check) => check.name)
+        .join(", ");
+
+    return (
+        <Hint text={`Failed: ${failedChecks || "verification"}`} side="bottom" align="start">
+            <Badge variant="outline" className="text-amber-600 border-amber-600/40">
+                <AlertTriangleIcon />
+                Has errors
+            </Badge>
+        </Hint>
+    );
+};
 
 /**
  * FragmentCard Component
@@ -55,6 +115,9 @@ const FragmentCard = ({ fragment, isActiveFragment, onFragmentClick }) => {
                     {fragment.title}
                 </span>
                 <span className='text-sm'>Preview</span>
+                <div className='mt-1'>
+                    <VerificationBadge fragment={fragment} />
+                </div>
             </div>
 
             {/* Chevron indicator */}
@@ -67,26 +130,246 @@ const FragmentCard = ({ fragment, isActiveFragment, onFragmentClick }) => {
     );
 };
 
+/**
+ * AgentNotes Component
+ *
+ * Collapsible section explaining why the agent did what it did:
+ * the planner's file-level plan and each reviewer verdict.
+ * Renders nothing when the message has neither.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string|null} props.plan - Planner output
+ * @param {Array<Object>|null} props.reviews - Reviewer verdicts ({ round, approved, notes })
+ * @returns {JSX.Element|null} The rendered notes
+ */
+const AgentNotes = ({ plan, reviews }) => {
+    if (!plan && !reviews?.length) {
+        return null;
+    }
+
+    return (
+        <Collapsible className='group/notes'>
+            <CollapsibleTrigger className='flex items-center gap-1 text-xs text-muted-foreground hover:text-foreground transition-colors'>
+                <ChevronRightIcon className='size-3 transition-transform group-data-[state=open]/notes:rotate-90' />
+                <NotebookPenIcon className='size-3' />
+                <span>Agent notes</span>
+            </CollapsibleTrigger>
+            <CollapsibleContent className='mt-2 flex flex-col gap-y-3 border-l pl-3 text-xs text-muted-foreground'>
+                {plan && (
+                    <div>
+                        <span className='font-medium text-foreground'>Plan</span>
+                        <pre className='whitespace-pre-wrap font-sans'>{plan}</pre>
+                    </div>
+                )}
+                {reviews?.map((review) => (
+                    <div key={review.round}>
+                        <span className='font-medium text-foreground'>
+                            Review {review.round}: {review.approved ? "approved" : "changes requested"}
+                        </span>
+                        <pre className='whitespace-pre-wrap font-sans'>{review.notes}</pre>
+                    </div>
+                ))}
+            </CollapsibleContent>
+        </Collapsible>
+    );
+};
+
+/**
+ * Longest message that can be sent (same limit as MessageForm)
+ * @constant {number}
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * BranchSwitcher Component
+ *
+ * Pages through the alternatives of a message ("‹ 2 / 3 ›"): edits of a
+ * user message, or regenerated responses. Renders nothing for messages
+ * without alternatives.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.index - Position of the alternative shown
+ * @param {number} props.count - Number of alternatives
+ * @param {Function} props.onChange - Called with the position to show
+ * @param {boolean} [props.disabled] - Disables paging (e.g. while generating)
+ * @returns {JSX.Element|null} The rendered switcher
+ */
+const BranchSwitcher = ({ index, count, onChange, disabled }) => {
+    if (!count || count < 2) {
+        return null;
+    }
+
+    return (
+        <div className='flex items-center gap-1 text-xs text-muted-foreground'>
+            <Button
+                variant="ghost"
+                size="icon"
+                className='size-6'
+                disabled={disabled || index === 0}
+                onClick={() => onChange(index - 1)}
+                aria-label="Previous alternative"
+            >
+                <ChevronLeftIcon className='size-3' />
+            </Button>
+            <span>{index + 1} / {count}</span>
+            <Button
+                variant="ghost"
+                size="icon"
+                className='size-6'
+                disabled={disabled || index === count - 1}
+                onClick={() => onChange(index + 1)}
+                aria-label="Next alternative"
+            >
+                <ChevronRightIcon className='size-3' />
+            </Button>
+        </div>
+    );
+};
+
 /**
  * UserMessage Component
  *
  * Renders a user's message in a right-aligned chat bubble style.
+ * The edit button turns it into a textarea; saving re-runs the edited
+ * message as a new branch, keeping the original branch to switch back to.
  *
  * @component
  * @param {Object} props - Component props
  * @param {string} props.content - The message content
+ * @param {Object} [props.branch] - Branch info ({ index, count, siblingIds })
+ * @param {Function} [props.onEdit] - Async callback with the edited content
+ * @param {Function} [props.onSwitchBranch] - Callback with a sibling message ID
+ * @param {boolean} [props.disabled] - Disables editing and switching
  * @returns {JSX.Element} The rendered user message
  */
-const UserMessage = ({ content }) => {
+const UserMessage = ({ content, branch, onEdit, onSwitchBranch, disabled }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(content);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const trimmed = draft.trim();
+    const canSave = !!trimmed && trimmed !== content.trim() &&
+        draft.length <= MAX_MESSAGE_LENGTH && !isSaving && !disabled;
+
+    /**
+     * Re-runs the edited message; stays in edit mode if it fails
+     */
+    const handleSave = async () => {
+        if (!canSave) {
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await onEdit(trimmed);
+            setIsEditing(false);
+        } catch {
+            // Reported by the container
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isEditing) {
+        return (
+            <div className='flex justify-end pb-4 pr-2 pl-10'>
+                <Card className={"rounded-lg bg-muted p-2 shadow-none border-none w-[80%] gap-2"}>
+                    <TextAreaAutosize
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        disabled={isSaving}
+                        minRows={2}
+                        maxRows={8}
+                        autoFocus
+                        className='resize-none border-none w-full outline-none bg-transparent text-sm'
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                                e.preventDefault();
+                                handleSave();
+                            }
+                            if (e.key === "Escape") {
+                                setIsEditing(false);
+                            }
+                        }}
+                    />
+                    <div className='flex items-center justify-end gap-2'>
+                        <Button
+                            variant="ghost"
+                            size="sm"
+                            disabled={isSaving}
+                            onClick={() => setIsEditing(false)}
+                        >
+                            Cancel
+                        </Button>
+                        <Button size="sm" disabled={!canSave} onClick={handleSave}>
+                            {isSaving ? "Sending..." : "Save & re-run"}
+                        </Button>
+                    </div>
+                </Card>
+            </div>
+        );
+    }
+
     return (
-        <div className='flex justify-end pb-4 pr-2 pl-10'>
+        <div className='flex flex-col items-end group pb-4 pr-2 pl-10'>
             <Card className={"rounded-lg bg-muted p-2 shadow-none border-none max-w-[80%] break-words"}>
                 {content}
             </Card>
+            <div className='flex items-center gap-1 mt-1 min-h-6'>
+                <BranchSwitcher
+                    index={branch?.index}
+                    count={branch?.count}
+                    onChange={(index) => onSwitchBranch(branch.siblingIds[index])}
+                    disabled={disabled}
+                />
+                {onEdit && (
+                    <Hint text="Edit and re-run as a new branch" side="bottom" align="end">
+                        <Button
+                            variant="ghost"
+                            size="icon"
+                            className='size-6 opacity-0 transition-opacity group-hover:opacity-100 focus-visible:opacity-100'
+                            disabled={disabled}
+                            onClick={() => {
+                                setDraft(content);
+                                setIsEditing(true);
+                            }}
+                            aria-label="Edit message"
+                        >
+                            <PencilIcon className='size-3' />
+                        </Button>
+                    </Hint>
+                )}
+            </div>
         </div>
     );
 };
 
+/**
+ * ModelLabel Component
+ *
+ * Names the model (and temperature) that produced a response, so
+ * regenerated alternatives can be told apart.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.agentRun - The producing run ({ provider, model, temperature })
+ * @returns {JSX.Element|null} The rendered label
+ */
+const ModelLabel = ({ agentRun }) => {
+    if (!agentRun) {
+        return null;
+    }
+
+    return (
+        <span className='text-xs text-muted-foreground'>
+            {agentRun.provider} · {agentRun.model}
+            {agentRun.temperature !== null && ` · temperature ${agentRun.temperature}`}
+        </span>
+    );
+};
+
 /**
  * AssistantMessage Component
  *
@@ -94,31 +377,61 @@ const UserMessage = ({ content }) => {
  * - Logo avatar
  * - Timestamp (visible on hover)
  * - Markdown-rendered content
- * - Fragment card (if available and not an error)
+ * - Fragment card (if available and not an error; drafts of cancelled runs included)
+ * - Agent notes (plan and reviews, if any)
+ * - Regenerate menu, and paging through regenerated alternatives; an
+ *   alternative other than the accepted one is a preview until accepted
  *
  * @component
  * @param {Object} props - Component props
  * @param {string} props.content - The message content (markdown supported)
  * @param {Object|null} props.fragment - Associated code fragment
  * @param {Date} props.createdAt - Message creation timestamp
- * @param {boolean} props.isActiveFragment - Whether the fragment is selected
+ * @param {string|null} props.activeFragmentId - ID of the selected fragment
  * @param {Function} props.onFragmentClick - Callback for fragment selection
- * @param {MessageType} props.type - Message type (RESULT or ERROR)
+ * @param {MessageType} props.type - Message type (RESULT, ERROR, CANCELLED or BUDGET_EXHAUSTED)
+ * @param {string|null} props.plan - Planner output for this turn
+ * @param {Array<Object>|null} props.reviews - Reviewer verdicts for this turn
+ * @param {Object|null} [props.agentRun] - The producing run's model
+ * @param {Object} [props.branch] - Branch info ({ index, count, siblingIds })
+ * @param {Array<Object>} [props.alternatives] - Regenerated alternatives,
+ *   including this message (same order as branch.siblingIds)
+ * @param {Function} [props.onSwitchBranch] - Accepts an alternative (message ID)
+ * @param {Function} [props.onRegenerate] - Called with the re-run options
+ * @param {boolean} [props.disabled] - Disables accepting and regenerating
  * @returns {JSX.Element} The rendered assistant message
  */
 const AssistantMessage = ({
     content,
     fragment,
     createdAt,
-    isActiveFragment,
+    activeFragmentId,
     onFragmentClick,
     type,
+    plan,
+    reviews,
+    agentRun,
+    branch,
+    alternatives,
+    onSwitchBranch,
+    onRegenerate,
+    disabled,
 }) => {
+    /**
+     * Alternative shown; the accepted one until the user flips
+     */
+    const [viewIndex, setViewIndex] = useState(branch?.index ?? 0);
+    const viewed = alternatives?.[viewIndex] ??
+        { content, fragments: fragment, createdAt, type, plan, reviews, agentRun };
+    const isPreview = !!alternatives && viewIndex !== branch.index;
+
     return (
         <div
             className={cn(
                 "flex flex-col group px-2 pb-4",
-                type === MessageType.ERROR && "text-red-700 dark:text-red-500"
+                viewed.type === MessageType.ERROR && "text-red-700 dark:text-red-500",
+                viewed.type === MessageType.CANCELLED && "text-muted-foreground",
+                viewed.type === MessageType.BUDGET_EXHAUSTED && "text-amber-700 dark:text-amber-500"
             )}
         >
             {/* Header with avatar and timestamp */}
@@ -133,23 +446,52 @@ const AssistantMessage = ({
                 />
                 {/* Timestamp - shows on hover */}
                 <span className="text-xs text-muted-foreground opacity-0 transition-opacity group-hover:opacity-100">
-                    {format(new Date(createdAt), "HH:mm 'on' MMM dd, yyyy")}
+                    {format(new Date(viewed.createdAt), "HH:mm 'on' MMM dd, yyyy")}
                 </span>
+                {/* Alternatives are paged locally; accepting switches branches */}
+                <BranchSwitcher
+                    index={viewIndex}
+                    count={alternatives?.length}
+                    onChange={setViewIndex}
+                />
+                {alternatives && <ModelLabel agentRun={viewed.agentRun} />}
+                {onRegenerate && (
+                    <RegenerateMenu onRegenerate={onRegenerate} disabled={disabled} />
+                )}
             </div>
 
             {/* Message content and fragment */}
             <div className='pl-8.5 flex flex-col gap-y-4'>
+                {/* Accepting makes the conversation continue from this response */}
+                {isPreview && (
+                    <div className='flex items-center justify-between gap-2 rounded-md border border-dashed px-2 py-1 text-xs text-muted-foreground'>
+                        <span>Alternative response, not used by the conversation</span>
+                        <Button
+                            size="sm"
+                            variant="outline"
+                            className='h-6 text-xs'
+                            disabled={disabled}
+                            onClick={() => onSwitchBranch(viewed.id)}
+                        >
+                            Use this response
+                        </Button>
+                    </div>
+                )}
+
                 {/* Markdown-rendered response */}
-                <Response>{content}</Response>
+                <Response>{viewed.content}</Response>
 
-                {/* Fragment card - only shown for successful results */}
-                {fragment && type === MessageType.RESULT && (
+                {/* Fragment card - shown for results and partial work (drafts, budget stops) */}
+                {viewed.fragments && viewed.type !== MessageType.ERROR && (
                     <FragmentCard
-                        fragment={fragment}
-                        isActiveFragment={isActiveFragment}
+                        fragment={viewed.fragments}
+                        isActiveFragment={activeFragmentId === viewed.fragments.id}
                         onFragmentClick={onFragmentClick}
                     />
                 )}
+
+                {/* Plan and review notes */}
+                <AgentNotes plan={viewed.plan} reviews={viewed.reviews} />
             </div>
         </div>
     );
@@ -167,9 +509,20 @@ const AssistantMessage = ({
  * @param {MessageRole} props.role - USER or ASSISTANT
  * @param {Object|null} props.fragment - Associated code fragment
  * @param {Date} props.createdAt - Message creation timestamp
- * @param {boolean} props.isActiveFragment - Whether the fragment is selected
- * @param {Function} props.onFragmentClick - Callback for fragment selection
- * @param {MessageType} props.type - Message type (RESULT or ERROR)
+ * @param {string|null} props.activeFragmentId - ID of the selected fragment
+ * @param {Function} props.onFragmentClick - Callback with the fragment to select
+ * @param {MessageType} props.type - Message type (RESULT, ERROR, CANCELLED or BUDGET_EXHAUSTED)
+ * @param {string|null} [props.plan] - Planner output (assistant only)
+ * @param {Array<Object>|null} [props.reviews] - Reviewer verdicts (assistant only)
+ * @param {Object|null} [props.agentRun] - The producing run's model (assistant only)
+ * @param {Object} [props.branch] - Alternatives of the message ({ index, count, siblingIds })
+ * @param {Array<Object>} [props.alternatives] - Regenerated responses (assistant only)
+ * @param {Function} [props.onEdit] - Async callback re-running an edited user message
+ * @param {Function} [props.onRegenerate] - Callback regenerating the response
+ *   with { provider, model, temperature } (assistant only)
+ * @param {Function} [props.onSwitchBranch] - Callback with the sibling message ID to show
+ * @param {boolean} [props.disabled] - Disables editing, regenerating and
+ *   switching (e.g. while generating)
  * @returns {JSX.Element} The rendered message card
  *
  * @example
@@ -178,7 +531,7 @@ const AssistantMessage = ({
  *   role={MessageRole.USER}
  *   fragment={null}
  *   createdAt={new Date()}
- *   isActiveFragment={false}
+ *   activeFragmentId={null}
  *   onFragmentClick={() => {}}
  *   type={MessageType.RESULT}
  * />
@@ -188,9 +541,18 @@ const MessageCard = ({
     role,
     fragment,
     createdAt,
-    isActiveFragment,
+    activeFragmentId,
     onFragmentClick,
     type,
+    plan,
+    reviews,
+    agentRun,
+    branch,
+    alternatives,
+    onEdit,
+    onRegenerate,
+    onSwitchBranch,
+    disabled,
 }) => {
     // Render assistant message with full features
     if (role === MessageRole.ASSISTANT) {
@@ -199,17 +561,31 @@ const MessageCard = ({
                 content={content}
                 fragment={fragment}
                 createdAt={createdAt}
-                isActiveFragment={isActiveFragment}
+                activeFragmentId={activeFragmentId}
                 onFragmentClick={onFragmentClick}
                 type={type}
+                plan={plan}
+                reviews={reviews}
+                agentRun={agentRun}
+                branch={branch}
+                alternatives={alternatives}
+                onSwitchBranch={onSwitchBranch}
+                onRegenerate={onRegenerate}
+                disabled={disabled}
             />
         );
     }
 
-    // Render simple user message
+    // Render user message with editing and branch switching
     return (
         <div className='mt-5'>
-            <UserMessage content={content} />
+            <UserMessage
+                content={content}
+                branch={branch}
+                onEdit={onEdit}
+                onSwitchBranch={onSwitchBranch}
+                disabled={disabled}
+            />
         </div>
     );
 };
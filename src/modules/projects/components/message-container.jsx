@@ -9,19 +9,25 @@
  * - Automatic message fetching and caching
  * - Auto-scroll to latest message
  * - Fragment selection for preview
- * - Loading indicator for AI responses
+ * - Editing user messages into new branches and switching between branches
+ * - Regenerating responses as alternatives
+ * - Live agent progress while waiting for AI responses
  * - Error handling and empty states
  *
  * @module modules/projects/components/message-container
  */
 
 import {
+    useEditMessage,
     useGetMessages,
+    useRegenerateMessage,
+    useSwitchBranch,
     prefetchMessages,
 } from "@/modules/messages/hooks/message";
 import React, { useEffect, useRef } from "react";
 import { MessageRole } from "@prisma/client";
 import { useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
 
 import { Spinner } from "@/components/ui/spinner";
 import MessageCard from "./message-card";
@@ -79,6 +85,59 @@ const MessageContainer = ({ projectId, activeFragment, setActiveFragment }) => {
         error,
     } = useGetMessages(projectId);
 
+    /**
+     * Mutations for editing a user message (re-run as a new branch),
+     * regenerating a response, and switching the conversation to another
+     * branch (which also accepts a regenerated response)
+     */
+    const { mutateAsync: editAsync } = useEditMessage(projectId);
+    const { mutate: regenerate } = useRegenerateMessage(projectId);
+    const { mutate: switchBranch, isPending: isSwitching } = useSwitchBranch(projectId);
+
+    // =========================================================================
+    // EVENT HANDLERS
+    // =========================================================================
+
+    /**
+     * Re-runs an edited user message; rethrows so the message stays in
+     * edit mode when it fails
+     *
+     * @async
+     * @param {string} messageId - The edited message
+     * @param {string} value - The new content
+     */
+    const handleEdit = async (messageId, value) => {
+        try {
+            await editAsync({ messageId, value });
+        } catch (error) {
+            toast.error(error.message || "Failed to edit message");
+            throw error;
+        }
+    };
+
+    /**
+     * Re-runs the user message a response answers, keeping the response
+     *
+     * @param {string} messageId - The response to regenerate
+     * @param {Object} options - { provider, model, temperature }
+     */
+    const handleRegenerate = (messageId, options) => {
+        regenerate({ messageId, options }, {
+            onError: (error) => toast.error(error.message || "Failed to regenerate response"),
+        });
+    };
+
+    /**
+     * Shows another branch of the conversation
+     *
+     * @param {string} messageId - A message of the branch to show
+     */
+    const handleSwitchBranch = (messageId) => {
+        switchBranch(messageId, {
+            onError: (error) => toast.error(error.message || "Failed to switch branch"),
+        });
+    };
+
     // =========================================================================
     // EFFECTS
     // =========================================================================
@@ -170,7 +229,8 @@ const MessageContainer = ({ projectId, activeFragment, setActiveFragment }) => {
     // Only show if last message is from user AND is recent (within 5 minutes)
     const lastMessage = messages[messages.length - 1];
     const isLastMessageUser = lastMessage.role === MessageRole.USER;
-    const messageAge = Date.now() - new Date(lastMessage.createdAt).getTime();
+    // updatedAt: when its latest run started (regenerating re-runs it)
+    const messageAge = Date.now() - new Date(lastMessage.updatedAt).getTime();
     const isRecentMessage = messageAge < 5 * 60 * 1000; // 5 minutes
     const showLoading = isLastMessageUser && isRecentMessage;
 
@@ -178,21 +238,38 @@ const MessageContainer = ({ projectId, activeFragment, setActiveFragment }) => {
         <div className="flex flex-col flex-1 min-h-0">
             {/* Scrollable message list */}
             <div className="flex-1 min-h-0 overflow-y-auto">
-                {messages.map((message) => (
+                {messages.map((message, index) => (
                     <MessageCard
                         key={message.id}
                         content={message.content}
                         role={message.role}
                         fragment={message.fragments}
                         createdAt={message.createdAt}
-                        isActiveFragment={activeFragment?.id === message.fragments?.id}
-                        onFragmentClick={() => setActiveFragment(message.fragments)}
+                        activeFragmentId={activeFragment?.id ?? null}
+                        onFragmentClick={setActiveFragment}
                         type={message.type}
+                        plan={message.plan}
+                        reviews={message.reviews}
+                        agentRun={message.agentRun}
+                        branch={message.branch}
+                        alternatives={message.alternatives}
+                        onEdit={(value) => handleEdit(message.id, value)}
+                        // Only responses to a user message can be regenerated
+                        onRegenerate={messages[index - 1]?.role === MessageRole.USER
+                            ? (options) => handleRegenerate(message.id, options)
+                            : undefined}
+                        onSwitchBranch={handleSwitchBranch}
+                        disabled={isLastMessageUser || isSwitching}
                     />
                 ))}
 
                 {/* Show loading indicator when waiting for AI response */}
-                {showLoading && <MessageLoading />}
+                {showLoading && (
+                    <MessageLoading
+                        projectId={projectId}
+                        since={lastMessage.updatedAt}
+                    />
+                )}
 
                 {/* Scroll anchor for auto-scroll functionality */}
                 <div ref={bottomRef} />
@@ -12,6 +12,7 @@
  * - Usage credits display for rate-limited users
  * - Keyboard shortcuts (Enter to submit, Shift+Enter for newline)
  * - Loading states and error handling
+ * - Cancelling the generation in progress (keeping or discarding partial files)
  *
  * @module modules/projects/components/message-form
  */
@@ -19,16 +20,29 @@
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import TextAreaAutosize from "react-textarea-autosize";
-import { ArrowUpIcon } from "lucide-react";
+import { ArrowUpIcon, SquareIcon } from "lucide-react";
+import { MessageRole } from "@prisma/client";
 import { toast } from "sonner";
 import { useState } from "react";
 import z from "zod";
 
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
+import {
+    DropdownMenu,
+    DropdownMenuContent,
+    DropdownMenuItem,
+    DropdownMenuLabel,
+    DropdownMenuSeparator,
+    DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
 import { Form, FormField } from "@/components/ui/form";
 import { Spinner } from "@/components/ui/spinner";
-import { useCreateMessages } from "@/modules/messages/hooks/message";
+import {
+    useCancelGeneration,
+    useCreateMessages,
+    useGetMessages,
+} from "@/modules/messages/hooks/message";
 import { Usage } from "@/modules/usage/components/usage";
 import { useStatus } from "@/modules/usage/hooks/usage";
 
@@ -76,6 +90,18 @@ const MessageForm = ({ projectId }) => {
      */
     const { mutateAsync, isPending } = useCreateMessages(projectId);
 
+    /**
+     * Mutation hook for cancelling the generation in progress
+     */
+    const { mutateAsync: cancelAsync, isPending: isCancelling } = useCancelGeneration(projectId);
+
+    /**
+     * Shares the message list cache with MessageContainer
+     * A generation is in progress while the latest message is the user's
+     */
+    const { data: messages } = useGetMessages(projectId);
+    const isGenerating = messages?.[messages.length - 1]?.role === MessageRole.USER;
+
     /**
      * Query hook for fetching user's usage/credit status
      * Used to determine if usage component should be displayed
@@ -131,6 +157,21 @@ const MessageForm = ({ projectId }) => {
         }
     };
 
+    /**
+     * Cancels the generation in progress
+     *
+     * @async
+     * @param {boolean} keepDraft - Keep files written so far as a draft
+     */
+    const onCancel = async (keepDraft) => {
+        try {
+            await cancelAsync({ keepDraft });
+            toast.success("Cancelling generation...");
+        } catch (error) {
+            toast.error(error.message || "Failed to cancel generation");
+        }
+    };
+
     /**
      * Handles keyboard events for the textarea
      *
@@ -217,21 +258,51 @@ const MessageForm = ({ projectId }) => {
                         &nbsp; for new line
                     </div>
 
-                    {/* Submit button with loading state */}
-                    <Button
-                        className={cn(
-                            "size-8 rounded-full",
-                            isButtonDisabled && "bg-muted-foreground border"
-                        )}
-                        disabled={isButtonDisabled}
-                        type="submit"
-                    >
-                        {isPending ? (
-                            <Spinner />
-                        ) : (
-                            <ArrowUpIcon className="size-4" />
-                        )}
-                    </Button>
+                    {/* Cancel menu while a generation is running */}
+                    {isGenerating ? (
+                        <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                                <Button
+                                    className="size-8 rounded-full"
+                                    disabled={isCancelling}
+                                    type="button"
+                                    aria-label="Cancel generation"
+                                >
+                                    {isCancelling ? (
+                                        <Spinner />
+                                    ) : (
+                                        <SquareIcon className="size-3 fill-current" />
+                                    )}
+                                </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent side="top" align="end">
+                                <DropdownMenuLabel>Cancel generation</DropdownMenuLabel>
+                                <DropdownMenuSeparator />
+                                <DropdownMenuItem onClick={() => onCancel(true)}>
+                                    Keep partial files as draft
+                                </DropdownMenuItem>
+                                <DropdownMenuItem onClick={() => onCancel(false)}>
+                                    Discard partial files
+                                </DropdownMenuItem>
+                            </DropdownMenuContent>
+                        </DropdownMenu>
+                    ) : (
+                        /* Submit button with loading state */
+                        <Button
+                            className={cn(
+                                "size-8 rounded-full",
+                                isButtonDisabled && "bg-muted-foreground border"
+                            )}
+                            disabled={isButtonDisabled}
+                            type="submit"
+                        >
+                            {isPending ? (
+                                <Spinner />
+                            ) : (
+                                <ArrowUpIcon className="size-4" />
+                            )}
+                        </Button>
+                    )}
                 </div>
             </form>
         </Form>
@@ -1,17 +1,15 @@
 /**
  * @fileoverview Message Loading Component
  *
- * This component displays a loading indicator while waiting for AI response.
- * It shows time-based progressive status messages that correspond to actual
- * workflow stages, providing meaningful feedback to users.
+ * This component displays the progress of the code agent while waiting for
+ * an AI response. Events are streamed from the running workflow (see
+ * useRunProgress), so every line corresponds to something the agent
+ * actually did: starting the sandbox, restoring files, planning, running
+ * commands, writing files, reviewing and verifying.
  *
- * Stages:
- * 1. Connecting to sandbox (0-5s)
- * 2. Loading context (5-10s)
- * 3. Analyzing request (10-20s)
- * 4. Generating code (20-40s)
- * 5. Finalizing (40-60s)
- * 6. Extended wait message (60s+)
+ * The latest event is highlighted; earlier events stay visible as a
+ * timeline. An elapsed counter and a long-wait warning are kept as a
+ * fallback for runs that go quiet.
  *
  * @module modules/projects/components/message-loader
  */
@@ -20,114 +18,138 @@ import Image from "next/image";
 import React from "react";
 import { useState, useEffect } from "react";
 
+import { cn } from "@/lib/utils";
+import { PROGRESS_STAGES } from "@/lib/progress";
+import { useRunProgress } from "@/modules/messages/hooks/progress";
+
 /**
- * Workflow stages with their corresponding time ranges and messages
- * These roughly map to actual Inngest workflow steps
+ * Icon shown next to each progress stage
+ * @constant {Object<string, string>}
  */
-const WORKFLOW_STAGES = [
-    { minTime: 0, maxTime: 5, message: "Connecting to sandbox...", icon: "🔌" },
-    { minTime: 5, maxTime: 10, message: "Loading project context...", icon: "📂" },
-    { minTime: 10, maxTime: 20, message: "Analyzing your request...", icon: "🔍" },
-    { minTime: 20, maxTime: 40, message: "Generating code...", icon: "⚡" },
-    { minTime: 40, maxTime: 60, message: "Building and testing...", icon: "🔨" },
-    { minTime: 60, maxTime: 90, message: "Finalizing response...", icon: "✨" },
-    { minTime: 90, maxTime: Infinity, message: "Still working on it...", icon: "⏳" },
-];
+const STAGE_ICONS = {
+    [PROGRESS_STAGES.MODEL]: "🧠",
+    [PROGRESS_STAGES.SANDBOX]: "🔌",
+    [PROGRESS_STAGES.CONTEXT]: "📂",
+    [PROGRESS_STAGES.RESTORE]: "♻️",
+    [PROGRESS_STAGES.INSTALL]: "📦",
+    [PROGRESS_STAGES.PLAN]: "🗺️",
+    [PROGRESS_STAGES.TOOL]: "⚡",
+    [PROGRESS_STAGES.REVIEW]: "🔍",
+    [PROGRESS_STAGES.VERIFY]: "🔨",
+    [PROGRESS_STAGES.FINALIZE]: "✨",
+    [PROGRESS_STAGES.DONE]: "✅",
+    [PROGRESS_STAGES.FAILED]: "❌",
+    [PROGRESS_STAGES.CANCELLED]: "⏹️",
+};
 
 /**
- * ProgressIndicator Component
- *
- * Shows the current elapsed time and a visual progress bar
- *
- * @param {Object} props
- * @param {number} props.elapsedSeconds - Seconds since loading started
+ * Number of past events kept visible above the current one
+ * @constant {number}
  */
-const ProgressIndicator = ({ elapsedSeconds }) => {
-    // Progress fills up to 90 seconds (100%)
-    const progress = Math.min((elapsedSeconds / 90) * 100, 95);
-
-    return (
-        <div className="w-full max-w-xs">
-            <div className="h-1 bg-muted rounded-full overflow-hidden">
-                <div
-                    className="h-full bg-emerald-500 transition-all duration-1000 ease-out"
-                    style={{ width: `${progress}%` }}
-                />
-            </div>
-        </div>
-    );
-};
+const VISIBLE_HISTORY = 5;
 
 /**
- * ShimmerMessages Component
+ * ElapsedTime Component
  *
- * Displays time-based workflow status messages.
- * Messages progress through actual workflow stages based on elapsed time.
+ * Shows the seconds elapsed since loading started, and a warning once the
+ * run takes longer than 2 minutes.
  */
-const ShimmerMessages = () => {
+const ElapsedTime = () => {
     const [elapsedSeconds, setElapsedSeconds] = useState(0);
-    const [showWarning, setShowWarning] = useState(false);
 
     useEffect(() => {
         const startTime = Date.now();
 
         const interval = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - startTime) / 1000);
-            setElapsedSeconds(elapsed);
-
-            // Show warning if taking too long (over 2 minutes)
-            if (elapsed > 120 && !showWarning) {
-                setShowWarning(true);
-            }
+            setElapsedSeconds(Math.floor((Date.now() - startTime) / 1000));
         }, 1000);
 
         return () => clearInterval(interval);
-    }, [showWarning]);
-
-    // Find the current stage based on elapsed time
-    const currentStage = WORKFLOW_STAGES.find(
-        stage => elapsedSeconds >= stage.minTime && elapsedSeconds < stage.maxTime
-    ) || WORKFLOW_STAGES[WORKFLOW_STAGES.length - 1];
+    }, []);
 
     return (
-        <div className="flex flex-col gap-2">
-            {/* Main status message */}
-            <div className="flex items-center gap-2">
-                <span className="text-lg">{currentStage.icon}</span>
-                <span className="text-base text-muted-foreground animate-pulse">
-                    {currentStage.message}
-                </span>
-            </div>
-
-            {/* Progress bar */}
-            <ProgressIndicator elapsedSeconds={elapsedSeconds} />
-
-            {/* Elapsed time indicator */}
+        <>
             <span className="text-xs text-muted-foreground/60">
                 {elapsedSeconds}s elapsed
             </span>
 
             {/* Warning message for extended wait times */}
-            {showWarning && (
+            {elapsedSeconds > 120 && (
                 <div className="mt-2 text-sm text-amber-500/80 bg-amber-500/10 px-3 py-2 rounded-md">
                     ⚠️ This is taking longer than expected.
                     The AI might be processing a complex request or there could be a temporary issue.
                 </div>
             )}
-        </div>
+        </>
+    );
+};
+
+/**
+ * ProgressTimeline Component
+ *
+ * Renders the streamed progress events, most recent last.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.events - Progress events ({ id, stage, message })
+ */
+const ProgressTimeline = ({ events }) => {
+    // Nothing reported yet: the workflow is still being scheduled
+    if (events.length === 0) {
+        return (
+            <div className="flex items-center gap-2">
+                <span className="text-lg">⏳</span>
+                <span className="text-base text-muted-foreground animate-pulse">
+                    Starting agent...
+                </span>
+            </div>
+        );
+    }
+
+    const visible = events.slice(-(VISIBLE_HISTORY + 1));
+
+    return (
+        <ol className="flex flex-col gap-1">
+            {visible.map((event, index) => {
+                const isCurrent = index === visible.length - 1;
+
+                return (
+                    <li key={event.id} className="flex items-center gap-2">
+                        <span className={cn("w-6 text-center", isCurrent ? "text-lg" : "text-sm opacity-60")}>
+                            {STAGE_ICONS[event.stage] || "•"}
+                        </span>
+                        <span
+                            className={cn(
+                                "truncate",
+                                isCurrent
+                                    ? "text-base text-muted-foreground animate-pulse"
+                                    : "text-sm text-muted-foreground/60"
+                            )}
+                        >
+                            {event.message}
+                        </span>
+                    </li>
+                );
+            })}
+        </ol>
     );
 };
 
 /**
  * MessageLoading Component
  *
- * Main loading component that displays the AI avatar and status messages
- * while waiting for a response.
+ * Main loading component that displays the AI avatar and the live agent
+ * progress while waiting for a response.
  *
  * @component
+ * @param {Object} props - Component props
+ * @param {string} props.projectId - The ID of the current project
+ * @param {Date|string} props.since - Start of the pending user message's
+ *   latest run (its updatedAt)
  * @returns {JSX.Element} The loading indicator UI
  */
-const MessageLoading = () => {
+const MessageLoading = ({ projectId, since }) => {
+    const { events } = useRunProgress(projectId, since);
+
     return (
         <div className="flex flex-col group px-2 pb-4">
             <div className="flex items-center gap-2 pl-2 mb-2">
@@ -140,8 +162,9 @@ const MessageLoading = () => {
                 />
             </div>
 
-            <div className="pl-8.5 flex flex-col gap-y-4">
-                <ShimmerMessages />
+            <div className="pl-8.5 flex flex-col gap-y-2">
+                <ProgressTimeline events={events} />
+                <ElapsedTime />
             </div>
         </div>
     );
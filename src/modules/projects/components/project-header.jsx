@@ -9,6 +9,7 @@
  * - Project name display
  * - Dropdown menu with navigation options
  * - Theme switcher (Light/Dark/System)
+ * - Model provider switcher (per project)
  * - Loading state while fetching project data
  *
  * @module modules/projects/components/project-header
@@ -18,10 +19,12 @@ import Link from "next/link";
 import Image from "next/image";
 import { useTheme } from "next-themes";
 import {
+    BotIcon,
     ChevronDownIcon,
     ChevronLeftIcon,
     SunMoonIcon,
 } from "lucide-react";
+import { toast } from "sonner";
 
 import { Button } from "@/components/ui/button";
 import {
@@ -38,7 +41,11 @@ import {
     DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import { Spinner } from "@/components/ui/spinner";
-import { useGetProjectById } from "../hooks/project";
+import {
+    useGetProjectById,
+    useModelProviders,
+    useUpdateProjectModel,
+} from "../hooks/project";
 
 /**
  * ProjectHeader Component
@@ -71,6 +78,27 @@ const ProjectHeader = ({ projectId }) => {
      */
     const { setTheme, theme } = useTheme();
 
+    /**
+     * Available LLM providers and the mutation to pick one for this project
+     */
+    const { data: providers } = useModelProviders();
+    const { mutate: updateModel } = useUpdateProjectModel(projectId);
+
+    /**
+     * Persists the selected provider ("default" clears the preference)
+     *
+     * @param {string} value - Provider ID or "default"
+     */
+    const onProviderChange = (value) => {
+        updateModel(
+            { provider: value === "default" ? null : value },
+            {
+                onSuccess: () => toast.success("Model updated"),
+                onError: (error) => toast.error(error.message || "Failed to update model"),
+            }
+        );
+    };
+
     // =========================================================================
     // RENDER
     // =========================================================================
@@ -145,6 +173,34 @@ const ProjectHeader = ({ projectId }) => {
                             </DropdownMenuSubContent>
                         </DropdownMenuPortal>
                     </DropdownMenuSub>
+
+                    {/* Model Provider Submenu */}
+                    <DropdownMenuSub>
+                        <DropdownMenuSubTrigger className={"gap-2"}>
+                            <BotIcon className="size-4 text-muted-foreground" />
+                            <span>Model</span>
+                        </DropdownMenuSubTrigger>
+                        <DropdownMenuPortal>
+                            <DropdownMenuSubContent sideOffset={5}>
+                                <DropdownMenuRadioGroup
+                                    value={project?.provider || "default"}
+                                    onValueChange={onProviderChange}
+                                >
+                                    <DropdownMenuRadioItem value="default">
+                                        Default
+                                    </DropdownMenuRadioItem>
+                                    {providers?.map((provider) => (
+                                        <DropdownMenuRadioItem key={provider.id} value={provider.id}>
+                                            {provider.label}
+                                            <span className="ml-2 text-xs text-muted-foreground">
+                                                {provider.defaultModel}
+                                            </span>
+                                        </DropdownMenuRadioItem>
+                                    ))}
+                                </DropdownMenuRadioGroup>
+                            </DropdownMenuSubContent>
+                        </DropdownMenuPortal>
+                    </DropdownMenuSub>
                 </DropdownMenuContent>
             </DropdownMenu>
         </header>
@@ -11,7 +11,10 @@
  * - Resizable split-pane layout
  * - Message history with fragment selection
  * - Live preview iframe for generated applications
- * - Code explorer for viewing generated files
+ * - Code explorer for viewing generated files, with a diff against an
+ *   earlier fragment
+ * - Console with dev-server output and preview errors, sendable to the agent
+ * - Terminal into the project sandbox
  * - Theme toggle and navigation
  * - Upgrade button for non-pro users
  *
@@ -24,23 +27,29 @@ import {
     ResizablePanel,
     ResizableHandle,
 } from "@/components/ui/resizable";
-import { useState } from "react";
+import { useMemo, useState } from "react";
+import { MessageRole } from "@prisma/client";
 import { Button } from "@/components/ui/button";
 import Link from "next/link";
 import { useAuth } from "@clerk/nextjs";
 
 import ProjectHeader from "./project-header";
 import MessageContainer from "./message-container";
-import { Code, CrownIcon, EyeIcon } from "lucide-react";
+import { Code, CrownIcon, EyeIcon, SquareTerminal, TerminalIcon } from "lucide-react";
 import FragmentWeb from "./fragment-web";
 import { FileExplorer } from "./file-explorer";
+import ConsoleView from "./console-view";
+import TerminalView from "./terminal-view";
+import { usePreviewErrors } from "../hooks/console";
+import { useGetMessages } from "@/modules/messages/hooks/message";
 
 /**
  * ProjectView Component
  *
  * Main workspace view for a project. Provides a split-pane interface with:
  * - Left panel: Project header, message history, and message input
- * - Right panel: Tabs for preview (iframe) and code (file explorer)
+ * - Right panel: Tabs for preview (iframe), code (file explorer),
+ *   console (dev-server log and preview errors) and terminal
  *
  * The component tracks the currently selected fragment (code generation result)
  * and displays its preview or code in the right panel.
@@ -65,10 +74,38 @@ const ProjectView = ({ projectId }) => {
     const [activeFragment, setActiveFragment] = useState(null);
 
     /**
-     * Active tab in the right panel ("preview" or "code")
+     * Active tab in the right panel ("preview", "code", "console" or "terminal")
      */
     const [tabState, setTabState] = useState("preview");
 
+    /**
+     * Whether the terminal tab was opened; its shell is only started then
+     * and kept while switching tabs
+     */
+    const [terminalOpened, setTerminalOpened] = useState(false);
+
+    /**
+     * Errors reported by the preview iframe
+     * Collected here so they survive switching to the Console tab
+     */
+    const { errors: previewErrors, clear: clearPreviewErrors } = usePreviewErrors();
+
+    /**
+     * The project's fragments, oldest first, for the Code tab's diff mode
+     * Shares the message container's query, so nothing is fetched twice
+     */
+    const { data: messages } = useGetMessages(projectId);
+    const fragments = useMemo(
+        () => (messages || []).map((message) => message.fragments).filter(Boolean),
+        [messages]
+    );
+
+    /**
+     * A generation is in progress while the latest message is the user's;
+     * the preview does not restore into the sandbox the agent works in
+     */
+    const isGenerating = messages?.[messages.length - 1]?.role === MessageRole.USER;
+
     /**
      * Auth hook to check user's subscription status
      * Used to conditionally show upgrade button
@@ -127,7 +164,10 @@ const ProjectView = ({ projectId }) => {
                         className={"h-full flex flex-col"}
                         defaultValue="preview"
                         value={tabState}
-                        onValueChange={(value) => setTabState(value)}
+                        onValueChange={(value) => {
+                            setTabState(value);
+                            if (value === "terminal") setTerminalOpened(true);
+                        }}
                     >
                         {/* Tab header with view toggles and actions */}
                         <div className="w-full flex items-center p-2 border-b gap-x-2">
@@ -148,6 +188,27 @@ const ProjectView = ({ projectId }) => {
                                     <Code className="size-4" />
                                     <span>Code</span>
                                 </TabsTrigger>
+
+                                <TabsTrigger
+                                    value="console"
+                                    className={"rounded-md px-3 flex items-center gap-x-2"}
+                                >
+                                    <SquareTerminal className="size-4" />
+                                    <span>Console</span>
+                                    {previewErrors.length > 0 && (
+                                        <span className="rounded-full bg-destructive px-1.5 text-[10px] leading-4 text-white">
+                                            {previewErrors.length}
+                                        </span>
+                                    )}
+                                </TabsTrigger>
+
+                                <TabsTrigger
+                                    value="terminal"
+                                    className={"rounded-md px-3 flex items-center gap-x-2"}
+                                >
+                                    <TerminalIcon className="size-4" />
+                                    <span>Terminal</span>
+                                </TabsTrigger>
                             </TabsList>
 
                             {/*
@@ -175,7 +236,14 @@ const ProjectView = ({ projectId }) => {
                             className={"flex-1 h-[calc(100%-4rem)] overflow-hidden"}
                         >
                             {activeFragment ? (
-                                <FragmentWeb data={activeFragment} />
+                                <FragmentWeb
+                                    key={activeFragment.id}
+                                    data={activeFragment}
+                                    projectId={projectId}
+                                    isLatest={fragments.length === 0 ||
+                                        fragments[fragments.length - 1].id === activeFragment.id}
+                                    isGenerating={isGenerating}
+                                />
                             ) : (
                                 <div className="flex items-center justify-center h-full text-muted-foreground">
                                     Select a fragment to preview
@@ -192,13 +260,44 @@ const ProjectView = ({ projectId }) => {
                             className={"flex-1 h-[calc(100%-4rem)] overflow-hidden"}
                         >
                             {activeFragment?.files ? (
-                                <FileExplorer files={activeFragment.files} />
+                                <FileExplorer
+                                    files={activeFragment.files}
+                                    fragmentId={activeFragment.id}
+                                    fragments={fragments}
+                                />
                             ) : (
                                 <div className="flex items-center justify-center h-full text-muted-foreground">
                                     Select a fragment to view code
                                 </div>
                             )}
                         </TabsContent>
+
+                        {/*
+                          Console Tab Content
+                          Dev-server output and errors reported by the preview
+                        */}
+                        <TabsContent
+                            value="console"
+                            className={"flex-1 h-[calc(100%-4rem)] overflow-hidden"}
+                        >
+                            <ConsoleView
+                                projectId={projectId}
+                                previewErrors={previewErrors}
+                                onClearPreviewErrors={clearPreviewErrors}
+                            />
+                        </TabsContent>
+
+                        {/*
+                          Terminal Tab Content
+                          Kept mounted once opened so the shell survives tab switches
+                        */}
+                        <TabsContent
+                            value="terminal"
+                            forceMount
+                            className={"flex-1 h-[calc(100%-4rem)] overflow-hidden data-[state=inactive]:hidden"}
+                        >
+                            {terminalOpened && <TerminalView projectId={projectId} />}
+                        </TabsContent>
                     </Tabs>
                 </ResizablePanel>
             </ResizablePanelGroup>
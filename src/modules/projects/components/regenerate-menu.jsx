@@ -0,0 +1,156 @@
+"use client";
+
+/**
+ * @fileoverview Regenerate Menu Component
+ *
+ * Popover on an assistant message that re-runs the user message it
+ * answers. The new response is kept next to the original as an
+ * alternative (see regenerateMessage).
+ *
+ * Features:
+ * - Same settings, or another configured provider
+ * - Optional sampling temperature (provider default until changed)
+ *
+ * @module modules/projects/components/regenerate-menu
+ */
+
+import { useState } from "react";
+import { RefreshCwIcon } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { Hint } from "@/components/ui/hint";
+import { Label } from "@/components/ui/label";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import { Slider } from "@/components/ui/slider";
+import { useModelProviders } from "@/modules/projects/hooks/project";
+
+/**
+ * Temperature slider range; the server clamps to TEMPERATURE_RANGE in
+ * lib/llm, which is not imported here to keep the providers out of the
+ * client bundle
+ * @constant {{min: number, max: number, step: number}}
+ */
+const TEMPERATURE_SLIDER = { min: 0, max: 1, step: 0.1 };
+
+/**
+ * Temperature the slider starts from once the user changes it
+ * @constant {number}
+ */
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * RegenerateMenu Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onRegenerate - Called with { provider, model,
+ *   temperature } (unset fields keep the project's settings)
+ * @param {boolean} [props.disabled] - Disables the trigger (e.g. while generating)
+ * @returns {JSX.Element} The trigger button and its popover
+ *
+ * @example
+ * <RegenerateMenu onRegenerate={(options) => regenerate({ messageId, options })} />
+ */
+const RegenerateMenu = ({ onRegenerate, disabled }) => {
+    const [open, setOpen] = useState(false);
+    const [provider, setProvider] = useState("default");
+    const [temperature, setTemperature] = useState(null);
+
+    /**
+     * Configured providers to choose from
+     */
+    const { data: providers } = useModelProviders();
+
+    /**
+     * Starts the re-run with the chosen settings and closes the popover
+     */
+    const handleRegenerate = () => {
+        onRegenerate({
+            provider: provider === "default" ? undefined : provider,
+            temperature: temperature ?? undefined,
+        });
+        setOpen(false);
+    };
+
+    return (
+        <Popover open={open} onOpenChange={setOpen}>
+            <Hint text="Regenerate response" side="bottom" align="start">
+                <PopoverTrigger asChild>
+                    <Button
+                        variant="ghost"
+                        size="icon"
+                        className="size-6"
+                        disabled={disabled}
+                        aria-label="Regenerate response"
+                    >
+                        <RefreshCwIcon className="size-3" />
+                    </Button>
+                </PopoverTrigger>
+            </Hint>
+            <PopoverContent align="start" className="w-72 flex flex-col gap-4">
+                <div className="flex flex-col gap-2">
+                    <Label className="text-xs">Model</Label>
+                    <Select value={provider} onValueChange={setProvider}>
+                        <SelectTrigger size="sm" className="w-full text-xs">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="default">Project model</SelectItem>
+                            {providers?.map((option) => (
+                                <SelectItem key={option.id} value={option.id}>
+                                    {option.label}
+                                    <span className="text-xs text-muted-foreground">
+                                        {option.defaultModel}
+                                    </span>
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+
+                <div className="flex flex-col gap-2">
+                    <div className="flex items-center justify-between">
+                        <Label className="text-xs">Temperature</Label>
+                        <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                            <span>{temperature === null ? "Default" : temperature.toFixed(1)}</span>
+                            {temperature !== null && (
+                                <button
+                                    type="button"
+                                    className="underline hover:text-foreground"
+                                    onClick={() => setTemperature(null)}
+                                >
+                                    Reset
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <Slider
+                        min={TEMPERATURE_SLIDER.min}
+                        max={TEMPERATURE_SLIDER.max}
+                        step={TEMPERATURE_SLIDER.step}
+                        value={[temperature ?? DEFAULT_TEMPERATURE]}
+                        onValueChange={([value]) => setTemperature(value)}
+                        aria-label="Temperature"
+                    />
+                    <p className="text-xs text-muted-foreground">
+                        Lower is more focused, higher more varied.
+                    </p>
+                </div>
+
+                <Button size="sm" onClick={handleRegenerate}>
+                    <RefreshCwIcon />
+                    Regenerate
+                </Button>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default RegenerateMenu;
@@ -0,0 +1,245 @@
+"use client";
+
+/**
+ * @fileoverview Terminal View Component
+ *
+ * Interactive shell on the project's sandbox, for running commands
+ * (inspecting files, running tests, installing packages) without asking
+ * the agent. Output streams from app/api/projects/[projectId]/terminal;
+ * keystrokes and resizes are posted back to it in order.
+ *
+ * Features:
+ * - xterm.js terminal sized to the panel
+ * - Save changes: files changed through the terminal become a new
+ *   fragment, so the agent sees them on the next turn
+ * - Restart: ends the shell and starts a new one
+ *
+ * @module modules/projects/components/terminal-view
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { Loader2, RotateCcw, Save } from "lucide-react";
+import { toast } from "sonner";
+import "@xterm/xterm/css/xterm.css";
+
+import { Button } from "@/components/ui/button";
+import { useSaveTerminalChanges } from "@/modules/messages/hooks/message";
+
+/**
+ * Status line per connection state
+ * @constant {Object<string, string>}
+ */
+const STATUS_LABELS = {
+    connecting: "Connecting to the sandbox...",
+    connected: "Connected to the project sandbox",
+    exited: "Shell exited — restart to open a new one",
+    expired: "No live sandbox — restore the preview, then restart",
+};
+
+/**
+ * Decodes base64 output from the stream
+ *
+ * @param {string} data - Base64 data
+ * @returns {Uint8Array} Bytes
+ */
+function decodeOutput(data) {
+    return Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+}
+
+/**
+ * TerminalView Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.projectId - The current project's ID
+ * @returns {JSX.Element} The terminal panel
+ *
+ * @example
+ * <TerminalView projectId={projectId} />
+ */
+const TerminalView = ({ projectId }) => {
+    // =========================================================================
+    // STATE & HOOKS
+    // =========================================================================
+
+    const containerRef = useRef(null);
+    const [status, setStatus] = useState("connecting");
+
+    /**
+     * Incremented to end the shell and start a new one
+     */
+    const [session, setSession] = useState(0);
+
+    const { mutateAsync: saveChanges, isPending: isSaving } = useSaveTerminalChanges(projectId);
+
+    // =========================================================================
+    // TERMINAL SESSION
+    // =========================================================================
+
+    useEffect(() => {
+        const url = `/api/projects/${projectId}/terminal`;
+        let disposed = false;
+        let terminal = null;
+        let source = null;
+        let resizeObserver = null;
+        let pid = null;
+
+        // Requests are chained so keystrokes arrive in order
+        let queue = Promise.resolve();
+
+        const post = (body) => {
+            if (pid === null) {
+                return;
+            }
+
+            const payload = JSON.stringify({ pid, ...body });
+
+            queue = queue
+                .then(() => fetch(url, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: payload,
+                }))
+                .catch(() => {});
+        };
+
+        (async () => {
+            // xterm.js needs the DOM, so it is loaded on the client only
+            const [{ Terminal }, { FitAddon }] = await Promise.all([
+                import("@xterm/xterm"),
+                import("@xterm/addon-fit"),
+            ]);
+
+            if (disposed) {
+                return;
+            }
+
+            const fitAddon = new FitAddon();
+
+            terminal = new Terminal({
+                cursorBlink: true,
+                fontSize: 13,
+                fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+            });
+            terminal.loadAddon(fitAddon);
+            terminal.open(containerRef.current);
+            fitAddon.fit();
+
+            const params = new URLSearchParams({ cols: terminal.cols, rows: terminal.rows });
+            source = new EventSource(`${url}?${params}`);
+
+            source.onmessage = (message) => {
+                const event = JSON.parse(message.data);
+
+                if (event.type === "session") {
+                    pid = event.pid;
+                    setStatus("connected");
+                    post({ cols: terminal.cols, rows: terminal.rows });
+                } else if (event.type === "data") {
+                    terminal.write(decodeOutput(event.data));
+                } else if (event.type === "exit" || event.type === "status") {
+                    // Stop EventSource from reconnecting
+                    source.close();
+                    pid = null;
+                    setStatus(event.type === "exit" ? "exited" : "expired");
+                }
+            };
+
+            terminal.onData((data) => post({ input: data }));
+            terminal.onResize(({ cols, rows }) => post({ cols, rows }));
+
+            // Also fits when the tab becomes visible again
+            resizeObserver = new ResizeObserver(() => fitAddon.fit());
+            resizeObserver.observe(containerRef.current);
+        })();
+
+        return () => {
+            disposed = true;
+            source?.close();
+            resizeObserver?.disconnect();
+            terminal?.dispose();
+
+            // End the shell; keepalive lets the request outlive the page
+            if (pid !== null) {
+                fetch(`${url}?pid=${pid}`, { method: "DELETE", keepalive: true }).catch(() => {});
+            }
+        };
+    }, [projectId, session]);
+
+    // =========================================================================
+    // EVENT HANDLERS
+    // =========================================================================
+
+    /**
+     * Ends the shell and starts a new one
+     */
+    const onRestart = () => {
+        setStatus("connecting");
+        setSession((prev) => prev + 1);
+    };
+
+    /**
+     * Saves the files changed through the terminal as a new fragment
+     *
+     * @async
+     */
+    const onSave = async () => {
+        try {
+            const { saved, changed, removed, truncated } = await saveChanges();
+
+            if (!saved) {
+                toast.info("No file changes to save");
+                return;
+            }
+
+            toast.success(
+                `Saved ${changed.length + removed.length} changed file(s) as a new version`,
+                truncated ? { description: "Some files were left out; save again to include them" } : undefined
+            );
+        } catch (error) {
+            toast.error(error.message || "Failed to save changes");
+        }
+    };
+
+    // =========================================================================
+    // RENDER
+    // =========================================================================
+
+    return (
+        <div className="flex flex-col h-full">
+            {/* Toolbar */}
+            <div className="p-2 border-b bg-sidebar flex items-center gap-x-2">
+                <span className="text-xs text-muted-foreground">{STATUS_LABELS[status]}</span>
+                <div className="ml-auto flex items-center gap-x-2">
+                    <Button
+                        size={"sm"}
+                        variant={"outline"}
+                        onClick={onRestart}
+                    >
+                        <RotateCcw className="size-4" />
+                        Restart
+                    </Button>
+                    <Button
+                        size={"sm"}
+                        onClick={onSave}
+                        disabled={isSaving || status === "expired"}
+                    >
+                        {isSaving ? (
+                            <Loader2 className="size-4 animate-spin" />
+                        ) : (
+                            <Save className="size-4" />
+                        )}
+                        Save changes
+                    </Button>
+                </div>
+            </div>
+
+            {/* Terminal */}
+            <div className="flex-1 min-h-0 bg-black p-2">
+                <div ref={containerRef} className="h-full w-full" />
+            </div>
+        </div>
+    );
+};
+
+export default TerminalView;
@@ -12,8 +12,19 @@ import {
 } from "@/components/ui/sidebar";
 import { ChevronRightIcon, FileIcon, FolderIcon } from "lucide-react";
 import { Collapsible, CollapsibleTrigger } from "@/components/ui/collapsible";
+import { cn } from "@/lib/utils";
 
-export const TreeView = ({ data, value, onSelect }) => {
+/**
+ * Badge letter and color per diff status (see lib/diff)
+ * @constant {Object<string, {label: string, className: string}>}
+ */
+const STATUS_BADGES = {
+    added: { label: "A", className: "text-green-600" },
+    removed: { label: "D", className: "text-red-600" },
+    modified: { label: "M", className: "text-amber-600" },
+};
+
+export const TreeView = ({ data, value, onSelect, changes }) => {
     return (
         <SidebarProvider>
             <Sidebar collapsible="none" className="w-full">
@@ -28,6 +39,7 @@ export const TreeView = ({ data, value, onSelect }) => {
                                         selectedValue={value}
                                         onSelect={onSelect}
                                         parentPath=""
+                                        changes={changes}
                                     />
                                 ))}
                             </SidebarMenu>
@@ -40,12 +52,13 @@ export const TreeView = ({ data, value, onSelect }) => {
     );
 };
 
-const Tree = ({ item, selectedValue, onSelect, parentPath }) => {
+const Tree = ({ item, selectedValue, onSelect, parentPath, changes }) => {
     const [name, ...items] = Array.isArray(item) ? item : [item];
     const currentPath = parentPath ? `${parentPath}/${name}` : name;
 
     if (!items.length) {
         const isSelected = selectedValue === currentPath;
+        const badge = STATUS_BADGES[changes?.[currentPath]?.status];
 
         return (
             <SidebarMenuButton
@@ -54,7 +67,12 @@ const Tree = ({ item, selectedValue, onSelect, parentPath }) => {
                 onClick={() => onSelect?.(currentPath)}
             >
                 <FileIcon />
-                <span className="truncate">{name}</span>
+                <span className={cn("truncate", badge?.label === "D" && "line-through")}>{name}</span>
+                {badge && (
+                    <span className={cn("ml-auto text-xs font-semibold", badge.className)}>
+                        {badge.label}
+                    </span>
+                )}
             </SidebarMenuButton>
         );
     }
@@ -82,6 +100,7 @@ const Tree = ({ item, selectedValue, onSelect, parentPath }) => {
                             selectedValue={selectedValue}
                             onSelect={onSelect}
                             parentPath={currentPath}
+                            changes={changes}
                         />
                     ))}
                 </SidebarMenuSub>
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Console Hooks
+ *
+ * Hooks feeding the project view's Console tab:
+ * - useSandboxLogs: Follows the dev-server log of the project's sandbox
+ *   (see app/api/projects/[projectId]/logs)
+ * - usePreviewErrors: Collects runtime errors the preview reports through
+ *   the templates' preview-console.js (window.postMessage)
+ *
+ * @module modules/projects/hooks/console
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Maximum log lines kept in memory
+ * @constant {number}
+ */
+const MAX_LOG_LINES = 1000;
+
+/**
+ * Maximum preview errors kept in memory
+ * @constant {number}
+ */
+const MAX_PREVIEW_ERRORS = 100;
+
+/**
+ * `source` of the messages posted by preview-console.js
+ * @constant {string}
+ */
+const PREVIEW_MESSAGE_SOURCE = "v0-preview";
+
+/**
+ * Hook to stream the dev-server log of a project's sandbox
+ *
+ * Output is split into lines; a line still being written is held back
+ * until its newline arrives.
+ *
+ * @param {string} projectId - The project ID
+ * @param {boolean} [enabled=true] - Set to false to stay disconnected
+ * @returns {{lines: Array<{id: number, text: string}>, status: string|null,
+ *   clear: Function}} Log lines, the sandbox status ("running",
+ *   "expired", null before the first update) and a function clearing the lines
+ *
+ * @example
+ * const { lines, status } = useSandboxLogs(projectId, tab === "console");
+ */
+export const useSandboxLogs = (projectId, enabled = true) => {
+    const [lines, setLines] = useState([]);
+    const [status, setStatus] = useState(null);
+    const partialLine = useRef("");
+    const nextId = useRef(0);
+
+    useEffect(() => {
+        if (!projectId || !enabled) {
+            return;
+        }
+
+        const source = new EventSource(`/api/projects/${projectId}/logs`);
+
+        source.onmessage = (message) => {
+            const event = JSON.parse(message.data);
+
+            if (event.type === "status") {
+                setStatus(event.status);
+            } else if (event.type === "reset") {
+                partialLine.current = "";
+                setLines([]);
+            } else if (event.type === "log") {
+                const parts = (partialLine.current + event.text).split(/\r?\n/);
+                partialLine.current = parts.pop();
+
+                const added = parts
+                    .filter((text) => text.trim())
+                    .map((text) => ({ id: nextId.current++, text }));
+
+                if (added.length > 0) {
+                    setLines((prev) => [...prev, ...added].slice(-MAX_LOG_LINES));
+                }
+            }
+        };
+
+        return () => {
+            source.close();
+        };
+    }, [projectId, enabled]);
+
+    const clear = useCallback(() => setLines([]), []);
+
+    return { lines, status, clear };
+};
+
+/**
+ * Hook to collect errors reported by preview iframes
+ *
+ * Only messages from iframes of this page are accepted. Consecutive
+ * duplicates (e.g. an error thrown on every render) are counted instead of
+ * repeated.
+ *
+ * @returns {{errors: Array<Object>, clear: Function}} Errors
+ *   ({ id, kind, message, stack, url, count, createdAt }), newest last, and
+ *   a function clearing them
+ *
+ * @example
+ * const { errors } = usePreviewErrors();
+ */
+export const usePreviewErrors = () => {
+    const [errors, setErrors] = useState([]);
+    const nextId = useRef(0);
+
+    useEffect(() => {
+        const onMessage = (event) => {
+            const { data } = event;
+
+            if (data?.source !== PREVIEW_MESSAGE_SOURCE) {
+                return;
+            }
+
+            const fromPreview = Array.from(document.querySelectorAll("iframe"))
+                .some((frame) => frame.contentWindow === event.source);
+
+            if (!fromPreview) {
+                return;
+            }
+
+            setErrors((prev) => {
+                const last = prev[prev.length - 1];
+
+                if (last && last.message === data.message && last.stack === data.stack) {
+                    return [...prev.slice(0, -1), { ...last, count: last.count + 1 }];
+                }
+
+                return [...prev, {
+                    id: nextId.current++,
+                    kind: data.kind,
+                    message: String(data.message || ""),
+                    stack: data.stack || null,
+                    url: data.url || null,
+                    count: 1,
+                    createdAt: new Date(),
+                }].slice(-MAX_PREVIEW_ERRORS);
+            });
+        };
+
+        window.addEventListener("message", onMessage);
+
+        return () => {
+            window.removeEventListener("message", onMessage);
+        };
+    }, []);
+
+    const clear = useCallback(() => setErrors([]), []);
+
+    return { errors, clear };
+};
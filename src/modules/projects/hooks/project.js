@@ -10,12 +10,21 @@
  * - useCreateProject: Creates a new project with optimistic updates
  * - useDeleteProject: Deletes a project and related data
  * - useGetProjectById: Fetches a single project by ID
+ * - useModelProviders: Fetches the LLM providers available to the user
+ * - useUpdateProjectModel: Sets the project's preferred LLM provider
  *
  * @module modules/projects/hooks/project
  */
 
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
-import { createProject, deleteProject, getProjectById, getProjects } from "../actions"
+import {
+    createProject,
+    deleteProject,
+    getModelProviders,
+    getProjectById,
+    getProjects,
+    updateProjectModel,
+} from "../actions"
 
 /**
  * Hook to fetch all projects for the current user
@@ -42,8 +51,8 @@ export const useGetProjects = () => {
 /**
  * Hook to create a new project
  *
- * Creates a new project with the given description and triggers
- * the AI agent to start processing. On success, invalidates both
+ * Creates a new project with the given description and starter
+ * template, and triggers the AI agent to start processing. On success, invalidates both
  * the projects list cache and the usage status cache.
  *
  * @returns {UseMutationResult} React Query mutation result containing:
@@ -54,7 +63,7 @@ export const useGetProjects = () => {
  *
  * @example
  * const { mutateAsync, isPending } = useCreateProject();
- * const newProject = await mutateAsync("Build a todo app");
+ * const newProject = await mutateAsync({ value: "Build a todo app", template: "vue" });
  */
 export const useCreateProject = () => {
     const queryClient = useQueryClient()
@@ -62,9 +71,11 @@ export const useCreateProject = () => {
     return useMutation({
         /**
          * Mutation function that calls the createProject server action
-         * @param {string} value - The project description
+         * @param {Object} params - Mutation parameters
+         * @param {string} params.value - The project description
+         * @param {string} [params.template] - Starter template ID
          */
-        mutationFn: (value) => createProject(value),
+        mutationFn: ({ value, template }) => createProject(value, { template }),
 
         /**
          * On successful project creation:
@@ -130,3 +141,46 @@ export const useGetProjectById = (projectId) => {
         queryFn: () => getProjectById(projectId)
     })
 }
+
+/**
+ * Hook to fetch the LLM providers available for selection
+ *
+ * Provider availability only changes with server configuration,
+ * so the result is cached for the whole session.
+ *
+ * @returns {UseQueryResult} React Query result with provider descriptors
+ *
+ * @example
+ * const { data: providers } = useModelProviders();
+ */
+export const useModelProviders = () => {
+    return useQuery({
+        queryKey: ["model-providers"],
+        queryFn: () => getModelProviders(),
+        staleTime: Infinity
+    })
+}
+
+/**
+ * Hook to set a project's preferred LLM provider and model
+ *
+ * On success, invalidates the project cache so the header reflects
+ * the new selection.
+ *
+ * @param {string} projectId - The unique identifier of the project
+ * @returns {UseMutationResult} React Query mutation result
+ *
+ * @example
+ * const { mutate } = useUpdateProjectModel(projectId);
+ * mutate({ provider: "openai" });
+ */
+export const useUpdateProjectModel = (projectId) => {
+    const queryClient = useQueryClient()
+
+    return useMutation({
+        mutationFn: (config) => updateProjectModel(projectId, config),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ["project", projectId] })
+        }
+    })
+}